@@ -1,7 +1,93 @@
-import React, { useEffect, useMemo, useState, createContext, useContext, useRef } from 'react';
+import React, { useCallback, useEffect, useMemo, useState, createContext, useContext, useRef } from 'react';
 import { BrowserRouter, Routes, Route, Navigate, Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
 import './index.css';
 import './App.css';
+import { addEventsToAggregates } from './analytics';
+import { createDefaultApiClient, isMockApi } from './apiClient';
+import {
+  DATE_RANGE_PRESETS,
+  MAX_RANGE_DAYS,
+  addDays,
+  customRange,
+  formatClock,
+  formatDateRange,
+  formatDateTime,
+  formatDay,
+  formatDuration,
+  parseDateInputValue,
+  presetRange,
+  rangeDays,
+  refreshRange,
+  startOfDay,
+  toDateInputValue,
+  validateCustomRange,
+} from './dateRange';
+import {
+  MAX_SPAN_MS,
+  MIN_SPAN_MS,
+  clampViewport,
+  defaultViewport,
+  formatSpan,
+  panViewport,
+  timeTicks,
+  zoomViewport,
+} from './timeScale';
+import { DEMO_ACCOUNTS, DEMO_PASSWORD } from './mockServer';
+import { formatMediaTime, sampleTrack } from './overlayTrack';
+import { EXPORT_FORMATS, EXPORT_STATE_LABELS, createExportJobs, runReportExport } from './exportJobs';
+import { liveEventsInScope } from './liveStream';
+import { changeEventId, describeChange } from './offline';
+import { PERMISSIONS, ROLES, SELF_SIGNUP_ROLES, can, notPermittedMessage, permissionsFor } from './permissions';
+import {
+  describeDayNight,
+  describeHours,
+  serializeHours,
+  sunTimes,
+  validateHourRanges,
+} from './dayNight';
+import {
+  REPORT_TYPES,
+  buildReport,
+  downloadFile,
+  fetchAllEvents,
+} from './reportExport';
+import { createEthogram, findSpecies, formatExpected } from './speciesRegistry';
+import {
+  BASELINE_MODES,
+  baselineRange,
+  baselineScale,
+  compareToBaseline,
+  describeBaseline,
+  formatBaselineParam,
+  isSignificantIncrease,
+  parseBaseline,
+} from './baseline';
+import {
+  ALERT_COMPARISONS,
+  ALERT_METRICS,
+  ALERT_STATUS_LABELS,
+  ALERT_WINDOWS,
+  describeAlertRule,
+  validateAlertRule,
+} from './welfareAlerts';
+import {
+  SIDE_B_PARAMS,
+  decodeSideB,
+  differenceRows,
+  hourlyDifference,
+  sideDays,
+  withSideB,
+} from './comparison';
+import { HeatmapChart, HorizontalBarChart, PieChart, Sparkline, StackedBarChart } from './charts';
+import {
+  RANGE_DEPENDENT_PARAMS,
+  decodeGlobalView,
+  defaultGlobalView,
+  globalViewKey,
+  hasGlobalView,
+  sameRangeDays,
+  withGlobalView,
+} from './viewState';
 
 /**
  * PUBLIC_INTERFACE
@@ -37,13 +123,237 @@ const featureFlags = (() => {
 
 /**
  * PUBLIC_INTERFACE
- * AuthContext simulates signed-in state for route guarding and stores role/species/date preferences
+ * AuthContext holds the signed-in session (`authed`, `user` = { id, email, name, role }, the `auth`
+ * client from auth.js and `sessionEnd`, why the last session ended) plus the shared species/individual/date filters.
  */
 const AuthContext = createContext(null);
 
 // PUBLIC_INTERFACE
 export const useAuth = () => useContext(AuthContext);
 
+// PUBLIC_INTERFACE
+function useCan(permission) {
+  /** True when the signed-in user's role grants `permission` (see permissions.js). */
+  const { user } = useAuth();
+  return can(user, permission);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * ApiContext exposes the single data client (HTTP or local mock server) to every page.
+ */
+const ApiContext = createContext(null);
+
+// PUBLIC_INTERFACE
+export const useApi = () => useContext(ApiContext);
+
+/**
+ * PUBLIC_INTERFACE
+ * useApiQuery runs `load` whenever `key` changes (or the client reports a mutation) and tracks
+ * loading/error/ready state. Pass key=null to skip. Previous data is kept while reloading to avoid flicker.
+ */
+function useApiQuery(key, load) {
+  const api = useApi();
+  const [state, setState] = useState({ status: key === null ? 'idle' : 'loading', data: null, error: null });
+  const [nonce, setNonce] = useState(0);
+  const loadRef = useRef(load);
+  loadRef.current = load;
+
+  useEffect(() => {
+    if (key === null) {
+      setState({ status: 'idle', data: null, error: null });
+      return undefined;
+    }
+    let cancelled = false;
+    setState(s => ({ status: 'loading', data: s.data, error: null }));
+    loadRef.current().then(
+      (data) => { if (!cancelled) setState({ status: 'ready', data, error: null }); },
+      (error) => { if (!cancelled) setState({ status: 'error', data: null, error }); }
+    );
+    return () => { cancelled = true; };
+  }, [key, nonce]);
+
+  const reload = useCallback(() => setNonce(n => n + 1), []);
+  // Refetch after any mutation (e.g. a review) so every view reflects the change
+  useEffect(() => (api && api.onChange ? api.onChange(reload) : undefined), [api, reload]);
+  return { ...state, reload };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useScopedRange returns the species and chosen individuals (plus `individualsParam` for API calls),
+ * the stored { from, to } window, the label source and the Hours filter (plus its serialized
+ * `hoursParam`) from AuthContext.
+ */
+function useScopedRange() {
+  const { species, individuals, dateRange, labelSource, hours } = useAuth();
+  return {
+    species,
+    individuals,
+    individualsParam: individuals.join(','),
+    dateRange,
+    from: dateRange.from,
+    to: dateRange.to,
+    labels: labelSource,
+    hours,
+    hoursParam: serializeHours(hours),
+  };
+}
+
+const SpeciesContext = createContext({ items: null, status: 'idle', error: null, reload: () => {} });
+
+/**
+ * PUBLIC_INTERFACE
+ * SpeciesRegistryProvider loads the species registry (GET /species, see speciesRegistry.js) once
+ * signed in and shares it with useSpeciesRegistry and useEthogram.
+ */
+function SpeciesRegistryProvider({ children }) {
+  const api = useApi();
+  const { authed } = useAuth();
+  const registry = useApiQuery(authed ? 'species' : null, () => api.getSpecies());
+  const { data, status, error, reload } = registry;
+  const value = useMemo(() => ({ items: data ? data.items : null, status, error, reload }), [data, status, error, reload]);
+  return <SpeciesContext.Provider value={value}>{children}</SpeciesContext.Provider>;
+}
+
+// PUBLIC_INTERFACE
+export const useSpeciesRegistry = () => useContext(SpeciesContext);
+
+// PUBLIC_INTERFACE
+function useEthogram(species) {
+  /**
+   * The species' behaviors with colorOf/definitionOf/statusOf (speciesRegistry.createEthogram);
+   * `ready` is false, and there are no behaviors, until the registry has loaded.
+   */
+  const { items } = useSpeciesRegistry();
+  return useMemo(() => ({ ...createEthogram(findSpecies(items, species)), ready: items !== null }), [items, species]);
+}
+
+const LIVE_STOPPED = { state: 'stopped', lastUpdate: null, retryAt: null, attempt: 0, error: null };
+const LiveContext = createContext({ stream: null, status: LIVE_STOPPED });
+// Detections kept for views that mount or refetch later; older ones are already in fetched data
+const LIVE_EVENT_LIMIT = 2000;
+
+/**
+ * PUBLIC_INTERFACE
+ * LiveProvider runs the client's live detection stream (api.live, see liveStream.js) while signed in,
+ * and shares its connection status and the detections received so far.
+ */
+function LiveProvider({ children }) {
+  const api = useApi();
+  const { authed } = useAuth();
+  const stream = api.live || null;
+  const [status, setStatus] = useState(LIVE_STOPPED);
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    if (!stream || !authed) return undefined;
+    const offStatus = stream.onStatus(setStatus);
+    const offEvents = stream.subscribe(ev => setEvents(list => [...list.slice(1 - LIVE_EVENT_LIMIT), ev]));
+    stream.start();
+    return () => {
+      offStatus();
+      offEvents();
+      stream.stop();
+      setStatus(LIVE_STOPPED);
+      setEvents([]);
+    };
+  }, [stream, authed]);
+
+  const value = useMemo(() => ({ stream, status, events }), [stream, status, events]);
+  return <LiveContext.Provider value={value}>{children}</LiveContext.Provider>;
+}
+
+// PUBLIC_INTERFACE
+export const useLive = () => useContext(LiveContext);
+
+const OFFLINE_IDLE = { online: true, queue: [], conflicts: [], syncing: false, lastSyncAt: null };
+const OfflineContext = createContext({ manager: null, status: OFFLINE_IDLE });
+
+/**
+ * PUBLIC_INTERFACE
+ * OfflineProvider shares the client's offline cache and change queue (api.offline, see offline.js):
+ * whether the API is reachable, the changes waiting to sync and replays the server rejected.
+ */
+function OfflineProvider({ children }) {
+  const api = useApi();
+  const manager = api.offline || null;
+  const [status, setStatus] = useState(() => (manager ? manager.getStatus() : OFFLINE_IDLE));
+
+  useEffect(() => {
+    if (!manager) return undefined;
+    setStatus(manager.getStatus());
+    return manager.subscribe(setStatus);
+  }, [manager]);
+
+  const value = useMemo(() => ({ manager, status }), [manager, status]);
+  return <OfflineContext.Provider value={value}>{children}</OfflineContext.Provider>;
+}
+
+// PUBLIC_INTERFACE
+export const useOffline = () => useContext(OfflineContext);
+
+const ExportJobsContext = createContext({ manager: null, jobs: [] });
+
+/**
+ * PUBLIC_INTERFACE
+ * ExportJobsProvider runs report exports as background jobs (see exportJobs.js) for the whole app, so
+ * they keep going across pages, and shares the signed-in user's jobs. Jobs submitted with
+ * `download: true` are saved as soon as they finish, only while their user is signed in. Signing
+ * out cancels the user's queued and running jobs.
+ */
+function ExportJobsProvider({ children }) {
+  const api = useApi();
+  const { user, sessionEnd } = useAuth();
+  const manager = useMemo(() => createExportJobs({ run: (spec, options) => runReportExport(api, spec, options) }), [api]);
+  const [all, setAll] = useState([]);
+  const finished = useRef(new Set());
+
+  const userId = user ? user.id : null;
+  const jobs = useMemo(() => all.filter(j => j.userId === userId), [all, userId]);
+
+  useEffect(() => manager.subscribe(setAll), [manager]);
+
+  useEffect(() => {
+    jobs.filter(j => j.download && j.state === 'done' && !finished.current.has(j.id)).forEach(job => {
+      finished.current.add(job.id);
+      manager.getFile(job.id).then(file => {
+        if (file) downloadFile(file.blob, file.fileName, EXPORT_FORMATS[job.format].mimeType);
+      });
+    });
+  }, [jobs, manager]);
+
+  // Jobs must not outlive a sign-out (or carry on under another account after an expired session)
+  const lastUserId = useRef(userId);
+  useEffect(() => {
+    const previous = lastUserId.current;
+    if (userId) lastUserId.current = userId;
+    if (!previous || previous === userId || (!userId && sessionEnd !== 'signed_out')) return;
+    manager.list(previous).filter(j => j.state === 'queued' || j.state === 'running').forEach(j => manager.cancel(j.id));
+  }, [userId, sessionEnd, manager]);
+
+  const value = useMemo(() => ({ manager, jobs }), [manager, jobs]);
+  return <ExportJobsContext.Provider value={value}>{children}</ExportJobsContext.Provider>;
+}
+
+// PUBLIC_INTERFACE
+export const useExportJobs = () => useContext(ExportJobsContext);
+
+// PUBLIC_INTERFACE
+function useLiveEvents(asOf, behavior = 'All') {
+  /**
+   * Live detections within the shared filters (and `behavior`) that ended after `asOf`, the
+   * time covered by the data a view already shows; [] until that data has loaded.
+   */
+  const { events } = useLive();
+  const { species, individuals, dateRange, hours } = useScopedRange();
+  const site = useSite(species);
+  return useMemo(() => (asOf === null || asOf === undefined
+    ? []
+    : liveEventsInScope(events, { species, individuals, behavior, dateRange, hours, site, after: asOf })),
+  [events, asOf, species, individuals, behavior, dateRange, hours, site]);
+}
+
 /**
  * PUBLIC_INTERFACE
  * StatusBadge component: Active, Resting, Feeding
@@ -74,40 +384,165 @@ function StatusBadge({ status }) {
   );
 }
 
+const changesLabel = (n) => `${n} ${n === 1 ? 'change' : 'changes'}`;
+
 /**
  * PUBLIC_INTERFACE
- * ConnectionBanner: togglable banner for demo
+ * ConnectionBanner: whether the app is online, the state of the live detection stream with the time
+ * of the last update, and edits made offline that are waiting to sync or could not be applied.
  */
-function ConnectionBanner({ visible, message }) {
-  if (!visible) return null;
+function ConnectionBanner() {
+  const { stream, status } = useLive();
+  const { manager, status: offline } = useOffline();
+  const [reviewing, setReviewing] = useState(false);
+  const { user } = useAuth();
+  // Changes queued by another account on this device wait for that account
+  const queued = offline.queue.filter(c => !user || c.userId === user.id).length;
+  const conflicts = offline.conflicts.filter(c => !user || c.change.userId === user.id);
+  const liveShown = !!stream && status.state !== 'stopped';
+  if (!liveShown && offline.online && !queued && !conflicts.length) return null;
+  const lastUpdate = liveShown && status.lastUpdate ? ` • Last update ${formatClock(status.lastUpdate)}` : '';
+  const healthy = offline.online && (!liveShown || status.state === 'live' || status.state === 'connecting');
+  let message;
+  switch (!offline.online ? 'offline' : liveShown ? status.state : 'online') {
+    case 'online':
+      message = 'Online';
+      break;
+    case 'live':
+      message = 'Live: new detections appear as they happen';
+      break;
+    case 'connecting':
+      message = 'Connecting to live detections…';
+      break;
+    case 'offline':
+      message = 'Offline – showing saved data. Edits are kept on this device and live updates resume when the network returns';
+      break;
+    default:
+      message = status.retryAt
+        ? `Connection lost – reconnecting at ${formatClock(status.retryAt)} (attempt ${status.attempt})`
+        : 'Reconnecting…';
+  }
   return (
-    <div role="status" style={{
+    <div role="status" aria-label="Connection status" style={{
       width: '100%',
-      background: 'rgba(220,38,38,0.12)',
-      color: themeTokens.error,
+      background: healthy ? 'rgba(30,138,91,0.10)' : 'rgba(220,38,38,0.12)',
+      color: healthy ? themeTokens.primary600 : themeTokens.error,
       padding: '8px 16px',
-      textAlign: 'center',
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'center',
+      gap: 12,
       fontWeight: 600,
       borderBottom: `1px solid ${themeTokens.border}`
     }}>
-      {message}
+      <span>{message}{lastUpdate}</span>
+      {liveShown && offline.online && status.state === 'reconnecting' && status.retryAt ? (
+        <button style={primaryGhostBtnStyle} onClick={() => stream.reconnect()}>Reconnect now</button>
+      ) : null}
+      {queued ? (
+        <span>
+          • {offline.syncing ? `Syncing ${changesLabel(queued)}…` : `${changesLabel(queued)} ${offline.online ? 'waiting to sync' : 'queued'}`}
+        </span>
+      ) : null}
+      {queued && offline.online && !offline.syncing ? (
+        <button style={primaryGhostBtnStyle} onClick={() => manager.sync()}>Sync now</button>
+      ) : null}
+      {conflicts.length ? (
+        <>
+          <span>• {changesLabel(conflicts.length)} could not be applied</span>
+          <button style={primaryGhostBtnStyle} onClick={() => setReviewing(true)}>Review</button>
+        </>
+      ) : null}
+      {reviewing ? <SyncConflictsDialog conflicts={conflicts} onClose={() => setReviewing(false)} /> : null}
     </div>
   );
 }
 
 /**
  * PUBLIC_INTERFACE
- * DateRangeSelector: Today, Last 7 Days, Last 30 Days, Custom…
+ * SyncConflictsDialog lists offline edits the server rejected on replay, with the reason, a link to
+ * the event concerned and a way to dismiss each once handled.
  */
-function DateRangeSelector({ value, onChange }) {
-  const options = ['Today', 'Last 7 Days', 'Last 30 Days', 'Custom…'];
+function SyncConflictsDialog({ conflicts, onClose }) {
+  const { manager } = useOffline();
+  const openDetails = useOpenEventDetails();
+  useEffect(() => {
+    if (conflicts.length === 0) onClose();
+  }, [conflicts.length, onClose]);
   return (
-    <div style={{ display: 'inline-flex', gap: 8, alignItems: 'center' }}>
-      <span style={{ color: 'var(--muted)', fontSize: 12 }}>Date Range</span>
+    <div role="dialog" aria-modal="true" aria-label="Changes not applied" style={{
+      position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.5)', display: 'grid', placeItems: 'center', zIndex: 70
+    }}>
+      <div className="card" style={{ width: 'min(100%, 520px)', maxHeight: '90vh', overflowY: 'auto', padding: 16, display: 'grid', gap: 12, color: themeTokens.text, fontWeight: 400 }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <div style={{ fontWeight: 900 }}>Changes not applied</div>
+          <button style={primaryGhostBtnStyle} onClick={onClose}>Close</button>
+        </div>
+        <div className="muted" style={{ fontSize: 12 }}>
+          These edits were made offline and the server rejected them when they were synced. Open the event to redo the change if it is still needed.
+        </div>
+        {conflicts.map(c => {
+          const eventId = changeEventId(c.change);
+          return (
+            <div key={c.id} style={{ display: 'grid', gap: 6, borderTop: `1px solid ${themeTokens.border}`, paddingTop: 8 }}>
+              <div><b>{describeChange(c.change)}</b>{eventId ? ` on ${eventId}` : ''}</div>
+              <div className="muted" style={{ fontSize: 12 }}>Made {formatDateTime(c.change.queuedAt)} • {c.message}</div>
+              <div style={{ display: 'flex', gap: 8 }}>
+                {eventId ? (
+                  <button style={primaryGhostBtnStyle} onClick={() => { openDetails(eventId); onClose(); }}>Open event</button>
+                ) : null}
+                <button style={primaryGhostBtnStyle} onClick={() => manager.dismissConflict(c.id)}>Dismiss</button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * StaleDataNote marks a view as possibly out of date: shown while offline, or when the data on
+ * screen came from the offline cache (`cachedAt`, the time it was saved).
+ */
+function StaleDataNote({ cachedAt }) {
+  const { status } = useOffline();
+  if (!cachedAt && status.online) return null;
+  return (
+    <div role="note" className="card" style={{ padding: 12, borderRadius: 14, fontSize: 12, color: themeTokens.error }}>
+      {cachedAt
+        ? `Offline – showing data saved ${formatDateTime(cachedAt)}; it may be out of date.`
+        : 'Offline – this data may be out of date.'}
+    </div>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * DateRangeSelector: relative presets plus "Custom…", which opens the calendar picker.
+ * `value` is the stored { preset, from, to } range; `onChange` receives a new range.
+ */
+function DateRangeSelector({ value, onChange, showLabel = true }) {
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const isCustom = value.preset === 'Custom';
+
+  const onSelect = (e) => {
+    const next = e.target.value;
+    if (next === 'Custom…') {
+      setPickerOpen(true);
+      return;
+    }
+    onChange(presetRange(next));
+  };
+
+  return (
+    <div style={{ display: 'inline-flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+      {showLabel ? <span style={{ color: 'var(--muted)', fontSize: 12 }}>Date Range</span> : null}
       <select
         aria-label="Date Range"
-        value={value}
-        onChange={(e) => onChange(e.target.value)}
+        value={isCustom ? 'Custom…' : value.preset}
+        onChange={onSelect}
         style={{
           background: themeTokens.surface,
           color: themeTokens.text,
@@ -118,1226 +553,4023 @@ function DateRangeSelector({ value, onChange }) {
           boxShadow: themeTokens.shadow,
         }}
       >
-        {options.map(opt => (
+        {DATE_RANGE_PRESETS.map(opt => (
           <option key={opt} value={opt}>{opt}</option>
         ))}
+        <option value="Custom…">Custom…</option>
       </select>
+      {isCustom ? (
+        <button
+          style={{ ...primaryGhostBtnStyle, padding: '4px 8px', fontSize: 12 }}
+          onClick={() => setPickerOpen(true)}
+          title="Edit custom date range"
+        >
+          {formatDateRange(value)}
+        </button>
+      ) : null}
+      {pickerOpen ? (
+        <DateRangePicker
+          initial={value}
+          onCancel={() => setPickerOpen(false)}
+          onApply={(range) => { setPickerOpen(false); onChange(range); }}
+        />
+      ) : null}
     </div>
   );
 }
 
+const HOURS_OPTIONS = [
+  { mode: 'all', label: 'All Day' },
+  { mode: 'day', label: 'Daytime' },
+  { mode: 'night', label: 'Nighttime' },
+];
+
 /**
- * Layout components
+ * PUBLIC_INTERFACE
+ * useSite returns the recording site that houses `species` (with its day/night setting), or null.
  */
-function Logo() {
-  /**
-   * Brand logo only (no adjacent text).
-   * - Explicit size 32x32 via CSS variable fallback
-   * - Accessibility: alt and title for tooltip
-   * - CSS safeguards ensure visibility and sizing
-   */
-  const size = 'var(--brand-icon-size, 32px)';
-  return (
-    <img
-      src="/assets/vizai-logo.png"
-      alt="VizAI Logo"
-      width={32}
-      height={32}
-      title="Return to Dashboard"
-      aria-hidden={false}
-      style={{
-        display: 'inline-block',
-        width: size,
-        height: size,
-        objectFit: 'contain',
-        filter: 'none',
-        opacity: 1,
-        visibility: 'visible',
-        maxWidth: 'none',
-        maxHeight: 'none',
-      }}
-    />
-  );
+function useSite(species) {
+  const api = useApi();
+  const sites = useApiQuery('sites', () => api.getSites());
+  return sites.data ? sites.data.items.find(site => site.species.includes(species)) || null : null;
 }
 
 /**
  * PUBLIC_INTERFACE
- * NavBar: Logo, Tabs, User badge (Species/Date moved to left panel per requirement)
+ * useIndividuals returns the roster of `species` ([{ id, name, sex, birthDate, enclosure, cameras }]),
+ * or null while it loads.
  */
-function NavBar() {
-  const location = useLocation();
-  const navigate = useNavigate();
-  const { authed } = useAuth();
+function useIndividuals(species) {
+  const api = useApi();
+  const roster = useApiQuery(`individuals:${species}`, () => api.getIndividuals({ species }));
+  return roster.data ? roster.data.items : null;
+}
 
-  const isActive = (path) => location.pathname === path;
-  const tabStyle = (active) => ({
-    position: 'relative',
-    padding: '10px 14px',
-    borderRadius: 12,
-    fontWeight: 700,
-    color: active ? themeTokens.text : 'var(--muted)',
-    background: active ? 'rgba(30,138,91,0.10)' : 'transparent',
-    textDecoration: 'none',
-    border: `1px solid ${active ? 'rgba(30,138,91,0.35)' : 'transparent'}`,
-    boxShadow: active ? themeTokens.shadow : 'none'
+// "All individuals", up to two names, or "Olivia +2"
+function describeIndividuals(ids, roster) {
+  if (!ids.length) return 'All individuals';
+  const names = ids.map(id => {
+    const individual = roster && roster.find(ind => ind.id === id);
+    return individual ? individual.name : id;
   });
+  return names.length <= 2 ? names.join(', ') : `${names[0]} +${names.length - 1}`;
+}
 
-  const onBrandClick = () => {
-    if (!authed) {
-      navigate('/select-animal');
-      return;
-    }
-    navigate('/dashboard');
+/**
+ * PUBLIC_INTERFACE
+ * IndividualsSelector: a checkbox menu scoping the views to some of the species' individuals.
+ * `value` is a list of ids; an empty list means all of them (choosing every individual collapses to it).
+ */
+function IndividualsSelector({ value, onChange, roster, showLabel = true, style }) {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+  const allIds = (roster || []).map(ind => ind.id);
+  const selected = value.filter(id => allIds.includes(id));
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const onDown = (e) => { if (ref.current && !ref.current.contains(e.target)) setOpen(false); };
+    document.addEventListener('mousedown', onDown);
+    return () => document.removeEventListener('mousedown', onDown);
+  }, [open]);
+
+  const toggle = (id) => {
+    const current = selected.length ? selected : allIds;
+    const next = allIds.filter(x => (x === id ? !current.includes(id) : current.includes(x)));
+    onChange(next.length === allIds.length ? [] : next);
   };
 
   return (
-    <div className="nav" style={{
-      display: 'flex', alignItems: 'center', justifyContent: 'space-between',
-      padding: 'var(--nav-padding)', position: 'sticky', top: 0, zIndex: 10
-    }}>
-      <div style={{ display: 'flex', alignItems: 'center', gap: 16 }}>
-        <button
-          onClick={onBrandClick}
-          title="Return to Dashboard"
-          aria-label="VizAI Home"
-          style={{
-            display: 'inline-flex',
-            alignItems: 'center',
-            gap: '8px',
-            padding: 6,
-            borderRadius: 10,
-            border: `1px solid transparent`,
-            background: 'transparent',
-            cursor: 'pointer',
-          }}
-          className="focus-ring"
+    <div
+      ref={ref}
+      style={{ position: 'relative', display: 'inline-flex', gap: 8, alignItems: 'center', ...style }}
+      onKeyDown={(e) => { if (e.key === 'Escape') setOpen(false); }}
+    >
+      {showLabel ? <span style={{ color: 'var(--muted)', fontSize: 12 }}>Individuals</span> : null}
+      <button
+        type="button"
+        aria-label={`Individuals: ${describeIndividuals(selected, roster)}`}
+        aria-expanded={open}
+        onClick={() => setOpen(v => !v)}
+        disabled={!roster || roster.length === 0}
+        title={roster && roster.length === 0 ? 'No individuals are recorded for this species yet.' : 'Choose individuals'}
+        style={{ ...selectStyle, marginTop: 0, width: '100%', textAlign: 'left', fontWeight: 600, cursor: 'pointer' }}
+      >
+        {roster ? describeIndividuals(selected, roster) : 'Loading…'} ▾
+      </button>
+      {open && roster ? (
+        <div
+          role="group"
+          aria-label="Individuals"
+          className="card"
+          style={{ position: 'absolute', top: '100%', left: 0, marginTop: 4, zIndex: 30, padding: 10, minWidth: 220, display: 'grid', gap: 6 }}
         >
-          <Logo />
-          <span className="sr-only">VizAI Home</span>
-        </button>
-
-        <div style={{ marginLeft: 8, display: 'flex', gap: 4 }}>
-          <Link to="/dashboard" style={tabStyle(isActive('/dashboard'))} title="Overview metrics">
-            Dashboard
-          </Link>
-          <Link to="/timeline" style={tabStyle(isActive('/timeline'))} title="Behavior Explorer">
-            Timeline
-          </Link>
-          <Link to="/reports" style={tabStyle(isActive('/reports'))} title="Generate reports">
-            Reports
-          </Link>
-        </div>
-      </div>
-
-      <div style={{ display: 'flex', alignItems: 'center', gap: 16 }}>
-        <div style={{
-          display: 'inline-flex', alignItems: 'center', gap: 8, padding: '8px 10px',
-          border: `1px solid ${themeTokens.border}`, borderRadius: 12, background: 'var(--surface)', boxShadow: themeTokens.shadow
-        }}>
-          <div style={{ width: 8, height: 8, borderRadius: 999, background: '#22C55E' }} />
-          <span style={{ fontWeight: 700 }}>user@viz.ai</span>
+          <label style={{ display: 'flex', gap: 8, alignItems: 'center', fontWeight: 700, fontSize: 13 }}>
+            <input type="checkbox" checked={selected.length === 0} onChange={() => onChange([])} />
+            All individuals
+          </label>
+          {roster.map(ind => {
+            const checked = selected.length === 0 || selected.includes(ind.id);
+            return (
+              <label key={ind.id} style={{ display: 'flex', gap: 8, alignItems: 'center', fontSize: 13 }}>
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  // At least one individual stays chosen; "All individuals" resets the selection
+                  disabled={checked && selected.length === 1}
+                  onChange={() => toggle(ind.id)}
+                />
+                {ind.name} <span className="muted" style={{ fontSize: 12 }}>{ind.id} • {ind.enclosure}</span>
+              </label>
+            );
+          })}
         </div>
-      </div>
+      ) : null}
     </div>
   );
 }
 
 /**
- * Empty & Error States (global)
+ * PUBLIC_INTERFACE
+ * HoursSelector: All Day, Daytime, Nighttime (per the site's day/night setting) or Custom… hour ranges.
+ * `value` is an Hours filter (see dayNight.js); "Day/night…" edits the site's boundaries.
  */
-function EmptyState({ title = 'No data to display', description = 'Try adjusting filters or date range.' }) {
-  return (
-    <div style={{
-      border: `1px dashed ${themeTokens.border}`,
-      padding: 24,
-      borderRadius: 16,
-      textAlign: 'center',
-      color: 'var(--muted)'
-    }}>
-      <div style={{ fontWeight: 800, marginBottom: 6 }}>{title}</div>
-      <div style={{ fontSize: 14 }}>{description}</div>
-    </div>
-  );
-}
+function HoursSelector({ value, onChange, site, showLabel = true }) {
+  const [rangesOpen, setRangesOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const isCustom = value.mode === 'custom';
 
-function ErrorState({ message = 'Something went wrong. Please try again.' }) {
-  return (
-    <div role="alert" className="alert-error">
-      {message}
-    </div>
-  );
-}
+  const onSelect = (e) => {
+    if (e.target.value === 'custom') {
+      setRangesOpen(true);
+      return;
+    }
+    onChange({ mode: e.target.value, ranges: [] });
+  };
+
+  return (
+    <div style={{ display: 'inline-flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+      {showLabel ? <span style={{ color: 'var(--muted)', fontSize: 12 }}>Hours</span> : null}
+      <select
+        aria-label="Hours"
+        value={value.mode}
+        onChange={onSelect}
+        title={describeHours(value, site)}
+        style={{
+          background: themeTokens.surface,
+          color: themeTokens.text,
+          border: `1px solid ${themeTokens.border}`,
+          borderRadius: 12,
+          padding: '8px 12px',
+          fontWeight: 600,
+          boxShadow: themeTokens.shadow,
+        }}
+      >
+        {HOURS_OPTIONS.map(o => <option key={o.mode} value={o.mode}>{o.label}</option>)}
+        <option value="custom">Custom…</option>
+      </select>
+      {isCustom ? (
+        <button
+          style={{ ...primaryGhostBtnStyle, padding: '4px 8px', fontSize: 12 }}
+          onClick={() => setRangesOpen(true)}
+          title="Edit custom hour ranges"
+        >
+          {value.ranges.map(r => `${r.from}–${r.to}`).join(', ')}
+        </button>
+      ) : null}
+      {site ? (
+        <button
+          style={{ ...primaryGhostBtnStyle, padding: '4px 8px', fontSize: 12 }}
+          onClick={() => setSettingsOpen(true)}
+          title={`Day/night boundaries for ${site.name}: ${describeDayNight(site)}`}
+        >
+          Day/night…
+        </button>
+      ) : null}
+      {rangesOpen ? (
+        <HourRangesDialog
+          initial={isCustom ? value.ranges : [{ from: '18:00', to: '06:00' }]}
+          onCancel={() => setRangesOpen(false)}
+          onApply={(ranges) => { setRangesOpen(false); onChange({ mode: 'custom', ranges }); }}
+        />
+      ) : null}
+      {settingsOpen ? <DayNightSettingsDialog site={site} onClose={() => setSettingsOpen(false)} /> : null}
+    </div>
+  );
+}
 
 /**
  * PUBLIC_INTERFACE
- * VideoModal with playback controls, AI annotations toggle, metadata panel and basic error handling
+ * HourRangesDialog: edit one or more HH:MM–HH:MM windows; a range may wrap past midnight.
  */
-function VideoModal({ open, onClose }) {
-  const [playing, setPlaying] = useState(false);
-  const [speed, setSpeed] = useState(1);
-  const [showAI, setShowAI] = useState(true);
+function HourRangesDialog({ initial, onApply, onCancel }) {
+  const [ranges, setRanges] = useState(initial);
   const [error, setError] = useState('');
-  const playerRef = useRef(null);
-
-  useEffect(() => {
-    if (!open) {
-      setPlaying(false);
-      setSpeed(1);
-      setError('');
+  const update = (i, patch) => {
+    setRanges(rs => rs.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+    setError('');
+  };
+  const apply = () => {
+    const message = validateHourRanges(ranges);
+    if (message) {
+      setError(message);
+      return;
     }
-  }, [open]);
-
-  if (!open) return null;
-
-  const togglePlay = () => {
-    if (error) return;
-    setPlaying(p => !p);
+    onApply(ranges);
   };
+  return (
+    <div role="dialog" aria-modal="true" aria-label="Custom hours" style={{
+      position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.5)', display: 'grid', placeItems: 'center', zIndex: 70
+    }}>
+      <div className="card" style={{ padding: 16, width: 'min(100%, 420px)', display: 'grid', gap: 12 }}>
+        <div style={{ fontWeight: 900 }}>Custom hours</div>
+        <div className="muted" style={{ fontSize: 12 }}>Only behavior inside these windows is counted. A range such as 22:00–02:00 wraps past midnight.</div>
+        {ranges.map((r, i) => (
+          <div key={i} style={{ display: 'grid', gridTemplateColumns: '1fr 1fr auto', gap: 8, alignItems: 'end' }}>
+            <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>
+              From
+              <input type="time" aria-label={`Range ${i + 1} from`} value={r.from} onChange={(e) => update(i, { from: e.target.value })} style={{ ...inputStyle, margin: '6px 0 0' }} />
+            </label>
+            <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>
+              To
+              <input type="time" aria-label={`Range ${i + 1} to`} value={r.to} onChange={(e) => update(i, { to: e.target.value })} style={{ ...inputStyle, margin: '6px 0 0' }} />
+            </label>
+            <button type="button" style={primaryGhostBtnStyle} onClick={() => setRanges(rs => rs.filter((_, j) => j !== i))}
+              disabled={ranges.length === 1} aria-label={`Remove range ${i + 1}`}>
+              Remove
+            </button>
+          </div>
+        ))}
+        <div>
+          <button type="button" style={primaryGhostBtnStyle} onClick={() => setRanges(rs => [...rs, { from: '12:00', to: '13:00' }])}>Add range</button>
+        </div>
+        {error ? <ErrorState message={error} /> : null}
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+          <button type="button" style={primaryGhostBtnStyle} onClick={onCancel}>Cancel</button>
+          <button type="button" style={primaryBtnStyle} onClick={apply}>Apply</button>
+        </div>
+      </div>
+    </div>
+  );
+}
 
-  const cycleSpeed = () => {
-    setSpeed(s => {
-      const next = s === 1 ? 1.5 : s === 1.5 ? 2 : 1;
-      return next;
-    });
-  };
+/**
+ * PUBLIC_INTERFACE
+ * DayNightSettingsDialog: per-site Daytime boundaries, fixed clock times or sunrise/sunset
+ * computed from the site's latitude and longitude. Saved through the sites API.
+ */
+function DayNightSettingsDialog({ site, onClose }) {
+  const api = useApi();
+  const canConfigure = useCan('configureSites');
+  const [mode, setMode] = useState(site.dayNight.mode);
+  const [dayStart, setDayStart] = useState(site.dayNight.dayStart || '06:00');
+  const [dayEnd, setDayEnd] = useState(site.dayNight.dayEnd || '18:00');
+  const [latitude, setLatitude] = useState(String(site.latitude ?? ''));
+  const [longitude, setLongitude] = useState(String(site.longitude ?? ''));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
 
-  const simulateError = () => {
-    setError('Unable to load video stream. Please try again later.');
-    setPlaying(false);
+  const today = startOfDay(Date.now());
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  const sun = latitude !== '' && longitude !== '' && Number.isFinite(lat) && Number.isFinite(lon) ? sunTimes(today, lat, lon) : null;
+  const sunText = !sun ? 'Enter a latitude and longitude.'
+    : sun.polar === 'day' ? 'The sun does not set today.'
+      : sun.polar === 'night' ? 'The sun does not rise today.'
+        : `Today: sunrise ${formatClock(sun.sunrise).slice(0, 5)}, sunset ${formatClock(sun.sunset).slice(0, 5)}`;
+
+  const save = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await api.updateSite(site.id, {
+        latitude: lat,
+        longitude: lon,
+        dayNight: mode === 'solar' ? { mode } : { mode, dayStart, dayEnd },
+      });
+      onClose();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setSaving(false);
+    }
   };
 
   return (
-    <div role="dialog" aria-modal="true" style={{
-      position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.35)',
-      display: 'flex', alignItems: 'center', justifyContent: 'center', padding: 20, zIndex: 50
+    <div role="dialog" aria-modal="true" aria-label="Day and night settings" style={{
+      position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.5)', display: 'grid', placeItems: 'center', zIndex: 70
     }}>
-      <div style={{
-        background: themeTokens.surface, border: `1px solid ${themeTokens.border}`,
-        borderRadius: 16, width: 'min(100%, 980px)', overflow: 'hidden', color: themeTokens.text, boxShadow: themeTokens.shadow
-      }}>
-        <div style={{ padding: 16, borderBottom: `1px solid ${themeTokens.border}`, display: 'flex', justifyContent: 'space-between', alignItems: 'center', background: 'var(--table-header-bg)' }}>
-          <div style={{ fontWeight: 800 }}>Video Preview</div>
-          <div style={{ display: 'flex', gap: 8 }}>
-            <button style={primaryGhostBtnStyle} onClick={() => setShowAI(v => !v)} title="Toggle AI annotations">
-              {showAI ? 'Hide AI' : 'Show AI'}
-            </button>
-            <button onClick={onClose} style={primaryGhostBtnStyle} title="Close">Close</button>
-          </div>
+      <div className="card" style={{ padding: 16, width: 'min(100%, 460px)', display: 'grid', gap: 12 }}>
+        <div style={{ fontWeight: 900 }}>Day/night — {site.name}</div>
+        <div role="radiogroup" aria-label="Daytime definition" style={{ display: 'grid', gap: 6 }}>
+          <label><input type="radio" name="daynight-mode" checked={mode === 'fixed'} onChange={() => setMode('fixed')} /> Fixed times</label>
+          <label><input type="radio" name="daynight-mode" checked={mode === 'solar'} onChange={() => setMode('solar')} /> Sunrise to sunset</label>
         </div>
-        <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: 16, padding: 16 }}>
-          <div
-            ref={playerRef}
-            style={{
-              background: 'var(--bg)', border: `1px solid ${themeTokens.border}`, borderRadius: 12,
-              height: 360, display: 'flex', alignItems: 'center', justifyContent: 'center', color: 'var(--muted)', position: 'relative'
-            }}
-          >
-            {error ? (
-              <ErrorState message={error} />
-            ) : (
-              <>
-                <div>[ Placeholder Player {playing ? 'Playing' : 'Paused'} @ {speed}x ]</div>
-                {showAI && (
-                  <div style={{
-                    position: 'absolute', bottom: 12, left: 12, background: 'rgba(30,138,91,0.15)', border: `1px solid ${themeTokens.border}`,
-                    color: themeTokens.text, padding: '6px 8px', borderRadius: 8, fontSize: 12
-                  }}>
-                    AI: Moving (0.92)
-                  </div>
-                )}
-              </>
-            )}
-          </div>
-          <div>
-            <div style={{ fontWeight: 800, marginBottom: 8 }}>Metadata</div>
-            <ul style={{ margin: 0, paddingLeft: 16, color: '#D1D5DB', lineHeight: 1.8 }}>
-              <li>Species: Giant Anteater</li>
-              <li>Behavior: Moving</li>
-              <li>Confidence: 0.92</li>
-              <li>Timestamp: 2025-01-22 14:37:09</li>
-              <li>Source: {process.env.REACT_APP_BACKEND_URL || 'mock://video'}</li>
-            </ul>
-            <div style={{ marginTop: 16, display: 'flex', gap: 8 }}>
-              <button style={primaryBtnStyle} title="Download video (mock)">Download</button>
-              <button style={primaryGhostBtnStyle} title="Open this time in Timeline">Open in Timeline</button>
-              <button style={primaryGhostBtnStyle} onClick={simulateError} title="Simulate error">Sim Error</button>
-            </div>
+        {mode === 'fixed' ? (
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8 }}>
+            <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>
+              Day starts
+              <input type="time" aria-label="Day starts" value={dayStart} onChange={(e) => setDayStart(e.target.value)} style={{ ...inputStyle, margin: '6px 0 0' }} />
+            </label>
+            <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>
+              Night starts
+              <input type="time" aria-label="Night starts" value={dayEnd} onChange={(e) => setDayEnd(e.target.value)} style={{ ...inputStyle, margin: '6px 0 0' }} />
+            </label>
           </div>
+        ) : null}
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8 }}>
+          <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>
+            Latitude
+            <input type="number" step="0.01" aria-label="Latitude" value={latitude} onChange={(e) => setLatitude(e.target.value)} style={{ ...inputStyle, margin: '6px 0 0' }} />
+          </label>
+          <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>
+            Longitude
+            <input type="number" step="0.01" aria-label="Longitude" value={longitude} onChange={(e) => setLongitude(e.target.value)} style={{ ...inputStyle, margin: '6px 0 0' }} />
+          </label>
         </div>
-        <div style={{ padding: 16, borderTop: `1px solid ${themeTokens.border}`, display: 'flex', gap: 8, alignItems: 'center' }}>
-          <button style={controlBtnStyle} title="Previous">⏮</button>
-          <button style={controlBtnStyle} onClick={togglePlay} title={playing ? 'Pause' : 'Play'}>{playing ? '⏸' : '▶️'}</button>
-          <button style={controlBtnStyle} title="Next">⏭</button>
-          <div style={{ marginLeft: 'auto', display: 'flex', gap: 8 }}>
-            <button style={primaryGhostBtnStyle} onClick={cycleSpeed} title="Playback speed">{speed}x</button>
-            <button style={primaryGhostBtnStyle} title="Closed captions">CC</button>
-            <button style={primaryGhostBtnStyle} title="High Definition">HD</button>
-          </div>
+        {mode === 'solar' ? <div className="muted" style={{ fontSize: 12 }}>{sunText}</div> : null}
+        {canConfigure ? null : <NotPermitted permission="configureSites" id="daynight-not-permitted" />}
+        {error ? <ErrorState message={error} /> : null}
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+          <button type="button" style={primaryGhostBtnStyle} onClick={onClose}>Cancel</button>
+          <button
+            type="button"
+            style={primaryBtnStyle}
+            onClick={save}
+            disabled={saving || !canConfigure}
+            aria-describedby={canConfigure ? undefined : 'daynight-not-permitted'}
+          >
+            {saving ? 'Saving…' : 'Save'}
+          </button>
         </div>
       </div>
     </div>
   );
 }
 
-/**
- * Button styles
- */
-const primaryBtnStyle = {
-  background: themeTokens.gradient,
-  color: 'var(--surface)',
-  fontWeight: 800,
-  border: 'none',
-  borderRadius: 12,
-  padding: '10px 14px',
-  cursor: 'pointer',
-  boxShadow: themeTokens.shadow,
-};
-const primaryGhostBtnStyle = {
-  background: 'transparent',
-  color: themeTokens.text,
-  fontWeight: 800,
-  border: `1px solid ${themeTokens.border}`,
-  borderRadius: 12,
-  padding: '8px 12px',
-  cursor: 'pointer',
-};
-const controlBtnStyle = {
-  background: 'var(--surface)',
-  color: themeTokens.text,
-  fontWeight: 800,
-  border: `1px solid ${themeTokens.border}`,
-  borderRadius: 12,
-  padding: '8px 10px',
-  cursor: 'pointer',
-  boxShadow: themeTokens.shadow,
-};
-
-/**
- * Shared constants
- */
-const BEHAVIOR_CATEGORIES = [
-  'Recumbent',
-  'Non-Recumbent',
-  'Scratching',
-  'Self-Directed',
-  'Pacing',
-  'Moving',
-];
+const WEEKDAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
 
-const inputStyle = {
-  width: '100%',
-  background: 'var(--surface)',
-  border: `1px solid ${themeTokens.border}`,
-  color: themeTokens.text,
-  padding: '10px 12px',
-  borderRadius: 12,
-  margin: '8px 0 14px',
-  boxShadow: themeTokens.shadow,
-};
+function CalendarMonth({ month, start, end, maxDay, onPick }) {
+  /** One month grid; days after maxDay are disabled. */
+  const first = new Date(month);
+  const leading = first.getDay();
+  const days = [];
+  for (let d = month; new Date(d).getMonth() === first.getMonth(); d = addDays(d, 1)) days.push(d);
+  const inRange = (d) => start !== null && end !== null && d >= start && d <= end;
 
-/**
- * Left panel component used on authed pages: includes Species and Date Range per requirement.
- */
-function LeftPanelFilters({ species, setSpecies, dateRange, setDateRange, extraChildren }) {
   return (
-    <div style={{ display: 'grid', gap: 16 }}>
-      <div className="card" style={{ padding: 16, borderRadius: 16 }}>
-        <div style={{ fontWeight: 800, marginBottom: 10 }}>Global Filters</div>
-        <div style={{ display: 'grid', gap: 12 }}>
-          <div>
-            <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Species</label>
-            <select
-              aria-label="Species"
-              value={species}
-              onChange={(e) => setSpecies(e.target.value)}
+    <div>
+      <div style={{ fontWeight: 800, textAlign: 'center', marginBottom: 6 }}>
+        {first.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+      </div>
+      <div role="grid" style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 32px)', gap: 2 }}>
+        {WEEKDAYS.map(w => (
+          <div key={w} style={{ fontSize: 11, color: 'var(--muted)', textAlign: 'center' }}>{w}</div>
+        ))}
+        {Array.from({ length: leading }).map((_, i) => <div key={`pad-${i}`} />)}
+        {days.map(d => {
+          const selected = d === start || d === end;
+          const disabled = d > maxDay;
+          return (
+            <button
+              key={d}
+              type="button"
+              onClick={() => onPick(d)}
+              disabled={disabled}
+              aria-pressed={selected}
+              aria-label={formatDay(d)}
               style={{
-                width: '100%',
-                background: 'var(--surface)',
-                color: themeTokens.text,
-                border: `1px solid ${themeTokens.border}`,
-                borderRadius: 12,
-                padding: '8px 12px',
+                height: 32,
+                borderRadius: 8,
+                border: `1px solid ${selected ? themeTokens.primary : 'transparent'}`,
+                background: selected ? themeTokens.primary : inRange(d) ? 'rgba(30,138,91,0.12)' : 'transparent',
+                color: selected ? 'var(--surface)' : disabled ? 'var(--border)' : themeTokens.text,
                 fontWeight: 700,
-                boxShadow: themeTokens.shadow,
-                marginTop: 6
+                cursor: disabled ? 'not-allowed' : 'pointer',
               }}
             >
-              <option value="Giant Anteater">Giant Anteater</option>
-              <option value="Pangolin" disabled>pangolin (Coming Soon)</option>
-              <option value="Sloth" disabled>sloth (Coming Soon)</option>
-            </select>
-          </div>
-          <div>
-            <DateRangeSelector value={dateRange} onChange={setDateRange} />
-          </div>
-        </div>
+              {new Date(d).getDate()}
+            </button>
+          );
+        })}
       </div>
-      {extraChildren}
     </div>
   );
 }
 
 /**
  * PUBLIC_INTERFACE
- * RegistrationPage visible field for Role; after login role hidden but used internally.
+ * DateRangePicker: modal calendar for custom start/end days with presets and validation.
+ * "Length" sets the end date N days after the start (e.g. the 10 days after an enclosure change).
  */
-function RegistrationPage() {
-  const navigate = useNavigate();
-  const { setAuthed, setUser } = useAuth();
+function DateRangePicker({ initial, onApply, onCancel }) {
+  const today = startOfDay(Date.now());
+  const [start, setStart] = useState(() => startOfDay(initial.from));
+  const [end, setEnd] = useState(() => startOfDay(initial.to - 1));
+  const [month, setMonth] = useState(() => {
+    const d = new Date(startOfDay(initial.from));
+    d.setDate(1);
+    return d.getTime();
+  });
   const [error, setError] = useState('');
 
-  // PUBLIC_INTERFACE
-  // Role options used in registration only (visible here, hidden post-login)
-  const ROLES = ['Researcher', 'Field Observer', 'Admin'];
+  const nextMonth = (() => { const d = new Date(month); d.setMonth(d.getMonth() + 1); return d.getTime(); })();
+  const shiftMonth = (n) => setMonth(m => { const d = new Date(m); d.setMonth(d.getMonth() + n); return d.getTime(); });
 
-  const onSubmit = (e) => {
-    e.preventDefault();
-    const fd = new FormData(e.currentTarget);
-    const email = String(fd.get('email') || '');
-    const password = String(fd.get('password') || '');
-    const confirm = String(fd.get('confirm') || '');
-    const role = String(fd.get('role') || '');
-    if (!email || !password || !confirm || !role) {
-      setError('Please complete all fields including role selection.');
-      return;
+  const onPick = (day) => {
+    setError('');
+    if (start === null || end !== null) {
+      setStart(day);
+      setEnd(null);
+    } else if (day < start) {
+      setStart(day);
+    } else {
+      setEnd(day);
     }
-    if (password !== confirm) {
-      setError('Passwords do not match.');
+  };
+
+  const applyPreset = (preset) => {
+    const r = presetRange(preset);
+    setStart(startOfDay(r.from));
+    setEnd(startOfDay(r.to - 1));
+    setError('');
+  };
+
+  const setLength = (value) => {
+    const n = parseInt(value, 10);
+    if (start === null || !n || n < 1) return;
+    setEnd(addDays(start, n - 1));
+  };
+
+  const apply = () => {
+    const message = validateCustomRange(start, end);
+    if (message) {
+      setError(message);
       return;
     }
-    // Persist in context (mock). Role is used internally but not shown post-login.
-    setUser({ email, role });
-    setAuthed(true);
-    navigate('/select-animal', { replace: true });
+    onApply(customRange(start, end));
   };
 
+  const length = start !== null && end !== null && end >= start ? rangeDays(customRange(start, end)) : '';
+
   return (
-    <div style={{ minHeight: '100vh', background: themeTokens.background, color: themeTokens.text, display: 'grid', placeItems: 'center', padding: 24 }}>
-      <form onSubmit={onSubmit} style={{
-        width: 'min(100%, 480px)', background: themeTokens.surface, border: `1px solid ${themeTokens.border}`, borderRadius: 16, padding: 24, boxShadow: themeTokens.shadow
-      }}>
-        <div style={{ display: 'flex', justifyContent: 'center', marginBottom: 16 }}>
-          <Logo />
+    <div role="dialog" aria-modal="true" aria-label="Custom date range" style={{
+      position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.5)', display: 'grid', placeItems: 'center', zIndex: 70
+    }}>
+      <div className="card" style={{ padding: 16, width: 'min(100%, 640px)', display: 'grid', gap: 12 }}>
+        <div style={{ fontWeight: 900 }}>Custom date range</div>
+        <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+          {DATE_RANGE_PRESETS.map(p => (
+            <button key={p} type="button" style={{ ...primaryGhostBtnStyle, padding: '4px 8px', fontSize: 12 }} onClick={() => applyPreset(p)}>
+              {p}
+            </button>
+          ))}
         </div>
-        <div className="title" style={{ textAlign: 'center', fontWeight: 900, marginBottom: 6 }}>Create Your VizAI Account</div>
-        <div className="subtitle" style={{ textAlign: 'center', color: 'var(--muted)', marginBottom: 20 }}>
-          Register to access dashboards, timeline, and reports.
+        <div style={{ display: 'flex', alignItems: 'flex-start', gap: 16, justifyContent: 'center' }}>
+          <button type="button" style={controlBtnStyle} onClick={() => shiftMonth(-1)} aria-label="Previous month">‹</button>
+          <CalendarMonth month={month} start={start} end={end} maxDay={today} onPick={onPick} />
+          <CalendarMonth month={nextMonth} start={start} end={end} maxDay={today} onPick={onPick} />
+          <button type="button" style={controlBtnStyle} onClick={() => shiftMonth(1)} aria-label="Next month">›</button>
         </div>
-
-        <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Email Address</label>
-        <input name="email" type="email" placeholder="Enter your email" style={inputStyle} aria-label="Email Address" />
-
-        <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Password</label>
-        <input name="password" type="password" placeholder="Create a strong password" style={inputStyle} aria-label="Password" />
-
-        <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Confirm Password</label>
-        <input name="confirm" type="password" placeholder="Re-enter your password" style={inputStyle} aria-label="Confirm Password" />
-
-        <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Select Role</label>
-        <select name="role" style={{ ...inputStyle, marginTop: 6 }} aria-label="Select Role">
-          <option value="">Choose your role…</option>
-          {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
-        </select>
-        <div style={{ color: 'var(--muted)', fontSize: 12, marginTop: -8, marginBottom: 12 }}>
-          Choose your role for personalized access
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 120px', gap: 8 }}>
+          <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>
+            Start
+            <input
+              type="date"
+              aria-label="Start date"
+              style={{ ...inputStyle, margin: '6px 0 0' }}
+              max={toDateInputValue(today)}
+              value={start !== null ? toDateInputValue(start) : ''}
+              onChange={(e) => { setStart(parseDateInputValue(e.target.value)); setError(''); }}
+            />
+          </label>
+          <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>
+            End
+            <input
+              type="date"
+              aria-label="End date"
+              style={{ ...inputStyle, margin: '6px 0 0' }}
+              max={toDateInputValue(today)}
+              value={end !== null ? toDateInputValue(end) : ''}
+              onChange={(e) => { setEnd(parseDateInputValue(e.target.value)); setError(''); }}
+            />
+          </label>
+          <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>
+            Length (days)
+            <input
+              type="number"
+              min={1}
+              max={MAX_RANGE_DAYS}
+              aria-label="Length in days"
+              style={{ ...inputStyle, margin: '6px 0 0' }}
+              value={length}
+              onChange={(e) => setLength(e.target.value)}
+            />
+          </label>
         </div>
-
         {error ? <ErrorState message={error} /> : null}
-        <button type="submit" style={{ ...primaryBtnStyle, width: '100%', marginTop: 12 }} title="Register & Continue">Register & Continue</button>
-
-        <div style={{ marginTop: 12, textAlign: 'center' }}>
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+          <button type="button" style={primaryGhostBtnStyle} onClick={onCancel}>Cancel</button>
+          <button type="button" style={primaryBtnStyle} onClick={apply}>Apply</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Layout components
+ */
+function Logo() {
+  /**
+   * Brand logo only (no adjacent text).
+   * - Explicit size 32x32 via CSS variable fallback
+   * - Accessibility: alt and title for tooltip
+   * - CSS safeguards ensure visibility and sizing
+   */
+  const size = 'var(--brand-icon-size, 32px)';
+  return (
+    <img
+      src="/assets/vizai-logo.png"
+      alt="VizAI Logo"
+      width={32}
+      height={32}
+      title="Return to Dashboard"
+      aria-hidden={false}
+      style={{
+        display: 'inline-block',
+        width: size,
+        height: size,
+        objectFit: 'contain',
+        filter: 'none',
+        opacity: 1,
+        visibility: 'visible',
+        maxWidth: 'none',
+        maxHeight: 'none',
+      }}
+    />
+  );
+}
+
+// PUBLIC_INTERFACE
+function useGlobalViewSearch() {
+  /** "?species=…&range=…" for the current shared filters, for links that keep the view. */
+  const { species, individuals, dateRange, labelSource, hours } = useAuth();
+  return `?${withGlobalView(new URLSearchParams(), { species, individuals, dateRange, labelSource, hours })}`;
+}
+
+// PUBLIC_INTERFACE
+function useQueryState(name, fallback, { replace = false } = {}) {
+  /**
+   * [value, setValue] backed by the `name` query param so page state survives reloads and links.
+   * Each change is a history entry unless `replace`; the fallback value is left out of the URL.
+   */
+  const [searchParams, setSearchParams] = useSearchParams();
+  const value = searchParams.get(name) ?? fallback;
+  const setValue = useCallback((next) => {
+    setSearchParams(prev => {
+      const params = new URLSearchParams(prev);
+      if (next === fallback || next === null || next === undefined) params.delete(name);
+      else params.set(name, String(next));
+      return params;
+    }, { replace });
+  }, [name, fallback, replace, setSearchParams]);
+  return [value, setValue];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * ViewStateSync keeps the shared filters in AuthContext and the query string in step: filter
+ * changes push a history entry, back/forward (or a pasted link) restore the filters, and pages
+ * opened without filter params get the current ones added. Renders nothing.
+ */
+function ViewStateSync() {
+  const {
+    species, setSpecies, individuals, setIndividuals, dateRange, setDateRange, labelSource, setLabelSource, hours, setHours,
+  } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const view = useMemo(
+    () => ({ species, individuals, dateRange, labelSource, hours }),
+    [species, individuals, dateRange, labelSource, hours]
+  );
+  const viewKey = globalViewKey(view);
+  const synced = useRef(null); // { locationKey, viewKey } seen by the previous run
+
+  useEffect(() => {
+    const params = new URLSearchParams(location.search);
+    const last = synced.current;
+    synced.current = { locationKey: location.key, viewKey };
+    if (!hasGlobalView(params)) {
+      navigate({ pathname: location.pathname, search: `?${withGlobalView(params, view)}` }, { replace: true, state: location.state });
+      return;
+    }
+    const fromUrl = decodeGlobalView(params);
+    if (globalViewKey(fromUrl) === viewKey) return;
+    if (!last || last.locationKey !== location.key) {
+      // Opened from a link or via back/forward: the URL wins
+      setSpecies(fromUrl.species);
+      setIndividuals(fromUrl.individuals);
+      setDateRange(fromUrl.dateRange);
+      setLabelSource(fromUrl.labelSource);
+      setHours(fromUrl.hours);
+      return;
+    }
+    // Filters changed on this page: record the new view as a history entry
+    const next = withGlobalView(params, view);
+    if (!sameRangeDays(fromUrl.dateRange, view.dateRange)) RANGE_DEPENDENT_PARAMS.forEach(name => next.delete(name));
+    navigate({ pathname: location.pathname, search: `?${next}` });
+  }, [location, view, viewKey, navigate, setSpecies, setIndividuals, setDateRange, setLabelSource, setHours]);
+
+  return null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * NavBar: Logo, Tabs, User badge (Species/Date moved to left panel per requirement)
+ */
+function NavBar() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { authed } = useAuth();
+  const canAdmin = useCan('admin');
+  const canExport = useCan('export');
+  const filterSearch = useGlobalViewSearch();
+
+  const isActive = (path) => location.pathname === path;
+  const tabStyle = (active) => ({
+    position: 'relative',
+    padding: '10px 14px',
+    borderRadius: 12,
+    fontWeight: 700,
+    color: active ? themeTokens.text : 'var(--muted)',
+    background: active ? 'rgba(30,138,91,0.10)' : 'transparent',
+    textDecoration: 'none',
+    border: `1px solid ${active ? 'rgba(30,138,91,0.35)' : 'transparent'}`,
+    boxShadow: active ? themeTokens.shadow : 'none'
+  });
+
+  const onBrandClick = () => {
+    if (!authed) {
+      navigate('/select-animal');
+      return;
+    }
+    navigate('/dashboard');
+  };
+
+  return (
+    <div className="nav" style={{
+      display: 'flex', alignItems: 'center', justifyContent: 'space-between',
+      padding: 'var(--nav-padding)', position: 'sticky', top: 0, zIndex: 10
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 16 }}>
+        <button
+          onClick={onBrandClick}
+          title="Return to Dashboard"
+          aria-label="VizAI Home"
+          style={{
+            display: 'inline-flex',
+            alignItems: 'center',
+            gap: '8px',
+            padding: 6,
+            borderRadius: 10,
+            border: `1px solid transparent`,
+            background: 'transparent',
+            cursor: 'pointer',
+          }}
+          className="focus-ring"
+        >
+          <Logo />
+          <span className="sr-only">VizAI Home</span>
+        </button>
+
+        <div style={{ marginLeft: 8, display: 'flex', gap: 4 }}>
+          <Link to={{ pathname: '/dashboard', search: filterSearch }} style={tabStyle(isActive('/dashboard'))} title="Overview metrics">
+            Dashboard
+          </Link>
+          <Link to={{ pathname: '/timeline', search: filterSearch }} style={tabStyle(isActive('/timeline'))} title="Behavior Explorer">
+            Timeline
+          </Link>
+          <Link to={{ pathname: '/compare', search: filterSearch }} style={tabStyle(isActive('/compare'))} title="Compare two filter sets">
+            Compare
+          </Link>
+          <Link to={{ pathname: '/reports', search: filterSearch }} style={tabStyle(isActive('/reports'))} title="Generate reports">
+            Reports
+          </Link>
+          <AlertsTab style={tabStyle(isActive('/alerts'))} />
+          {canAdmin ? (
+            <Link to="/admin" style={tabStyle(isActive('/admin'))} title="Users, roles and permissions">
+              Admin
+            </Link>
+          ) : null}
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: 16 }}>
+        {canExport ? <ExportsIndicator style={tabStyle(isActive('/exports'))} /> : null}
+        <UserBadge />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * AlertsTab: NavBar link to the welfare alert inbox with the number of open alerts. The count is
+ * refetched after any change and about once a minute while live detections arrive.
+ */
+function AlertsTab({ style }) {
+  const api = useApi();
+  const { status } = useLive();
+  const minute = status.lastUpdate ? Math.floor(status.lastUpdate / 60000) : 0;
+  const alerts = useApiQuery(`alerts:open-count:${minute}`, () => api.getAlerts({ status: 'open' }));
+  const open = alerts.data ? alerts.data.counts.open : 0;
+  return (
+    <Link to="/alerts" style={{ ...style, display: 'inline-flex', gap: 6, alignItems: 'center' }} title="Welfare alerts">
+      Alerts
+      {open ? (
+        <span aria-label={`${open} open`} style={{
+          minWidth: 18, padding: '0 6px', borderRadius: 9, background: themeTokens.error, color: '#fff', fontSize: 11, lineHeight: '18px', textAlign: 'center'
+        }}>
+          {open}
+        </span>
+      ) : null}
+    </Link>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * ExportsIndicator: NavBar link to My Exports that shows the progress of running exports and, once
+ * they finish, how many are ready or failed since the user last looked.
+ */
+function ExportsIndicator({ style }) {
+  const { jobs } = useExportJobs();
+  const running = jobs.find(j => j.state === 'running');
+  const queued = jobs.filter(j => j.state === 'queued').length;
+  const ready = jobs.filter(j => j.seen === false && j.state === 'done').length;
+  const failed = jobs.filter(j => j.seen === false && j.state === 'failed').length;
+  let badge = null;
+  if (running) badge = `Exporting ${Math.round(running.progress * 100)}%${queued ? ` (+${queued})` : ''}`;
+  else if (ready || failed) badge = [ready ? `${ready} ready` : '', failed ? `${failed} failed` : ''].filter(Boolean).join(', ');
+  return (
+    <Link to="/exports" style={{ ...style, display: 'inline-flex', gap: 8, alignItems: 'center' }} title="Your exports and past downloads">
+      My Exports
+      <span role="status" aria-live="polite" style={{ fontSize: 12, color: failed && !running ? themeTokens.error : themeTokens.primary600 }}>
+        {badge}
+      </span>
+    </Link>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * UserBadge shows the signed-in user's name and opens a menu with their email, role and Sign out.
+ */
+function UserBadge() {
+  const { user, auth } = useAuth();
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const onKey = (e) => { if (e.key === 'Escape') setOpen(false); };
+    const onPointer = (e) => { if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false); };
+    window.addEventListener('keydown', onKey);
+    window.addEventListener('mousedown', onPointer);
+    return () => {
+      window.removeEventListener('keydown', onKey);
+      window.removeEventListener('mousedown', onPointer);
+    };
+  }, [open]);
+
+  if (!user) return null;
+  const signOut = () => {
+    setOpen(false);
+    auth.logout();
+    navigate('/login', { replace: true });
+  };
+
+  return (
+    <div ref={rootRef} style={{ position: 'relative' }}>
+      <button
+        onClick={() => setOpen(o => !o)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        title={user.email}
+        style={{
+          display: 'inline-flex', alignItems: 'center', gap: 8, padding: '8px 10px', color: themeTokens.text, cursor: 'pointer',
+          border: `1px solid ${themeTokens.border}`, borderRadius: 12, background: 'var(--surface)', boxShadow: themeTokens.shadow
+        }}
+      >
+        <div style={{ width: 8, height: 8, borderRadius: 999, background: '#22C55E' }} />
+        <span style={{ fontWeight: 700 }}>{user.name || user.email}</span>
+        <span aria-hidden="true" style={{ color: 'var(--muted)', fontSize: 10 }}>▾</span>
+      </button>
+      {open ? (
+        <div role="menu" aria-label="Account" style={{
+          position: 'absolute', right: 0, top: 'calc(100% + 6px)', minWidth: 220, padding: 12, display: 'grid', gap: 8, zIndex: 20,
+          border: `1px solid ${themeTokens.border}`, borderRadius: 12, background: 'var(--surface)', boxShadow: themeTokens.shadow
+        }}>
+          <div>
+            <div style={{ fontWeight: 800 }}>{user.name || user.email}</div>
+            <div style={{ color: 'var(--muted)', fontSize: 12 }}>{user.email}</div>
+            {user.role ? <div style={{ color: 'var(--muted)', fontSize: 12 }}>{user.role}</div> : null}
+          </div>
+          <button role="menuitem" style={primaryGhostBtnStyle} onClick={signOut}>Sign out</button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+/**
+ * Empty & Error States (global)
+ */
+function EmptyState({ title = 'No data to display', description = 'Try adjusting filters or date range.' }) {
+  return (
+    <div style={{
+      border: `1px dashed ${themeTokens.border}`,
+      padding: 24,
+      borderRadius: 16,
+      textAlign: 'center',
+      color: 'var(--muted)'
+    }}>
+      <div style={{ fontWeight: 800, marginBottom: 6 }}>{title}</div>
+      <div style={{ fontSize: 14 }}>{description}</div>
+    </div>
+  );
+}
+
+function ErrorState({ message = 'Something went wrong. Please try again.', onRetry }) {
+  return (
+    <div role="alert" className="alert-error">
+      {message}
+      {onRetry ? (
+        <button style={{ ...primaryGhostBtnStyle, marginLeft: 12, padding: '4px 10px' }} onClick={onRetry} title="Retry">
+          Retry
+        </button>
+      ) : null}
+    </div>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * NotPermitted explains why an action or page is unavailable to the signed-in role, instead of hiding it.
+ * `id` lets disabled controls point at it with aria-describedby.
+ */
+function NotPermitted({ permission, id, page = false }) {
+  const { user } = useAuth();
+  return (
+    <div id={id} role="note" aria-label="Not permitted" style={{
+      border: `1px dashed ${themeTokens.border}`,
+      padding: page ? 24 : 10,
+      borderRadius: page ? 16 : 12,
+      textAlign: page ? 'center' : 'left',
+      color: 'var(--muted)',
+      fontSize: page ? 14 : 12,
+    }}>
+      <div style={{ fontWeight: 800, marginBottom: 4, color: themeTokens.text }}>Not permitted</div>
+      <div>{notPermittedMessage(user, permission)}</div>
+      {page ? (
+        <div style={{ marginTop: 12 }}>
+          <Link to="/dashboard">Back to Dashboard</Link>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function LoadingState({ label = 'Loading…' }) {
+  return (
+    <div role="status" aria-live="polite" style={{
+      border: `1px dashed ${themeTokens.border}`,
+      padding: 24,
+      borderRadius: 16,
+      textAlign: 'center',
+      color: 'var(--muted)',
+      fontWeight: 700
+    }}>
+      {label}
+    </div>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * VideoModal with HTML5 playback of the event clip, seeking, speed control and time-synced
+ * AI annotation overlays (bounding box, label and confidence) read from the clip's annotation track.
+ * Loads the event, clip metadata and annotation track from the data client by `eventId`.
+ */
+function VideoModal({ open, onClose, eventId }) {
+  const api = useApi();
+  const openDetails = useOpenEventDetails();
+  const { user } = useAuth();
+  const canExport = can(user, 'export');
+  const canAnnotate = can(user, 'annotate');
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [showAI, setShowAI] = useState(true);
+  const [reviewing, setReviewing] = useState(false);
+  const [error, setError] = useState('');
+  const [currentTime, setCurrentTime] = useState(0);
+  const [mediaDuration, setMediaDuration] = useState(0);
+  const [aspect, setAspect] = useState(16 / 9);
+  const videoRef = useRef(null);
+
+  const clip = useApiQuery(open && eventId ? `video:${eventId}` : null, () =>
+    Promise.all([api.getEvent(eventId), api.getVideo(eventId), api.getAnnotations(eventId)])
+      .then(([event, video, track]) => ({ event, video, track }))
+  );
+  const event = clip.data ? clip.data.event : null;
+  const video = clip.data ? clip.data.video : null;
+  const track = clip.data ? clip.data.track : null;
+  const ethogram = useEthogram(event ? event.species : null);
+
+  useEffect(() => {
+    if (!open) {
+      setPlaying(false);
+      setSpeed(1);
+      setError('');
+      setReviewing(false);
+      setCurrentTime(0);
+      setMediaDuration(0);
+    }
+  }, [open]);
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.playbackRate = speed;
+  }, [speed, video]);
+
+  useEffect(() => {
+    // Follow the media clock every frame while playing so overlays stay aligned at any speed
+    if (!playing) return undefined;
+    let raf = 0;
+    const tick = () => {
+      if (videoRef.current) setCurrentTime(videoRef.current.currentTime);
+      raf = window.requestAnimationFrame(tick);
+    };
+    raf = window.requestAnimationFrame(tick);
+    return () => window.cancelAnimationFrame(raf);
+  }, [playing]);
+
+  if (!open) return null;
+
+  const duration = mediaDuration || (video ? video.durationSec : 0) || 0;
+  const annotation = showAI && track ? sampleTrack(track.frames, currentTime, track.interval * 3) : null;
+
+  const togglePlay = () => {
+    const el = videoRef.current;
+    if (error || !el) return;
+    if (el.paused) {
+      const p = el.play();
+      if (p && p.catch) p.catch(() => setError('Unable to start playback for this clip.'));
+    } else {
+      el.pause();
+    }
+  };
+
+  const seek = (t) => {
+    const el = videoRef.current;
+    const next = Math.min(Math.max(0, t), duration || 0);
+    if (el) el.currentTime = next;
+    setCurrentTime(next);
+  };
+
+  const cycleSpeed = () => {
+    setSpeed(s => {
+      const next = s === 1 ? 1.5 : s === 1.5 ? 2 : 1;
+      return next;
+    });
+  };
+
+  const simulateError = () => {
+    setError('Unable to load video stream. Please try again later.');
+    if (videoRef.current) videoRef.current.pause();
+    setPlaying(false);
+  };
+
+  return (
+    <div role="dialog" aria-modal="true" style={{
+      position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.35)',
+      display: 'flex', alignItems: 'center', justifyContent: 'center', padding: 20, zIndex: 50
+    }}>
+      <div style={{
+        background: themeTokens.surface, border: `1px solid ${themeTokens.border}`,
+        borderRadius: 16, width: 'min(100%, 980px)', overflow: 'hidden', color: themeTokens.text, boxShadow: themeTokens.shadow
+      }}>
+        <div style={{ padding: 16, borderBottom: `1px solid ${themeTokens.border}`, display: 'flex', justifyContent: 'space-between', alignItems: 'center', background: 'var(--table-header-bg)' }}>
+          <div style={{ fontWeight: 800 }}>Video Preview</div>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button style={primaryGhostBtnStyle} onClick={() => setShowAI(v => !v)} title="Toggle AI annotations" aria-pressed={showAI}>
+              {showAI ? 'Hide AI' : 'Show AI'}
+            </button>
+            <button onClick={onClose} style={primaryGhostBtnStyle} title="Close">Close</button>
+          </div>
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: 16, padding: 16 }}>
+          <div
+            style={{
+              background: 'var(--bg)', border: `1px solid ${themeTokens.border}`, borderRadius: 12,
+              height: 360, display: 'flex', alignItems: 'center', justifyContent: 'center', color: 'var(--muted)', position: 'relative'
+            }}
+          >
+            {error ? (
+              <ErrorState message={error} />
+            ) : clip.status === 'error' ? (
+              <ErrorState message={clip.error.message} onRetry={clip.reload} />
+            ) : !event ? (
+              <div>{eventId ? 'Loading clip…' : 'No event selected for this period.'}</div>
+            ) : (
+              // Frame box matches the clip's aspect ratio so normalized overlay boxes map 1:1 onto the picture
+              <div style={{ position: 'relative', height: '100%', maxWidth: '100%', aspectRatio: String(aspect), background: '#000', borderRadius: 12, overflow: 'hidden' }}>
+                <video
+                  key={video.eventId}
+                  ref={videoRef}
+                  src={video.src}
+                  poster={video.poster || undefined}
+                  preload="metadata"
+                  playsInline
+                  aria-label={`${event.behavior} clip from ${event.camera}`}
+                  style={{ width: '100%', height: '100%', display: 'block', objectFit: 'fill' }}
+                  onLoadedMetadata={(e) => {
+                    const el = e.currentTarget;
+                    if (el.videoWidth && el.videoHeight) setAspect(el.videoWidth / el.videoHeight);
+                    if (Number.isFinite(el.duration)) setMediaDuration(el.duration);
+                    el.playbackRate = speed;
+                  }}
+                  onPlay={() => setPlaying(true)}
+                  onPause={() => setPlaying(false)}
+                  onEnded={() => setPlaying(false)}
+                  onSeeked={(e) => setCurrentTime(e.currentTarget.currentTime)}
+                  onTimeUpdate={(e) => { if (!playing) setCurrentTime(e.currentTarget.currentTime); }}
+                  onError={() => { setError('Unable to load video stream. Please try again later.'); setPlaying(false); }}
+                />
+                {annotation ? (
+                  <div aria-live="off" style={{
+                    position: 'absolute',
+                    left: `${annotation.box.x * 100}%`,
+                    top: `${annotation.box.y * 100}%`,
+                    width: `${annotation.box.w * 100}%`,
+                    height: `${annotation.box.h * 100}%`,
+                    border: `2px solid ${ethogram.colorOf(annotation.label)}`,
+                    borderRadius: 4,
+                    pointerEvents: 'none'
+                  }}>
+                    <span style={{
+                      position: 'absolute', top: -22, left: -2, whiteSpace: 'nowrap', fontSize: 11, fontWeight: 800,
+                      background: ethogram.colorOf(annotation.label), color: 'var(--surface)', padding: '2px 6px', borderRadius: 4
+                    }}>
+                      {annotation.label} ({annotation.confidence.toFixed(2)})
+                    </span>
+                  </div>
+                ) : null}
+                {showAI && (
+                  <div style={{
+                    position: 'absolute', bottom: 12, left: 12, background: 'rgba(30,138,91,0.15)', border: `1px solid ${themeTokens.border}`,
+                    color: 'var(--surface)', padding: '6px 8px', borderRadius: 8, fontSize: 12
+                  }}>
+                    AI: {annotation ? `${annotation.label} (${annotation.confidence.toFixed(2)})` : 'no detection'}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+          <div>
+            <div style={{ fontWeight: 800, marginBottom: 8 }}>Metadata</div>
+            {event ? (
+              <ul style={{ margin: 0, paddingLeft: 16, color: '#D1D5DB', lineHeight: 1.8 }}>
+                <li>Species: {event.species}</li>
+                {event.individualName ? <li>Individual: {event.individualName} ({event.individualId})</li> : null}
+                <li>Behavior: {event.behavior}</li>
+                <li>Confidence: {event.confidence.toFixed(2)}</li>
+                <li>Review: {reviewStatusText(event.review)}</li>
+                <li>Timestamp: {formatDateTime(event.start + currentTime * 1000)}</li>
+                <li>Camera: {event.camera}</li>
+                <li>Source: {(video && video.src) || 'mock://video'}</li>
+              </ul>
+            ) : (
+              <div className="muted" style={{ fontSize: 14 }}>
+                {clip.status === 'loading' ? 'Loading metadata…' : 'No metadata available.'}
+              </div>
+            )}
+            <div style={{ marginTop: 16, display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+              <button
+                style={primaryBtnStyle}
+                disabled={!canExport}
+                title={canExport ? 'Download video (mock)' : notPermittedMessage(user, 'export')}
+              >
+                Download
+              </button>
+              <button style={primaryGhostBtnStyle} title="Open this time in Timeline">Open in Timeline</button>
+              <button
+                style={primaryGhostBtnStyle}
+                onClick={() => { openDetails(eventId); onClose(); }}
+                disabled={!event}
+                title="Open the full event record"
+              >
+                Event Details
+              </button>
+              <button
+                style={primaryGhostBtnStyle}
+                onClick={() => setReviewing(true)}
+                disabled={!event || !canAnnotate}
+                title={canAnnotate ? 'Confirm or correct the AI label' : notPermittedMessage(user, 'annotate')}
+              >
+                Review
+              </button>
+              <button style={primaryGhostBtnStyle} onClick={simulateError} title="Simulate error">Sim Error</button>
+            </div>
+          </div>
+        </div>
+        <div style={{ padding: 16, borderTop: `1px solid ${themeTokens.border}`, display: 'flex', gap: 8, alignItems: 'center' }}>
+          <button style={controlBtnStyle} onClick={() => seek(currentTime - 5)} disabled={!event} title="Back 5 seconds">⏮</button>
+          <button style={controlBtnStyle} onClick={togglePlay} disabled={!event || !!error} title={playing ? 'Pause' : 'Play'}>{playing ? '⏸' : '▶️'}</button>
+          <button style={controlBtnStyle} onClick={() => seek(currentTime + 5)} disabled={!event} title="Forward 5 seconds">⏭</button>
+          <input
+            type="range"
+            aria-label="Seek"
+            min={0}
+            max={duration || 0}
+            step={0.1}
+            value={Math.min(currentTime, duration || 0)}
+            onChange={(e) => seek(Number(e.target.value))}
+            disabled={!event || !duration}
+            style={{ flex: 1, accentColor: themeTokens.primary }}
+          />
+          <span style={{ fontSize: 12, color: 'var(--muted)', minWidth: 84, textAlign: 'center' }} aria-label="Playback position">
+            {formatMediaTime(currentTime)} / {formatMediaTime(duration)}
+          </span>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button style={primaryGhostBtnStyle} onClick={cycleSpeed} title="Playback speed">{speed}x</button>
+            <button style={primaryGhostBtnStyle} title="Closed captions">CC</button>
+            <button style={primaryGhostBtnStyle} title="High Definition">HD</button>
+          </div>
+        </div>
+      </div>
+      {reviewing && event ? <ReviewDialog eventId={event.id} onClose={() => setReviewing(false)} /> : null}
+    </div>
+  );
+}
+
+/**
+ * Button styles
+ */
+const primaryBtnStyle = {
+  background: themeTokens.gradient,
+  color: 'var(--surface)',
+  fontWeight: 800,
+  border: 'none',
+  borderRadius: 12,
+  padding: '10px 14px',
+  cursor: 'pointer',
+  boxShadow: themeTokens.shadow,
+};
+const primaryGhostBtnStyle = {
+  background: 'transparent',
+  color: themeTokens.text,
+  fontWeight: 800,
+  border: `1px solid ${themeTokens.border}`,
+  borderRadius: 12,
+  padding: '8px 12px',
+  cursor: 'pointer',
+};
+const controlBtnStyle = {
+  background: 'var(--surface)',
+  color: themeTokens.text,
+  fontWeight: 800,
+  border: `1px solid ${themeTokens.border}`,
+  borderRadius: 12,
+  padding: '8px 10px',
+  cursor: 'pointer',
+  boxShadow: themeTokens.shadow,
+};
+
+const inputStyle = {
+  width: '100%',
+  background: 'var(--surface)',
+  border: `1px solid ${themeTokens.border}`,
+  color: themeTokens.text,
+  padding: '10px 12px',
+  borderRadius: 12,
+  margin: '8px 0 14px',
+  boxShadow: themeTokens.shadow,
+};
+
+/**
+ * Left panel component used on authed pages: includes Species, Individuals, Date Range, Hours and Labels.
+ */
+function LeftPanelFilters({ species, setSpecies, dateRange, setDateRange, extraChildren }) {
+  const { individuals, setIndividuals, labelSource, setLabelSource, hours, setHours } = useAuth();
+  const { items: registry } = useSpeciesRegistry();
+  const site = useSite(species);
+  const roster = useIndividuals(species);
+  // Keep a species from a link selectable even if the registry does not (yet) list it
+  const speciesOptions = registry && findSpecies(registry, species) ? registry : [...(registry || []), { name: species, available: true }];
+  return (
+    <div style={{ display: 'grid', gap: 16 }}>
+      <div className="card" style={{ padding: 16, borderRadius: 16 }}>
+        <div style={{ fontWeight: 800, marginBottom: 10 }}>Global Filters</div>
+        <div style={{ display: 'grid', gap: 12 }}>
+          <div>
+            <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Species</label>
+            <select
+              aria-label="Species"
+              value={species}
+              onChange={(e) => { setSpecies(e.target.value); setIndividuals([]); }}
+              style={{
+                width: '100%',
+                background: 'var(--surface)',
+                color: themeTokens.text,
+                border: `1px solid ${themeTokens.border}`,
+                borderRadius: 12,
+                padding: '8px 12px',
+                fontWeight: 700,
+                boxShadow: themeTokens.shadow,
+                marginTop: 6
+              }}
+            >
+              {speciesOptions.map(entry => (
+                <option key={entry.name} value={entry.name} disabled={!entry.available}>
+                  {entry.available ? entry.name : `${entry.name} (Coming Soon)`}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700, display: 'block', marginBottom: 6 }}>Individuals</label>
+            <IndividualsSelector value={individuals} onChange={setIndividuals} roster={roster} showLabel={false} style={{ display: 'flex' }} />
+          </div>
+          <div>
+            <DateRangeSelector value={dateRange} onChange={setDateRange} />
+          </div>
+          <div>
+            <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700, display: 'block', marginBottom: 6 }}>Hours</label>
+            <HoursSelector value={hours} onChange={setHours} site={site} showLabel={false} />
+          </div>
+          <div>
+            <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Labels</label>
+            <LabelSourceSelector value={labelSource} onChange={setLabelSource} />
+          </div>
+        </div>
+      </div>
+      {extraChildren}
+    </div>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * RegistrationPage visible field for Role; after login role hidden but used internally.
+ */
+function RegistrationPage() {
+  const navigate = useNavigate();
+  const { auth } = useAuth();
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    const fd = new FormData(e.currentTarget);
+    const email = String(fd.get('email') || '');
+    const password = String(fd.get('password') || '');
+    const confirm = String(fd.get('confirm') || '');
+    const role = String(fd.get('role') || '');
+    if (!email || !password || !confirm || !role) {
+      setError('Please complete all fields including role selection.');
+      return;
+    }
+    if (password !== confirm) {
+      setError('Passwords do not match.');
+      return;
+    }
+    // Role is stored on the account and used internally, not shown post-login
+    setError('');
+    setBusy(true);
+    try {
+      await auth.register({ email, password, role });
+      navigate('/select-animal', { replace: true });
+    } catch (err) {
+      setError(err.message || 'Registration failed. Please try again.');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', background: themeTokens.background, color: themeTokens.text, display: 'grid', placeItems: 'center', padding: 24 }}>
+      <form onSubmit={onSubmit} style={{
+        width: 'min(100%, 480px)', background: themeTokens.surface, border: `1px solid ${themeTokens.border}`, borderRadius: 16, padding: 24, boxShadow: themeTokens.shadow
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'center', marginBottom: 16 }}>
+          <Logo />
+        </div>
+        <div className="title" style={{ textAlign: 'center', fontWeight: 900, marginBottom: 6 }}>Create Your VizAI Account</div>
+        <div className="subtitle" style={{ textAlign: 'center', color: 'var(--muted)', marginBottom: 20 }}>
+          Register to access dashboards, timeline, and reports.
+        </div>
+
+        <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Email Address</label>
+        <input name="email" type="email" placeholder="Enter your email" style={inputStyle} aria-label="Email Address" />
+
+        <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Password</label>
+        <input name="password" type="password" placeholder="Create a strong password" style={inputStyle} aria-label="Password" />
+
+        <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Confirm Password</label>
+        <input name="confirm" type="password" placeholder="Re-enter your password" style={inputStyle} aria-label="Confirm Password" />
+
+        <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Select Role</label>
+        <select name="role" style={{ ...inputStyle, marginTop: 6 }} aria-label="Select Role">
+          <option value="">Choose your role…</option>
+          {SELF_SIGNUP_ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+        </select>
+        <div style={{ color: 'var(--muted)', fontSize: 12, marginTop: -8, marginBottom: 12 }}>
+          Choose your role for personalized access; Admin accounts are created by invitation
+        </div>
+
+        {error ? <ErrorState message={error} /> : null}
+        <button type="submit" style={{ ...primaryBtnStyle, width: '100%', marginTop: 12 }} title="Register & Continue" disabled={busy}>
+          {busy ? 'Creating account…' : 'Register & Continue'}
+        </button>
+
+        <div style={{ marginTop: 12, textAlign: 'center' }}>
           <Link to="/login" title="Already have an account? Log in">Already have an account? Log in</Link>
         </div>
-      </form>
+      </form>
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+function LoginPage() {
+  const { authed, auth } = useAuth();
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const location = useLocation();
+  // Set by ProtectedRoute when a deep link was opened before signing in or the session expired
+  const from = location.state && location.state.from;
+  const expired = location.state && location.state.reason === 'expired';
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    const fd = new FormData(e.currentTarget);
+    const email = String(fd.get('email') || '');
+    const password = String(fd.get('password') || '');
+    if (!email || !password) {
+      setError('Please enter a valid email and password.');
+      return;
+    }
+    setError('');
+    setBusy(true);
+    try {
+      // The account's role comes back with the session; do not prompt for role here
+      await auth.login(email, password);
+    } catch (err) {
+      setError(err.message || 'Sign in failed. Please try again.');
+      setBusy(false);
+    }
+  };
+
+  // Signed in (now or from a stored session): continue to the requested page
+  if (authed) return <Navigate to={from ? `${from.pathname}${from.search}` : '/select-animal'} replace />;
+
+  return (
+    <div style={{ minHeight: '100vh', background: themeTokens.background, color: themeTokens.text, display: 'grid', placeItems: 'center', padding: 24 }}>
+      <form onSubmit={onSubmit} style={{
+        width: 'min(100%, 440px)', background: themeTokens.surface, border: `1px solid ${themeTokens.border}`, borderRadius: 16, padding: 24, boxShadow: themeTokens.shadow
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'center', marginBottom: 16 }}>
+          <Logo />
+        </div>
+        <div className="title" style={{ textAlign: 'center', fontWeight: 900, marginBottom: 6 }}>Welcome to VizAI</div>
+        <div className="subtitle" style={{ textAlign: 'center', color: 'var(--muted)', marginBottom: 20 }}>
+          Sign in with your research account to continue.
+        </div>
+        <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Email</label>
+        <input name="email" type="email" placeholder="name@research.org" style={inputStyle} />
+        <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Password</label>
+        <input name="password" type="password" placeholder="••••••••" style={inputStyle} />
+        {expired && !error ? <ErrorState message="Your session has expired. Sign in again to continue where you left off." /> : null}
+        {error ? <ErrorState message={error} /> : null}
+        <button type="submit" style={{ ...primaryBtnStyle, width: '100%', marginTop: 12 }} disabled={busy}>{busy ? 'Signing in…' : 'Sign In'}</button>
+        <div style={{ marginTop: 10, textAlign: 'center' }}>
+          <Link to="/register" title="Create account">No account? Create one</Link>
+        </div>
+        <div style={{ marginTop: 12, color: '#9CA3AF', fontSize: 12, textAlign: 'center' }}>
+          By continuing you agree to our research-friendly terms.
+        </div>
+        {isMockApi() ? (
+          <div style={{ marginTop: 8, color: '#9CA3AF', fontSize: 12, textAlign: 'center' }}>
+            Local demo: {DEMO_ACCOUNTS.map(a => a.email).join(', ')} · password {DEMO_PASSWORD}
+          </div>
+        ) : null}
+      </form>
+    </div>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * AcceptInvitePage (/accept-invite?token=…): completes an emailed invitation by choosing a name and
+ * password; the role comes from the invitation.
+ */
+function AcceptInvitePage() {
+  const { auth } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const invitation = useApiQuery(token ? `invitation:${token}` : null, () => auth.getInvitation(token));
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    const fd = new FormData(e.currentTarget);
+    const name = String(fd.get('name') || '');
+    const password = String(fd.get('password') || '');
+    if (!name || !password) {
+      setError('Please enter your name and a password.');
+      return;
+    }
+    if (password !== String(fd.get('confirm') || '')) {
+      setError('Passwords do not match.');
+      return;
+    }
+    setError('');
+    setBusy(true);
+    try {
+      await auth.acceptInvite({ token, name, password });
+      navigate('/select-animal', { replace: true });
+    } catch (err) {
+      setError(err.message || 'Could not accept the invitation.');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', background: themeTokens.background, color: themeTokens.text, display: 'grid', placeItems: 'center', padding: 24 }}>
+      <form onSubmit={onSubmit} style={{
+        width: 'min(100%, 440px)', background: themeTokens.surface, border: `1px solid ${themeTokens.border}`, borderRadius: 16, padding: 24, boxShadow: themeTokens.shadow
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'center', marginBottom: 16 }}>
+          <Logo />
+        </div>
+        <div className="title" style={{ textAlign: 'center', fontWeight: 900, marginBottom: 6 }}>Join VizAI</div>
+        {!token || invitation.status === 'error' ? (
+          <ErrorState message={token ? invitation.error.message : 'This invitation link is incomplete.'} />
+        ) : !invitation.data ? (
+          <LoadingState label="Checking invitation…" />
+        ) : (
+          <>
+            <div className="subtitle" style={{ textAlign: 'center', color: 'var(--muted)', marginBottom: 20 }}>
+              You were invited as <b>{invitation.data.role}</b> with {invitation.data.email}.
+            </div>
+            <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Name</label>
+            <input name="name" placeholder="Your name" style={inputStyle} aria-label="Name" />
+            <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Password</label>
+            <input name="password" type="password" placeholder="At least 8 characters" style={inputStyle} aria-label="Password" />
+            <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Confirm Password</label>
+            <input name="confirm" type="password" placeholder="Re-enter your password" style={inputStyle} aria-label="Confirm Password" />
+            {error ? <ErrorState message={error} /> : null}
+            <button type="submit" style={{ ...primaryBtnStyle, width: '100%', marginTop: 12 }} disabled={busy}>
+              {busy ? 'Creating account…' : 'Create account'}
+            </button>
+          </>
+        )}
+        <div style={{ marginTop: 12, textAlign: 'center' }}>
+          <Link to="/login">Already have an account? Log in</Link>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// Age from a YYYY-MM-DD birth date: months for young animals, whole years after that
+function formatAge(birthDate, now = Date.now()) {
+  const born = parseDateInputValue(birthDate);
+  if (born === null) return '—';
+  const b = new Date(born);
+  const n = new Date(now);
+  const months = (n.getFullYear() - b.getFullYear()) * 12 + n.getMonth() - b.getMonth() - (n.getDate() < b.getDate() ? 1 : 0);
+  return months < 24 ? `${months} mo` : `${Math.floor(months / 12)} yrs`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * IndividualRoster lists the individuals of `species` (name, ID, sex, age, enclosure, cameras).
+ * "Monitor" opens the Dashboard for one individual; ticking several and "Monitor selected" scopes
+ * every page to that group.
+ */
+function IndividualRoster({ species }) {
+  const { individuals, setSpecies, setIndividuals } = useAuth();
+  const navigate = useNavigate();
+  const roster = useIndividuals(species);
+  const [picked, setPicked] = useState(individuals);
+
+  const monitor = (ids) => {
+    setSpecies(species);
+    setIndividuals(roster && ids.length === roster.length ? [] : ids);
+    navigate('/dashboard');
+  };
+  const togglePick = (id) => setPicked(p => roster.map(ind => ind.id).filter(x => (x === id ? !p.includes(id) : p.includes(x))));
+
+  if (!roster) return <LoadingState label="Loading individuals…" />;
+  if (roster.length === 0) return null;
+  return (
+    <div className="card" style={{ borderRadius: 16, padding: 16, display: 'grid', gap: 10 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+        <div style={{ fontWeight: 800 }}>{species} individuals</div>
+        <button
+          style={{ ...primaryBtnStyle, marginLeft: 'auto' }}
+          disabled={picked.length === 0}
+          onClick={() => monitor(picked)}
+          title="Scope Dashboard, Timeline and Reports to the ticked individuals"
+        >
+          Monitor selected{picked.length ? ` (${picked.length})` : ''}
+        </button>
+      </div>
+      <div style={{ overflow: 'auto', border: `1px solid ${themeTokens.border}`, borderRadius: 12 }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+          <caption className="sr-only">{species} individuals</caption>
+          <thead>
+            <tr>
+              <th scope="col" style={tableCellStyle}><span className="sr-only">Select</span></th>
+              {['Name', 'ID', 'Sex', 'Age', 'Enclosure', 'Cameras', ''].map(h => (
+                <th key={h || 'actions'} scope="col" style={tableCellStyle}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {roster.map(ind => (
+              <tr key={ind.id}>
+                <td style={tableCellStyle}>
+                  <input type="checkbox" aria-label={`Select ${ind.name}`} checked={picked.includes(ind.id)} onChange={() => togglePick(ind.id)} />
+                </td>
+                <td style={{ ...tableCellStyle, fontWeight: 700 }}>{ind.name}</td>
+                <td style={tableCellStyle}>{ind.id}</td>
+                <td style={tableCellStyle}>{ind.sex}</td>
+                <td style={tableCellStyle} title={`Born ${formatDay(parseDateInputValue(ind.birthDate))}`}>{formatAge(ind.birthDate)}</td>
+                <td style={tableCellStyle}>{ind.enclosure}</td>
+                <td style={tableCellStyle}>{ind.cameras.join(', ')}</td>
+                <td style={tableCellStyle}>
+                  <button style={{ ...primaryGhostBtnStyle, padding: '4px 10px' }} onClick={() => monitor([ind.id])} aria-label={`Monitor ${ind.name}`}>
+                    Monitor
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * AnimalSelectPage: species cards plus the roster of individuals for each species with footage.
+ */
+function AnimalSelectPage() {
+  const [query, setQuery] = useState('');
+  const [showSuggest, setShowSuggest] = useState(false);
+  const { items: registry } = useSpeciesRegistry();
+
+  // Cards come from the species registry, with availability dates for species still in preparation
+  const speciesList = (registry || []).map(entry => ({
+    key: entry.name,
+    name: entry.name,
+    subtitle: entry.available ? entry.scientificName : 'Coming Soon',
+    active: entry.available,
+    expected: formatExpected(entry.expected),
+    img: entry.image,
+  }));
+
+  const filtered = speciesList.filter(s => s.name.toLowerCase().includes(query.toLowerCase()));
+
+  const EmptySpecies = (
+    <EmptyState
+      title="No animals available yet. Check back soon or request a species."
+      description=""
+    />
+  );
+
+  return (
+    <AuthedLayout>
+      <div style={{ display: 'grid', gap: 16 }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+          <div style={{ fontWeight: 900, fontSize: 20, flex: '0 0 auto' }}>Select an Animal to Monitor</div>
+          <div style={{ marginLeft: 'auto', display: 'flex', gap: 8, alignItems: 'center' }}>
+            <input
+              aria-label="Search species"
+              placeholder="Search species…"
+              style={{ ...inputStyle, margin: 0, width: 260 }}
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+            />
+            <button
+              style={primaryGhostBtnStyle}
+              title="Jump back to animals you monitored recently"
+              aria-label="Recently Monitored"
+            >
+              Recently Monitored
+            </button>
+          </div>
+        </div>
+
+        <div className="card" style={{ padding: 12, borderRadius: 14, display: 'flex', gap: 8, alignItems: 'center' }}>
+          <div style={{ color: 'var(--muted)', fontSize: 12 }}>
+            Tip: Behavior terms remain consistent across Dashboard, Timeline, and Reports for easy analysis.
+          </div>
+        </div>
+
+        {!registry ? (
+          <LoadingState label="Loading species…" />
+        ) : filtered.length === 0 ? (
+          <div style={{ display: 'grid', gap: 12 }}>
+            {EmptySpecies}
+            <div style={{ display: 'flex', gap: 8 }}>
+              <button style={primaryGhostBtnStyle} onClick={() => setShowSuggest(true)} title="Request a species">
+                Request a Species
+              </button>
+              <button style={primaryGhostBtnStyle} onClick={() => setShowSuggest(true)} title="Suggest a new species">
+                Suggest a new species
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(260px,1fr))', gap: 16 }}>
+            {filtered.map(s => (
+              <SpeciesCard key={s.key} data={s} />
+            ))}
+          </div>
+        )}
+
+        {filtered.filter(s => s.active).map(s => <IndividualRoster key={s.key} species={s.name} />)}
+
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button style={primaryGhostBtnStyle} onClick={() => setShowSuggest(true)} title="Request a species">
+            Request a Species
+          </button>
+          <button style={primaryGhostBtnStyle} onClick={() => setShowSuggest(true)} title="Suggest a new species">
+            Suggest a new species
+          </button>
+        </div>
+      </div>
+
+      {showSuggest && <SuggestSpeciesDialog onClose={() => setShowSuggest(false)} />}
+    </AuthedLayout>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * SuggestSpeciesDialog sends a species suggestion (POST /species/suggestions); made offline, it is
+ * queued and sent once the network returns.
+ */
+function SuggestSpeciesDialog({ onClose }) {
+  const api = useApi();
+  const [name, setName] = useState('');
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [done, setDone] = useState('');
+
+  const submit = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const result = await api.suggestSpecies({ name: name.trim(), reason: reason.trim() });
+      setDone(result && result.queued
+        ? 'Saved on this device; your suggestion will be sent when you are back online.'
+        : 'Thanks! We will review your suggestion.');
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label="Suggest a new species" style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.5)', display: 'grid', placeItems: 'center', zIndex: 60 }}>
+      <div className="card" style={{ width: 420, padding: 16 }}>
+        <div style={{ fontWeight: 900, marginBottom: 10 }}>Suggest a new species</div>
+        {done ? (
+          <>
+            <div role="status" style={{ fontSize: 14 }}>{done}</div>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 12 }}>
+              <button style={primaryBtnStyle} onClick={onClose}>Close</button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="muted" style={{ marginBottom: 10, fontSize: 14 }}>
+              Tell us which species you would like VizAI to monitor next.
+            </div>
+            <div style={{ display: 'grid', gap: 8 }}>
+              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Species Name</label>
+              <input style={inputStyle} placeholder="e.g., Red Panda" aria-label="Species Name" value={name} onChange={(e) => setName(e.target.value)} />
+              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Why should we add it?</label>
+              <textarea style={{ ...inputStyle, minHeight: 96 }} placeholder="Brief rationale…" aria-label="Reason" value={reason} onChange={(e) => setReason(e.target.value)} />
+            </div>
+            {error ? <div role="alert" style={{ color: themeTokens.error, fontSize: 12, marginTop: 8 }}>{error}</div> : null}
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 12 }}>
+              <button style={primaryGhostBtnStyle} onClick={onClose}>Cancel</button>
+              <button style={primaryBtnStyle} disabled={busy || !name.trim()} onClick={submit}>Submit</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function SpeciesCard({ data }) {
+  const { name, subtitle, active, expected, img } = data;
+  const { setSpecies, setIndividuals } = useAuth();
+  const imgFallback = (
+    <div style={{
+      height: 120,
+      background: 'linear-gradient(135deg, rgba(30,138,91,0.12), rgba(245,158,11,0.12))',
+      borderRadius: 12,
+      border: `1px solid ${themeTokens.border}`,
+      display: 'grid', placeItems: 'center', color: 'var(--muted)'
+    }}>
+      {name}
+    </div>
+  );
+
+  const imageEl = img ? (
+    <div style={{
+      height: 120,
+      borderRadius: 12,
+      overflow: 'hidden',
+      border: `1px solid ${themeTokens.border}`,
+      background: 'var(--surface)',
+      display: 'grid',
+      placeItems: 'center'
+    }}>
+      <img src={img} alt={`${name} image`} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+    </div>
+  ) : imgFallback;
+
+  return (
+    <div className="card" style={{ borderRadius: 16, padding: 16 }}>
+      {imageEl}
+      <div style={{ fontWeight: 800, marginTop: 10 }}>{name}</div>
+      <div className="muted" style={{ marginBottom: 8 }}>{subtitle}</div>
+      {expected && !active ? (
+        <div style={{ fontSize: 12, color: 'var(--muted)', marginBottom: 8 }}>{expected}</div>
+      ) : null}
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+        {active ? (
+          <>
+            <Link
+              to="/dashboard"
+              onClick={() => { setSpecies(name); setIndividuals([]); }}
+              style={{ ...primaryBtnStyle, textDecoration: 'none' }}
+              title="Begin tracking every individual of this species"
+              aria-label={`Start Monitoring ${name}`}
+            >
+              Start Monitoring
+            </Link>
+            <button style={primaryGhostBtnStyle} title="Open details" aria-label={`View Details for ${name}`}>View Details</button>
+          </>
+        ) : (
+          <>
+            <button style={primaryBtnStyle} title="Get an alert when this species becomes available" aria-label={`Notify me about ${name}`}>
+              Notify Me
+            </button>
+            <button style={primaryGhostBtnStyle} title="Open details" aria-label={`Details for ${name}`}>Details</button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Dashboard with interactive pie/stacked legend to navigate to Timeline with filter
+ */
+function DashboardPage() {
+  // Align style and copy with Select Animal: bold headers, helper microcopy, card treatments, button tone
+  const [openVideo, setOpenVideo] = useState(false);
+
+  // Chart modes live in the URL (?metric=count&chart=stacked&heat=Pacing) so links reopen the same view
+  const [metric, setMetric] = useQueryState('metric', 'duration'); // count|duration
+  const [chart, setChart] = useQueryState('chart', 'pie'); // pie|stacked
+  const pieMode = chart !== 'stacked';
+
+  const api = useApi();
+  const { setDateRange, setLabelSource, setHours, setIndividuals } = useAuth();
+  const { species, individuals, individualsParam, dateRange, from, to, labels, hours, hoursParam } = useScopedRange();
+  const site = useSite(species);
+  const roster = useIndividuals(species);
+  const ethogram = useEthogram(species);
+  const aggregates = useApiQuery(
+    `aggregates:${species}:${individualsParam}:${from}:${to}:${labels}:${hoursParam}`,
+    () => api.getAggregates({ species, individuals: individualsParam, from, to, labels, hours: hoursParam })
+  );
+  // Totals grow with live detections until the next fetch covers them
+  const liveEvents = useLiveEvents(aggregates.data ? aggregates.data.asOf : null);
+  const totals = useMemo(
+    () => (aggregates.data ? addEventsToAggregates(aggregates.data, liveEvents, ethogram.behaviors) : null),
+    [aggregates.data, liveEvents, ethogram.behaviors]
+  );
+  const counts = totals ? totals.counts : {};
+  const durations = totals ? totals.durations : {};
+  const totalCount = totals ? totals.totalCount : 0;
+  const totalDuration = totals ? totals.totalDuration : 0;
+  const latestEventId = totals ? totals.latestEventId : null;
+
+  // ?compare=previous|lastYear|YYYY-MM-DD..YYYY-MM-DD adds the Compared with baseline block
+  const [compare, setCompare] = useQueryState('compare', '');
+  const baseline = parseBaseline(compare);
+
+  const [heat, setActivityBehavior] = useQueryState('heat', 'All');
+  const activityBehavior = ethogram.behaviors.includes(heat) ? heat : 'All';
+  const activity = useApiQuery(
+    `activity:${species}:${individualsParam}:${from}:${to}:${labels}:${hoursParam}:${activityBehavior}`,
+    () => api.getActivity({ species, individuals: individualsParam, from, to, labels, hours: hoursParam, behavior: activityBehavior })
+  );
+
+  function formatHhMm(mins) {
+    const h = Math.floor((mins || 0) / 60);
+    const m = (mins || 0) % 60;
+    return `${h}h ${String(m).padStart(2, '0')}m`;
+  }
+
+  const navigate = useNavigate();
+  // The Behavior Duration block shows either event counts or minutes as shares of the total
+  const isCountMode = metric === 'count';
+  const shareValues = isCountMode ? counts : durations;
+  const formatCount = (value) => `${value} ${value === 1 ? 'event' : 'events'}`;
+  const formatShare = (value) => (isCountMode ? formatCount(value) : formatHhMm(value));
+  const behaviorSeries = (values) => ethogram.behaviors.map(b => ({ key: b, label: b, value: values[b] || 0, color: ethogram.colorOf(b) }));
+  const openBehavior = (b) => navigate(`/timeline?behavior=${encodeURIComponent(b)}`);
+
+  // Drill-down: scope the shared filters to that day and hour, then open Timeline
+  const openActivityHour = (day, hour) => {
+    const clock = (h) => `${String(h % 24).padStart(2, '0')}:00`;
+    setDateRange(customRange(day, day));
+    setHours({ mode: 'custom', ranges: [{ from: clock(hour), to: clock(hour + 1) }] });
+    navigate(activityBehavior === 'All' ? '/timeline' : `/timeline?behavior=${encodeURIComponent(activityBehavior)}`);
+  };
+
+  return (
+    <AuthedLayout>
+      <div style={{ display: 'grid', gap: 16 }}>
+        {/* Page header aligned to Select Animal tone */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap', marginBottom: 4 }}>
+          <div style={{ fontWeight: 900, fontSize: 20, flex: '0 0 auto' }}>Overview — Behavior Insights</div>
+          <div style={{ marginLeft: 'auto', display: 'flex', gap: 8, alignItems: 'center' }}>
+            <IndividualsSelector value={individuals} onChange={setIndividuals} roster={roster} showLabel={false} />
+            <DateRangeSelector value={dateRange} onChange={setDateRange} />
+            <HoursSelector value={hours} onChange={setHours} site={site} showLabel={false} />
+            <LabelSourceSelector value={labels} onChange={setLabelSource} style={{ width: 'auto', marginTop: 0 }} />
+            <BaselineSelector value={compare} range={{ from, to }} onChange={setCompare} />
+            <button
+              style={primaryGhostBtnStyle}
+              title="Helpful tips"
+              aria-label="Show dashboard tips"
+            >
+              Tips
+            </button>
+          </div>
+        </div>
+
+        {/* Helper microcopy bar mirroring Select Animal helper tone */}
+        <div className="card" style={{ padding: 12, borderRadius: 14, display: 'flex', gap: 8, alignItems: 'center' }}>
+          <div style={{ color: 'var(--muted)', fontSize: 12 }}>
+            Tip: Click any legend item to jump to Timeline with that behavior pre-filtered.
+          </div>
+        </div>
+
+        <StaleDataNote cachedAt={aggregates.data && aggregates.data.cachedAt} />
+
+        {aggregates.status === 'error' ? (
+          <ErrorState message={aggregates.error.message} onRetry={aggregates.reload} />
+        ) : !aggregates.data ? (
+          <LoadingState label="Loading behavior data…" />
+        ) : (
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit,minmax(280px,1fr))', gap: 16 }}>
+            <ChartBlock title="Behavior Count">
+              {totalCount === 0 ? (
+                <EmptyState title="No behaviors found" description="Try expanding your date range." />
+              ) : (
+                <HorizontalBarChart
+                  title="Behavior count by behavior"
+                  data={behaviorSeries(counts)}
+                  formatValue={formatCount}
+                  onSelect={openBehavior}
+                  actionLabel="Open in Timeline"
+                />
+              )}
+            </ChartBlock>
+
+            <ChartBlock title="Behavior Duration">
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8, gap: 8, alignItems: 'center' }}>
+                <div style={{ color: 'var(--muted)', fontSize: 12 }}>View</div>
+                <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+                  <button
+                    style={{ ...primaryGhostBtnStyle, background: isCountMode ? 'rgba(30,138,91,0.12)' : 'transparent' }}
+                    onClick={() => setMetric('count')}
+                    title="Show by count"
+                  >
+                    Count
+                  </button>
+                  <button
+                    style={{ ...primaryGhostBtnStyle, background: !isCountMode ? 'rgba(245,158,11,0.12)' : 'transparent' }}
+                    onClick={() => setMetric('duration')}
+                    title="Show by duration"
+                  >
+                    Duration
+                  </button>
+                  <button
+                    style={{ ...primaryGhostBtnStyle, background: pieMode ? 'rgba(59,130,246,0.12)' : 'transparent' }}
+                    onClick={() => setChart('pie')}
+                    title="Pie chart view"
+                  >
+                    Pie
+                  </button>
+                  <button
+                    style={{ ...primaryGhostBtnStyle, background: !pieMode ? 'rgba(59,130,246,0.12)' : 'transparent' }}
+                    onClick={() => setChart('stacked')}
+                    title="Stacked bar view"
+                  >
+                    Stacked Bar
+                  </button>
+                </div>
+              </div>
+
+              {(isCountMode ? totalCount : totalDuration) === 0 ? (
+                <EmptyState title={`No behavior ${isCountMode ? 'count' : 'duration'} data available for this period.`} description="" />
+              ) : (
+                <>
+                  <div style={{ fontWeight: 800, marginBottom: 6 }}>
+                    {`Behavior ${isCountMode ? 'Count' : 'Duration'} — ${pieMode ? 'Pie View' : 'Stacked Bar View'}`}
+                  </div>
+
+                  {pieMode ? (
+                    <PieChart
+                      title={`Pie chart of behavior ${isCountMode ? 'count' : 'duration'} percentages`}
+                      data={behaviorSeries(shareValues)}
+                      formatValue={formatShare}
+                      onSelect={openBehavior}
+                      actionLabel="Open in Timeline"
+                    />
+                  ) : (
+                    <StackedBarChart
+                      title={`Stacked bar chart of behavior ${isCountMode ? 'count' : 'duration in hours'}`}
+                      rows={[{ key: 'all', label: 'All behaviors', values: shareValues }]}
+                      series={behaviorSeries(shareValues)}
+                      formatValue={formatShare}
+                      normalize
+                      onSelect={openBehavior}
+                      actionLabel="Open in Timeline"
+                    />
+                  )}
+                </>
+              )}
+            </ChartBlock>
+
+            <ChartBlock title="Daily Activity Pattern">
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8, gap: 8, alignItems: 'center' }}>
+                <div style={{ color: 'var(--muted)', fontSize: 12 }}>Color by</div>
+                <select aria-label="Color heatmap by" value={activityBehavior} onChange={(e) => setActivityBehavior(e.target.value)}
+                        style={{ ...selectStyle, width: 'auto', marginTop: 0 }}>
+                  <option value="All">All activity</option>
+                  {ethogram.behaviors.map(c => <option key={c}>{c}</option>)}
+                </select>
+              </div>
+              {activity.status === 'error' ? (
+                <ErrorState message={activity.error.message} onRetry={activity.reload} />
+              ) : !activity.data ? (
+                <LoadingState label="Loading activity…" />
+              ) : (
+                <HeatmapChart
+                  title={`Minutes of ${activityBehavior === 'All' ? 'activity' : activityBehavior} by hour of day and date`}
+                  rows={activity.data.days.map(d => ({ key: d, label: formatShortDay(d), title: formatDay(d) }))}
+                  columns={HOUR_COLUMNS}
+                  values={activity.data.minutes}
+                  color={activityBehavior === 'All' ? themeTokens.primary : ethogram.colorOf(activityBehavior)}
+                  formatValue={formatMinutes}
+                  onSelect={openActivityHour}
+                  actionLabel="Open in Timeline"
+                  legendNote="in one hour"
+                />
+              )}
+            </ChartBlock>
+
+            {baseline ? (
+              <div style={{ gridColumn: '1 / -1' }}>
+                <BaselineComparison
+                  baseline={baseline}
+                  scope={{ species, individuals: individualsParam, labels, hours: hoursParam }}
+                  range={{ from, to }}
+                  totals={totals}
+                  metric={isCountMode ? 'count' : 'duration'}
+                  ethogram={ethogram}
+                  formatValue={formatShare}
+                  onSelect={openBehavior}
+                />
+              </div>
+            ) : null}
+          </div>
+        )}
+
+        {/* Action area with consistent tone */}
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+          <button style={primaryBtnStyle} onClick={() => setOpenVideo(true)} disabled={!latestEventId} title="Open video preview of the latest event">
+            Open Video Modal
+          </button>
+          <span style={{ color: 'var(--muted)', fontSize: 12 }}>
+            You can continue exploring while previews are open.
+          </span>
+        </div>
+      </div>
+      <VideoModal open={openVideo} eventId={latestEventId} onClose={() => setOpenVideo(false)} />
+    </AuthedLayout>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * BaselineSelector: "Compare to" menu for the Dashboard's `compare` param (baseline.js): none, the
+ * previous period, the same period last year or a custom range picked in the date range calendar.
+ */
+function BaselineSelector({ value, range, onChange }) {
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const baseline = parseBaseline(value);
+  const mode = baseline ? baseline.mode : '';
+
+  const onSelect = (e) => {
+    if (e.target.value === 'custom') setPickerOpen(true);
+    else onChange(e.target.value);
+  };
+
+  return (
+    <div style={{ display: 'inline-flex', gap: 8, alignItems: 'center' }}>
+      <select aria-label="Compare to" value={mode} onChange={onSelect} style={{ ...selectStyle, width: 'auto', marginTop: 0 }}>
+        <option value="">No comparison</option>
+        {Object.entries(BASELINE_MODES).map(([key, label]) => (
+          <option key={key} value={key}>{key === 'custom' ? `${label}…` : `vs ${label.toLowerCase()}`}</option>
+        ))}
+      </select>
+      {mode === 'custom' ? (
+        <button style={{ ...primaryGhostBtnStyle, padding: '4px 8px', fontSize: 12 }} onClick={() => setPickerOpen(true)} title="Edit baseline range">
+          {describeBaseline(baseline)}
+        </button>
+      ) : null}
+      {pickerOpen ? (
+        <DateRangePicker
+          initial={baseline && baseline.range ? baseline.range : baselineRange(range, { mode: 'previous' })}
+          onCancel={() => setPickerOpen(false)}
+          onApply={(next) => { setPickerOpen(false); onChange(formatBaselineParam(next)); }}
+        />
+      ) : null}
+    </div>
+  );
+}
+
+// "+1h 05m (+35%)", "+4 (new)" or "No change"
+function formatChange(row, metric, formatValue) {
+  if (row.change === 0) return 'No change';
+  const sign = row.change > 0 ? '+' : '−';
+  const amount = metric === 'count' ? String(Math.abs(row.change)) : formatValue(Math.round(Math.abs(row.change)));
+  return `${sign}${amount} (${row.percent === null ? 'new' : `${sign}${Math.abs(row.percent)}%`})`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * BaselineComparison: every behavior's total for the period against the baseline (scaled to the
+ * same number of days), the change and % change, and a daily sparkline with the baseline's daily
+ * average dashed. Significant increases in stereotypic behaviors are highlighted.
+ */
+function BaselineComparison({ baseline, scope, range, totals, metric, ethogram, formatValue, onSelect }) {
+  const api = useApi();
+  const base = baselineRange(range, baseline);
+  const scopeKey = `${scope.species}:${scope.individuals}:${scope.labels}:${scope.hours}`;
+  const previous = useApiQuery(`aggregates:${scopeKey}:${base.from}:${base.to}`, () => api.getAggregates({ ...scope, from: base.from, to: base.to }));
+  const trend = useApiQuery(`aggregates-daily:${scopeKey}:${range.from}:${range.to}`, () => api.getAggregates({ ...scope, ...range, by: 'day' }));
+  const days = rangeDays(range);
+  const rows = previous.data && totals
+    ? compareToBaseline(totals, previous.data, ethogram.behaviors, { metric, scale: baselineScale(range, base) })
+    : [];
+  const flagged = rows.filter(row => ethogram.isStereotypic(row.behavior) && isSignificantIncrease(row, metric));
+  const key = metric === 'count' ? 'counts' : 'durations';
+  const formatCell = (v) => (metric === 'count' ? `${v}` : formatValue(Math.round(v)));
+
+  return (
+    <ChartBlock title={`Compared with ${baseline.mode === 'custom' ? describeBaseline(baseline) : `the ${describeBaseline(baseline).toLowerCase()}`}`}>
+      <div className="muted" style={{ fontSize: 12, marginBottom: 8 }}>
+        {metric === 'count' ? 'Event counts' : 'Time spent'} in this period against {formatDateRange({ preset: 'Custom', ...base })}
+        {days !== rangeDays(base) ? `, scaled to ${days} ${days === 1 ? 'day' : 'days'}` : ''}. Switch Count/Duration in Behavior Duration.
+      </div>
+      {flagged.length ? (
+        <div role="note" aria-label="Stereotypic behavior increase" style={{
+          border: `1px solid ${themeTokens.error}`, background: 'rgba(220,38,38,0.08)', borderRadius: 12, padding: '8px 12px', fontSize: 13, marginBottom: 8,
+        }}>
+          <b>{flagged.map(row => row.behavior).join(' and ')}</b> {flagged.length === 1 ? 'is' : 'are'} up significantly on the baseline
+          ({flagged.map(row => formatChange(row, metric, formatValue)).join('; ')}).
+        </div>
+      ) : null}
+      {previous.status === 'error' ? (
+        <ErrorState message={previous.error.message} onRetry={previous.reload} />
+      ) : !previous.data || !totals ? (
+        <LoadingState label="Loading baseline…" />
+      ) : (
+        <div style={{ overflow: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+            <caption className="sr-only">Behavior change against the baseline</caption>
+            <thead>
+              <tr>
+                {['Behavior', 'This period', 'Baseline', 'Change', 'Daily trend'].map(h => <th key={h} scope="col" style={tableCellStyle}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => {
+                const highlighted = flagged.includes(row);
+                const up = row.change > 0;
+                return (
+                  <tr key={row.behavior} style={highlighted ? { background: 'rgba(220,38,38,0.08)' } : undefined}>
+                    <th scope="row" style={{ ...tableCellStyle, fontWeight: 600 }}>
+                      <button onClick={() => onSelect(row.behavior)} title="Open in Timeline" style={{ all: 'unset', cursor: 'pointer', display: 'inline-flex', gap: 6, alignItems: 'center' }}>
+                        <span aria-hidden style={{ width: 10, height: 10, borderRadius: 999, background: ethogram.colorOf(row.behavior) }} />
+                        {row.behavior}
+                      </button>
+                      {highlighted ? <span style={{ marginLeft: 8, fontSize: 11, color: themeTokens.error, fontWeight: 700 }}>Stereotypic increase</span> : null}
+                    </th>
+                    <td style={tableCellStyle}>{formatCell(row.value)}</td>
+                    <td style={tableCellStyle}>{formatCell(row.baseline)}</td>
+                    <td style={{ ...tableCellStyle, color: highlighted ? themeTokens.error : row.change === 0 ? 'var(--muted)' : themeTokens.text, fontWeight: up ? 700 : 400 }}>
+                      {formatChange(row, metric, formatValue)}
+                    </td>
+                    <td style={tableCellStyle}>
+                      {trend.data && trend.data.daily ? (
+                        <Sparkline
+                          title={`${row.behavior} per day`}
+                          points={trend.data.daily.map(d => ({ key: d.day, label: formatDay(d.day), value: d[key][row.behavior] || 0 }))}
+                          color={ethogram.colorOf(row.behavior)}
+                          reference={row.baseline / days}
+                          formatValue={formatCell}
+                        />
+                      ) : null}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </ChartBlock>
+  );
+}
+
+function ChartBlock({ title, children }) {
+  return (
+    <div className="card" style={{ borderRadius: 16, padding: 16 }}>
+      <div style={{ fontWeight: 800, marginBottom: 8 }}>{title}</div>
+      <div>{children}</div>
+    </div>
+  );
+}
+
+const formatMinutes = (mins) => `${Math.round(mins)} min`;
+const formatShortDay = (ts) => new Date(ts).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+// Heatmap columns for hours of day; ticks every 3 hours
+const HOUR_COLUMNS = Array.from({ length: 24 }, (_, h) => ({
+  key: h,
+  label: h % 3 === 0 ? String(h).padStart(2, '0') : '',
+  title: `${String(h).padStart(2, '0')}:00–${String((h + 1) % 24).padStart(2, '0')}:00`,
+}));
+
+/**
+ * PUBLIC_INTERFACE
+ * Timeline keeps its view, behavior filter and ethogram viewport in query params and shows left panel with species/date
+ */
+function TimelinePage() {
+  const [videoEventId, setVideoEventId] = useState(null);
+
+  return (
+    <AuthedLayout>
+      <TimelineWithLeftPanel
+        videoEventId={videoEventId}
+        setVideoEventId={setVideoEventId}
+      />
+    </AuthedLayout>
+  );
+}
+
+const TIMELINE_PAGE_SIZE = 24;
+const TRACK_EVENT_LIMIT = 5000;
+const TIMELINE_VIEWS = ['track', 'grid', 'list'];
+const VIEWPORT_URL_DELAY_MS = 400;
+
+// Ethogram viewport from ?start=<epoch ms>&span=<ms>, or null when absent or malformed
+function parseViewport(start, span) {
+  const vp = { start: Number(start), span: Number(span) };
+  return start && Number.isFinite(vp.start) && vp.span > 0 ? vp : null;
+}
+
+/**
+ * Ethogram viewport kept in local state for smooth zooming and written to ?start=&span= once it
+ * settles, replacing the history entry so dragging does not flood Back.
+ */
+function useViewportParam() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const start = searchParams.get('start');
+  const span = searchParams.get('span');
+  const [viewport, setViewport] = useState(() => parseViewport(start, span));
+
+  useEffect(() => {
+    // Follow the URL on back/forward, pasted links and range changes (which drop start/span)
+    const fromUrl = parseViewport(start, span);
+    setViewport(prev => (fromUrl && prev && prev.start === fromUrl.start && prev.span === fromUrl.span ? prev : fromUrl));
+  }, [start, span]);
+
+  useEffect(() => {
+    if (!viewport) return undefined;
+    const next = { start: String(Math.round(viewport.start)), span: String(Math.round(viewport.span)) };
+    if (next.start === start && next.span === span) return undefined;
+    const timer = setTimeout(() => {
+      setSearchParams(prev => {
+        const params = new URLSearchParams(prev);
+        params.set('start', next.start);
+        params.set('span', next.span);
+        return params;
+      }, { replace: true });
+    }, VIEWPORT_URL_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [viewport, start, span, setSearchParams]);
+
+  return [viewport, setViewport];
+}
+
+function TimelineWithLeftPanel({ videoEventId, setVideoEventId }) {
+  const api = useApi();
+  const { setSpecies, setDateRange } = useAuth();
+  const { species, individualsParam, dateRange, from, to, labels, hoursParam } = useScopedRange();
+  const ethogram = useEthogram(species);
+  const [viewParam, setView] = useQueryState('view', 'track');
+  const view = TIMELINE_VIEWS.includes(viewParam) ? viewParam : 'track';
+  const [behaviorFilter, setBehaviorFilter] = useQueryState('behavior', 'All');
+  const [viewport, setViewport] = useViewportParam(); // { start, span } on the ethogram track
+  const [limit, setLimit] = useState(TIMELINE_PAGE_SIZE);
+
+  useEffect(() => {
+    // Restart paging whenever the query scope changes
+    setLimit(TIMELINE_PAGE_SIZE);
+  }, [species, individualsParam, from, to, behaviorFilter, labels, hoursParam]);
+
+  const scope = { species, individuals: individualsParam, behavior: behaviorFilter, labels, hours: hoursParam };
+  const events = useApiQuery(
+    `events:${species}:${individualsParam}:${from}:${to}:${behaviorFilter}:${labels}:${hoursParam}:${limit}`,
+    () => api.getEvents({ ...scope, from, to, offset: 0, limit })
+  );
+  const items = events.data ? events.data.items : [];
+  const count = events.data ? events.data.total : 0;
+  const newEvents = useLiveEvents(events.data ? events.data.asOf : null, behaviorFilter);
+  // Bring in new detections: open-ended ranges move their end to now (or to the newest detection, should
+  // this device's clock lag the server's), which refetches every view
+  const showNewEvents = () => {
+    const next = refreshRange(dateRange, Math.max(Date.now(), ...newEvents.map(ev => ev.end)));
+    if (next.to !== dateRange.to) setDateRange(next);
+    else events.reload();
+  };
+
+  // A new date range drops ?start=&span= (see ViewStateSync), so it starts from its most recent day
+  const bounds = useMemo(() => ({ from, to }), [from, to]);
+  const vp = clampViewport(viewport || defaultViewport(bounds), bounds);
+
+  // Track data is fetched per whole day around the viewport so panning within a day does not refetch
+  const trackFrom = Math.max(from, startOfDay(vp.start));
+  const trackTo = Math.min(to, addDays(startOfDay(vp.start + vp.span - 1), 1));
+  const trackEvents = useApiQuery(
+    view === 'track' ? `track:${species}:${individualsParam}:${trackFrom}:${trackTo}:${behaviorFilter}:${labels}:${hoursParam}` : null,
+    () => api.getEvents({ ...scope, from: trackFrom, to: trackTo, offset: 0, limit: TRACK_EVENT_LIMIT })
+  );
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '280px 1fr', gap: 16 }}>
+      <LeftPanelFilters species={species} setSpecies={setSpecies} dateRange={dateRange} setDateRange={setDateRange}
+        extraChildren={
+          <div className="card" style={{ padding: 16, borderRadius: 16 }}>
+            <div style={{ fontWeight: 800, marginBottom: 10 }}>Timeline Filters</div>
+            <div>
+              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Behavior Type</label>
+              <select style={selectStyle} aria-label="Behavior Type" value={behaviorFilter} onChange={(e) => setBehaviorFilter(e.target.value)}>
+                <option>All</option>
+                {ethogram.behaviors.map(c => (
+                  <option key={c} title={ethogram.definitionOf(c)}>{c}</option>
+                ))}
+              </select>
+            </div>
+            <div className="muted" style={{ marginTop: 8, fontSize: 12 }}>
+              {ethogram.definitionOf(behaviorFilter)
+                ? `${behaviorFilter}: ${ethogram.definitionOf(behaviorFilter)}`
+                : 'Choose a behavior to refine results. You can switch views anytime.'}
+            </div>
+          </div>
+        }
+      />
+      <div style={{ display: 'grid', gap: 12 }}>
+        {/* Header aligned to Select Animal style */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+          <div style={{ fontWeight: 900, fontSize: 20, flex: '0 0 auto' }}>Behavior Explorer</div>
+          <div className="muted" style={{ fontSize: 12 }} aria-live="polite">
+            {events.status === 'loading' && !events.data ? 'Loading…' : `${count} results`}
+          </div>
+          {newEvents.length ? (
+            <button style={primaryBtnStyle} onClick={showNewEvents} title="Show the events detected since this list loaded">
+              {newEvents.length} new {newEvents.length === 1 ? 'event' : 'events'}
+            </button>
+          ) : null}
+          <div style={{ marginLeft: 'auto', display: 'flex', gap: 8, alignItems: 'center' }}>
+            {view === 'track' ? (
+              <>
+                <button style={controlBtnStyle} onClick={() => setViewport(panViewport(vp, -vp.span / 2, bounds))} title="Pan earlier" aria-label="Pan earlier">◀</button>
+                <button style={controlBtnStyle} onClick={() => setViewport(zoomViewport(vp, 2, bounds))} title="Zoom out" aria-label="Zoom out" disabled={vp.span >= Math.min(MAX_SPAN_MS, to - from)}>-</button>
+                <div style={{ minWidth: 48, textAlign: 'center' }} aria-live="polite" title="Visible time span">{formatSpan(vp.span)}</div>
+                <button style={controlBtnStyle} onClick={() => setViewport(zoomViewport(vp, 0.5, bounds))} title="Zoom in" aria-label="Zoom in" disabled={vp.span <= MIN_SPAN_MS}>+</button>
+                <button style={controlBtnStyle} onClick={() => setViewport(panViewport(vp, vp.span / 2, bounds))} title="Pan later" aria-label="Pan later">▶</button>
+              </>
+            ) : null}
+            <button
+              style={{ ...primaryGhostBtnStyle, background: view === 'track' ? 'rgba(52,211,153,0.12)' : 'transparent' }}
+              onClick={() => setView('track')}
+              title="Ethogram track view"
+              aria-pressed={view === 'track'}
+            >
+              Track
+            </button>
+            <button
+              style={{ ...primaryGhostBtnStyle, background: view === 'grid' ? 'rgba(52,211,153,0.12)' : 'transparent' }}
+              onClick={() => setView('grid')}
+              title="Grid view"
+              aria-pressed={view === 'grid'}
+            >
+              Grid
+            </button>
+            <button
+              style={{ ...primaryGhostBtnStyle, background: view === 'list' ? 'rgba(52,211,153,0.12)' : 'transparent' }}
+              onClick={() => setView('list')}
+              title="List view"
+              aria-pressed={view === 'list'}
+            >
+              List
+            </button>
+          </div>
+        </div>
+
+        {/* Helper microcopy bar mirroring Select Animal tip card */}
+        <div className="card" style={{ padding: 12, borderRadius: 14, display: 'flex', gap: 8, alignItems: 'center' }}>
+          <div style={{ color: 'var(--muted)', fontSize: 12 }}>
+            Tip: Drag the track or use arrow keys to pan, +/- to zoom. Click a bout or open any event to preview video.
+          </div>
+        </div>
+
+        <StaleDataNote cachedAt={view === 'track'
+          ? trackEvents.data && trackEvents.data.cachedAt
+          : events.data && events.data.cachedAt} />
+
+        {view === 'track' ? (
+          trackEvents.status === 'error' ? (
+            <ErrorState message={trackEvents.error.message} onRetry={trackEvents.reload} />
+          ) : !trackEvents.data ? (
+            <LoadingState label="Loading ethogram…" />
+          ) : (
+            <>
+              <EthogramTrack
+                ethogram={ethogram}
+                viewport={vp}
+                bounds={bounds}
+                events={trackEvents.data.items}
+                onViewportChange={setViewport}
+                onOpenEvent={(ev) => setVideoEventId(ev.id)}
+              />
+              {/* The track loads at most TRACK_EVENT_LIMIT bouts; zooming in fetches fewer days */}
+              {trackEvents.data.items.length < trackEvents.data.total ? (
+                <div role="note" style={{ fontSize: 12, color: 'var(--muted)' }}>
+                  {`Showing the first ${trackEvents.data.items.length} of ${trackEvents.data.total} bouts — zoom in to see the rest.`}
+                </div>
+              ) : null}
+            </>
+          )
+        ) : events.status === 'error' ? (
+          <ErrorState message={events.error.message} onRetry={events.reload} />
+        ) : !events.data ? (
+          <LoadingState label="Loading events…" />
+        ) : items.length === 0 ? (
+          <EmptyState title="No events found" description="Try another behavior or expand your date range." />
+        ) : (
+          <>
+            <div style={{ display: 'grid', gridTemplateColumns: view === 'grid' ? 'repeat(auto-fill, minmax(240px,1fr))' : '1fr', gap: 12 }}>
+              {items.map(ev => (
+                <BehaviorEventCard key={ev.id} event={ev} onOpenVideo={() => setVideoEventId(ev.id)} />
+              ))}
+            </div>
+            {items.length < count ? (
+              <div style={{ display: 'flex', justifyContent: 'center' }}>
+                <button
+                  style={primaryGhostBtnStyle}
+                  onClick={() => setLimit(l => l + TIMELINE_PAGE_SIZE)}
+                  disabled={events.status === 'loading'}
+                  title="Load more events"
+                >
+                  {events.status === 'loading' ? 'Loading…' : `Load more (${count - items.length} remaining)`}
+                </button>
+              </div>
+            ) : null}
+          </>
+        )}
+      </div>
+      <VideoModal open={!!videoEventId} eventId={videoEventId} onClose={() => setVideoEventId(null)} />
+    </div>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * EthogramTrack: one lane per behavior of the species' ethogram with bouts placed at their true start/end times.
+ * Drag or use arrow keys to pan, +/- to zoom; clicking a bout opens it in the VideoModal.
+ */
+function EthogramTrack({ ethogram, viewport, bounds, events, onViewportChange, onOpenEvent }) {
+  const dragRef = useRef(null);
+  const viewEnd = viewport.start + viewport.span;
+  const visible = events.filter(ev => ev.end > viewport.start && ev.start < viewEnd);
+  const ticks = timeTicks(viewport.start, viewEnd);
+  const pct = (t) => ((t - viewport.start) / viewport.span) * 100;
+
+  const onPointerDown = (e) => {
+    dragRef.current = { x: e.clientX, start: viewport.start, width: e.currentTarget.getBoundingClientRect().width || 1, moved: false };
+  };
+  const onPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = e.clientX - drag.x;
+    if (Math.abs(dx) > 3) drag.moved = true;
+    if (drag.moved) {
+      onViewportChange(panViewport({ start: drag.start, span: viewport.span }, (-dx / drag.width) * viewport.span, bounds));
+    }
+  };
+  const endDrag = () => {
+    // Keep the flag until the click that follows a drag has been swallowed
+    if (dragRef.current && dragRef.current.moved) {
+      setTimeout(() => { dragRef.current = null; }, 0);
+    } else {
+      dragRef.current = null;
+    }
+  };
+  const onKeyDown = (e) => {
+    const step = viewport.span / 4;
+    if (e.key === 'ArrowLeft') onViewportChange(panViewport(viewport, -step, bounds));
+    else if (e.key === 'ArrowRight') onViewportChange(panViewport(viewport, step, bounds));
+    else if (e.key === '+' || e.key === '=') onViewportChange(zoomViewport(viewport, 0.5, bounds));
+    else if (e.key === '-') onViewportChange(zoomViewport(viewport, 2, bounds));
+    else return;
+    e.preventDefault();
+  };
+  const openBout = (ev) => {
+    if (dragRef.current && dragRef.current.moved) return;
+    onOpenEvent(ev);
+  };
+
+  return (
+    <div className="card" style={{ borderRadius: 16, padding: 16, display: 'grid', gap: 8 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, color: 'var(--muted)' }}>
+        <span>{formatDateTime(viewport.start)}</span>
+        <span>{visible.length} bouts in view</span>
+        <span>{formatDateTime(viewEnd)}</span>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '120px 1fr', gap: 8 }}>
+        <div style={{ display: 'grid', gridTemplateRows: `repeat(${ethogram.behaviors.length}, 28px) 20px`, gap: 4 }}>
+          {ethogram.behaviors.map(b => (
+            <div key={b} title={ethogram.definitionOf(b)} style={{ fontSize: 12, fontWeight: 700, display: 'flex', alignItems: 'center', gap: 6 }}>
+              <span aria-hidden style={{ width: 10, height: 10, borderRadius: 999, background: ethogram.colorOf(b) }} />
+              {b}
+            </div>
+          ))}
+        </div>
+        <div
+          role="group"
+          aria-label="Ethogram track. Use arrow keys to pan and plus or minus to zoom."
+          tabIndex={0}
+          className="focus-ring"
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={endDrag}
+          onPointerLeave={endDrag}
+          onKeyDown={onKeyDown}
+          style={{
+            display: 'grid', gridTemplateRows: `repeat(${ethogram.behaviors.length}, 28px) 20px`, gap: 4,
+            position: 'relative', overflow: 'hidden', cursor: 'grab', touchAction: 'none', userSelect: 'none', borderRadius: 8
+          }}
+        >
+          {ticks.map(tk => (
+            <div key={tk.t} aria-hidden style={{
+              position: 'absolute', top: 0, bottom: 20, left: `${pct(tk.t)}%`, borderLeft: `1px dashed ${themeTokens.border}`
+            }} />
+          ))}
+          {ethogram.behaviors.map(b => (
+            <div key={b} style={{ position: 'relative', background: 'var(--table-row-hover)', borderRadius: 6 }}>
+              {visible.filter(ev => ev.behavior === b).flatMap(ev => {
+                const who = ev.individualName ? `${ev.individualName}, ` : '';
+                // A bout clipped by the Hours filter is drawn only where it falls inside the selected hours
+                const split = ev.segments ? ' (inside the selected hours only)' : '';
+                return (ev.segments || [ev]).filter(s => s.end > viewport.start && s.start < viewEnd).map(segment => {
+                  const left = Math.max(0, pct(segment.start));
+                  const right = Math.min(100, pct(segment.end));
+                  return (
+                    <button
+                      key={`${ev.id}-${segment.start}`}
+                      onClick={() => openBout(ev)}
+                      title={`${who}${b}: ${formatClock(ev.start)}–${formatClock(ev.end)}${split} (${ev.confidence.toFixed(2)})`}
+                      aria-label={`${who}${b} from ${formatDateTime(ev.start)} to ${formatClock(ev.end)}${split}. Open video.`}
+                      style={{
+                        position: 'absolute', top: 3, bottom: 3, left: `${left}%`, width: `max(2px, ${right - left}%)`,
+                        background: ethogram.colorOf(b), border: 'none', borderRadius: 4, padding: 0, cursor: 'pointer',
+                        opacity: 0.5 + ev.confidence / 2
+                      }}
+                    />
+                  );
+                });
+              })}
+            </div>
+          ))}
+          <div style={{ position: 'relative', fontSize: 11, color: 'var(--muted)' }}>
+            {ticks.map(tk => (
+              <span key={tk.t} style={{ position: 'absolute', left: `${pct(tk.t)}%`, transform: 'translateX(-50%)', whiteSpace: 'nowrap' }}>
+                {tk.label}
+              </span>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const tableCellStyle = { padding: '6px 8px', borderBottom: `1px solid ${themeTokens.border}`, textAlign: 'left', whiteSpace: 'nowrap' };
+
+const selectStyle = {
+  width: '100%',
+  background: 'var(--surface)',
+  border: `1px solid ${themeTokens.border}`,
+  color: themeTokens.text,
+  padding: '8px 10px',
+  borderRadius: 12,
+  marginTop: 6,
+  boxShadow: themeTokens.shadow,
+};
+
+function BehaviorEventCard({ event, onOpenVideo }) {
+  const openDetails = useOpenEventDetails();
+  const ethogram = useEthogram(event.species);
+  const { user } = useAuth();
+  const canAnnotate = can(user, 'annotate');
+  const [reviewing, setReviewing] = useState(false);
+  return (
+    <div className="card" style={{
+      borderRadius: 16,
+      overflow: 'hidden'
+    }}>
+      <div style={{ height: 120, background: 'var(--table-row-hover)', display: 'grid', placeItems: 'center', color: 'var(--muted)' }}>
+        [ Thumbnail ]
+      </div>
+      <div style={{ padding: 12, display: 'grid', gap: 6 }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <StatusBadge status={ethogram.statusOf(event.behavior)} />
+          <span style={{ color: 'var(--muted)', fontSize: 12 }} aria-label="Event time" title={formatDateTime(event.start)}>
+            {formatClock(event.start)}
+          </span>
+        </div>
+        {event.individualName ? (
+          <div style={{ fontWeight: 700, fontSize: 14 }} aria-label="Individual">{event.individualName}</div>
+        ) : null}
+        <div className="muted" style={{ fontSize: 14 }}>
+          Behavior: {event.behavior} • Confidence: {event.confidence.toFixed(2)}
+        </div>
+        <div className="muted" style={{ fontSize: 12 }} aria-label="Review status">
+          {reviewStatusText(event.review)}
+          {event.aiBehavior && event.aiBehavior !== event.behavior ? ` • AI: ${event.aiBehavior}` : ''}
+        </div>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button style={primaryGhostBtnStyle} onClick={onOpenVideo} title="Preview video">View Video</button>
+          <button style={primaryGhostBtnStyle} onClick={() => openDetails(event.id)} title="Open details">Open</button>
+          <button
+            style={primaryGhostBtnStyle}
+            onClick={() => setReviewing(true)}
+            disabled={!canAnnotate}
+            title={canAnnotate ? 'Review AI label' : notPermittedMessage(user, 'annotate')}
+          >
+            Review
+          </button>
+        </div>
+      </div>
+      {reviewing ? <ReviewDialog eventId={event.id} onClose={() => setReviewing(false)} /> : null}
     </div>
   );
 }
 
-// PUBLIC_INTERFACE
-function LoginPage() {
-  const { setAuthed, setUser } = useAuth();
+const REVIEW_STATUS_LABELS = {
+  unreviewed: 'Unreviewed',
+  confirmed: 'Confirmed',
+  relabeled: 'Relabeled',
+  false_positive: 'False positive',
+  split: 'Split',
+  merged: 'Merged',
+  merged_into: 'Merged into adjacent event',
+};
+
+function reviewStatusText(review) {
+  if (!review) return REVIEW_STATUS_LABELS.unreviewed;
+  return `${REVIEW_STATUS_LABELS[review.status] || review.status} by ${review.by}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * LabelSourceSelector: choose whether totals use raw AI labels or reviewer-corrected labels.
+ */
+function LabelSourceSelector({ value, onChange, style }) {
+  return (
+    <select aria-label="Label source" value={value} onChange={(e) => onChange(e.target.value)} style={{ ...selectStyle, ...style }}>
+      <option value="ai">AI labels</option>
+      <option value="reviewed">Reviewed labels</option>
+    </select>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * ReviewDialog: confirm, relabel, split, merge or reject an AI-detected event, with audit history.
+ * Every change is recorded server-side with reviewer, time and previous value.
+ */
+function ReviewDialog({ eventId, onClose }) {
+  const api = useApi();
+  const [currentId, setCurrentId] = useState(eventId);
+  const { user } = useAuth();
+  const [relabelTo, setRelabelTo] = useState('');
+  const [splitTime, setSplitTime] = useState('');
+  const [splitLabel, setSplitLabel] = useState('');
+  const [busy, setBusy] = useState(false);
   const [error, setError] = useState('');
-  const navigate = useNavigate();
+  const [notice, setNotice] = useState('');
+  const { status: offline } = useOffline();
 
-  const onSubmit = (e) => {
-    e.preventDefault();
-    const fd = new FormData(e.currentTarget);
-    const email = String(fd.get('email') || '');
-    const password = String(fd.get('password') || '');
-    if (!email || !password) {
-      setError('Please enter a valid email and password.');
-      return;
-    }
+  const data = useApiQuery(`review:${currentId}`, () =>
+    Promise.all([api.getEventDetail(currentId, { neighbors: 1 }), api.getEventHistory(currentId)])
+      .then(([detail, history]) => ({ detail, history: history.items }))
+  );
+  const ev = data.data ? data.data.detail.event : null;
+  const targetId = ev ? ev.parentId || ev.id : null;
+  const status = ev && ev.review ? ev.review.status : 'unreviewed';
+  const currentLabel = ev ? (ev.review && ev.review.label) || ev.behavior : '';
+  const locked = status === 'merged_into';
+  const canAnnotate = useCan('annotate');
+  const blocked = busy || !canAnnotate;
+  // Relabel and split choices come from the event's own species ethogram
+  const ethogram = useEthogram(ev ? ev.species : null);
+  const behaviorOptions = ethogram.behaviors.map(c => <option key={c} title={ethogram.definitionOf(c)}>{c}</option>);
+  const pending = targetId ? offline.queue.filter(c => changeEventId(c) === targetId) : [];
+
+  useEffect(() => {
+    if (!ev) return;
+    setRelabelTo(ethogram.behaviors.find(c => c !== currentLabel) || '');
+    setSplitTime(formatClock(ev.start + (ev.end - ev.start) / 2));
+    setSplitLabel(currentLabel);
+  }, [ev, currentLabel, ethogram]);
+
+  const submit = async (review) => {
+    setBusy(true);
     setError('');
-    // Login uses stored role internally if available; do not prompt for role here
-    setUser((prev) => prev?.role ? { ...(prev || {}), email } : { email, role: 'Researcher' });
-    setAuthed(true);
-    navigate('/select-animal', { replace: true });
+    setNotice('');
+    try {
+      // The server rejects the edit if someone else reviewed the event since it was loaded; edits
+      // queued offline on top of this user's own queued edits build on those instead
+      const baseReviewAt = pending.length ? undefined : (ev.review ? ev.review.at : null);
+      const result = await api.reviewEvent(targetId, { ...review, baseReviewAt, reviewer: user ? user.email : undefined });
+      if (result && result.queued) setNotice('Saved on this device; it will sync when you are back online.');
+      // Split segments may not survive the change; keep reviewing the original event
+      setCurrentId(targetId);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const splitAt = () => {
+    const m = /^(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(splitTime);
+    if (!m) return NaN;
+    return startOfDay(ev.start) + ((Number(m[1]) * 60 + Number(m[2])) * 60 + Number(m[3] || 0)) * 1000;
   };
 
+  const neighbors = data.data ? data.data.detail.neighbors : { before: [], after: [] };
+  const mergeCandidates = ev && !ev.parentId ? [...neighbors.before, ...neighbors.after] : [];
+  const describe = (snap) => snap.status === 'false_positive'
+    ? 'false positive'
+    : `${snap.behavior} ${formatClock(snap.start)}–${formatClock(snap.end)} (${REVIEW_STATUS_LABELS[snap.status] || snap.status})`;
+
   return (
-    <div style={{ minHeight: '100vh', background: themeTokens.background, color: themeTokens.text, display: 'grid', placeItems: 'center', padding: 24 }}>
-      <form onSubmit={onSubmit} style={{
-        width: 'min(100%, 440px)', background: themeTokens.surface, border: `1px solid ${themeTokens.border}`, borderRadius: 16, padding: 24, boxShadow: themeTokens.shadow
-      }}>
-        <div style={{ display: 'flex', justifyContent: 'center', marginBottom: 16 }}>
-          <Logo />
-        </div>
-        <div className="title" style={{ textAlign: 'center', fontWeight: 900, marginBottom: 6 }}>Welcome to VizAI</div>
-        <div className="subtitle" style={{ textAlign: 'center', color: 'var(--muted)', marginBottom: 20 }}>
-          Sign in with your research account to continue.
-        </div>
-        <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Email</label>
-        <input name="email" type="email" placeholder="name@research.org" style={inputStyle} />
-        <label style={{ fontWeight: 700, fontSize: 12, color: '#9CA3AF' }}>Password</label>
-        <input name="password" type="password" placeholder="••••••••" style={inputStyle} />
-        {error ? <ErrorState message={error} /> : null}
-        <button type="submit" style={{ ...primaryBtnStyle, width: '100%', marginTop: 12 }}>Sign In</button>
-        <div style={{ marginTop: 10, textAlign: 'center' }}>
-          <Link to="/register" title="Create account">No account? Create one</Link>
-        </div>
-        <div style={{ marginTop: 12, color: '#9CA3AF', fontSize: 12, textAlign: 'center' }}>
-          By continuing you agree to our research-friendly terms.
+    <div role="dialog" aria-modal="true" aria-label="Review event" style={{
+      position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.5)', display: 'grid', placeItems: 'center', zIndex: 65
+    }}>
+      <div className="card" style={{ width: 'min(100%, 560px)', maxHeight: '90vh', overflowY: 'auto', padding: 16, display: 'grid', gap: 12 }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <div style={{ fontWeight: 900 }}>Review Event</div>
+          <button style={primaryGhostBtnStyle} onClick={onClose} title="Close review">Close</button>
         </div>
-      </form>
+        {data.status === 'error' ? (
+          <ErrorState message={data.error.message} onRetry={data.reload} />
+        ) : !ev ? (
+          <LoadingState label="Loading event…" />
+        ) : (
+          <>
+            <div style={{ display: 'grid', gap: 4, fontSize: 14 }}>
+              <div><span className="muted">AI label:</span> <b>{ev.aiBehavior || ev.behavior}</b> ({ev.confidence.toFixed(2)})</div>
+              <div><span className="muted">Reviewed label:</span> <b>{status === 'false_positive' ? '—' : currentLabel}</b></div>
+              <div><span className="muted">Status:</span> <b>{reviewStatusText(ev.review)}</b></div>
+              <div className="muted">{formatDateTime(ev.start)} – {formatClock(ev.end)} • {formatDuration(ev.end - ev.start)}</div>
+              {ev.parentId ? <div className="muted" style={{ fontSize: 12 }}>This is a split segment; changes apply to the original event.</div> : null}
+            </div>
+
+            {canAnnotate ? null : <NotPermitted permission="annotate" />}
+            <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+              <button style={primaryBtnStyle} disabled={blocked || locked || !!ev.parentId} onClick={() => submit({ action: 'confirm' })}>Confirm</button>
+              <button style={primaryGhostBtnStyle} disabled={blocked || locked || !!ev.parentId} onClick={() => submit({ action: 'false_positive' })}>Mark False Positive</button>
+              <button style={primaryGhostBtnStyle} disabled={blocked || status === 'unreviewed'} onClick={() => submit({ action: 'revert' })}>Revert to AI</button>
+            </div>
+
+            {!ev.parentId && !locked ? (
+              <>
+                <div style={{ display: 'flex', gap: 8, alignItems: 'flex-end' }}>
+                  <label style={{ flex: 1, fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>
+                    Relabel as
+                    <select aria-label="Relabel as" value={relabelTo} onChange={(e) => setRelabelTo(e.target.value)} style={selectStyle}>
+                      {behaviorOptions}
+                    </select>
+                    {ethogram.definitionOf(relabelTo) ? (
+                      <span style={{ display: 'block', marginTop: 4, fontWeight: 400 }}>{ethogram.definitionOf(relabelTo)}</span>
+                    ) : null}
+                  </label>
+                  <button style={primaryGhostBtnStyle} disabled={blocked} onClick={() => submit({ action: 'relabel', label: relabelTo })}>Relabel</button>
+                </div>
+
+                <div style={{ display: 'flex', gap: 8, alignItems: 'flex-end' }}>
+                  <label style={{ flex: 1, fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>
+                    Split at
+                    <input type="time" step="1" aria-label="Split at" value={splitTime} onChange={(e) => setSplitTime(e.target.value)} style={{ ...inputStyle, margin: '6px 0 0' }} />
+                  </label>
+                  <label style={{ flex: 1, fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>
+                    Second part
+                    <select aria-label="Second part behavior" value={splitLabel} onChange={(e) => setSplitLabel(e.target.value)} style={selectStyle}>
+                      {behaviorOptions}
+                    </select>
+                  </label>
+                  <button style={primaryGhostBtnStyle} disabled={blocked} onClick={() => submit({ action: 'split', at: splitAt(), label: splitLabel })}>Split</button>
+                </div>
+
+                {mergeCandidates.length ? (
+                  <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+                    {mergeCandidates.map(n => (
+                      <button key={n.id} style={primaryGhostBtnStyle} disabled={blocked} onClick={() => submit({ action: 'merge', withId: n.id })}
+                        title={`Merge with ${n.behavior} at ${formatDateTime(n.start)}`}>
+                        Merge with {n.start < ev.start ? 'previous' : 'next'} ({n.behavior} {formatClock(n.start)})
+                      </button>
+                    ))}
+                  </div>
+                ) : null}
+              </>
+            ) : null}
+
+            {error ? <ErrorState message={error} /> : null}
+            {notice ? <div role="status" className="muted" style={{ fontSize: 12 }}>{notice}</div> : null}
+
+            {pending.length ? (
+              <div>
+                <div style={{ fontWeight: 800, marginBottom: 6 }}>Waiting to sync</div>
+                <ul style={{ margin: 0, paddingLeft: 16, fontSize: 12, lineHeight: 1.7 }}>
+                  {pending.map(c => <li key={c.id}><b>{describeChange(c)}</b> at {formatDateTime(c.queuedAt)}</li>)}
+                </ul>
+              </div>
+            ) : null}
+
+            <div>
+              <div style={{ fontWeight: 800, marginBottom: 6 }}>Audit history</div>
+              {data.data.history.length === 0 ? (
+                <div className="muted" style={{ fontSize: 12 }}>No changes recorded yet.</div>
+              ) : (
+                <ul style={{ margin: 0, paddingLeft: 16, fontSize: 12, lineHeight: 1.7 }}>
+                  {data.data.history.map(h => (
+                    <li key={h.id}>
+                      <b>{h.action}</b> by {h.by} at {formatDateTime(h.at)} — was {describe(h.previous)}, now {describe(h.next)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </>
+        )}
+      </div>
     </div>
   );
 }
 
 /**
  * PUBLIC_INTERFACE
- * Animal selection remains unchanged.
+ * ReportTable renders report rows (first row is the header); numeric columns are right-aligned.
  */
-function AnimalSelectPage() {
-  const [query, setQuery] = useState('');
-  const [showSuggest, setShowSuggest] = useState(false);
-
-  // Mock species list with expected availability
-  const speciesList = [
-    { key: 'anteater', name: 'Giant Anteater', subtitle: 'Myrmecophaga tridactyla', active: true, expected: null, img: '/assets/giant-anteater.png' },
-    { key: 'pangolin', name: 'Pangolin', subtitle: 'Coming Soon', active: false, expected: 'Expected: Feb 2026', img: '/assets/pangolin.png' },
-    { key: 'sloth', name: 'Sloth', subtitle: 'Coming Soon', active: false, expected: 'Expected: Sep 2025', img: '/assets/sloth.png' },
-  ];
+function ReportTable({ rows, caption, maxHeight = 320 }) {
+  const [header, ...body] = rows;
+  const cell = { padding: '6px 8px', borderBottom: `1px solid ${themeTokens.border}`, whiteSpace: 'nowrap' };
+  return (
+    <div style={{ overflow: 'auto', maxHeight, border: `1px solid ${themeTokens.border}`, borderRadius: 12 }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12 }}>
+        {caption ? <caption className="sr-only">{caption}</caption> : null}
+        <thead>
+          <tr>
+            {header.map((h, i) => (
+              <th key={h} scope="col" style={{ ...cell, textAlign: i === 0 ? 'left' : 'right', position: 'sticky', top: 0 }}>{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {body.map((row, r) => (
+            <tr key={`${row[0]}-${r}`} style={{ fontWeight: row[0] === 'Total' && r === body.length - 1 ? 800 : 400 }}>
+              {row.map((v, i) => (
+                <td key={header[i]} style={{ ...cell, textAlign: i === 0 ? 'left' : 'right' }}>{v}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
 
-  const filtered = speciesList.filter(s => s.name.toLowerCase().includes(query.toLowerCase()));
+function DurationShareBars({ behaviors, colorOf }) {
+  return (
+    <HorizontalBarChart
+      title="Bar chart of behavior duration share"
+      data={behaviors.map(b => ({ key: b.behavior, label: b.behavior, value: b.minutes, color: colorOf(b.behavior) }))}
+      formatValue={(v) => `${v} min`}
+    />
+  );
+}
 
-  const EmptySpecies = (
-    <EmptyState
-      title="No animals available yet. Check back soon or request a species."
-      description=""
+// Per-day rows of a Summary report ([date, events, total, ...minutes per behavior]) as stacked columns
+function DailyTotalsChart({ rows, categories, colorOf }) {
+  const days = rows.slice(1, -1);
+  return (
+    <StackedBarChart
+      title="Column chart of behavior minutes per day"
+      orientation="vertical"
+      rows={days.map(r => ({
+        key: r[0],
+        label: r[0],
+        shortLabel: r[0].slice(5),
+        values: Object.fromEntries(categories.map((c, i) => [c, r[i + 3]])),
+      }))}
+      series={categories.map(c => ({ key: c, label: c, color: colorOf(c) }))}
+      formatValue={formatMinutes}
     />
   );
+}
 
+function HourByDayMatrix({ rows }) {
+  const [header, ...body] = rows;
   return (
-    <AuthedLayout>
+    <HeatmapChart
+      title="Minutes of behavior by hour and day"
+      rows={body.map(r => ({ key: r[0], label: r[0].slice(5), title: r[0] }))}
+      columns={header.slice(1).map((h, i) => ({ key: h, label: i % 3 === 0 ? h.slice(0, 2) : '', title: h }))}
+      values={body.map(r => r.slice(1))}
+      formatValue={(v) => `${v} min`}
+      legendNote="in one hour"
+    />
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * ReportPreview renders the report exactly as exported: duration table and chart, Summary KPIs
+ * and trends, or the Daily Pattern hour-by-day matrix. Chart colors come from the species ethogram.
+ */
+function ReportPreview({ report, colorOf }) {
+  const section = (name) => (report.sections.find(s => s.name === name) || {}).rows;
+  if (report.type === 'Summary') {
+    const kpis = section('KPIs');
+    return (
       <div style={{ display: 'grid', gap: 16 }}>
-        <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
-          <div style={{ fontWeight: 900, fontSize: 20, flex: '0 0 auto' }}>Select an Animal to Monitor</div>
-          <div style={{ marginLeft: 'auto', display: 'flex', gap: 8, alignItems: 'center' }}>
-            <input
-              aria-label="Search species"
-              placeholder="Search species…"
-              style={{ ...inputStyle, margin: 0, width: 260 }}
-              value={query}
-              onChange={(e) => setQuery(e.target.value)}
-            />
-            <button
-              style={primaryGhostBtnStyle}
-              title="Jump back to animals you monitored recently"
-              aria-label="Recently Monitored"
-            >
-              Recently Monitored
-            </button>
-          </div>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit,minmax(140px,1fr))', gap: 8 }}>
+          {kpis.slice(1).map(([label, value]) => (
+            <div key={label} className="card" style={{ padding: 10, borderRadius: 12 }}>
+              <div style={{ fontSize: 11, color: 'var(--muted)' }}>{label}</div>
+              <div style={{ fontWeight: 800, fontSize: 16 }}>{value === '' ? '—' : value}</div>
+            </div>
+          ))}
         </div>
-
-        <div className="card" style={{ padding: 12, borderRadius: 14, display: 'flex', gap: 8, alignItems: 'center' }}>
-          <div style={{ color: 'var(--muted)', fontSize: 12 }}>
-            Tip: Behavior terms remain consistent across Dashboard, Timeline, and Reports for easy analysis.
-          </div>
+        <div>
+          <div style={{ fontWeight: 800, marginBottom: 6 }}>Daily totals</div>
+          <DailyTotalsChart rows={report.aggregates} categories={report.categories} colorOf={colorOf} />
         </div>
-
-        {filtered.length === 0 ? (
-          <div style={{ display: 'grid', gap: 12 }}>
-            {EmptySpecies}
-            <div style={{ display: 'flex', gap: 8 }}>
-              <button style={primaryGhostBtnStyle} onClick={() => setShowSuggest(true)} title="Request a species">
-                Request a Species
-              </button>
-              <button style={primaryGhostBtnStyle} onClick={() => setShowSuggest(true)} title="Suggest a new species">
-                Suggest a new species
-              </button>
-            </div>
-          </div>
-        ) : (
-          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(260px,1fr))', gap: 16 }}>
-            {filtered.map(s => (
-              <SpeciesCard key={s.key} data={s} />
-            ))}
-          </div>
-        )}
-
-        <div style={{ display: 'flex', gap: 8 }}>
-          <button style={primaryGhostBtnStyle} onClick={() => setShowSuggest(true)} title="Request a species">
-            Request a Species
-          </button>
-          <button style={primaryGhostBtnStyle} onClick={() => setShowSuggest(true)} title="Suggest a new species">
-            Suggest a new species
-          </button>
+        <div>
+          <div style={{ fontWeight: 800, marginBottom: 6 }}>Trends</div>
+          <ReportTable rows={section('Trends')} caption="Average minutes per day, first versus second half of the range" />
         </div>
+        <ReportTable rows={report.aggregates} caption="Per-day totals" />
+      </div>
+    );
+  }
+  if (report.type === 'Daily Pattern') {
+    return (
+      <div style={{ display: 'grid', gap: 16 }}>
+        <HourByDayMatrix rows={section('Hour by Day')} />
+        <ReportTable rows={report.aggregates} caption="Behavior minutes by hour of day" />
       </div>
+    );
+  }
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit,minmax(260px,1fr))', gap: 16 }}>
+      <DurationShareBars behaviors={report.behaviors} colorOf={colorOf} />
+      <ReportTable rows={report.aggregates} caption="Behavior duration totals" />
+    </div>
+  );
+}
 
-      {showSuggest && (
-        <div role="dialog" aria-modal="true" style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.5)', display: 'grid', placeItems: 'center', zIndex: 60 }}>
-          <div className="card" style={{ width: 420, padding: 16 }}>
-            <div style={{ fontWeight: 900, marginBottom: 10 }}>Suggest a new species</div>
-            <div className="muted" style={{ marginBottom: 10, fontSize: 14 }}>
-              This is a placeholder form. Submit to simulate interest (no backend yet).
+// One line under the Type select for each of REPORT_TYPES
+const REPORT_DESCRIPTIONS = {
+  'Behavior Duration Analysis': 'Shows total time spent in each behavior across selected date range.',
+  Summary: 'Shows bouts and minutes per behavior for each day, with key figures and how the second half of the range compares with the first.',
+  'Daily Pattern': 'Shows minutes per behavior by hour of day, plus an hour-by-day grid of activity.',
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * ReportsPage with Behavior dropdown, date range, hours filters; PDF, Excel and CSV files are built
+ * client-side from the same filters
+ */
+function ReportsPage() {
+  const api = useApi();
+  const { user, setDateRange, setLabelSource, setHours, setIndividuals } = useAuth();
+  const { species, individuals, individualsParam, dateRange, from, to, labels, hours } = useScopedRange();
+  const site = useSite(species);
+  const roster = useIndividuals(species);
+  const ethogram = useEthogram(species);
+  // Chosen individuals as { id, name } for the report metadata
+  const chosen = useMemo(
+    () => individuals.map(id => (roster && roster.find(ind => ind.id === id)) || { id, name: id }),
+    [individuals, roster]
+  );
+  const [typeParam, setType] = useQueryState('type', REPORT_TYPES[0]);
+  const type = REPORT_TYPES.includes(typeParam) ? typeParam : REPORT_TYPES[0];
+  const [behavior, setBehavior] = useQueryState('behavior', 'All');
+  const [openExport, setOpenExport] = useState(false);
+  const { manager: exportJobs, jobs } = useExportJobs();
+  const [directJobId, setDirectJobId] = useState(null);
+  const canExport = useCan('export');
+  // Export buttons stay visible for every role; without the permission they are disabled and explained
+  const exportNote = canExport ? undefined : 'export-not-permitted';
+
+  const isBehaviorDuration = type === 'Behavior Duration Analysis';
+  // The preview is built by the same pipeline as the exports, so what you see is what you download
+  const query = { species, individuals: individualsParam, from, to, labels };
+  const source = useApiQuery(`report-events:${species}:${individualsParam}:${from}:${to}:${labels}`, () => fetchAllEvents(api, query));
+  const categories = ethogram.behaviors;
+  const report = useMemo(() => (source.data && ethogram.ready
+    ? buildReport({ type, species, individuals: chosen, categories, behavior, hours, site, dateRange, labels, events: source.data, generatedBy: user ? user.email : '' })
+    : null), [source.data, ethogram.ready, type, species, chosen, categories, behavior, hours, site, dateRange, labels, user]);
+  const hasData = !!report && report.events.length > 1;
+
+  // Exports run as background jobs (see exportJobs.js) from the current filters; the download
+  // buttons save the file once it is ready, the Export dialog leaves it in My Exports
+  const startExport = (format, { download = false } = {}) => {
+    const spec = {
+      format,
+      query,
+      report: { type, species, individuals: chosen, behavior, hours, site, dateRange, labels, generatedBy: user ? user.email : '' },
+      theme: { primary: themeTokens.primary, text: themeTokens.text, border: themeTokens.border, subtle: themeTokens.subtle },
+    };
+    const title = `${type} • ${species} • ${formatDateRange(dateRange)}`;
+    return exportJobs.submit(spec, { title, userId: user ? user.id : null, download });
+  };
+  const preparing = (format) => jobs.some(j => j.download && j.format === format && (j.state === 'queued' || j.state === 'running'));
+  const directJob = jobs.find(j => j.id === directJobId);
+  const download = (format) => setDirectJobId(startExport(format, { download: true }).id);
+
+  return (
+    <AuthedLayout>
+      <div style={{ display: 'grid', gridTemplateColumns: '320px 1fr', gap: 16 }}>
+        <div className="card" style={{ borderRadius: 16, padding: 16 }}>
+          <div style={{ fontWeight: 800, marginBottom: 10 }}>Report Builder</div>
+          <div style={{ display: 'grid', gap: 10 }}>
+            <div>
+              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Type</label>
+              <select value={type} onChange={(e) => setType(e.target.value)} style={selectStyle}>
+                {REPORT_TYPES.map(t => <option key={t}>{t}</option>)}
+              </select>
             </div>
-            <div style={{ display: 'grid', gap: 8 }}>
-              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Species Name</label>
-              <input style={inputStyle} placeholder="e.g., Red Panda" aria-label="Species Name" />
-              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Why should we add it?</label>
-              <textarea style={{ ...inputStyle, minHeight: 96 }} placeholder="Brief rationale…" aria-label="Reason" />
+            <div style={{ color: 'var(--muted)', fontSize: 12 }}>
+              {REPORT_DESCRIPTIONS[type]}
             </div>
-            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 12 }}>
-              <button style={primaryGhostBtnStyle} onClick={() => setShowSuggest(false)}>Cancel</button>
-              <button style={primaryBtnStyle} onClick={() => { alert('Thanks! We will review your suggestion.'); setShowSuggest(false); }}>Submit</button>
+            <div>
+              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700, display: 'block', marginBottom: 6 }}>Individuals</label>
+              <IndividualsSelector value={individuals} onChange={setIndividuals} roster={roster} showLabel={false} style={{ display: 'flex' }} />
+            </div>
+            <div>
+              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700, display: 'block', marginBottom: 6 }}>Date Range</label>
+              <DateRangeSelector value={dateRange} onChange={setDateRange} showLabel={false} />
+            </div>
+            <div>
+              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Labels</label>
+              <LabelSourceSelector value={labels} onChange={setLabelSource} />
+            </div>
+            <div>
+              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Behavior</label>
+              <select value={behavior} onChange={(e) => setBehavior(e.target.value)} style={selectStyle}>
+                <option>All</option>
+                {categories.map(c => <option key={c} title={ethogram.definitionOf(c)}>{c}</option>)}
+              </select>
+            </div>
+            <div>
+              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Hours</label>
+              <div style={{ marginTop: 6 }}>
+                <HoursSelector value={hours} onChange={setHours} site={site} showLabel={false} />
+              </div>
+            </div>
+            <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+              <button style={primaryBtnStyle} onClick={() => setOpenExport(true)} disabled={!canExport} aria-describedby={exportNote}>Export</button>
+              {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                <button key={format} style={primaryGhostBtnStyle} onClick={() => download(format)} disabled={preparing(format) || !canExport} aria-describedby={exportNote}>
+                  {preparing(format) ? `Preparing ${label}…` : `Download ${label}`}
+                </button>
+              ))}
+            </div>
+            {canExport ? null : <NotPermitted permission="export" id="export-not-permitted" />}
+            {directJob && directJob.state === 'failed' ? (
+              <ErrorState message={directJob.error} onRetry={() => exportJobs.retry(directJob.id)} />
+            ) : null}
+            <div style={{ color: '#9CA3AF', fontSize: 12 }}>
+              Exports may take a few minutes. You can continue exploring while we generate your report; <Link to="/exports">My Exports</Link> shows their progress and keeps past files.
+            </div>
+          </div>
+        </div>
+        <div className="card" style={{ borderRadius: 16, padding: 16 }}>
+          <div style={{ fontWeight: 800, marginBottom: 10 }}>
+            Preview • {type}
+          </div>
+          {source.status === 'error' ? (
+            <ErrorState message={source.error.message} onRetry={source.reload} />
+          ) : !report ? (
+            <LoadingState label="Loading report data…" />
+          ) : !hasData ? (
+            <EmptyState
+              title={isBehaviorDuration ? 'No behavior duration data available for this period.' : 'No events recorded for the selected parameters.'}
+              description="Try expanding your date range or changing the behavior and hours filters."
+            />
+          ) : (
+            <div style={{ display: 'grid', gap: 8 }}>
+              <div className="muted" style={{ fontSize: 12 }}>
+                {report.events.length - 1} events for the selected parameters{source.status === 'loading' ? ' • Updating…' : ''}
+              </div>
+              <StaleDataNote />
+              <ReportPreview report={report} colorOf={ethogram.colorOf} />
             </div>
+          )}
+          <div style={{ marginTop: 12, fontSize: 12, color: 'var(--muted)' }}>
+            Filters applied — Species: <b>{species}</b>, Individuals: <b>{describeIndividuals(individuals, roster)}</b>, Behavior: <b>{behavior}</b>, Date Range: <b>{formatDateRange(dateRange)}</b>, Hours: <b>{describeHours(hours, site)}</b>
           </div>
         </div>
+      </div>
+      {openExport && (
+        <ExportDialog
+          description={`"${type}" for ${formatDateRange(dateRange)}`}
+          onStart={(format) => startExport(format)}
+          onClose={() => setOpenExport(false)}
+        />
       )}
-    </AuthedLayout>
-  );
-}
-
-function SpeciesCard({ data }) {
-  const { name, subtitle, active, expected, img } = data;
-  const imgFallback = (
-    <div style={{
-      height: 120,
-      background: 'linear-gradient(135deg, rgba(30,138,91,0.12), rgba(245,158,11,0.12))',
-      borderRadius: 12,
-      border: `1px solid ${themeTokens.border}`,
-      display: 'grid', placeItems: 'center', color: 'var(--muted)'
-    }}>
-      {name}
-    </div>
+    </AuthedLayout>
   );
+}
+
 
-  const imageEl = img ? (
-    <div style={{
-      height: 120,
-      borderRadius: 12,
-      overflow: 'hidden',
-      border: `1px solid ${themeTokens.border}`,
-      background: 'var(--surface)',
-      display: 'grid',
-      placeItems: 'center'
-    }}>
-      <img src={img} alt={`${name} image`} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
-    </div>
-  ) : imgFallback;
 
+/**
+ * PUBLIC_INTERFACE
+ * ExportDialog picks a file format and starts a background export job with `onStart(format)`;
+ * the NavBar reports when it is ready and My Exports keeps the file.
+ */
+function ExportDialog({ description, onStart, onClose }) {
+  const [format, setFormat] = useState('pdf');
+  const [started, setStarted] = useState(false);
   return (
-    <div className="card" style={{ borderRadius: 16, padding: 16 }}>
-      {imageEl}
-      <div style={{ fontWeight: 800, marginTop: 10 }}>{name}</div>
-      <div className="muted" style={{ marginBottom: 8 }}>{subtitle}</div>
-      {expected && !active ? (
-        <div style={{ fontSize: 12, color: 'var(--muted)', marginBottom: 8 }}>{expected}</div>
-      ) : null}
-      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
-        {active ? (
-          <>
-            <Link
-              to="/dashboard"
-              style={{ ...primaryBtnStyle, textDecoration: 'none' }}
-              title="Begin tracking this animal now"
-              aria-label={`Start Monitoring ${name}`}
-            >
-              Start Monitoring
-            </Link>
-            <button style={primaryGhostBtnStyle} title="Open details" aria-label={`View Details for ${name}`}>View Details</button>
-          </>
+    <div role="dialog" aria-modal="true" aria-label="Export report" style={{
+      position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.6)', display: 'grid', placeItems: 'center', zIndex: 60
+    }}>
+      <div className="card" style={{ width: 420, padding: 16 }}>
+        <div style={{ fontWeight: 900, marginBottom: 10 }}>Export Report</div>
+        {started ? (
+          <div role="status" style={{ marginBottom: 16 }}>
+            Your report {description} is being generated. "My Exports" in the top bar shows its progress and tells you when it’s ready.
+          </div>
         ) : (
-          <>
-            <button style={primaryBtnStyle} title="Get an alert when this species becomes available" aria-label={`Notify me about ${name}`}>
-              Notify Me
-            </button>
-            <button style={primaryGhostBtnStyle} title="Open details" aria-label={`Details for ${name}`}>Details</button>
-          </>
+          <div style={{ display: 'grid', gap: 8, marginBottom: 16 }}>
+            <div className="muted">Export {description} in the background while you keep working.</div>
+            <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>
+              Format
+              <select aria-label="Format" value={format} onChange={(e) => setFormat(e.target.value)} style={selectStyle}>
+                {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </label>
+          </div>
         )}
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+          {started ? (
+            <>
+              <Link to="/exports" style={{ ...primaryGhostBtnStyle, textDecoration: 'none' }}>Open My Exports</Link>
+              <button style={primaryBtnStyle} onClick={onClose}>Okay</button>
+            </>
+          ) : (
+            <>
+              <button style={primaryGhostBtnStyle} onClick={onClose}>Cancel</button>
+              <button style={primaryBtnStyle} onClick={() => { onStart(format); setStarted(true); }}>Start export</button>
+            </>
+          )}
+        </div>
       </div>
     </div>
   );
 }
 
+const COMPARE_VIEWS = ['side', 'difference'];
+
 /**
  * PUBLIC_INTERFACE
- * Dashboard with interactive pie/stacked legend to navigate to Timeline with filter
+ * ComparePage (/compare): two filter sets of one species side by side, e.g. an animal before and
+ * after an enclosure change or two animals over the same week. Side A is the shared filters, side
+ * B keeps its own in `b.` params (comparison.js). Behavior Count, Behavior Duration and Daily
+ * Activity Pattern are drawn for both sides on the same scales, or as a difference per average
+ * day, and the comparison exports through the Reports pipeline.
  */
-function DashboardPage() {
-  // Align style and copy with Select Animal: bold headers, helper microcopy, card treatments, button tone
-  const [openVideo, setOpenVideo] = useState(false);
-
-  const [durationMode, setDurationMode] = useState('duration'); // count|duration
-  const [pieMode, setPieMode] = useState(true); // stacked/pie toggle (mocked)
+function ComparePage() {
+  const api = useApi();
+  const { user, setLabelSource, setHours, setIndividuals, setDateRange } = useAuth();
+  const { species, individuals, dateRange, labels, hours } = useScopedRange();
+  const site = useSite(species);
+  const roster = useIndividuals(species);
+  const ethogram = useEthogram(species);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [viewParam, setView] = useQueryState('view', 'side');
+  const view = COMPARE_VIEWS.includes(viewParam) ? viewParam : 'side';
+  const [openExport, setOpenExport] = useState(false);
+  const { manager: exportJobs } = useExportJobs();
+  const canExport = useCan('export');
+  const exportNote = canExport ? undefined : 'compare-export-not-permitted';
 
-  const mockCounts = {
-    'Recumbent': 22,
-    'Non-Recumbent': 15,
-    'Scratching': 7,
-    'Self-Directed': 10,
-    'Pacing': 5,
-    'Moving': 19,
-  };
-  const totalCount = BEHAVIOR_CATEGORIES.reduce((sum, k) => sum + (mockCounts[k] || 0), 0);
-
-  const mockDurations = {
-    'Recumbent': 485,
-    'Non-Recumbent': 210,
-    'Scratching': 35,
-    'Self-Directed': 65,
-    'Pacing': 40,
-    'Moving': 205,
-  };
-  const totalDuration = BEHAVIOR_CATEGORIES.reduce((sum, k) => sum + (mockDurations[k] || 0), 0);
+  const sideA = useMemo(() => ({ individuals, dateRange, hours }), [individuals, dateRange, hours]);
+  // Decoded from the `b.` params alone so open-ended presets only re-resolve when side B changes
+  const sideBSearch = new URLSearchParams(SIDE_B_PARAMS.filter(name => searchParams.has(name)).map(name => [name, searchParams.get(name)])).toString();
+  const sideB = useMemo(() => decodeSideB(new URLSearchParams(sideBSearch), sideA), [sideBSearch, sideA]);
+  const setSideB = (patch) => setSearchParams(prev => withSideB(prev, { ...sideB, ...patch }));
 
-  function formatHhMm(mins) {
-    const h = Math.floor((mins || 0) / 60);
-    const m = (mins || 0) % 60;
-    return `${h}h ${String(m).padStart(2, '0')}m`;
-  }
-  const piePalette = [
-    themeTokens.primary,
-    themeTokens.secondary,
-    '#0EA5E9',
-    '#22C55E',
-    '#F43F5E',
-    themeTokens.primary600,
-  ];
-  const barPalette = [
-    themeTokens.primary,
-    themeTokens.secondary,
-    '#10B981',
-    '#6366F1',
-    '#F59E0B',
-    themeTokens.primary600,
+  const queryOf = (side) => ({
+    species, individuals: side.individuals.join(','), from: side.dateRange.from, to: side.dateRange.to, labels, hours: serializeHours(side.hours),
+  });
+  const queryA = queryOf(sideA);
+  const queryB = queryOf(sideB);
+  const keyOf = (q) => `${q.species}:${q.individuals}:${q.from}:${q.to}:${q.labels}:${q.hours}`;
+  const aggregatesA = useApiQuery(`aggregates:${keyOf(queryA)}`, () => api.getAggregates(queryA));
+  const aggregatesB = useApiQuery(`aggregates:${keyOf(queryB)}`, () => api.getAggregates(queryB));
+  const activityA = useApiQuery(`activity:${keyOf(queryA)}:All`, () => api.getActivity({ ...queryA, behavior: 'All' }));
+  const activityB = useApiQuery(`activity:${keyOf(queryB)}:All`, () => api.getActivity({ ...queryB, behavior: 'All' }));
+  const sides = [
+    { label: 'A', side: sideA, query: queryA, aggregates: aggregatesA, activity: activityA },
+    { label: 'B', side: sideB, query: queryB, aggregates: aggregatesB, activity: activityB },
   ];
-  function pieColor(i) { return piePalette[i % piePalette.length]; }
-  function barColor(i) { return barPalette[i % barPalette.length]; }
-  function conicGradientFromData(keys, dataMap, total) {
-    let acc = 0;
-    const parts = [];
-    keys.forEach((k, idx) => {
-      const mins = (dataMap[k] || 0);
-      const frac = total ? mins / total : 0;
-      const start = acc * 100;
-      const end = (acc + frac) * 100;
-      const color = pieColor(idx);
-      parts.push(`${color} ${start}% ${end}%`);
-      acc += frac;
-    });
-    return parts.length ? `conic-gradient(${parts.join(', ')})` : themeTokens.primary;
-  }
 
-  const navigate = useNavigate();
-  const onPieClick = () => navigate('/timeline?behavior=Moving');
+  // Both sides share one scale per chart so bar lengths and shades can be compared directly
+  const largest = (values) => Math.max(0, ...values);
+  const totalsMax = (key) => largest(sides.flatMap(s => (s.aggregates.data ? ethogram.behaviors.map(b => s.aggregates.data[key][b] || 0) : [])));
+  const countMax = totalsMax('counts');
+  const durationMax = totalsMax('durations');
+  const activityMax = largest(sides.flatMap(s => (s.activity.data ? s.activity.data.minutes.flat() : [])));
+
+  const describeSide = (side) => `${describeIndividuals(side.individuals, roster)} • ${formatDateRange(side.dateRange)} • ${describeHours(side.hours, site)}`;
+  const formatCount = (value) => `${value} ${value === 1 ? 'event' : 'events'}`;
+  const behaviorSeries = (values) => ethogram.behaviors.map(b => ({ key: b, label: b, value: values[b] || 0, color: ethogram.colorOf(b) }));
+  const totalsOf = (s) => ({ ...s.aggregates.data, days: sideDays(s.side) });
+  const aggregatesReady = sides.every(s => s.aggregates.data);
+  const activityReady = sides.every(s => s.activity.data);
+
+  const startExport = (format) => {
+    const chosenOf = (ids) => ids.map(id => (roster && roster.find(ind => ind.id === id)) || { id, name: id });
+    const spec = {
+      format,
+      sides: sides.map(s => ({
+        query: { species, individuals: s.query.individuals, from: s.query.from, to: s.query.to, labels },
+        report: { label: s.label, individuals: chosenOf(s.side.individuals), dateRange: s.side.dateRange, hours: s.side.hours },
+      })),
+      report: { species, labels, site, generatedBy: user ? user.email : '' },
+      theme: { primary: themeTokens.primary, text: themeTokens.text, border: themeTokens.border, subtle: themeTokens.subtle },
+    };
+    const title = `Comparison • ${species} • ${formatDateRange(sideA.dateRange)} vs ${formatDateRange(sideB.dateRange)}`;
+    return exportJobs.submit(spec, { title, userId: user ? user.id : null });
+  };
+
+  // One side's chart, or its loading or error state
+  const sideChart = (s, query, render) => (
+    <div key={s.label}>
+      <div style={{ fontWeight: 700, fontSize: 13, marginBottom: 6 }}>
+        {s.label} <span className="muted" style={{ fontWeight: 400, fontSize: 12 }}>{describeSide(s.side)}</span>
+      </div>
+      {s[query].status === 'error' ? (
+        <ErrorState message={s[query].error.message} onRetry={s[query].reload} />
+      ) : !s[query].data ? (
+        <LoadingState label="Loading behavior data…" />
+      ) : render(s[query].data)}
+    </div>
+  );
+  const twoColumns = { display: 'grid', gridTemplateColumns: 'repeat(auto-fit,minmax(280px,1fr))', gap: 16 };
 
   return (
     <AuthedLayout>
       <div style={{ display: 'grid', gap: 16 }}>
-        {/* Page header aligned to Select Animal tone */}
         <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap', marginBottom: 4 }}>
-          <div style={{ fontWeight: 900, fontSize: 20, flex: '0 0 auto' }}>Overview — Behavior Insights</div>
-          <div style={{ marginLeft: 'auto', display: 'flex', gap: 8, alignItems: 'center' }}>
-            <button
-              style={primaryGhostBtnStyle}
-              title="Helpful tips"
-              aria-label="Show dashboard tips"
-            >
-              Tips
-            </button>
+          <div style={{ fontWeight: 900, fontSize: 20, flex: '0 0 auto' }}>Compare — {species}</div>
+          <div style={{ marginLeft: 'auto', display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+            <LabelSourceSelector value={labels} onChange={setLabelSource} style={{ width: 'auto', marginTop: 0 }} />
+            {[['side', 'Side by side'], ['difference', 'Difference']].map(([key, label]) => (
+              <button
+                key={key}
+                style={{ ...primaryGhostBtnStyle, background: view === key ? 'rgba(59,130,246,0.12)' : 'transparent' }}
+                aria-pressed={view === key}
+                onClick={() => setView(key)}
+              >
+                {label}
+              </button>
+            ))}
+            <button style={primaryBtnStyle} onClick={() => setOpenExport(true)} disabled={!canExport} aria-describedby={exportNote}>Export</button>
           </div>
         </div>
+        {canExport ? null : <NotPermitted permission="export" id="compare-export-not-permitted" />}
 
-        {/* Helper microcopy bar mirroring Select Animal helper tone */}
-        <div className="card" style={{ padding: 12, borderRadius: 14, display: 'flex', gap: 8, alignItems: 'center' }}>
-          <div style={{ color: 'var(--muted)', fontSize: 12 }}>
-            Tip: Click any legend item to jump to Timeline with that behavior pre-filtered.
-          </div>
+        <div style={twoColumns}>
+          {[
+            { label: 'A', side: sideA, onChange: (patch) => {
+              if (patch.individuals) setIndividuals(patch.individuals);
+              if (patch.dateRange) setDateRange(patch.dateRange);
+              if (patch.hours) setHours(patch.hours);
+            } },
+            { label: 'B', side: sideB, onChange: setSideB },
+          ].map(({ label, side, onChange }) => (
+            <div key={label} className="card" role="group" aria-label={`Side ${label}`} style={{ borderRadius: 16, padding: 16, display: 'grid', gap: 8 }}>
+              <div style={{ fontWeight: 800 }}>Side {label}</div>
+              <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+                <IndividualsSelector value={side.individuals} onChange={(next) => onChange({ individuals: next })} roster={roster} showLabel={false} />
+                <DateRangeSelector value={side.dateRange} onChange={(next) => onChange({ dateRange: next })} showLabel={false} />
+                <HoursSelector value={side.hours} onChange={(next) => onChange({ hours: next })} site={site} showLabel={false} />
+              </div>
+              <div className="muted" style={{ fontSize: 12 }}>{describeSide(side)}</div>
+            </div>
+          ))}
         </div>
 
-        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit,minmax(280px,1fr))', gap: 16 }}>
-          <ChartBlock title="Behavior Count">
-            {totalCount === 0 ? (
-              <EmptyState title="No behaviors found" description="Try expanding your date range." />
+        <StaleDataNote cachedAt={(aggregatesA.data && aggregatesA.data.cachedAt) || (aggregatesB.data && aggregatesB.data.cachedAt)} />
+
+        {view === 'side' ? (
+          <>
+            <ChartBlock title="Behavior Count">
+              <div style={twoColumns}>
+                {sides.map(s => sideChart(s, 'aggregates', (data) => (data.totalCount === 0 ? (
+                  <EmptyState title="No behaviors found" description="" />
+                ) : (
+                  <HorizontalBarChart title={`Behavior count by behavior, side ${s.label}`} data={behaviorSeries(data.counts)} formatValue={formatCount} max={countMax} />
+                ))))}
+              </div>
+            </ChartBlock>
+            <ChartBlock title="Behavior Duration">
+              <div style={twoColumns}>
+                {sides.map(s => sideChart(s, 'aggregates', (data) => (data.totalDuration === 0 ? (
+                  <EmptyState title="No behavior duration data available for this period." description="" />
+                ) : (
+                  <HorizontalBarChart title={`Behavior duration by behavior, side ${s.label}`} data={behaviorSeries(data.durations)} formatValue={formatMinutes} max={durationMax} />
+                ))))}
+              </div>
+            </ChartBlock>
+            <ChartBlock title="Daily Activity Pattern">
+              <div style={twoColumns}>
+                {sides.map(s => sideChart(s, 'activity', (data) => (
+                  <HeatmapChart
+                    title={`Minutes of activity by hour of day and date, side ${s.label}`}
+                    rows={data.days.map(d => ({ key: d, label: formatShortDay(d), title: formatDay(d) }))}
+                    columns={HOUR_COLUMNS}
+                    values={data.minutes}
+                    color={themeTokens.primary}
+                    formatValue={formatMinutes}
+                    legendNote="in one hour"
+                    max={activityMax}
+                  />
+                )))}
+              </div>
+            </ChartBlock>
+          </>
+        ) : (
+          <ChartBlock title="Difference per average day (B − A)">
+            <div className="muted" style={{ fontSize: 12, marginBottom: 8 }}>
+              Totals are divided by each side's number of days, so periods of different lengths compare fairly.
+            </div>
+            {sides.some(s => s.aggregates.status === 'error' || s.activity.status === 'error') ? (
+              <ErrorState
+                message={(sides.map(s => s.aggregates.error || s.activity.error).find(Boolean) || {}).message}
+                onRetry={() => sides.forEach(s => { s.aggregates.reload(); s.activity.reload(); })}
+              />
+            ) : !aggregatesReady || !activityReady ? (
+              <LoadingState label="Loading behavior data…" />
             ) : (
-              <div style={{ display: 'grid', gap: 8 }}>
-                {BEHAVIOR_CATEGORIES.map(b => (
-                  <div key={b} style={{ display: 'grid', gap: 6 }}>
-                    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, color: 'var(--muted)' }}>
-                      <span>{b}</span>
-                      <span>{mockCounts[b] ?? 0}</span>
-                    </div>
-                    <div style={{
-                      height: 10, background: 'var(--table-row-hover)', border: `1px solid ${themeTokens.border}`, borderRadius: 999, overflow: 'hidden'
-                    }}>
-                      <div style={{
-                        width: `${((mockCounts[b] ?? 0) / Math.max(1, totalCount)) * 100}%`,
-                        background: themeTokens.gradient, height: '100%'
-                      }} />
-                    </div>
-                  </div>
-                ))}
+              <div style={{ display: 'grid', gap: 16 }}>
+                <DifferenceTable
+                  caption="Behavior count per day"
+                  rows={differenceRows(totalsOf(sides[0]), totalsOf(sides[1]), ethogram.behaviors, 'count').map(row => ({ ...row, key: row.behavior, label: row.behavior, color: ethogram.colorOf(row.behavior) }))}
+                  metric="count"
+                  formatValue={String}
+                />
+                <DifferenceTable
+                  caption="Behavior duration per day"
+                  rows={differenceRows(totalsOf(sides[0]), totalsOf(sides[1]), ethogram.behaviors, 'duration').map(row => ({ ...row, key: row.behavior, label: row.behavior, color: ethogram.colorOf(row.behavior) }))}
+                  metric="duration"
+                  formatValue={formatMinutes}
+                />
+                <DifferenceTable
+                  caption="Activity by hour of day (minutes per day)"
+                  rows={hourlyDifference(activityA.data, activityB.data).map(row => ({ ...row, key: row.hour, label: HOUR_COLUMNS[row.hour].title }))}
+                  metric="duration"
+                  formatValue={formatMinutes}
+                />
               </div>
             )}
           </ChartBlock>
+        )}
+      </div>
+      {openExport && (
+        <ExportDialog
+          description={`"Comparison" of ${formatDateRange(sideA.dateRange)} (A) and ${formatDateRange(sideB.dateRange)} (B)`}
+          onStart={(format) => startExport(format)}
+          onClose={() => setOpenExport(false)}
+        />
+      )}
+    </AuthedLayout>
+  );
+}
 
-          <ChartBlock title="Behavior Duration">
-            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8, gap: 8, alignItems: 'center' }}>
-              <div style={{ color: 'var(--muted)', fontSize: 12 }}>View</div>
-              <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
-                <button
-                  style={{ ...primaryGhostBtnStyle, background: durationMode === 'count' ? 'rgba(30,138,91,0.12)' : 'transparent' }}
-                  onClick={() => setDurationMode('count')}
-                  title="Show by count"
-                >
-                  Count
-                </button>
-                <button
-                  style={{ ...primaryGhostBtnStyle, background: durationMode === 'duration' ? 'rgba(245,158,11,0.12)' : 'transparent' }}
-                  onClick={() => setDurationMode('duration')}
-                  title="Show by duration"
-                >
-                  Duration
-                </button>
-                <button
-                  style={{ ...primaryGhostBtnStyle, background: pieMode ? 'rgba(59,130,246,0.12)' : 'transparent' }}
-                  onClick={() => setPieMode(true)}
-                  title="Pie chart view"
-                >
-                  Pie
-                </button>
-                <button
-                  style={{ ...primaryGhostBtnStyle, background: !pieMode ? 'rgba(59,130,246,0.12)' : 'transparent' }}
-                  onClick={() => setPieMode(false)}
-                  title="Stacked bar view"
-                >
-                  Stacked Bar
-                </button>
-              </div>
-            </div>
+/**
+ * PUBLIC_INTERFACE
+ * DifferenceTable: rows of { key, label, color, aPerDay, bPerDay, change, percent } (comparison.js)
+ * as a table of both sides' daily averages and the change from A to B.
+ */
+function DifferenceTable({ caption, rows, metric, formatValue }) {
+  const formatCell = (v) => (metric === 'count' ? `${v}` : formatValue(Math.round(v)));
+  return (
+    <div style={{ overflow: 'auto', maxHeight: 360 }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+        <caption style={{ textAlign: 'left', fontWeight: 700, padding: '4px 0' }}>{caption}</caption>
+        <thead>
+          <tr>
+            {['', 'A per day', 'B per day', 'Change'].map(h => <th key={h} scope="col" style={tableCellStyle}>{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key}>
+              <th scope="row" style={{ ...tableCellStyle, fontWeight: 600 }}>
+                <span style={{ display: 'inline-flex', gap: 6, alignItems: 'center' }}>
+                  {row.color ? <span aria-hidden style={{ width: 10, height: 10, borderRadius: 999, background: row.color }} /> : null}
+                  {row.label}
+                </span>
+              </th>
+              <td style={tableCellStyle}>{formatCell(row.aPerDay)}</td>
+              <td style={tableCellStyle}>{formatCell(row.bPerDay)}</td>
+              <td style={{ ...tableCellStyle, color: row.change === 0 ? 'var(--muted)' : themeTokens.text, fontWeight: row.change > 0 ? 700 : 400 }}>
+                {formatChange(row, metric, formatValue)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
 
-            {durationMode === 'count' ? (
-              <EmptyState title="Count mode" description="Showing distribution by event count (mocked)." />
-            ) : totalDuration === 0 ? (
-              <EmptyState title="No behavior duration data available for this period." description="" />
-            ) : (
-              <>
-                <div style={{ fontWeight: 800, marginBottom: 6 }}>
-                  {pieMode ? 'Behavior Duration — Pie View' : 'Behavior Duration — Stacked Bar View'}
-                </div>
+const formatFileSize = (bytes) => (bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
 
-                {pieMode ? (
-                  <div role="img" aria-label="Pie chart of behavior duration percentages"
-                       style={{ display: 'grid', gap: 8 }}>
-                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
-                      {BEHAVIOR_CATEGORIES.map((b, idx) => {
-                        const mins = mockDurations[b] || 0;
-                        const pct = totalDuration ? Math.round((mins / totalDuration) * 100) : 0;
-                        const color = pieColor(idx);
-                        return (
-                          <button key={b}
-                                  onClick={() => navigate(`/timeline?behavior=${encodeURIComponent(b)}`)}
-                                  title={`${b}: ${formatHhMm(mins)} (${pct}%) • Click to view in Timeline`}
-                                  aria-label={`Filter timeline by ${b}`}
-                                  style={{ display: 'inline-flex', alignItems: 'center', gap: 6, border: `1px solid ${themeTokens.border}`, padding: '6px 8px', borderRadius: 10, background: 'var(--surface)', cursor: 'pointer' }}>
-                            <span aria-hidden style={{ width: 10, height: 10, borderRadius: 999, background: color, boxShadow: themeTokens.shadow }} />
-                            <span style={{ fontSize: 12, color: themeTokens.text }}>{b}</span>
-                          </button>
-                        );
-                      })}
-                    </div>
-
-                    <div
-                      onClick={onPieClick}
-                      style={{
-                        width: 240,
-                        height: 240,
-                        borderRadius: '50%',
-                        border: `1px solid ${themeTokens.border}`,
-                        boxShadow: themeTokens.shadow,
-                        background: conicGradientFromData(BEHAVIOR_CATEGORIES, mockDurations, totalDuration),
-                        margin: '8px auto',
-                        cursor: 'pointer'
-                      }}
-                      title="Pie chart (click to open Timeline with filter)"
-                      aria-label="Open Timeline filtered by Moving"
-                    />
-                  </div>
-                ) : (
-                  <div role="img" aria-label="Stacked bar chart of behavior duration in hours"
-                       style={{ display: 'grid', gap: 8 }}>
-                    <div style={{
-                      height: 20,
-                      background: 'var(--table-row-hover)',
-                      border: `1px solid ${themeTokens.border}`,
-                      borderRadius: 999,
-                      overflow: 'hidden',
-                      display: 'flex'
-                    }}
-                      title="Cumulative time distribution across behaviors"
-                      aria-label="Cumulative time distribution across behaviors"
-                    >
-                      {BEHAVIOR_CATEGORIES.map((b, idx) => {
-                        const mins = mockDurations[b] || 0;
-                        const widthPct = totalDuration ? (mins / totalDuration) * 100 : 0;
-                        const color = barColor(idx);
-                        return (
-                          <div
-                            key={b}
-                            style={{ width: `${widthPct}%`, background: color }}
-                            title={`${b}: ${formatHhMm(mins)}`}
-                            aria-label={`${b}: ${formatHhMm(mins)}`}
-                            onClick={() => navigate(`/timeline?behavior=${encodeURIComponent(b)}`)}
-                          />
-                        );
-                      })}
-                    </div>
-                  </div>
-                )}
-              </>
-            )}
-          </ChartBlock>
+/**
+ * PUBLIC_INTERFACE
+ * MyExportsPage (/exports): the user's export jobs with state and progress, Cancel for queued and
+ * running jobs, Retry for failed or cancelled ones and Download for finished files.
+ */
+function MyExportsPage() {
+  const { manager, jobs } = useExportJobs();
+  const { user } = useAuth();
+  const userId = user ? user.id : null;
+  const [error, setError] = useState('');
 
-          <ChartBlock title="Daily Activity Pattern">
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(6,1fr)', gap: 6 }}>
-              {Array.from({ length: 18 }).map((_, i) => (
-                <div key={i} title="mock heat"
-                  style={{
-                    height: 22,
-                    borderRadius: 6,
-                    background: `rgba(30,138,91,${0.10 + ((i % 6) * 0.12)})`,
-                    border: `1px solid ${themeTokens.border}`
-                  }}
-                />
-              ))}
-            </div>
-          </ChartBlock>
+  // Visiting the page acknowledges finished jobs, clearing the NavBar count
+  useEffect(() => {
+    manager.markSeen(userId);
+  }, [manager, userId, jobs]);
+
+  const save = async (job) => {
+    setError('');
+    const file = await manager.getFile(job.id);
+    if (file) downloadFile(file.blob, file.fileName, EXPORT_FORMATS[job.format].mimeType);
+    else setError(`The file for "${job.title}" is no longer stored on this device. Retry the export to create it again.`);
+  };
+  const smallBtn = { ...primaryGhostBtnStyle, padding: '4px 10px' };
+
+  return (
+    <AuthedLayout>
+      <div className="card" style={{ borderRadius: 16, padding: 16, display: 'grid', gap: 10 }}>
+        <div style={{ fontWeight: 800 }}>My Exports</div>
+        <div className="muted" style={{ fontSize: 12 }}>
+          Reports you exported on this device, newest first. Finished files stay here so you can download them again.
         </div>
+        {error ? <ErrorState message={error} /> : null}
+        {jobs.length === 0 ? (
+          <EmptyState title="No exports yet" description="Start one from the Reports page." />
+        ) : (
+          <div style={{ overflow: 'auto', border: `1px solid ${themeTokens.border}`, borderRadius: 12 }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+              <caption className="sr-only">Export jobs</caption>
+              <thead>
+                <tr>
+                  {['Report', 'Format', 'Requested', 'Status', ''].map(h => <th key={h || 'actions'} scope="col" style={tableCellStyle}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {jobs.map(job => (
+                  <tr key={job.id}>
+                    <td style={{ ...tableCellStyle, whiteSpace: 'normal' }}>{job.title}</td>
+                    <td style={tableCellStyle}>{EXPORT_FORMATS[job.format].label}</td>
+                    <td style={tableCellStyle}>{formatDateTime(job.createdAt)}</td>
+                    <td style={{ ...tableCellStyle, whiteSpace: 'normal' }}>
+                      {job.state === 'running' ? (
+                        <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                          <progress value={job.progress} max={1} aria-label={`Progress of ${job.title}`} />
+                          {Math.round(job.progress * 100)}%
+                        </div>
+                      ) : (
+                        <span style={{ color: job.state === 'failed' ? themeTokens.error : undefined }}>
+                          {EXPORT_STATE_LABELS[job.state]}
+                          {job.state === 'done' && job.size ? ` • ${formatFileSize(job.size)}` : ''}
+                          {job.state === 'failed' && job.error ? ` – ${job.error}` : ''}
+                        </span>
+                      )}
+                    </td>
+                    <td style={tableCellStyle}>
+                      <div style={{ display: 'flex', gap: 6 }}>
+                        {job.state === 'done' ? <button style={smallBtn} onClick={() => save(job)} aria-label={`Download ${job.fileName}`}>Download</button> : null}
+                        {job.state === 'queued' || job.state === 'running' ? <button style={smallBtn} onClick={() => manager.cancel(job.id)}>Cancel</button> : null}
+                        {job.state === 'failed' || job.state === 'cancelled' ? <button style={smallBtn} onClick={() => manager.retry(job.id)}>Retry</button> : null}
+                        {job.state === 'queued' || job.state === 'running' ? null : (
+                          <button style={smallBtn} onClick={() => manager.remove(job.id)} aria-label={`Remove ${job.title}`}>Remove</button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </AuthedLayout>
+  );
+}
 
-        {/* Action area with consistent tone */}
-        <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-          <button style={primaryBtnStyle} onClick={() => setOpenVideo(true)} title="Open video preview">
-            Open Video Modal
+// PUBLIC_INTERFACE
+function alertTimelinePath(alert) {
+  /** Timeline link scoped to the alert's individual, behavior and window, with reviewed labels. */
+  const view = {
+    ...defaultGlobalView(),
+    species: alert.species,
+    individuals: [alert.individualId],
+    dateRange: customRange(alert.from, addDays(alert.to, -1)),
+    labelSource: 'reviewed',
+  };
+  return `/timeline?${withGlobalView(new URLSearchParams([['behavior', alert.behavior], ['view', 'list']]), view)}`;
+}
+
+function describeAlertValue(alert) {
+  const unit = ALERT_METRICS[alert.metric].unit;
+  if (alert.baseline === null || alert.baseline === undefined) {
+    return `${alert.value} ${unit} (limit ${alert.threshold} ${unit})`;
+  }
+  const change = Math.round(((alert.value - alert.baseline) / alert.baseline) * 100);
+  return `${alert.value} ${unit} vs ${alert.baseline} ${unit} baseline (${change > 0 ? '+' : ''}${change}%)`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * AlertInbox lists welfare alerts by status (`?status=`, open by default) with what triggered them,
+ * Acknowledge / Resolve / Reopen and a link to the Timeline at the triggering window.
+ */
+function AlertInbox() {
+  const api = useApi();
+  const [status, setStatus] = useQueryState('status', 'open');
+  const alerts = useApiQuery(`alerts:${status}`, () => api.getAlerts({ status }));
+  const [error, setError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  const change = async (id, next) => {
+    setBusyId(id);
+    setError('');
+    try {
+      await api.updateAlert(id, { status: next });
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+  const counts = alerts.data ? alerts.data.counts : null;
+  const smallBtn = { ...primaryGhostBtnStyle, padding: '4px 10px' };
+
+  return (
+    <div style={{ display: 'grid', gap: 10 }}>
+      <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }} role="group" aria-label="Alert status">
+        {Object.entries(ALERT_STATUS_LABELS).map(([key, label]) => (
+          <button key={key} style={{ ...primaryGhostBtnStyle, background: status === key ? 'rgba(30,138,91,0.12)' : 'transparent' }}
+            aria-pressed={status === key} onClick={() => setStatus(key)}>
+            {label}{counts ? ` (${counts[key]})` : ''}
           </button>
-          <span style={{ color: 'var(--muted)', fontSize: 12 }}>
-            You can continue exploring while previews are open.
-          </span>
+        ))}
+      </div>
+      {error ? <ErrorState message={error} /> : null}
+      <StaleDataNote cachedAt={alerts.data && alerts.data.cachedAt} />
+      {alerts.status === 'error' ? (
+        <ErrorState message={alerts.error.message} onRetry={alerts.reload} />
+      ) : !alerts.data ? (
+        <LoadingState label="Loading alerts…" />
+      ) : alerts.data.items.length === 0 ? (
+        <EmptyState title={`No ${ALERT_STATUS_LABELS[status].toLowerCase()} alerts`} description="Alerts appear here when a rule below is met." />
+      ) : (
+        <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'grid', gap: 8 }} aria-label="Alerts">
+          {alerts.data.items.map(alert => (
+            <li key={alert.id} className="card" style={{ padding: 12, borderRadius: 12, display: 'grid', gap: 4 }}>
+              <div style={{ display: 'flex', gap: 8, alignItems: 'baseline', flexWrap: 'wrap' }}>
+                <b>{alert.individualName}: {alert.ruleName}</b>
+                <span className="muted" style={{ fontSize: 12 }}>
+                  {alert.window === 'week' ? `Week of ${formatDay(alert.from)}` : formatDay(alert.from)}{alert.partial ? ' (so far)' : ''}
+                </span>
+              </div>
+              <div style={{ fontSize: 13 }}>
+                {alert.behavior} {ALERT_METRICS[alert.metric].label.toLowerCase()}: {describeAlertValue(alert)}
+              </div>
+              {alert.acknowledgedBy || alert.resolvedBy ? (
+                <div className="muted" style={{ fontSize: 12 }}>
+                  {alert.acknowledgedBy ? `Acknowledged by ${alert.acknowledgedBy} ${formatDateTime(alert.acknowledgedAt)}` : ''}
+                  {alert.acknowledgedBy && alert.resolvedBy ? ' • ' : ''}
+                  {alert.resolvedBy ? `Resolved by ${alert.resolvedBy} ${formatDateTime(alert.resolvedAt)}` : ''}
+                </div>
+              ) : null}
+              <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', marginTop: 4 }}>
+                <Link to={alertTimelinePath(alert)} style={{ ...smallBtn, textDecoration: 'none' }}>Open in Timeline</Link>
+                {alert.status === 'open' ? (
+                  <button style={smallBtn} disabled={busyId === alert.id} onClick={() => change(alert.id, 'acknowledged')}>Acknowledge</button>
+                ) : null}
+                {alert.status !== 'resolved' ? (
+                  <button style={smallBtn} disabled={busyId === alert.id} onClick={() => change(alert.id, 'resolved')}>Resolve</button>
+                ) : (
+                  <button style={smallBtn} disabled={busyId === alert.id} onClick={() => change(alert.id, 'open')}>Reopen</button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const NEW_ALERT_RULE = { name: '', individuals: [], behavior: '', metric: 'duration', comparison: 'above', threshold: '60', window: 'day', baselineDays: '7' };
+
+/**
+ * PUBLIC_INTERFACE
+ * AlertRuleForm creates a welfare alert rule: a behavior from the species' ethogram, a metric, a
+ * comparison with its threshold, a window and, for changes against a baseline, the baseline length.
+ */
+function AlertRuleForm({ onCreated, disabled }) {
+  const api = useApi();
+  const { items: registry } = useSpeciesRegistry();
+  const { species: currentSpecies } = useScopedRange();
+  const [draft, setDraft] = useState({ ...NEW_ALERT_RULE, species: currentSpecies });
+  const roster = useIndividuals(draft.species);
+  const ethogram = useEthogram(draft.species);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const set = (patch) => setDraft(d => ({ ...d, ...patch }));
+  const relative = draft.comparison === 'increase' || draft.comparison === 'decrease';
+  const behavior = ethogram.behaviors.includes(draft.behavior) ? draft.behavior : (ethogram.behaviors[0] || '');
+  const labelStyle = { fontSize: 12, color: 'var(--muted)', fontWeight: 700 };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const rule = { ...draft, behavior, threshold: Number(draft.threshold), baselineDays: Number(draft.baselineDays) };
+    const invalid = validateAlertRule(rule, ethogram.behaviors);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+    setBusy(true);
+    setError('');
+    try {
+      await api.createAlertRule(rule);
+      setDraft({ ...NEW_ALERT_RULE, species: draft.species });
+      if (onCreated) onCreated();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} aria-label="New alert rule" style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: 10, alignItems: 'end' }}>
+      <label style={labelStyle}>
+        Species
+        <select aria-label="Rule species" value={draft.species} onChange={(e) => set({ species: e.target.value, individuals: [], behavior: '' })} style={selectStyle}>
+          {(registry || []).filter(entry => entry.available).map(entry => <option key={entry.name}>{entry.name}</option>)}
+        </select>
+      </label>
+      <div style={labelStyle}>
+        Individuals
+        <div style={{ marginTop: 6 }}>
+          <IndividualsSelector value={draft.individuals} onChange={(individuals) => set({ individuals })} roster={roster} showLabel={false} style={{ display: 'flex' }} />
         </div>
       </div>
-      <VideoModal open={openVideo} onClose={() => setOpenVideo(false)} />
-    </AuthedLayout>
+      <label style={labelStyle}>
+        Behavior
+        <select aria-label="Rule behavior" value={behavior} onChange={(e) => set({ behavior: e.target.value })} style={selectStyle}>
+          {ethogram.behaviors.map(b => <option key={b} title={ethogram.definitionOf(b)}>{b}</option>)}
+        </select>
+      </label>
+      <label style={labelStyle}>
+        Metric
+        <select aria-label="Rule metric" value={draft.metric} onChange={(e) => set({ metric: e.target.value })} style={selectStyle}>
+          {Object.entries(ALERT_METRICS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </label>
+      <label style={labelStyle}>
+        Comparison
+        <select aria-label="Rule comparison" value={draft.comparison} onChange={(e) => set({ comparison: e.target.value })} style={selectStyle}>
+          {Object.entries(ALERT_COMPARISONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </label>
+      <label style={labelStyle}>
+        Threshold ({relative ? '%' : ALERT_METRICS[draft.metric].unit})
+        <input aria-label="Rule threshold" type="number" min="0" step="any" value={draft.threshold} onChange={(e) => set({ threshold: e.target.value })} style={{ ...inputStyle, margin: '6px 0 0' }} />
+      </label>
+      <label style={labelStyle}>
+        Window
+        <select aria-label="Rule window" value={draft.window} onChange={(e) => set({ window: e.target.value })} style={selectStyle}>
+          {Object.entries(ALERT_WINDOWS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </label>
+      {relative ? (
+        <label style={labelStyle}>
+          Baseline (days before)
+          <input aria-label="Rule baseline days" type="number" min="1" max="90" value={draft.baselineDays} onChange={(e) => set({ baselineDays: e.target.value })} style={{ ...inputStyle, margin: '6px 0 0' }} />
+        </label>
+      ) : null}
+      <label style={labelStyle}>
+        Name (optional)
+        <input aria-label="Rule name" value={draft.name} placeholder={describeAlertRule({ ...draft, behavior })} onChange={(e) => set({ name: e.target.value })} style={{ ...inputStyle, margin: '6px 0 0' }} />
+      </label>
+      <div>
+        <button type="submit" style={primaryBtnStyle} disabled={disabled || busy || !ethogram.ready} aria-describedby={disabled ? 'alerts-not-permitted' : undefined}>Add rule</button>
+      </div>
+      {error ? <div role="alert" style={{ gridColumn: '1 / -1', color: themeTokens.error, fontSize: 12 }}>{error}</div> : null}
+    </form>
   );
 }
 
-function ChartBlock({ title, children }) {
+// "Giant Anteater: Olivia, Oscar" from the rule's species and individual ids
+function RuleWatches({ rule }) {
+  const roster = useIndividuals(rule.species);
+  return <>{rule.species}: {describeIndividuals(rule.individuals, roster)}</>;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * AlertRules lists the welfare alert rules with their summary and watched individuals, lets
+ * rule managers pause or delete them, and adds new ones with AlertRuleForm.
+ */
+function AlertRules() {
+  const api = useApi();
+  const canManage = useCan('manageAlerts');
+  const rules = useApiQuery('alert-rules', () => api.getAlertRules());
+  const [error, setError] = useState('');
+
+  const act = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
   return (
-    <div className="card" style={{ borderRadius: 16, padding: 16 }}>
-      <div style={{ fontWeight: 800, marginBottom: 8 }}>{title}</div>
-      <div>{children}</div>
+    <div style={{ display: 'grid', gap: 12 }}>
+      {error ? <ErrorState message={error} /> : null}
+      {rules.status === 'error' ? (
+        <ErrorState message={rules.error.message} onRetry={rules.reload} />
+      ) : !rules.data ? (
+        <LoadingState label="Loading rules…" />
+      ) : rules.data.items.length === 0 ? (
+        <div className="muted" style={{ fontSize: 12 }}>No rules yet.</div>
+      ) : (
+        <div style={{ overflow: 'auto', border: `1px solid ${themeTokens.border}`, borderRadius: 12 }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+            <caption className="sr-only">Alert rules</caption>
+            <thead>
+              <tr>
+                {['Rule', 'Condition', 'Watches', 'Active', ''].map(h => <th key={h || 'actions'} scope="col" style={tableCellStyle}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rules.data.items.map(rule => (
+                <tr key={rule.id}>
+                  <td style={{ ...tableCellStyle, whiteSpace: 'normal' }}>{rule.name}</td>
+                  <td style={{ ...tableCellStyle, whiteSpace: 'normal' }}>{describeAlertRule(rule)}</td>
+                  <td style={tableCellStyle}><RuleWatches rule={rule} /></td>
+                  <td style={tableCellStyle}>
+                    <input type="checkbox" checked={rule.enabled} disabled={!canManage} aria-label={`${rule.name} active`}
+                      onChange={(e) => act(() => api.updateAlertRule(rule.id, { enabled: e.target.checked }))} />
+                  </td>
+                  <td style={tableCellStyle}>
+                    <button style={{ ...primaryGhostBtnStyle, padding: '4px 10px' }} disabled={!canManage} aria-label={`Delete ${rule.name}`}
+                      onClick={() => act(() => api.deleteAlertRule(rule.id))}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div style={{ fontWeight: 700 }}>New rule</div>
+      <AlertRuleForm disabled={!canManage} />
+      {canManage ? null : <NotPermitted permission="manageAlerts" id="alerts-not-permitted" />}
     </div>
   );
 }
 
 /**
  * PUBLIC_INTERFACE
- * Timeline supports behavior filter via query param and shows left panel with species/date
+ * AlertsPage (/alerts): the welfare alert inbox and the rules that raise alerts. Rules are
+ * evaluated by the backend against reviewed labels, so alerts appear without anyone watching.
  */
-function TimelinePage() {
-  const [view, setView] = useState('grid');
-  const [zoom, setZoom] = useState(100);
-  const [count, setCount] = useState(12);
-  const [openVideo, setOpenVideo] = useState(false);
-  const [searchParams] = useSearchParams();
-  const initialBehavior = searchParams.get('behavior') || 'All';
-
+function AlertsPage() {
   return (
     <AuthedLayout>
-      <TimelineWithLeftPanel
-        initialBehavior={initialBehavior}
-        view={view}
-        setView={setView}
-        zoom={zoom}
-        setZoom={setZoom}
-        count={count}
-        setCount={setCount}
-        openVideo={openVideo}
-        setOpenVideo={setOpenVideo}
-      />
-    </AuthedLayout>
-  );
-}
-
-function TimelineWithLeftPanel({ initialBehavior, view, setView, zoom, setZoom, count, setCount, openVideo, setOpenVideo }) {
-  const { species, setSpecies, dateRange, setDateRange } = useAuth();
-  const [behaviorFilter, setBehaviorFilter] = useState(initialBehavior);
-
-  useEffect(() => {
-    // mock re-count when behavior changes
-    setCount(behaviorFilter === 'All' ? 12 : 7);
-  }, [behaviorFilter, setCount]);
-
-  return (
-    <div style={{ display: 'grid', gridTemplateColumns: '280px 1fr', gap: 16 }}>
-      <LeftPanelFilters species={species} setSpecies={setSpecies} dateRange={dateRange} setDateRange={setDateRange}
-        extraChildren={
-          <div className="card" style={{ padding: 16, borderRadius: 16 }}>
-            <div style={{ fontWeight: 800, marginBottom: 10 }}>Timeline Filters</div>
-            <div>
-              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Behavior Type</label>
-              <select style={selectStyle} aria-label="Behavior Type" value={behaviorFilter} onChange={(e) => setBehaviorFilter(e.target.value)}>
-                <option>All</option>
-                {BEHAVIOR_CATEGORIES.map(c => (
-                  <option key={c}>{c}</option>
-                ))}
-              </select>
-            </div>
-            <div className="muted" style={{ marginTop: 8, fontSize: 12 }}>
-              Choose a behavior to refine results. You can switch views anytime.
-            </div>
-          </div>
-        }
-      />
-      <div style={{ display: 'grid', gap: 12 }}>
-        {/* Header aligned to Select Animal style */}
-        <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
-          <div style={{ fontWeight: 900, fontSize: 20, flex: '0 0 auto' }}>Behavior Explorer</div>
+      <div style={{ display: 'grid', gap: 16 }}>
+        <div className="card" style={{ borderRadius: 16, padding: 16, display: 'grid', gap: 10 }}>
+          <div style={{ fontWeight: 800 }}>Welfare alerts</div>
           <div className="muted" style={{ fontSize: 12 }}>
-            {count} results
-          </div>
-          <div style={{ marginLeft: 'auto', display: 'flex', gap: 8, alignItems: 'center' }}>
-            <button style={controlBtnStyle} onClick={() => setZoom(z => Math.max(25, z - 25))} title="Zoom out" aria-label="Zoom out">-</button>
-            <div style={{ minWidth: 48, textAlign: 'center' }} aria-live="polite">{zoom}%</div>
-            <button style={controlBtnStyle} onClick={() => setZoom(z => Math.min(200, z + 25))} title="Zoom in" aria-label="Zoom in">+</button>
-            <button
-              style={{ ...primaryGhostBtnStyle, background: view === 'grid' ? 'rgba(52,211,153,0.12)' : 'transparent' }}
-              onClick={() => setView('grid')}
-              title="Grid view"
-              aria-pressed={view === 'grid'}
-            >
-              Grid
-            </button>
-            <button
-              style={{ ...primaryGhostBtnStyle, background: view === 'list' ? 'rgba(52,211,153,0.12)' : 'transparent' }}
-              onClick={() => setView('list')}
-              title="List view"
-              aria-pressed={view === 'list'}
-            >
-              List
-            </button>
-          </div>
-        </div>
-
-        {/* Helper microcopy bar mirroring Select Animal tip card */}
-        <div className="card" style={{ padding: 12, borderRadius: 14, display: 'flex', gap: 8, alignItems: 'center' }}>
-          <div style={{ color: 'var(--muted)', fontSize: 12 }}>
-            Tip: Open any event to preview video. Annotations can be toggled in the modal.
+            Raised when an individual meets a rule in a day or week. Acknowledge an alert you are looking into and resolve it once handled.
           </div>
+          <AlertInbox />
         </div>
-
-        <div style={{ display: 'grid', gridTemplateColumns: view === 'grid' ? 'repeat(auto-fill, minmax(240px,1fr))' : '1fr', gap: 12 }}>
-          {Array.from({ length: count }).map((_, i) => (
-            <BehaviorEventCard key={i} onOpenVideo={() => setOpenVideo(true)} />
-          ))}
+        <div className="card" style={{ borderRadius: 16, padding: 16, display: 'grid', gap: 10 }}>
+          <div style={{ fontWeight: 800 }}>Alert rules</div>
+          <AlertRules />
         </div>
       </div>
-      <VideoModal open={openVideo} onClose={() => setOpenVideo(false)} />
-    </div>
+    </AuthedLayout>
   );
 }
 
-const selectStyle = {
-  width: '100%',
-  background: 'var(--surface)',
-  border: `1px solid ${themeTokens.border}`,
-  color: themeTokens.text,
-  padding: '8px 10px',
-  borderRadius: 12,
-  marginTop: 6,
-  boxShadow: themeTokens.shadow,
-};
+/**
+ * PUBLIC_INTERFACE
+ * useOpenEventDetails returns a function that opens the event drawer by setting `?event=<id>`
+ * on the current page, so every drawer state is also a shareable URL.
+ */
+function useOpenEventDetails() {
+  const [, setSearchParams] = useSearchParams();
+  return useCallback((id) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      next.set('event', id);
+      return next;
+    });
+  }, [setSearchParams]);
+}
 
-function BehaviorEventCard({ onOpenVideo }) {
+// PUBLIC_INTERFACE
+function eventPermalink(id) {
+  /** Absolute link that opens the Timeline with the event drawer for `id`. */
+  return `${window.location.origin}/timeline?event=${encodeURIComponent(id)}`;
+}
+
+function ThumbnailFrame({ src, at }) {
+  const { manager } = useOffline();
+  const [shown, setShown] = useState(src);
+  const [failed, setFailed] = useState(false);
+  const mounted = useRef(true);
+  useEffect(() => {
+    mounted.current = true;
+    return () => { mounted.current = false; };
+  }, []);
+  // The saved copy's object URL is released once it is replaced or the frame unmounts
+  useEffect(() => (shown === src ? undefined : () => URL.revokeObjectURL(shown)), [shown, src]);
+  // Frames are kept for offline use once seen; without network the saved copy is shown instead
+  const onError = async () => {
+    const saved = manager && shown === src ? await manager.imageUrl(src) : null;
+    if (!mounted.current) {
+      if (saved) URL.revokeObjectURL(saved);
+    } else if (saved) setShown(saved);
+    else setFailed(true);
+  };
   return (
-    <div className="card" style={{
-      borderRadius: 16,
-      overflow: 'hidden'
-    }}>
-      <div style={{ height: 120, background: 'var(--table-row-hover)', display: 'grid', placeItems: 'center', color: 'var(--muted)' }}>
-        [ Thumbnail ]
-      </div>
-      <div style={{ padding: 12, display: 'grid', gap: 6 }}>
-        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-          <StatusBadge status="Active" />
-          <span style={{ color: 'var(--muted)', fontSize: 12 }} aria-label="Event time">14:37:09</span>
-        </div>
-        <div className="muted" style={{ fontSize: 14 }}>
-          Behavior: Moving • Confidence: 0.92
-        </div>
-        <div style={{ display: 'flex', gap: 8 }}>
-          <button style={primaryGhostBtnStyle} onClick={onOpenVideo} title="Preview video">View Video</button>
-          <button style={primaryGhostBtnStyle} title="Open details">Open</button>
-        </div>
+    <figure style={{ margin: 0, display: 'grid', gap: 4 }}>
+      <div style={{
+        height: 54, borderRadius: 8, overflow: 'hidden', border: `1px solid ${themeTokens.border}`,
+        background: 'var(--table-row-hover)', display: 'grid', placeItems: 'center', color: 'var(--muted)', fontSize: 10
+      }}>
+        {failed ? 'No frame' : (
+          <img src={shown} alt={`Frame at ${formatClock(at)}`} onError={onError}
+            onLoad={() => { if (manager && shown === src) manager.rememberImage(src); }}
+            style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+        )}
       </div>
-    </div>
+      <figcaption style={{ fontSize: 10, color: 'var(--muted)', textAlign: 'center' }}>{formatClock(at)}</figcaption>
+    </figure>
   );
 }
 
 /**
  * PUBLIC_INTERFACE
- * ReportsPage with Behavior dropdown, date range, hours filters, and mock PDF/Excel download actions
+ * EventDetailDrawer: side drawer with the full event record, neighbors and thumbnail strip.
+ * Rendered by AuthedLayout and driven by the `?event=` query param (permalink).
  */
-function ReportsPage() {
-  const { species, dateRange, setDateRange } = useAuth();
-  const [type, setType] = useState('Behavior Duration Analysis');
-  const [behavior, setBehavior] = useState('All');
-  const [hours, setHours] = useState('All Day');
-  const [openExport, setOpenExport] = useState(false);
-  const [downloading, setDownloading] = useState('');
+function EventDetailDrawer() {
+  const api = useApi();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const openDetails = useOpenEventDetails();
+  const eventId = searchParams.get('event');
+  const [videoOpen, setVideoOpen] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const detail = useApiQuery(eventId ? `detail:${eventId}` : null, () => api.getEventDetail(eventId));
+  const ethogram = useEthogram(detail.data ? detail.data.event.species : null);
 
-  const isBehaviorDuration = type === 'Behavior Duration Analysis';
+  const close = useCallback(() => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      next.delete('event');
+      return next;
+    });
+  }, [setSearchParams]);
+
+  useEffect(() => {
+    setCopied(false);
+  }, [eventId]);
 
-  const triggerDownload = async (fmt) => {
-    setDownloading(fmt);
-    // mock async
-    await new Promise(r => setTimeout(r, 700));
-    alert(`Mock ${fmt.toUpperCase()} export queued.\nType: ${type}\nSpecies: ${species}\nBehavior: ${behavior}\nDate Range: ${dateRange}\nHours: ${hours}`);
-    setDownloading('');
+  useEffect(() => {
+    if (!eventId || videoOpen) return undefined;
+    const onKey = (e) => { if (e.key === 'Escape') close(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [eventId, videoOpen, close]);
+
+  if (!eventId) return null;
+
+  const data = detail.status === 'ready' ? detail.data : null;
+  const ev = data ? data.event : null;
+  const link = eventPermalink(eventId);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
   };
 
+  const row = (label, value) => (
+    <div style={{ display: 'flex', justifyContent: 'space-between', gap: 12, fontSize: 14 }}>
+      <span className="muted">{label}</span>
+      <span style={{ fontWeight: 700, textAlign: 'right' }}>{value}</span>
+    </div>
+  );
+
+  const neighborList = (title, items) => (
+    <div style={{ display: 'grid', gap: 6 }}>
+      <div style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>{title}</div>
+      {items.length === 0 ? <div className="muted" style={{ fontSize: 12 }}>None</div> : items.map(n => (
+        <button
+          key={n.id}
+          onClick={() => openDetails(n.id)}
+          style={{ ...primaryGhostBtnStyle, display: 'flex', justifyContent: 'space-between', gap: 8, fontWeight: 600, fontSize: 12, padding: '6px 10px' }}
+          title={`Open ${n.behavior} at ${formatDateTime(n.start)}`}
+        >
+          <span style={{ display: 'inline-flex', alignItems: 'center', gap: 6 }}>
+            <span aria-hidden style={{ width: 8, height: 8, borderRadius: 999, background: ethogram.colorOf(n.behavior) }} />
+            {n.behavior}
+          </span>
+          <span className="muted">{formatClock(n.start)} • {formatDuration(n.end - n.start)}</span>
+        </button>
+      ))}
+    </div>
+  );
+
   return (
-    <AuthedLayout>
-      <div style={{ display: 'grid', gridTemplateColumns: '320px 1fr', gap: 16 }}>
-        <div className="card" style={{ borderRadius: 16, padding: 16 }}>
-          <div style={{ fontWeight: 800, marginBottom: 10 }}>Report Builder</div>
-          <div style={{ display: 'grid', gap: 10 }}>
-            <div>
-              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Type</label>
-              <select value={type} onChange={(e) => setType(e.target.value)} style={selectStyle}>
-                <option>Behavior Duration Analysis</option>
-                <option>Summary</option>
-                <option>Daily Pattern</option>
-              </select>
-            </div>
-            <div style={{ color: 'var(--muted)', fontSize: 12 }}>
-              {isBehaviorDuration
-                ? 'Shows total time spent in each behavior across selected date range.'
-                : 'Choose a report type to see its description.'}
-            </div>
-            <div>
-              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Date Range</label>
-              <select value={dateRange} onChange={(e) => setDateRange(e.target.value)} style={selectStyle}>
-                <option>Today</option>
-                <option>Last 7 Days</option>
-                <option>Last 30 Days</option>
-                <option>Custom…</option>
-              </select>
-            </div>
-            <div>
-              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Behavior</label>
-              <select value={behavior} onChange={(e) => setBehavior(e.target.value)} style={selectStyle}>
-                <option>All</option>
-                {BEHAVIOR_CATEGORIES.map(c => <option key={c}>{c}</option>)}
-              </select>
-            </div>
-            <div>
-              <label style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 700 }}>Hours</label>
-              <select value={hours} onChange={(e) => setHours(e.target.value)} style={selectStyle}>
-                <option>All Day</option>
-                <option>Daytime</option>
-                <option>Nighttime</option>
-                <option>Custom…</option>
-              </select>
-            </div>
-            <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
-              <button style={primaryBtnStyle} onClick={() => setOpenExport(true)}>Export</button>
-              <button style={primaryGhostBtnStyle} onClick={() => triggerDownload('pdf')} disabled={!!downloading}>
-                {downloading === 'pdf' ? 'Preparing PDF…' : 'Download PDF (mock)'}
-              </button>
-              <button style={primaryGhostBtnStyle} onClick={() => triggerDownload('excel')} disabled={!!downloading}>
-                {downloading === 'excel' ? 'Preparing Excel…' : 'Download Excel (mock)'}
-              </button>
-            </div>
-            <div style={{ color: '#9CA3AF', fontSize: 12 }}>
-              Exports may take a few minutes. You can continue exploring while we generate your report.
-            </div>
-          </div>
-        </div>
-        <div className="card" style={{ borderRadius: 16, padding: 16 }}>
-          <div style={{ fontWeight: 800, marginBottom: 10 }}>
-            Preview {isBehaviorDuration ? '• Behavior Duration Analysis' : ''}
-          </div>
-          <EmptyState
-            title={isBehaviorDuration ? 'No behavior duration data available for this period.' : 'Report Preview'}
-            description={isBehaviorDuration ? '' : 'Preview placeholder for selected type and parameters.'}
-          />
-          <div style={{ marginTop: 12, fontSize: 12, color: 'var(--muted)' }}>
-            Filters applied — Species: <b>{species}</b>, Behavior: <b>{behavior}</b>, Date Range: <b>{dateRange}</b>, Hours: <b>{hours}</b>
-          </div>
+    <>
+      <div onClick={close} aria-hidden style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.25)', zIndex: 40 }} />
+      <aside role="dialog" aria-modal="true" aria-label="Event details" style={{
+        position: 'fixed', top: 0, right: 0, bottom: 0, width: 'min(100%, 440px)', zIndex: 45,
+        background: themeTokens.surface, borderLeft: `1px solid ${themeTokens.border}`, boxShadow: themeTokens.shadow,
+        display: 'grid', gridTemplateRows: 'auto 1fr', color: themeTokens.text
+      }}>
+        <div style={{ padding: 16, borderBottom: `1px solid ${themeTokens.border}`, display: 'flex', justifyContent: 'space-between', alignItems: 'center', background: 'var(--table-header-bg)' }}>
+          <div style={{ fontWeight: 800 }}>Event Details</div>
+          <button style={primaryGhostBtnStyle} onClick={close} title="Close details">Close</button>
         </div>
-      </div>
-      {openExport && (
-        <div role="dialog" aria-modal="true" style={{
-          position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.6)', display: 'grid', placeItems: 'center', zIndex: 60
-        }}>
-          <div className="card" style={{ width: 420, padding: 16 }}>
-            <div style={{ fontWeight: 900, marginBottom: 10 }}>Export Report</div>
-            <div style={{ color: '#D1D5DB', marginBottom: 16 }}>
-              Your report "{type}" for {dateRange} is being generated. We will notify you when it’s ready.
-            </div>
-            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
-              <button style={primaryGhostBtnStyle} onClick={() => setOpenExport(false)}>Close</button>
-              <button style={primaryBtnStyle} onClick={() => setOpenExport(false)}>Okay</button>
-            </div>
-          </div>
+        <div style={{ overflowY: 'auto', padding: 16, display: 'grid', gap: 16, alignContent: 'start' }}>
+          {detail.status === 'error' ? (
+            <ErrorState message={detail.error.message} onRetry={detail.reload} />
+          ) : !ev ? (
+            <LoadingState label="Loading event…" />
+          ) : (
+            <>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <StatusBadge status={ethogram.statusOf(ev.behavior)} />
+                <span style={{ fontWeight: 900, fontSize: 18 }}>{ev.behavior}</span>
+              </div>
+              {ethogram.definitionOf(ev.behavior) ? (
+                <div className="muted" style={{ fontSize: 13 }}>{ethogram.definitionOf(ev.behavior)}</div>
+              ) : null}
+              <div style={{ display: 'grid', gridTemplateColumns: `repeat(${data.thumbnails.length}, 1fr)`, gap: 6 }} aria-label="Thumbnail strip">
+                {data.thumbnails.map(th => <ThumbnailFrame key={th.at} src={th.src} at={th.at} />)}
+              </div>
+              <div style={{ display: 'grid', gap: 6 }}>
+                {row('Species', ev.species)}
+                {ev.individualName ? row('Individual', `${ev.individualName} (${ev.individualId})`) : null}
+                {row('Start', formatDateTime(ev.start))}
+                {row('End', formatDateTime(ev.end))}
+                {row('Duration', formatDuration(ev.end - ev.start))}
+                {row('Confidence', ev.confidence.toFixed(2))}
+                {row('Model version', ev.modelVersion)}
+                {row('Camera', ev.camera)}
+                {row('Event ID', ev.id)}
+              </div>
+              <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+                <button style={primaryBtnStyle} onClick={() => setVideoOpen(true)} title="Play this event">Play Clip</button>
+                <button style={primaryGhostBtnStyle} onClick={copyLink} title="Copy a link to this event">
+                  {copied ? 'Link copied' : 'Copy Link'}
+                </button>
+              </div>
+              <input readOnly aria-label="Permalink" value={link} onFocus={(e) => e.target.select()} style={{ ...inputStyle, margin: 0, fontSize: 12 }} />
+              {neighborList('Previous events', data.neighbors.before)}
+              {neighborList('Next events', data.neighbors.after)}
+            </>
+          )}
         </div>
-      )}
-    </AuthedLayout>
+      </aside>
+      <VideoModal open={videoOpen} eventId={eventId} onClose={() => setVideoOpen(false)} />
+    </>
   );
 }
 
-
-
 /**
  * Layout wrapper for authenticated pages:
  * includes ConnectionBanner and NavBar
  * Adds left panel layout option and stores species/date in auth context for app-wide usage.
  */
 function AuthedLayout({ children }) {
-  const { connLost, setConnLost } = useAuth();
+  const registry = useSpeciesRegistry();
 
   return (
     <div style={{ minHeight: '100vh', background: themeTokens.background, color: themeTokens.text }}>
-      <ConnectionBanner
-        visible={true}
-        message={connLost ? 'Connection Status: Offline – Check your network' : 'Connection Status: Online'}
-      />
+      <ConnectionBanner />
       <NavBar />
+      <ViewStateSync />
       <div style={{ padding: 16, maxWidth: 1200, margin: '0 auto' }}>
         <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}>
           <span title="Project status" style={{ fontSize: 12, color: 'var(--muted)' }}>
             Environment: {process.env.REACT_APP_NODE_ENV || 'development'} • API: {process.env.REACT_APP_API_BASE || 'mock'}
           </span>
         </div>
-        {children}
+        {registry.status === 'error' ? (
+          <ErrorState message={`Species could not be loaded: ${registry.error.message}`} onRetry={registry.reload} />
+        ) : children}
+        <EventDetailDrawer />
         <div style={{ marginTop: 16 }}>
-          <button style={primaryGhostBtnStyle} onClick={() => setConnLost(v => !v)}>
-            Toggle Connection Status
-          </button>
-          <span style={{ marginLeft: 8, color: 'var(--muted)', fontSize: 12 }}>
+          <span style={{ color: 'var(--muted)', fontSize: 12 }}>
             Tip: Behavior terms remain consistent across Dashboard, Timeline, and Reports for easy analysis.
           </span>
         </div>
@@ -1346,66 +4578,361 @@ function AuthedLayout({ children }) {
   );
 }
 
+function AdminUsers() {
+  const api = useApi();
+  const { user: me } = useAuth();
+  const users = useApiQuery('admin:users', () => api.listUsers());
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const update = async (target, patch) => {
+    setBusyId(target.id);
+    setError('');
+    try {
+      await api.updateUser(target.id, patch);
+    } catch (e) {
+      setError(e.message || 'Could not update the user.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (users.status === 'error') return <ErrorState message={users.error.message} onRetry={users.reload} />;
+  if (!users.data) return <LoadingState label="Loading users…" />;
+  return (
+    <div style={{ display: 'grid', gap: 8 }}>
+      {error ? <ErrorState message={error} /> : null}
+      <div style={{ overflow: 'auto', border: `1px solid ${themeTokens.border}`, borderRadius: 12 }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+          <caption className="sr-only">Users</caption>
+          <thead>
+            <tr>
+              {['Name', 'Email', 'Role', 'Status', 'Last login', 'Actions'].map(h => <th key={h} scope="col" style={tableCellStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {users.data.items.map(u => {
+              const self = me && me.id === u.id;
+              const active = u.status === 'active';
+              const selfNote = self ? 'You cannot change your own role or deactivate your own account.' : undefined;
+              return (
+                <tr key={u.id} style={{ color: active ? themeTokens.text : 'var(--muted)' }}>
+                  <td style={tableCellStyle}>{u.name}{self ? ' (you)' : ''}</td>
+                  <td style={tableCellStyle}>{u.email}</td>
+                  <td style={tableCellStyle}>
+                    <select
+                      aria-label={`Role for ${u.email}`}
+                      value={u.role}
+                      disabled={self || busyId === u.id}
+                      title={selfNote}
+                      onChange={(e) => update(u, { role: e.target.value })}
+                      style={{ ...selectStyle, marginTop: 0, width: 'auto' }}
+                    >
+                      {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                    </select>
+                  </td>
+                  <td style={tableCellStyle}>{active ? 'Active' : 'Deactivated'}</td>
+                  <td style={tableCellStyle} title={u.lastLoginAt ? formatDateTime(u.lastLoginAt) : undefined}>
+                    {u.lastLoginAt ? formatDateTime(u.lastLoginAt) : 'Never'}
+                  </td>
+                  <td style={tableCellStyle}>
+                    <button
+                      style={{ ...primaryGhostBtnStyle, padding: '4px 10px' }}
+                      disabled={self || busyId === u.id}
+                      title={selfNote}
+                      aria-label={`${active ? 'Deactivate' : 'Reactivate'} ${u.email}`}
+                      onClick={() => update(u, { status: active ? 'deactivated' : 'active' })}
+                    >
+                      {active ? 'Deactivate' : 'Reactivate'}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="muted" style={{ fontSize: 12 }}>
+        Deactivated users are signed out everywhere and cannot sign in until reactivated. Role changes take effect immediately.
+      </div>
+    </div>
+  );
+}
+
+const INVITATION_STATUS_LABELS = { pending: 'Pending', accepted: 'Accepted', revoked: 'Revoked', expired: 'Expired' };
+
+function AdminInvitations() {
+  const api = useApi();
+  const invitations = useApiQuery('admin:invitations', () => api.listInvitations());
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState(ROLES[0]);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(null); // last invitation created here
+  const [copied, setCopied] = useState(false);
+  const sentLink = sent && sent.acceptPath ? `${window.location.origin}${sent.acceptPath}` : '';
+
+  const send = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError('');
+    setCopied(false);
+    try {
+      setSent(await api.inviteUser({ email, role }));
+      setEmail('');
+    } catch (err) {
+      setError(err.message || 'Could not send the invitation.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const revoke = async (id) => {
+    setError('');
+    try {
+      await api.revokeInvitation(id);
+    } catch (err) {
+      setError(err.message || 'Could not revoke the invitation.');
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(sentLink);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <div style={{ display: 'grid', gap: 10 }}>
+      <form onSubmit={send} style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+        <input
+          type="email"
+          aria-label="Invite email"
+          placeholder="name@research.org"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          style={{ ...inputStyle, margin: 0, width: 260 }}
+        />
+        <select aria-label="Invite role" value={role} onChange={(e) => setRole(e.target.value)} style={{ ...selectStyle, marginTop: 0, width: 'auto' }}>
+          {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+        </select>
+        <button type="submit" style={primaryBtnStyle} disabled={sending || !email}>{sending ? 'Sending…' : 'Send invite'}</button>
+      </form>
+      {error ? <ErrorState message={error} /> : null}
+      {sent ? (
+        <div role="status" style={{ display: 'grid', gap: 6, fontSize: 13 }}>
+          <div>Invitation sent to <b>{sent.email}</b> as {sent.role}. The link expires {formatDateTime(sent.expiresAt)}.</div>
+          {sentLink ? (
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+              <input readOnly aria-label="Invite link" value={sentLink} onFocus={(e) => e.target.select()} style={{ ...inputStyle, margin: 0, fontSize: 12 }} />
+              <button type="button" style={primaryGhostBtnStyle} onClick={copyLink}>{copied ? 'Link copied' : 'Copy Link'}</button>
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+      {invitations.status === 'error' ? (
+        <ErrorState message={invitations.error.message} onRetry={invitations.reload} />
+      ) : !invitations.data ? (
+        <LoadingState label="Loading invitations…" />
+      ) : invitations.data.items.length === 0 ? (
+        <div className="muted" style={{ fontSize: 12 }}>No invitations yet.</div>
+      ) : (
+        <div style={{ overflow: 'auto', border: `1px solid ${themeTokens.border}`, borderRadius: 12 }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+            <caption className="sr-only">Invitations</caption>
+            <thead>
+              <tr>
+                {['Email', 'Role', 'Status', 'Invited', 'Expires', ''].map(h => <th key={h || 'actions'} scope="col" style={tableCellStyle}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {invitations.data.items.map(inv => (
+                <tr key={inv.id}>
+                  <td style={tableCellStyle}>{inv.email}</td>
+                  <td style={tableCellStyle}>{inv.role}</td>
+                  <td style={tableCellStyle}>{INVITATION_STATUS_LABELS[inv.status] || inv.status}</td>
+                  <td style={tableCellStyle} title={`By ${inv.invitedBy}`}>{formatDateTime(inv.createdAt)}</td>
+                  <td style={tableCellStyle}>{formatDateTime(inv.expiresAt)}</td>
+                  <td style={tableCellStyle}>
+                    {inv.status === 'pending' ? (
+                      <button style={{ ...primaryGhostBtnStyle, padding: '4px 10px' }} onClick={() => revoke(inv.id)} aria-label={`Revoke invitation for ${inv.email}`}>
+                        Revoke
+                      </button>
+                    ) : null}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
 /**
  * PUBLIC_INTERFACE
- * Root App with Router and protected routes
+ * AdminPage (/admin, Admins only): users with role changes, deactivation and last login;
+ * email invitations; and the role → permission matrix.
  */
-function ProtectedRoute({ children }) {
-  const { authed } = useAuth();
-  if (!authed) return <Navigate to="/login" replace />;
+function AdminPage() {
+  const matrix = [
+    ['Permission', ...ROLES],
+    ...Object.entries(PERMISSIONS).map(([key, label]) => [label, ...ROLES.map(role => (permissionsFor(role).includes(key) ? 'Yes' : '—'))]),
+  ];
+  return (
+    <AuthedLayout>
+      <div style={{ display: 'grid', gap: 16 }}>
+        <div className="card" style={{ borderRadius: 16, padding: 16, display: 'grid', gap: 10 }}>
+          <div style={{ fontWeight: 800 }}>Users</div>
+          <AdminUsers />
+        </div>
+        <div className="card" style={{ borderRadius: 16, padding: 16, display: 'grid', gap: 10 }}>
+          <div style={{ fontWeight: 800 }}>Invite users</div>
+          <div className="muted" style={{ fontSize: 12 }}>
+            We email a sign-up link for the chosen role. It works once and expires after 7 days.
+          </div>
+          <AdminInvitations />
+        </div>
+        <div className="card" style={{ borderRadius: 16, padding: 16, display: 'grid', gap: 10 }}>
+          <div style={{ fontWeight: 800 }}>Roles & permissions</div>
+          <div className="muted" style={{ fontSize: 12 }}>
+            Every account has one role. Actions a role does not include stay visible but are disabled with an explanation.
+          </div>
+          <ReportTable rows={matrix} caption="Permissions granted to each role" />
+        </div>
+      </div>
+    </AuthedLayout>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Root App with Router and protected routes. `permission` (see permissions.js) limits a route to
+ * roles that grant it; other signed-in users see a "Not permitted" page.
+ */
+function ProtectedRoute({ children, permission }) {
+  const { authed, user, sessionEnd } = useAuth();
+  const location = useLocation();
+  // Remember the requested view so a shared link (or an expired session) resumes after sign-in
+  if (!authed) return <Navigate to="/login" replace state={{ from: location, reason: sessionEnd }} />;
+  if (permission && !can(user, permission)) {
+    return (
+      <AuthedLayout>
+        <NotPermitted permission={permission} page />
+      </AuthedLayout>
+    );
+  }
   return children;
 }
 
 // PUBLIC_INTERFACE
-function App() {
-  const [authed, setAuthed] = useState(false);
-  const [user, setUser] = useState(null); // { email, role }
-  const [connLost, setConnLost] = useState(false);
-  const [dateRange, setDateRange] = useState('Last 7 Days');
-  const [species, setSpecies] = useState('Giant Anteater');
+function App({ apiClient }) {
+  // A client may be injected (tests); otherwise HTTP or the local mock server per environment
+  const [api] = useState(() => apiClient || createDefaultApiClient());
+  const { auth } = api;
+  const [session, setSession] = useState(() => auth.getSession()); // persisted across reloads
+  const [sessionEnd, setSessionEnd] = useState(null); // signed_out|expired
+  // Shared filters start from the link that opened the app, if it carries any
+  const [initialView] = useState(() => {
+    const params = new URLSearchParams(window.location.search);
+    return hasGlobalView(params) ? decodeGlobalView(params) : defaultGlobalView();
+  });
+  const [dateRange, setDateRange] = useState(initialView.dateRange); // { preset, from, to }
+  const [species, setSpecies] = useState(initialView.species);
+  const [individuals, setIndividuals] = useState(initialView.individuals); // ids; [] = whole species
+  const [labelSource, setLabelSource] = useState(initialView.labelSource); // ai|reviewed
+  const [hours, setHours] = useState(initialView.hours);
 
   useEffect(() => {
     // Theme is controlled via CSS variables; no explicit attribute required.
   }, []);
 
+  useEffect(() => auth.subscribe((next, reason) => {
+    setSession(next);
+    setSessionEnd(next ? null : reason);
+  }), [auth]);
+
+  useEffect(() => {
+    // A restored session re-reads the identity (and ends here if its tokens were revoked)
+    if (auth.getSession()) auth.me().catch(() => {});
+  }, [auth]);
+
+  const authed = !!session;
+  const user = session ? session.user : null;
   const authValue = useMemo(() => ({
-    authed, setAuthed,
-    user, setUser,
-    connLost, setConnLost,
+    authed, user, auth, sessionEnd,
     dateRange, setDateRange,
-    species, setSpecies
-  }), [authed, user, connLost, dateRange, species]);
+    species, setSpecies,
+    individuals, setIndividuals,
+    labelSource, setLabelSource,
+    hours, setHours
+  }), [authed, user, auth, sessionEnd, dateRange, species, individuals, labelSource, hours]);
 
   return (
     <AuthContext.Provider value={authValue}>
-      <BrowserRouter>
-        <Routes>
-          <Route path="/login" element={<LoginPage />} />
-          <Route path="/register" element={<RegistrationPage />} />
-          <Route path="/select-animal" element={
-            <ProtectedRoute>
-              <AnimalSelectPage />
-            </ProtectedRoute>
-          } />
-          <Route path="/dashboard" element={
-            <ProtectedRoute>
-              <DashboardPage />
-            </ProtectedRoute>
-          } />
-          <Route path="/timeline" element={
-            <ProtectedRoute>
-              <TimelinePage />
-            </ProtectedRoute>
-          } />
-          <Route path="/reports" element={
-            <ProtectedRoute>
-              <ReportsPage />
-            </ProtectedRoute>
-          } />
-          <Route path="/" element={<Navigate to="/login" replace />} />
-          <Route path="*" element={<Navigate to="/dashboard" replace />} />
-        </Routes>
-      </BrowserRouter>
+      <ApiContext.Provider value={api}>
+        <SpeciesRegistryProvider>
+          <OfflineProvider>
+            <ExportJobsProvider>
+              <LiveProvider>
+                <BrowserRouter>
+                  <Routes>
+                    <Route path="/login" element={<LoginPage />} />
+                    <Route path="/register" element={<RegistrationPage />} />
+                    <Route path="/accept-invite" element={<AcceptInvitePage />} />
+                    <Route path="/select-animal" element={
+                      <ProtectedRoute>
+                        <AnimalSelectPage />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/dashboard" element={
+                      <ProtectedRoute>
+                        <DashboardPage />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/timeline" element={
+                      <ProtectedRoute>
+                        <TimelinePage />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/compare" element={
+                      <ProtectedRoute>
+                        <ComparePage />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/reports" element={
+                      <ProtectedRoute>
+                        <ReportsPage />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/alerts" element={
+                      <ProtectedRoute>
+                        <AlertsPage />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/exports" element={
+                      <ProtectedRoute permission="export">
+                        <MyExportsPage />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/admin" element={
+                      <ProtectedRoute permission="admin">
+                        <AdminPage />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="/" element={<Navigate to="/login" replace />} />
+                    <Route path="*" element={<Navigate to="/dashboard" replace />} />
+                  </Routes>
+                </BrowserRouter>
+              </LiveProvider>
+            </ExportJobsProvider>
+          </OfflineProvider>
+        </SpeciesRegistryProvider>
+      </ApiContext.Provider>
     </AuthContext.Provider>
   );
 }
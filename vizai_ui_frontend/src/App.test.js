@@ -1,8 +1,385 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
 import App from './App';
+import { createApiClient, createMockTransport } from './apiClient';
+import { createAuthClient } from './auth';
+import { createLiveStream, createMockLiveConnector } from './liveStream';
+import { createMockServer, DEMO_PASSWORD } from './mockServer';
+import { createMemoryStore, createOfflineManager } from './offline';
 
 test('renders VizAI login title', () => {
   render(<App />);
   const title = screen.getByText(/Welcome to VizAI/i);
   expect(title).toBeInTheDocument();
 });
+
+test('a deep link opened before signing in is restored after login', async () => {
+  window.history.pushState({}, '', '/timeline?species=Pangolin&range=Yesterday&view=list');
+  render(<App />);
+  fireEvent.change(document.querySelector('input[name=email]'), { target: { value: 'researcher@viz.ai' } });
+  fireEvent.change(document.querySelector('input[name=password]'), { target: { value: DEMO_PASSWORD } });
+  fireEvent.click(screen.getByText('Sign In'));
+  await waitFor(() => expect(screen.getByText('List').getAttribute('aria-pressed')).toBe('true'));
+  expect(window.location.pathname).toBe('/timeline');
+  expect(window.location.search).toMatch(/species=Pangolin&range=Yesterday/);
+  expect(screen.getAllByLabelText('Species')[0].value).toBe('Pangolin');
+});
+
+test('the session survives a reload and Sign out ends it', async () => {
+  const { unmount } = render(<App />);
+  unmount();
+  window.history.pushState({}, '', '/reports');
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: /Riley Chen/ }));
+  expect(screen.getByRole('menu', { name: 'Account' })).toHaveTextContent('researcher@viz.aiResearcher');
+  fireEvent.click(screen.getByRole('menuitem', { name: 'Sign out' }));
+  expect(await screen.findByText(/Welcome to VizAI/i)).toBeInTheDocument();
+  expect(window.localStorage.getItem('vizai.session')).toBeNull();
+
+  fireEvent.change(document.querySelector('input[name=email]'), { target: { value: 'researcher@viz.ai' } });
+  fireEvent.change(document.querySelector('input[name=password]'), { target: { value: 'wrong-password' } });
+  fireEvent.click(screen.getByText('Sign In'));
+  expect(await screen.findByText('Incorrect email or password.')).toBeInTheDocument();
+});
+
+test('an expired session returns to the requested page after signing in again', async () => {
+  window.localStorage.setItem('vizai.session', JSON.stringify({
+    accessToken: 'at-revoked',
+    refreshToken: 'rt-revoked',
+    expiresAt: Date.now() + 600000,
+    refreshExpiresAt: Date.now() + 3600000,
+    user: { id: 'user-1', email: 'researcher@viz.ai', name: 'Riley Chen', role: 'Researcher' },
+  }));
+  window.history.pushState({}, '', '/timeline?view=grid');
+  render(<App />);
+  expect(await screen.findByText(/Your session has expired/)).toBeInTheDocument();
+  fireEvent.change(document.querySelector('input[name=email]'), { target: { value: 'researcher@viz.ai' } });
+  fireEvent.change(document.querySelector('input[name=password]'), { target: { value: DEMO_PASSWORD } });
+  fireEvent.click(screen.getByText('Sign In'));
+  await waitFor(() => expect(screen.getByText('Grid').getAttribute('aria-pressed')).toBe('true'));
+  expect(window.location.pathname).toBe('/timeline');
+});
+
+test('Field Observers see export and admin as not permitted', async () => {
+  window.localStorage.clear();
+  window.history.pushState({}, '', '/reports');
+  render(<App />);
+  fireEvent.change(document.querySelector('input[name=email]'), { target: { value: 'observer@viz.ai' } });
+  fireEvent.change(document.querySelector('input[name=password]'), { target: { value: DEMO_PASSWORD } });
+  fireEvent.click(screen.getByText('Sign In'));
+  const download = await screen.findByRole('button', { name: 'Download CSV' });
+  expect(download).toBeDisabled();
+  expect(download).toHaveAccessibleDescription(/limited to Researcher and Admin accounts\. Your role is Field Observer\./);
+  expect(screen.queryByRole('link', { name: 'Admin' })).toBeNull();
+
+  window.history.pushState({}, '', '/admin');
+  fireEvent.popState(window);
+  expect(await screen.findByRole('note', { name: 'Not permitted' })).toHaveTextContent('Managing users and roles is limited to Admin accounts.');
+});
+
+test('an admin invites a user who signs up from the emailed link', async () => {
+  window.localStorage.clear();
+  window.history.pushState({}, '', '/admin');
+  render(<App />);
+  fireEvent.change(document.querySelector('input[name=email]'), { target: { value: 'admin@viz.ai' } });
+  fireEvent.change(document.querySelector('input[name=password]'), { target: { value: DEMO_PASSWORD } });
+  fireEvent.click(screen.getByText('Sign In'));
+  expect(await screen.findByLabelText('Role for observer@viz.ai')).toHaveValue('Field Observer');
+  expect(screen.getByLabelText('Role for admin@viz.ai')).toBeDisabled();
+
+  fireEvent.change(screen.getByLabelText('Invite email'), { target: { value: 'keeper@zoo.org' } });
+  fireEvent.click(screen.getByText('Send invite'));
+  const link = await screen.findByLabelText('Invite link');
+  expect(await screen.findByRole('button', { name: 'Revoke invitation for keeper@zoo.org' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /Alex Moreno/ }));
+  fireEvent.click(screen.getByRole('menuitem', { name: 'Sign out' }));
+  await screen.findByText('Sign In');
+  window.history.pushState({}, '', new URL(link.value).pathname + new URL(link.value).search);
+  fireEvent.popState(window);
+  expect(await screen.findByText(/You were invited as/)).toHaveTextContent('You were invited as Researcher with keeper@zoo.org.');
+  fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Jo Keeper' } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'long-enough' } });
+  fireEvent.change(screen.getByLabelText('Confirm Password'), { target: { value: 'long-enough' } });
+  fireEvent.click(screen.getByText('Create account'));
+  await waitFor(() => expect(window.location.pathname).toBe('/select-animal'));
+});
+
+test('monitoring one individual scopes every page to it', async () => {
+  window.localStorage.clear();
+  window.history.pushState({}, '', '/select-animal');
+  render(<App />);
+  fireEvent.change(document.querySelector('input[name=email]'), { target: { value: 'researcher@viz.ai' } });
+  fireEvent.change(document.querySelector('input[name=password]'), { target: { value: DEMO_PASSWORD } });
+  fireEvent.click(screen.getByText('Sign In'));
+  // Species cards come from the registry
+  expect(await screen.findByText('Expected: Feb 2026')).toBeInTheDocument();
+  fireEvent.click(await screen.findByRole('button', { name: 'Monitor Pepita' }));
+  await waitFor(() => expect(window.location.pathname).toBe('/dashboard'));
+  expect(window.location.search).toMatch(/individuals=ga-03/);
+  expect(await screen.findByRole('button', { name: 'Individuals: Pepita' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('link', { name: 'Timeline' }));
+  fireEvent.click(await screen.findByText('List'));
+  const cards = await screen.findAllByLabelText('Individual', {}, { timeout: 3000 });
+  expect(cards.every(card => card.textContent === 'Pepita')).toBe(true);
+});
+
+test('live detections raise a new-events indicator on the Timeline', async () => {
+  window.localStorage.clear();
+  let clock = Date.now();
+  const server = createMockServer({ latencyMs: 0, now: () => clock, requireAuth: true });
+  const transport = createMockTransport(server);
+  const auth = createAuthClient({ transport, now: () => clock });
+  const live = createLiveStream({ connector: createMockLiveConnector(server, { intervalMs: 50, latencyMs: 0 }), now: () => clock });
+  await auth.login('researcher@viz.ai', DEMO_PASSWORD);
+  window.history.pushState({}, '', '/timeline?view=list');
+  render(<App apiClient={createApiClient({ transport, auth, live })} />);
+  expect(await screen.findByText(/Live: new detections appear as they happen/)).toBeInTheDocument();
+  const before = Number((await screen.findByText(/^\d+ results$/)).textContent.split(' ')[0]);
+
+  // Two hours of detections arrive; the list catches up when asked
+  clock += 2 * 3600 * 1000;
+  const indicator = await screen.findByRole('button', { name: /^\d+ new events?$/ });
+  const added = Number(indicator.textContent.split(' ')[0]);
+  fireEvent.click(indicator);
+  await waitFor(() => expect(screen.getByText(/^\d+ results$/)).toHaveTextContent(`${before + added} results`));
+  expect(screen.queryByRole('button', { name: /new events?$/ })).toBeNull();
+});
+
+test('a species suggested offline is queued and sent when the network returns', async () => {
+  window.localStorage.clear();
+  const network = Object.assign(new EventTarget(), { navigator: { onLine: true } });
+  const setOnline = (online) => {
+    network.navigator.onLine = online;
+    network.dispatchEvent(new Event(online ? 'online' : 'offline'));
+  };
+  const server = createMockServer({ latencyMs: 0, requireAuth: true });
+  const transport = createMockTransport(server, { network });
+  const auth = createAuthClient({ transport });
+  const offline = createOfflineManager({ store: createMemoryStore(), network });
+  await auth.login('researcher@viz.ai', DEMO_PASSWORD);
+  window.history.pushState({}, '', '/select-animal');
+  const client = createApiClient({ transport, auth, offline });
+  render(<App apiClient={client} />);
+  await screen.findByText('Giant Anteater');
+
+  setOnline(false);
+  expect(await screen.findByText(/Offline – showing saved data/)).toBeInTheDocument();
+  fireEvent.click(screen.getAllByRole('button', { name: 'Suggest a new species' })[0]);
+  fireEvent.change(screen.getByLabelText('Species Name'), { target: { value: 'Red Panda' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Submit' }));
+  expect(await screen.findByText(/your suggestion will be sent when you are back online/)).toBeInTheDocument();
+  expect(screen.getByText(/1 change queued/)).toBeInTheDocument();
+
+  setOnline(true);
+  await waitFor(() => expect(screen.queryByRole('status', { name: 'Connection status' })).toBeNull());
+  await expect(client.suggestSpecies({ name: 'Red Panda' })).rejects.toMatchObject({ status: 409 });
+});
+
+test('an export runs in the background and stays in My Exports', async () => {
+  window.localStorage.clear();
+  URL.createObjectURL = jest.fn(() => 'blob:export');
+  URL.revokeObjectURL = jest.fn();
+  window.history.pushState({}, '', '/reports?type=Summary');
+  render(<App />);
+  fireEvent.change(document.querySelector('input[name=email]'), { target: { value: 'researcher@viz.ai' } });
+  fireEvent.change(document.querySelector('input[name=password]'), { target: { value: DEMO_PASSWORD } });
+  fireEvent.click(screen.getByText('Sign In'));
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Export' }));
+  fireEvent.change(screen.getByLabelText('Format'), { target: { value: 'csv' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Start export' }));
+  expect(screen.getByRole('dialog', { name: 'Export report' })).toHaveTextContent(/is being generated/);
+  fireEvent.click(screen.getByRole('button', { name: 'Okay' }));
+
+  // The NavBar reports the finished job while the user is elsewhere
+  const exportsLink = screen.getByTitle('Your exports and past downloads');
+  await waitFor(() => expect(exportsLink).toHaveTextContent('1 ready'), { timeout: 5000 });
+  expect(URL.createObjectURL).not.toHaveBeenCalled();
+
+  fireEvent.click(exportsLink);
+  const row = (await screen.findByRole('button', { name: /^Download vizai-summary-.*\.csv$/ })).closest('tr');
+  expect(row).toHaveTextContent(/Summary • Giant Anteater/);
+  expect(row).toHaveTextContent(/Done/);
+  await waitFor(() => expect(screen.getByTitle('Your exports and past downloads')).toHaveTextContent(/^My Exports$/));
+  fireEvent.click(screen.getByRole('button', { name: /^Download vizai-summary-/ }));
+  await waitFor(() => expect(URL.createObjectURL).toHaveBeenCalledTimes(1));
+});
+
+test('a welfare alert is acknowledged from the inbox and opens the Timeline at its day', async () => {
+  window.localStorage.clear();
+  window.history.pushState({}, '', '/alerts');
+  render(<App />);
+  fireEvent.change(document.querySelector('input[name=email]'), { target: { value: 'researcher@viz.ai' } });
+  fireEvent.change(document.querySelector('input[name=password]'), { target: { value: DEMO_PASSWORD } });
+  fireEvent.click(screen.getByText('Sign In'));
+
+  const inbox = await screen.findByRole('list', { name: 'Alerts' });
+  const first = inbox.querySelector('li');
+  await waitFor(() => expect(screen.getByRole('link', { name: /^Alerts/ })).toHaveTextContent(/Alerts\d+/));
+  fireEvent.click(within(first).getByRole('button', { name: 'Acknowledge' }));
+  fireEvent.click(await screen.findByRole('button', { name: 'Acknowledged (1)' }, { timeout: 3000 }));
+  const acknowledged = (await screen.findByText(/^Acknowledged by researcher@viz\.ai/)).closest('li');
+  const [, behavior] = /([A-Z][a-z]+) duration:/.exec(acknowledged.textContent);
+  fireEvent.click(within(acknowledged).getByRole('link', { name: 'Open in Timeline' }));
+  await waitFor(() => expect(window.location.pathname).toBe('/timeline'));
+  const search = new URLSearchParams(window.location.search);
+  expect(search.get('behavior')).toBe(behavior);
+  expect(search.get('labels')).toBe('reviewed');
+  expect(search.get('range')).toBe('Custom');
+});
+
+test('the Dashboard compares every behavior with the previous period', async () => {
+  window.localStorage.clear();
+  window.history.pushState({}, '', '/dashboard?range=Last+7+Days&metric=count');
+  render(<App />);
+  fireEvent.change(document.querySelector('input[name=email]'), { target: { value: 'researcher@viz.ai' } });
+  fireEvent.change(document.querySelector('input[name=password]'), { target: { value: DEMO_PASSWORD } });
+  fireEvent.click(screen.getByText('Sign In'));
+
+  fireEvent.change(await screen.findByLabelText('Compare to'), { target: { value: 'previous' } });
+  expect(new URLSearchParams(window.location.search).get('compare')).toBe('previous');
+  const table = await screen.findByRole('table', { name: 'Behavior change against the baseline' }, { timeout: 3000 });
+  const pacing = within(table).getByRole('row', { name: /^Pacing/ });
+  const [, , change] = within(pacing).getAllByRole('cell');
+  expect(change.textContent).toMatch(/^(No change|[+−][\d.]+ \((new|[+−]\d+%)\))$/);
+  expect(await within(pacing).findByRole('img', { name: 'Pacing per day' })).toBeInTheDocument();
+  expect(screen.getByText('Compared with the previous period')).toBeInTheDocument();
+});
+
+test('Compare shows two filter sets on one scale and their difference per day', async () => {
+  window.localStorage.clear();
+  window.history.pushState({}, '', '/compare?range=Last+7+Days');
+  render(<App />);
+  fireEvent.change(document.querySelector('input[name=email]'), { target: { value: 'researcher@viz.ai' } });
+  fireEvent.change(document.querySelector('input[name=password]'), { target: { value: DEMO_PASSWORD } });
+  fireEvent.click(screen.getByText('Sign In'));
+
+  const sideB = await screen.findByRole('group', { name: 'Side B' });
+  fireEvent.change(within(sideB).getByLabelText('Hours'), { target: { value: 'night' } });
+  expect(new URLSearchParams(window.location.search).get('b.hours')).toBe('night');
+  expect(await screen.findByRole('group', { name: 'Behavior count by behavior, side B' }, { timeout: 3000 })).toBeInTheDocument();
+  expect(screen.getByRole('group', { name: 'Minutes of activity by hour of day and date, side A' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Difference' }));
+  const table = await screen.findByRole('table', { name: 'Behavior duration per day' });
+  const [a, b, change] = within(within(table).getByRole('row', { name: /^Pacing/ })).getAllByRole('cell');
+  expect(a.textContent).toMatch(/^\d+ min$/);
+  expect(b.textContent).toMatch(/^\d+ min$/);
+  expect(change.textContent).toMatch(/^(No change|[+−]\d+ min \((new|[+−]\d+%)\))$/);
+  expect(screen.getByRole('table', { name: 'Activity by hour of day (minutes per day)' })).toBeInTheDocument();
+});
+
+test('signing out cancels the user\'s exports so the next account never receives them', async () => {
+  window.localStorage.clear();
+  URL.createObjectURL = jest.fn(() => 'blob:export');
+  URL.revokeObjectURL = jest.fn();
+  window.history.pushState({}, '', '/reports?type=Summary');
+  render(<App />);
+  const signIn = async (email) => {
+    await screen.findByText(/Welcome to VizAI/i);
+    fireEvent.change(document.querySelector('input[name=email]'), { target: { value: email } });
+    fireEvent.change(document.querySelector('input[name=password]'), { target: { value: DEMO_PASSWORD } });
+    fireEvent.click(screen.getByText('Sign In'));
+  };
+  await signIn('researcher@viz.ai');
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Download CSV' }));
+  fireEvent.click(screen.getByRole('button', { name: /Riley Chen/ }));
+  fireEvent.click(screen.getByRole('menuitem', { name: 'Sign out' }));
+  await signIn('admin@viz.ai');
+  fireEvent.click(await screen.findByTitle('Your exports and past downloads'));
+  expect(await screen.findByText(/No exports yet/i)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /Alex Moreno/ }));
+  fireEvent.click(screen.getByRole('menuitem', { name: 'Sign out' }));
+  await signIn('researcher@viz.ai');
+  fireEvent.click(await screen.findByTitle('Your exports and past downloads'));
+  expect((await screen.findByText(/Summary • Giant Anteater/)).closest('tr')).toHaveTextContent(/Cancelled/);
+  expect(URL.createObjectURL).not.toHaveBeenCalled();
+});
+
+test('Count mode shows event counts and their shares in the pie and stacked views', async () => {
+  window.localStorage.clear();
+  let empty = false;
+  const server = createMockServer({ latencyMs: 0, requireAuth: true });
+  const inner = createMockTransport(server);
+  // While `empty`, aggregates report time in each behavior but no counted events
+  const transport = async (request) => {
+    const payload = await inner(request);
+    if (!empty || request.path !== '/aggregates') return payload;
+    const counts = Object.fromEntries(Object.keys(payload.counts).map(b => [b, 0]));
+    return { ...payload, counts, totalCount: 0 };
+  };
+  const auth = createAuthClient({ transport });
+  await auth.login('researcher@viz.ai', DEMO_PASSWORD);
+  window.history.pushState({}, '', '/dashboard?range=Last+7+Days');
+  render(<App apiClient={createApiClient({ transport, auth })} />);
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Count' }, { timeout: 3000 }));
+  expect(new URLSearchParams(window.location.search).get('metric')).toBe('count');
+  const pie = await screen.findByRole('table', { name: 'Pie chart of behavior count percentages' }, { timeout: 3000 });
+  const rows = within(pie).getAllByRole('row').slice(1).map(row => within(row).getAllByRole('cell').map(c => c.textContent));
+  const counts = rows.map(([value]) => Number(/^(\d+) events?$/.exec(value)[1]));
+  const total = counts.reduce((sum, n) => sum + n, 0);
+  expect(total).toBeGreaterThan(0);
+  rows.forEach(([, share], i) => expect(share).toBe(`${Math.round((counts[i] / total) * 100)}%`));
+  expect(screen.getByText('Behavior Count — Pie View')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Stacked Bar' }));
+  const stacked = await screen.findByRole('table', { name: 'Stacked bar chart of behavior count' });
+  const cells = within(within(stacked).getByRole('row', { name: /^All behaviors/ })).getAllByRole('cell').map(c => c.textContent);
+  expect(cells).toEqual([...counts.map(n => `${n} ${n === 1 ? 'event' : 'events'}`), `${total} events`]);
+
+  // Minutes alone do not fill Count mode
+  empty = true;
+  fireEvent.change(screen.getByLabelText('Date Range'), { target: { value: 'Yesterday' } });
+  expect(await screen.findByText('No behavior count data available for this period.', {}, { timeout: 3000 })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Duration' }));
+  expect(await screen.findByText('Behavior Duration — Stacked Bar View')).toBeInTheDocument();
+});
+
+test('the ethogram track draws a bout split by the Hours filter only inside the selected hours', async () => {
+  window.localStorage.clear();
+  const day = new Date();
+  day.setDate(day.getDate() - 1);
+  day.setHours(0, 0, 0, 0);
+  const at = (h, m) => day.getTime() + (h * 60 + m) * 60000;
+  const bout = {
+    id: 'split-bout', species: 'Giant Anteater', individualId: 'ga-01', individualName: 'Olivia', behavior: 'Pacing', aiBehavior: 'Pacing',
+    confidence: 0.9, start: at(9, 50), end: at(10, 40), segments: [{ start: at(9, 50), end: at(10, 0) }, { start: at(10, 30), end: at(10, 40) }],
+  };
+  const server = createMockServer({ latencyMs: 0, requireAuth: true });
+  const inner = createMockTransport(server);
+  const transport = async (request) => {
+    const payload = await inner(request);
+    return request.path === '/events' && Number(request.query.limit) > 100 ? { ...payload, items: [bout], total: 1 } : payload;
+  };
+  const auth = createAuthClient({ transport });
+  await auth.login('researcher@viz.ai', DEMO_PASSWORD);
+  const date = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+  window.history.pushState({}, '', `/timeline?range=Custom&from=${date}&to=${date}&hours=08:00-10:00,10:30-12:00&start=${at(8, 0)}&span=${4 * 3600000}`);
+  render(<App apiClient={createApiClient({ transport, auth })} />);
+
+  const pieces = await screen.findAllByRole('button', { name: /^Olivia, Pacing from .* \(inside the selected hours only\)\. Open video\.$/ }, { timeout: 3000 });
+  // One bar per piece inside the selected hours, none across the 10:00–10:30 gap
+  expect(pieces.map(p => parseFloat(p.style.left).toFixed(2))).toEqual([((110 / 240) * 100).toFixed(2), ((150 / 240) * 100).toFixed(2)]);
+  fireEvent.click(pieces[1]);
+  expect(await screen.findByRole('dialog')).toBeInTheDocument();
+});
+
+test('the ethogram track says when it shows only the first bouts of a busy range', async () => {
+  window.localStorage.clear();
+  const server = createMockServer({ latencyMs: 0, requireAuth: true });
+  const inner = createMockTransport(server);
+  const transport = async (request) => {
+    const payload = await inner(request);
+    return request.path === '/events' && Number(request.query.limit) > 100 ? { ...payload, items: payload.items.slice(0, 3), total: 7200 } : payload;
+  };
+  const auth = createAuthClient({ transport });
+  await auth.login('researcher@viz.ai', DEMO_PASSWORD);
+  window.history.pushState({}, '', '/timeline?range=Last+7+Days');
+  render(<App apiClient={createApiClient({ transport, auth })} />);
+
+  expect(await screen.findByText('Showing the first 3 of 7200 bouts — zoom in to see the rest.', {}, { timeout: 3000 })).toHaveAttribute('role', 'note');
+});
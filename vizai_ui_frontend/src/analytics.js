@@ -0,0 +1,142 @@
+/**
+ * Pure aggregation helpers over behavior events.
+ * Shared by the mock server and by client-side views so totals always agree.
+ * Behavior categories come from the species registry (speciesRegistry.js).
+ */
+import { addDays, startOfDay } from './dateRange';
+
+// PUBLIC_INTERFACE
+export function eventMinutes(event) {
+  /** Bout length in (fractional) minutes; only its `segments` count when it has them (see clipEventsToWindows). */
+  return (event.segments || [event]).reduce((sum, s) => sum + Math.max(0, (s.end - s.start) / 60000), 0);
+}
+
+// PUBLIC_INTERFACE
+export function aggregateEvents(events, categories) {
+  /**
+   * Summarizes events into per-behavior counts and durations (whole minutes) over the species'
+   * `categories`; events with other behaviors are ignored.
+   * Returns { counts, durations, totalCount, totalDuration }.
+   */
+  const counts = {};
+  const exact = {};
+  categories.forEach(c => { counts[c] = 0; exact[c] = 0; });
+  events.forEach(ev => {
+    if (!(ev.behavior in counts)) return;
+    counts[ev.behavior] += 1;
+    exact[ev.behavior] += eventMinutes(ev);
+  });
+  const durations = {};
+  categories.forEach(c => { durations[c] = Math.round(exact[c]); });
+  return {
+    counts,
+    durations,
+    totalCount: categories.reduce((sum, c) => sum + counts[c], 0),
+    totalDuration: categories.reduce((sum, c) => sum + durations[c], 0),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function addEventsToAggregates(aggregates, events, categories) {
+  /**
+   * Aggregates (as returned by GET /aggregates) updated with events detected after they were
+   * computed, e.g. from the live stream. `latestEventId` moves to the newest added event.
+   */
+  if (!events.length) return aggregates;
+  const extra = aggregateEvents(events, categories);
+  const sum = (a = {}, b) => Object.fromEntries(categories.map(c => [c, (a[c] || 0) + b[c]]));
+  return {
+    ...aggregates,
+    counts: sum(aggregates.counts, extra.counts),
+    durations: sum(aggregates.durations, extra.durations),
+    totalCount: aggregates.totalCount + extra.totalCount,
+    totalDuration: aggregates.totalDuration + extra.totalDuration,
+    latestEventId: events[events.length - 1].id,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function clipEventsToWindows(events, windowsForDay) {
+  /**
+   * Trims events to the parts inside time windows. `windowsForDay(dayStart)` returns sorted,
+   * non-overlapping [start, end) intervals for a local day. Events entirely outside are dropped;
+   * a bout that stays inside windows across midnight remains one event. A bout that leaves and
+   * re-enters the windows also stays one event (same id, counted once), running from its first to
+   * its last minute inside them, with the parts inside as `segments: [{ start, end }]`.
+   */
+  const out = [];
+  events.forEach(ev => {
+    const spans = [];
+    for (let day = startOfDay(ev.start); day < ev.end; day = addDays(day, 1)) spans.push(...windowsForDay(day));
+    const pieces = [];
+    spans.forEach(([from, to]) => {
+      const start = Math.max(ev.start, from);
+      const end = Math.min(ev.end, to);
+      if (end <= start) return;
+      const last = pieces[pieces.length - 1];
+      if (last && last.end === start) last.end = end;
+      else pieces.push({ start, end });
+    });
+    if (!pieces.length) return;
+    const clipped = { ...ev, start: pieces[0].start, end: pieces[pieces.length - 1].end };
+    if (pieces.length > 1) clipped.segments = pieces;
+    out.push(clipped);
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function hourSlices(event) {
+  /** Splits an event (its `segments`, when clipped to several windows) at local hour boundaries into [{ start, end }] pieces. */
+  const slices = [];
+  (event.segments || [event]).forEach(segment => {
+    let start = segment.start;
+    while (start < segment.end) {
+      const d = new Date(start);
+      const next = new Date(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours() + 1).getTime();
+      const end = Math.min(segment.end, next);
+      slices.push({ start, end });
+      start = end;
+    }
+  });
+  return slices;
+}
+
+// PUBLIC_INTERFACE
+export function dailyAggregates(events, categories, range) {
+  /**
+   * aggregateEvents per local day of `range`, each bout counted on the day it starts.
+   * Returns [{ day, counts, durations }] oldest first, including days without events.
+   */
+  const days = [];
+  for (let d = startOfDay(range.from); d < range.to; d = addDays(d, 1)) days.push(d);
+  const byDay = new Map(days.map(d => [d, []]));
+  events.forEach(ev => {
+    const bucket = byDay.get(startOfDay(ev.start));
+    if (bucket) bucket.push(ev);
+  });
+  return days.map(day => {
+    const { counts, durations } = aggregateEvents(byDay.get(day), categories);
+    return { day, counts, durations };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function activityMatrix(events, range) {
+  /**
+   * Minutes of behavior per local day × hour of day within `range`.
+   * Returns { days: [dayStart], minutes: number[days][24] } with fractional minutes.
+   */
+  const days = [];
+  for (let d = startOfDay(range.from); d < range.to; d = addDays(d, 1)) days.push(d);
+  const index = new Map(days.map((d, i) => [d, i]));
+  const minutes = days.map(() => new Array(24).fill(0));
+  events.forEach(ev => {
+    hourSlices(ev).forEach(slice => {
+      const row = index.get(startOfDay(slice.start));
+      if (row === undefined) return;
+      minutes[row][new Date(slice.start).getHours()] += (slice.end - slice.start) / 60000;
+    });
+  });
+  return { days, minutes };
+}
@@ -0,0 +1,208 @@
+/**
+ * Data-access layer for behavior events, aggregates and video metadata.
+ * All pages read through one client; the transport is either HTTP against
+ * REACT_APP_API_BASE or the in-process mock server when no base URL is set.
+ * Requests carry the signed-in user's access token (see auth.js); new detections arrive over the
+ * live stream (see liveStream.js).
+ */
+import { createAuthClient } from './auth';
+import { createLiveStream, createMockLiveConnector, createWebSocketConnector, liveUrlFor } from './liveStream';
+import { createMockServer } from './mockServer';
+import { createOfflineManager } from './offline';
+
+/**
+ * PUBLIC_INTERFACE
+ * Error raised for failed API calls; `status` mirrors the HTTP status (0 for network failures).
+ */
+export class ApiError extends Error {
+  constructor(message, status = 0, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function buildQuery(query = {}) {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([k, v]) => {
+    if (v === undefined || v === null || v === '') return;
+    params.set(k, String(v));
+  });
+  const qs = params.toString();
+  return qs ? `?${qs}` : '';
+}
+
+// PUBLIC_INTERFACE
+export function createHttpTransport(baseUrl, { fetchImpl } = {}) {
+  /** Transport that issues JSON requests against the configured API base URL. */
+  const base = String(baseUrl).replace(/\/+$/, '');
+  return async ({ method = 'GET', path, query, body, headers = {} }) => {
+    const doFetch = fetchImpl || window.fetch.bind(window);
+    let res;
+    try {
+      res = await doFetch(`${base}${path}${buildQuery(query)}`, {
+        method,
+        headers: { Accept: 'application/json', ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+    } catch (e) {
+      throw new ApiError('Unable to reach the VizAI API. Check your network connection.', 0);
+    }
+    const payload = res.status === 204 ? null : await res.json().catch(() => null);
+    if (!res.ok) {
+      throw new ApiError((payload && payload.message) || `Request failed (${res.status})`, res.status, payload);
+    }
+    return payload;
+  };
+}
+
+// PUBLIC_INTERFACE
+export function createMockTransport(server = createMockServer(), { network = typeof window === 'undefined' ? null : window } = {}) {
+  /**
+   * Transport backed by the local mock server; maps its errors to ApiError. Fails like an unreachable
+   * API while the browser is offline, so offline mode can be tried without a backend.
+   */
+  return async (request) => {
+    if (network && network.navigator && network.navigator.onLine === false) {
+      throw new ApiError('Unable to reach the VizAI API. Check your network connection.', 0);
+    }
+    try {
+      return await server.handle(request);
+    } catch (e) {
+      throw new ApiError(e.message, e.status || 500);
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+export function createApiClient({ transport, auth = null, live = null, offline = null }) {
+  /**
+   * Typed accessors over a transport. Range params are epoch milliseconds.
+   * With an `auth` client (auth.js) every request is authorized by it; it is exposed as `client.auth`.
+   * A live stream (liveStream.createLiveStream) is exposed as `client.live`, and an offline manager
+   * (offline.createOfflineManager) as `client.offline`: with it, reads may return last-known data marked
+   * `cachedAt`, and reviewEvent/suggestSpecies may return { queued: true, change } while offline.
+   * - getEvents({ species, individuals, from, to, behavior, labels, hours, offset, limit }) -> { items, total, offset, limit, asOf }
+   *   events carry `individualId` and `individualName`; `asOf` is the latest end time covered, so later
+   *   live detections can be told apart
+   * - getAggregates({ species, individuals, from, to, labels, hours, by }) -> { counts, durations, totalCount, totalDuration, latestEventId, asOf }
+   *   with `by: 'day'` also `daily: [{ day, counts, durations }]`, one entry per local day of the range;
+   *   `individuals` is a comma-separated list of individual ids (omit for the whole species);
+   *   `labels` is 'ai' (model output, default) or 'reviewed' (reviewer decisions applied);
+   *   `hours` is a serialized Hours filter (dayNight.serializeHours) that clips events to those hours
+   * - getActivity({ species, individuals, from, to, behavior, labels, hours }) -> { days: [dayStart], minutes: number[days][24] }
+   *   minutes of behavior per local day and hour of day
+   * - getEvent(id) -> event
+   * - getEventDetail(id, { neighbors }) -> { event, neighbors: { before, after }, thumbnails: [{ at, src }] }
+   * - getVideo(id) -> { eventId, src, poster, camera, start, end, durationSec }
+   * - getAnnotations(id) -> { eventId, interval, frames: [{ t, box, label, confidence }] }
+   * - reviewEvent(id, { action, label, at, withId, reviewer, baseReviewAt }) -> updated event; `baseReviewAt`
+   *   (the `review.at` the edit was made against, null if unreviewed) makes the server reject it with 409
+   *   when the event has been reviewed since
+   * - getEventHistory(id) -> { items: [{ id, eventId, action, by, at, previous, next }] }
+   * - getSpecies() -> { items: [{ name, scientificName, image, available, expected, behaviors: [{ name, color, definition, status }] }] }
+   *   the species registry (see speciesRegistry.js)
+   * - suggestSpecies({ name, reason }) -> { id, name, reason, by, at }
+   * - getIndividuals({ species }) -> { items: [{ id, species, name, sex, birthDate, enclosure, cameras }] }
+   * - getSites() -> { items: [{ id, name, latitude, longitude, species, dayNight }] }
+   * - updateSite(id, { latitude, longitude, dayNight }) -> site
+   * - listUsers() -> { items: [{ id, email, name, role, status, createdAt, lastLoginAt }] } (Admin)
+   * - updateUser(id, { role, status }) -> user; status is 'active' or 'deactivated' (Admin)
+   * - listInvitations() -> { items: [{ id, email, role, status, invitedBy, createdAt, expiresAt }] } (Admin)
+   * - inviteUser({ email, role }) -> invitation; the server emails the sign-up link (Admin)
+   * - revokeInvitation(id) -> invitation (Admin)
+   * - getAlerts({ status, species }) -> { items, counts: { open, acknowledged, resolved } }; an alert is a
+   *   triggered rule window: { id, ruleId, ruleName, species, individualId, individualName, behavior,
+   *   metric, comparison, threshold, window, baselineDays, from, to, value, baseline, partial, status,
+   *   acknowledgedBy, acknowledgedAt, resolvedBy, resolvedAt, note } (see welfareAlerts.js)
+   * - updateAlert(id, { status, note }) -> alert; status is 'open', 'acknowledged' or 'resolved'
+   * - getAlertRules() -> { items: [rule] }
+   * - createAlertRule(rule) / updateAlertRule(id, changes) / deleteAlertRule(id) -> rule (manageAlerts)
+   * Mutations notify `onChange` subscribers so views can refetch, as do reconnecting and replaying
+   * queued changes.
+   */
+  const listeners = new Set();
+  const authorized = auth ? auth.authorize(transport) : transport;
+  const userOf = () => (auth && auth.getSession() ? auth.getSession().user.id : null);
+  const send = offline ? offline.wrap(authorized, { userOf }) : authorized;
+  if (offline) {
+    offline.subscribe((next, previous) => {
+      if ((next.online && !previous.online) || next.queue.length < previous.queue.length) listeners.forEach(fn => fn());
+    });
+  }
+  const request = (method, path, query, body) => send({ method, path, query, body });
+  const mutate = async (method, path, body) => {
+    const result = await request(method, path, undefined, body);
+    listeners.forEach(fn => fn());
+    return result;
+  };
+  return {
+    auth,
+    live,
+    offline,
+    request,
+    onChange: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    getEvents: (params = {}) => request('GET', '/events', params),
+    getAggregates: (params = {}) => request('GET', '/aggregates', params),
+    getActivity: (params = {}) => request('GET', '/activity', params),
+    getEvent: (id) => request('GET', `/events/${encodeURIComponent(id)}`),
+    getEventDetail: (id, params = {}) => request('GET', `/events/${encodeURIComponent(id)}/detail`, params),
+    getVideo: (id) => request('GET', `/events/${encodeURIComponent(id)}/video`),
+    getAnnotations: (id) => request('GET', `/events/${encodeURIComponent(id)}/annotations`),
+    reviewEvent: (id, review) => mutate('POST', `/events/${encodeURIComponent(id)}/review`, review),
+    getEventHistory: (id) => request('GET', `/events/${encodeURIComponent(id)}/history`),
+    getSpecies: () => request('GET', '/species'),
+    suggestSpecies: (suggestion) => mutate('POST', '/species/suggestions', suggestion),
+    getIndividuals: (params = {}) => request('GET', '/individuals', params),
+    getSites: () => request('GET', '/sites'),
+    updateSite: (id, patch) => mutate('PATCH', `/sites/${encodeURIComponent(id)}`, patch),
+    listUsers: () => request('GET', '/admin/users'),
+    updateUser: (id, patch) => mutate('PATCH', `/admin/users/${encodeURIComponent(id)}`, patch),
+    listInvitations: () => request('GET', '/admin/invitations'),
+    inviteUser: (invitation) => mutate('POST', '/admin/invitations', invitation),
+    revokeInvitation: (id) => mutate('DELETE', `/admin/invitations/${encodeURIComponent(id)}`),
+    getAlerts: (params = {}) => request('GET', '/alerts', params),
+    updateAlert: (id, patch) => mutate('PATCH', `/alerts/${encodeURIComponent(id)}`, patch),
+    getAlertRules: () => request('GET', '/alerts/rules'),
+    createAlertRule: (rule) => mutate('POST', '/alerts/rules', rule),
+    updateAlertRule: (id, changes) => mutate('PATCH', `/alerts/rules/${encodeURIComponent(id)}`, changes),
+    deleteAlertRule: (id) => mutate('DELETE', `/alerts/rules/${encodeURIComponent(id)}`),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function isMockApi(base = process.env.REACT_APP_API_BASE) {
+  /** True when no real API base is configured. */
+  return !base || base === 'mock';
+}
+
+// PUBLIC_INTERFACE
+export function createDefaultApiClient() {
+  /**
+   * Client for the current environment: HTTP when REACT_APP_API_BASE is set, mock otherwise.
+   * Sign-in goes to REACT_APP_AUTH_BASE when set, else to the same backend (or mock server).
+   * Live detections come from the backend's WebSocket, or from the mock server's feed in mock mode;
+   * data and queued edits are kept in IndexedDB for offline use.
+   */
+  const base = process.env.REACT_APP_API_BASE;
+  const authBase = process.env.REACT_APP_AUTH_BASE || base;
+  let mockServer = null;
+  let mock = null;
+  const transportFor = (url) => {
+    if (!isMockApi(url)) return createHttpTransport(url);
+    // Data and auth share one mock server so the tokens it issues are accepted on data routes
+    mockServer = mockServer || createMockServer({ requireAuth: true });
+    mock = mock || createMockTransport(mockServer);
+    return mock;
+  };
+  const transport = transportFor(base);
+  const auth = createAuthClient({ transport: transportFor(authBase) });
+  const connector = isMockApi(base)
+    ? createMockLiveConnector(mockServer)
+    : createWebSocketConnector(liveUrlFor(base), { getToken: () => (auth.getSession() || {}).accessToken });
+  return createApiClient({ transport, auth, live: createLiveStream({ connector }), offline: createOfflineManager() });
+}
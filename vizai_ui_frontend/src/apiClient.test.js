@@ -0,0 +1,178 @@
+import { ApiError, createApiClient, createHttpTransport, createMockTransport } from './apiClient';
+import { createMockServer } from './mockServer';
+import { addDays, resolveDateRange } from './dateRange';
+import { DEFAULT_SPECIES_REGISTRY } from './speciesRegistry';
+
+const NOW = new Date(2025, 0, 22, 15, 0, 0).getTime();
+const mockClient = () => createApiClient({
+  transport: createMockTransport(createMockServer({ latencyMs: 0, now: () => NOW })),
+});
+
+test('mock events are scoped to species, window and behavior', async () => {
+  const client = mockClient();
+  const { from, to } = resolveDateRange('Last 7 Days', NOW);
+  const all = await client.getEvents({ species: 'Giant Anteater', from, to, limit: 10000 });
+  expect(all.total).toBeGreaterThan(0);
+  expect(all.items.every(ev => ev.start >= from && ev.end <= to)).toBe(true);
+
+  const moving = await client.getEvents({ species: 'Giant Anteater', from, to, behavior: 'Moving', limit: 5 });
+  expect(moving.items).toHaveLength(5);
+  expect(moving.items.every(ev => ev.behavior === 'Moving')).toBe(true);
+
+  const none = await client.getEvents({ species: 'Pangolin', from, to });
+  expect(none).toMatchObject({ items: [], total: 0 });
+});
+
+test('individuals partition the species events', async () => {
+  const client = mockClient();
+  const { from, to } = resolveDateRange('Yesterday', NOW);
+  const { items: roster } = await client.getIndividuals({ species: 'Giant Anteater' });
+  expect(roster.map(ind => ind.name)).toEqual(['Olivia', 'Bruno', 'Pepita']);
+  expect((await client.getIndividuals({ species: 'Pangolin' })).items).toEqual([]);
+
+  const all = await client.getEvents({ species: 'Giant Anteater', from, to, limit: 10000 });
+  expect(all.items.every((ev, i) => i === 0 || ev.start >= all.items[i - 1].start)).toBe(true);
+  const [olivia, bruno, pepita] = roster.map(ind => ind.id);
+  const one = await client.getEvents({ species: 'Giant Anteater', individuals: pepita, from, to, limit: 10000 });
+  expect(one.items.every(ev => ev.individualId === pepita && ev.individualName === 'Pepita' && ev.camera === 'cam-3')).toBe(true);
+  const two = await client.getAggregates({ species: 'Giant Anteater', individuals: `${olivia},${bruno}`, from, to });
+  expect(two.totalCount + one.total).toBe(all.total);
+});
+
+test('species behaviors come from the registry', async () => {
+  const registry = DEFAULT_SPECIES_REGISTRY.map(entry => (entry.name === 'Giant Anteater'
+    ? { ...entry, behaviors: entry.behaviors.filter(b => b.name === 'Recumbent' || b.name === 'Moving') }
+    : entry));
+  const client = createApiClient({
+    transport: createMockTransport(createMockServer({ latencyMs: 0, now: () => NOW, speciesRegistry: registry })),
+  });
+  const { items } = await client.getSpecies();
+  expect(items.map(entry => [entry.name, entry.available])).toEqual([['Giant Anteater', true], ['Pangolin', false], ['Sloth', false]]);
+
+  const { from, to } = resolveDateRange('Yesterday', NOW);
+  const scope = { species: 'Giant Anteater', individuals: 'ga-01', from, to };
+  const agg = await client.getAggregates(scope);
+  expect(Object.keys(agg.counts)).toEqual(['Recumbent', 'Moving']);
+  const { items: events } = await client.getEvents({ ...scope, limit: 10000 });
+  expect(events.every(ev => ev.behavior === 'Recumbent' || ev.behavior === 'Moving')).toBe(true);
+
+  // Relabels are checked against the event's own species
+  await expect(client.reviewEvent(events[0].id, { action: 'relabel', label: 'Pacing' }))
+    .rejects.toMatchObject({ status: 400, message: 'Unknown behavior "Pacing" for Giant Anteater' });
+});
+
+test('mock aggregates agree with the event list', async () => {
+  const client = mockClient();
+  const { from, to } = resolveDateRange('Today', NOW);
+  const events = await client.getEvents({ species: 'Giant Anteater', from, to, limit: 10000 });
+  const agg = await client.getAggregates({ species: 'Giant Anteater', from, to });
+  expect(agg.totalCount).toBe(events.total);
+  expect(agg.counts.Moving).toBe(events.items.filter(ev => ev.behavior === 'Moving').length);
+  expect(agg.latestEventId).toBe(events.items[events.items.length - 1].id);
+
+  const video = await client.getVideo(agg.latestEventId);
+  expect(video.eventId).toBe(agg.latestEventId);
+});
+
+test('daily aggregates split the totals by the day each bout starts', async () => {
+  const client = mockClient();
+  const { from, to } = resolveDateRange('Last 7 Days', NOW);
+  const agg = await client.getAggregates({ species: 'Giant Anteater', from, to, by: 'day' });
+  expect(agg.daily.map(d => d.day)).toEqual([...Array(7)].map((_, i) => addDays(from, i)));
+  expect(agg.daily.reduce((sum, d) => sum + d.counts.Pacing, 0)).toBe(agg.counts.Pacing);
+  expect((await client.getAggregates({ species: 'Giant Anteater', from, to })).daily).toBeUndefined();
+});
+
+test('mock activity matrix sums to the aggregate duration per behavior', async () => {
+  const client = mockClient();
+  const { from, to } = resolveDateRange('Last 7 Days', NOW);
+  const activity = await client.getActivity({ species: 'Giant Anteater', from, to, behavior: 'Moving' });
+  expect(activity.days).toHaveLength(7);
+  expect(activity.minutes.every(row => row.length === 24)).toBe(true);
+  const agg = await client.getAggregates({ species: 'Giant Anteater', from, to });
+  const total = activity.minutes.flat().reduce((sum, m) => sum + m, 0);
+  expect(Math.abs(total - agg.durations.Moving)).toBeLessThan(7 * 24 * 0.05 + 1);
+});
+
+test('event detail includes neighbors in time order and a thumbnail strip', async () => {
+  const client = mockClient();
+  const { from, to } = resolveDateRange('Today', NOW);
+  const { items } = await client.getEvents({ species: 'Giant Anteater', individuals: 'ga-01', from, to, offset: 10, limit: 7 });
+  const detail = await client.getEventDetail(items[3].id);
+  expect(detail.event.id).toBe(items[3].id);
+  expect(detail.neighbors.before.map(e => e.id)).toEqual(items.slice(0, 3).map(e => e.id));
+  expect(detail.neighbors.after.map(e => e.id)).toEqual(items.slice(4, 7).map(e => e.id));
+  expect(detail.thumbnails[0].at).toBe(detail.event.start);
+});
+
+test('unknown events reject with ApiError 404', async () => {
+  await expect(mockClient().getEvent('ga-01-20250122-9999')).rejects.toMatchObject({ name: 'ApiError', status: 404 });
+});
+
+test('http transport builds the request and surfaces server errors', async () => {
+  const fetchImpl = jest.fn()
+    .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ items: [], total: 0 }) })
+    .mockResolvedValueOnce({ ok: false, status: 503, json: () => Promise.resolve({ message: 'Maintenance' }) });
+  const client = createApiClient({ transport: createHttpTransport('https://api.test/', { fetchImpl }) });
+
+  await client.getEvents({ species: 'Giant Anteater', from: 1, to: 2, behavior: undefined });
+  expect(fetchImpl.mock.calls[0][0]).toBe('https://api.test/events?species=Giant+Anteater&from=1&to=2');
+
+  const err = await client.getAggregates({}).catch(e => e);
+  expect(err).toBeInstanceOf(ApiError);
+  expect(err).toMatchObject({ status: 503, message: 'Maintenance' });
+});
+
+test('reviews change reviewed totals and are recorded in the audit history', async () => {
+  const client = mockClient();
+  const { from, to } = resolveDateRange('Today', NOW);
+  const scope = { species: 'Giant Anteater', individuals: 'ga-02', from, to };
+  const { items } = await client.getEvents({ ...scope, limit: 10000 });
+  const [a, b, c, d] = items;
+  const onChange = jest.fn();
+  client.onChange(onChange);
+
+  await client.reviewEvent(a.id, { action: 'relabel', label: a.behavior === 'Scratching' ? 'Moving' : 'Scratching', reviewer: 'r@zoo.org' });
+  await client.reviewEvent(b.id, { action: 'false_positive', reviewer: 'r@zoo.org' });
+  await client.reviewEvent(c.id, { action: 'merge', withId: d.id, reviewer: 'r@zoo.org' });
+  expect(onChange).toHaveBeenCalledTimes(3);
+
+  const ai = await client.getAggregates(scope);
+  const reviewed = await client.getAggregates({ ...scope, labels: 'reviewed' });
+  expect(ai.totalCount).toBe(items.length);
+  expect(reviewed.totalCount).toBe(items.length - 2);
+
+  const relabeled = await client.getEvent(a.id);
+  expect(relabeled).toMatchObject({ behavior: a.behavior, aiBehavior: a.behavior, review: { status: 'relabeled', by: 'r@zoo.org' } });
+
+  const mid = b.start + Math.round((b.end - b.start) / 2);
+  await client.reviewEvent(b.id, { action: 'revert' });
+  await client.reviewEvent(b.id, { action: 'split', at: mid, label: 'Scratching' });
+  const split = await client.getEvents({ ...scope, labels: 'reviewed', limit: 3 });
+  expect(split.items.map(e => e.id)).toEqual(expect.arrayContaining([`${b.id}.1`, `${b.id}.2`]));
+
+  const history = await client.getEventHistory(b.id);
+  expect(history.items.map(h => h.action)).toEqual(['split', 'revert', 'false_positive']);
+  expect(history.items[1].previous).toMatchObject({ status: 'false_positive' });
+  expect(history.items[2].previous).toMatchObject({ status: 'unreviewed', behavior: b.behavior });
+
+  await expect(client.reviewEvent(a.id, { action: 'split', at: a.end + 1 })).rejects.toMatchObject({ status: 400 });
+});
+
+test('hours filter clips events using the site day/night setting', async () => {
+  const client = mockClient();
+  const { from, to } = resolveDateRange('Yesterday', NOW);
+  const scope = { species: 'Giant Anteater', from, to };
+  const all = await client.getAggregates(scope);
+  const day = await client.getAggregates({ ...scope, hours: 'day' });
+  const night = await client.getAggregates({ ...scope, hours: 'night' });
+  expect(day.totalDuration + night.totalDuration).toBeGreaterThanOrEqual(all.totalDuration - 12);
+  expect(day.totalDuration + night.totalDuration).toBeLessThanOrEqual(all.totalDuration + 12);
+
+  const { items: [site] } = await client.getSites();
+  await client.updateSite(site.id, { dayNight: { mode: 'fixed', dayStart: '10:00', dayEnd: '11:00' } });
+  const { items } = await client.getEvents({ ...scope, hours: 'day', limit: 1000 });
+  expect(items.every(ev => new Date(ev.start).getHours() === 10 && ev.end <= from + 11 * 3600000)).toBe(true);
+
+  await expect(client.updateSite(site.id, { latitude: 120 })).rejects.toMatchObject({ status: 400 });
+});
@@ -0,0 +1,154 @@
+/**
+ * Token-based sessions against the auth endpoints (REACT_APP_AUTH_BASE, falling back to the API base):
+ * POST /auth/login, /auth/register, /auth/accept-invite, /auth/refresh and /auth/logout, GET /auth/me
+ * and GET /auth/invitations/:token. Each sign-in yields
+ * { accessToken, refreshToken, expiresIn, refreshExpiresIn, user } (seconds). The session is kept in
+ * localStorage so it survives reloads; access tokens are refreshed shortly before they expire and once
+ * more after a 401, and when refreshing fails the session ends with reason 'expired'.
+ */
+
+// PUBLIC_INTERFACE
+export const SESSION_STORAGE_KEY = 'vizai.session';
+
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Errors from the server that mean the refresh token is no longer accepted
+const isRejected = (err) => err && (err.status === 400 || err.status === 401);
+
+// PUBLIC_INTERFACE
+export function createSessionStore(storage = window.localStorage, key = SESSION_STORAGE_KEY) {
+  /** load/save/clear for the persisted session; unreadable or unavailable storage counts as signed out. */
+  return {
+    load() {
+      try {
+        const session = JSON.parse(storage.getItem(key));
+        return session && session.accessToken && session.user ? session : null;
+      } catch (e) {
+        return null;
+      }
+    },
+    save(session) {
+      try {
+        storage.setItem(key, JSON.stringify(session));
+      } catch (e) {
+        // Storage may be full or disabled (private mode); the session then lasts for this tab only
+      }
+    },
+    clear() {
+      try {
+        storage.removeItem(key);
+      } catch (e) {
+        // Nothing persisted to remove
+      }
+    },
+  };
+}
+
+function toSession(payload, at) {
+  return {
+    accessToken: payload.accessToken,
+    refreshToken: payload.refreshToken,
+    expiresAt: at + payload.expiresIn * 1000,
+    refreshExpiresAt: payload.refreshExpiresIn ? at + payload.refreshExpiresIn * 1000 : null,
+    user: payload.user,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function createAuthClient({ transport, store = createSessionStore(), now = () => Date.now() }) {
+  /**
+   * Session holder over an auth transport (see apiClient.js transports).
+   * - getSession() -> { accessToken, refreshToken, expiresAt, refreshExpiresAt, user } | null
+   * - subscribe(fn) -> unsubscribe; fn(session, reason) with reason 'signed_in', 'refreshed',
+   *   'signed_out' or 'expired'
+   * - login(email, password), register({ email, password, role, name }) -> session
+   * - getInvitation(token) -> { email, role, expiresAt } for an emailed invite link
+   * - acceptInvite({ token, name, password }) -> session for the new account
+   * - refresh() -> session (concurrent callers share one request)
+   * - me() -> user, re-reading the signed-in identity
+   * - logout() ends the session locally and revokes its tokens (best effort)
+   * - authorize(transport) -> transport that sends the access token and refreshes it as needed
+   */
+  let session = store.load();
+  if (session && session.refreshExpiresAt && session.refreshExpiresAt <= now()) {
+    store.clear();
+    session = null;
+  }
+  const listeners = new Set();
+  let refreshing = null;
+
+  function setSession(next, reason) {
+    session = next;
+    if (next) store.save(next);
+    else store.clear();
+    listeners.forEach(fn => fn(next, reason));
+    return next;
+  }
+
+  const bearer = (s) => (s ? { Authorization: `Bearer ${s.accessToken}` } : {});
+
+  async function signIn(path, body) {
+    const payload = await transport({ method: 'POST', path, body });
+    return setSession(toSession(payload, now()), 'signed_in');
+  }
+
+  function refresh() {
+    if (!refreshing) {
+      const current = session;
+      refreshing = (async () => {
+        if (!current) throw Object.assign(new Error('Sign in to continue.'), { status: 401 });
+        try {
+          const payload = await transport({ method: 'POST', path: '/auth/refresh', body: { refreshToken: current.refreshToken } });
+          // Keep the known identity if the refresh response omits it
+          return setSession({ ...toSession(payload, now()), user: payload.user || current.user }, 'refreshed');
+        } catch (err) {
+          if (isRejected(err) && session === current) setSession(null, 'expired');
+          throw err;
+        }
+      })().finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  }
+
+  function authorize(inner) {
+    return async (request) => {
+      if (session && session.expiresAt - now() < REFRESH_MARGIN_MS) await refresh();
+      const send = () => inner({ ...request, headers: { ...(request.headers || {}), ...bearer(session) } });
+      try {
+        return await send();
+      } catch (err) {
+        if (err.status !== 401 || !session) throw err;
+        await refresh();
+        return send();
+      }
+    };
+  }
+
+  return {
+    getSession: () => session,
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    login: (email, password) => signIn('/auth/login', { email, password }),
+    register: (details) => signIn('/auth/register', details),
+    getInvitation: (token) => transport({ method: 'GET', path: `/auth/invitations/${encodeURIComponent(token)}` }),
+    acceptInvite: (details) => signIn('/auth/accept-invite', details),
+    refresh,
+    authorize,
+    async me() {
+      const user = await authorize(transport)({ method: 'GET', path: '/auth/me' });
+      if (session) setSession({ ...session, user }, 'refreshed');
+      return user;
+    },
+    async logout() {
+      const current = session;
+      setSession(null, 'signed_out');
+      if (!current) return;
+      await transport({ method: 'POST', path: '/auth/logout', body: { refreshToken: current.refreshToken }, headers: bearer(current) })
+        .catch(() => {});
+    },
+  };
+}
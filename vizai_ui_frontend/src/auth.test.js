@@ -0,0 +1,133 @@
+import { createApiClient, createMockTransport } from './apiClient';
+import { createAuthClient, createSessionStore } from './auth';
+import { createMockServer, DEMO_PASSWORD } from './mockServer';
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => items.set(k, String(v)),
+    removeItem: (k) => items.delete(k),
+  };
+}
+
+function setup(storage = memoryStorage()) {
+  const clock = { now: new Date(2025, 0, 22, 9, 0).getTime() };
+  const now = () => clock.now;
+  const transport = createMockTransport(createMockServer({
+    latencyMs: 0, now, requireAuth: true, accessTtlMs: 10 * 60 * 1000, refreshTtlMs: 3600 * 1000,
+  }));
+  const auth = createAuthClient({ transport, store: createSessionStore(storage), now });
+  const client = createApiClient({ transport, auth });
+  return { clock, auth, client, storage, transport };
+}
+
+test('login persists a session that a new client picks up', async () => {
+  const { clock, auth, client, storage, transport } = setup();
+  await expect(client.getSites()).rejects.toMatchObject({ status: 401 });
+  await expect(auth.login('researcher@viz.ai', 'nope')).rejects.toMatchObject({ status: 401, message: 'Incorrect email or password.' });
+
+  const session = await auth.login('Researcher@viz.ai', DEMO_PASSWORD);
+  expect(session.user).toEqual({ id: 'user-1', email: 'researcher@viz.ai', name: 'Riley Chen', role: 'Researcher' });
+  expect((await client.getSites()).items.length).toBeGreaterThan(0);
+
+  const reloaded = createAuthClient({ transport, store: createSessionStore(storage), now: () => clock.now });
+  expect(reloaded.getSession()).toEqual(session);
+  expect(await reloaded.me()).toEqual(session.user);
+});
+
+test('access tokens refresh transparently until the refresh token expires', async () => {
+  const { clock, auth, client } = setup();
+  const reasons = [];
+  auth.subscribe((session, reason) => reasons.push(reason));
+  const first = await auth.login('observer@viz.ai', DEMO_PASSWORD);
+
+  clock.now += 9.5 * 60 * 1000; // inside the refresh margin
+  await Promise.all([client.getSites(), client.getSites()]);
+  expect(auth.getSession().accessToken).not.toBe(first.accessToken);
+  expect(reasons).toEqual(['signed_in', 'refreshed']);
+
+  // Refresh tokens are single use
+  await expect(createMockTransport(createMockServer({ latencyMs: 0 }))({
+    method: 'POST', path: '/auth/refresh', body: { refreshToken: first.refreshToken },
+  })).rejects.toMatchObject({ status: 401 });
+
+  clock.now += 2 * 3600 * 1000;
+  await expect(client.getSites()).rejects.toMatchObject({ status: 401 });
+  expect(auth.getSession()).toBeNull();
+  expect(reasons[reasons.length - 1]).toBe('expired');
+});
+
+test('a rejected access token is refreshed once and the request retried', async () => {
+  const { auth, client, transport } = setup();
+  const session = await auth.login('admin@viz.ai', DEMO_PASSWORD);
+  // Revoke only the access token, as a server restart or key rotation would
+  await transport({ method: 'POST', path: '/auth/logout', headers: { Authorization: `Bearer ${session.accessToken}` } });
+  expect((await client.getSites()).items.length).toBeGreaterThan(0);
+  expect(auth.getSession().accessToken).not.toBe(session.accessToken);
+
+  await auth.logout();
+  expect(auth.getSession()).toBeNull();
+  await expect(transport({ method: 'POST', path: '/auth/refresh', body: { refreshToken: session.refreshToken } }))
+    .rejects.toMatchObject({ status: 401 });
+});
+
+test('registration validates input and signs the new account in', async () => {
+  const { auth } = setup();
+  await expect(auth.register({ email: 'researcher@viz.ai', password: 'long-enough', role: 'Researcher' }))
+    .rejects.toMatchObject({ status: 409 });
+  await expect(auth.register({ email: 'new@zoo.org', password: 'short', role: 'Researcher' }))
+    .rejects.toMatchObject({ status: 400 });
+  // Admins only come from invitations or role changes in the Admin console
+  await expect(auth.register({ email: 'boss@zoo.org', password: 'long-enough', role: 'Admin' }))
+    .rejects.toMatchObject({ status: 403 });
+  await expect(auth.login('boss@zoo.org', 'long-enough')).rejects.toMatchObject({ status: 401 });
+  const session = await auth.register({ email: 'new@zoo.org', password: 'long-enough', role: 'Field Observer' });
+  expect(session.user).toMatchObject({ email: 'new@zoo.org', name: 'new', role: 'Field Observer' });
+  expect(await auth.me()).toEqual(session.user);
+});
+
+test('admins change roles and deactivate accounts other than their own', async () => {
+  const { auth, client, transport } = setup();
+  await auth.login('admin@viz.ai', DEMO_PASSWORD);
+  const { items } = await client.listUsers();
+  expect(items.map(u => [u.email, u.status])).toEqual([
+    ['researcher@viz.ai', 'active'], ['observer@viz.ai', 'active'], ['admin@viz.ai', 'active'],
+  ]);
+  expect(items[2].lastLoginAt).not.toBeNull();
+
+  await expect(client.updateUser('user-3', { status: 'deactivated' })).rejects.toMatchObject({ status: 409 });
+  expect(await client.updateUser('user-2', { role: 'Researcher' })).toMatchObject({ role: 'Researcher' });
+
+  // Deactivation ends existing sessions and blocks sign-in until reactivated
+  const observer = createAuthClient({ transport, store: createSessionStore(memoryStorage()), now: () => Date.now() });
+  await observer.login('observer@viz.ai', DEMO_PASSWORD);
+  await client.updateUser('user-2', { status: 'deactivated' });
+  await expect(observer.me()).rejects.toMatchObject({ status: 401 });
+  await expect(observer.login('observer@viz.ai', DEMO_PASSWORD)).rejects.toMatchObject({ status: 403 });
+  await client.updateUser('user-2', { status: 'active' });
+  expect((await observer.login('observer@viz.ai', DEMO_PASSWORD)).user.role).toBe('Researcher');
+});
+
+test('invitations are accepted once and can be revoked', async () => {
+  const { auth, client, transport } = setup();
+  await auth.login('admin@viz.ai', DEMO_PASSWORD);
+  await expect(client.inviteUser({ email: 'researcher@viz.ai', role: 'Researcher' })).rejects.toMatchObject({ status: 409 });
+  const invitation = await client.inviteUser({ email: 'keeper@zoo.org', role: 'Field Observer' });
+  expect(invitation).toMatchObject({ email: 'keeper@zoo.org', role: 'Field Observer', status: 'pending', invitedBy: 'admin@viz.ai' });
+  const token = new URLSearchParams(invitation.acceptPath.split('?')[1]).get('token');
+
+  const invitee = createAuthClient({ transport, store: createSessionStore(memoryStorage()) });
+  expect(await invitee.getInvitation(token)).toMatchObject({ email: 'keeper@zoo.org', role: 'Field Observer' });
+  const session = await invitee.acceptInvite({ token, name: 'Jo Keeper', password: 'long-enough' });
+  expect(session.user).toMatchObject({ email: 'keeper@zoo.org', name: 'Jo Keeper', role: 'Field Observer' });
+  await expect(invitee.acceptInvite({ token, name: 'Again', password: 'long-enough' })).rejects.toMatchObject({ status: 404 });
+
+  const revoked = await client.inviteUser({ email: 'vet@zoo.org', role: 'Researcher' });
+  await client.revokeInvitation(revoked.id);
+  await expect(invitee.getInvitation(new URLSearchParams(revoked.acceptPath.split('?')[1]).get('token')))
+    .rejects.toMatchObject({ status: 404 });
+  expect((await client.listInvitations()).items.map(inv => [inv.email, inv.status])).toEqual([
+    ['vet@zoo.org', 'revoked'], ['keeper@zoo.org', 'accepted'],
+  ]);
+});
@@ -0,0 +1,97 @@
+/**
+ * Baseline comparison for the Dashboard. A view's date range is compared with a baseline period:
+ * the previous period of the same length, the same dates a year earlier, or a custom range of
+ * whole days. The choice is kept in the `compare` query param as 'previous', 'lastYear' or
+ * 'YYYY-MM-DD..YYYY-MM-DD'. A baseline with a different number of days than the current range is
+ * scaled to the current range's length, so a 14-day baseline still compares with a 7-day week.
+ */
+import { addDays, customRange, formatDateRange, parseDateInputValue, rangeDays, toDateInputValue } from './dateRange';
+
+// PUBLIC_INTERFACE
+export const BASELINE_MODES = {
+  previous: 'Previous period',
+  lastYear: 'Same period last year',
+  custom: 'Custom range',
+};
+
+// PUBLIC_INTERFACE
+export const SIGNIFICANT_INCREASE = { percent: 20, count: 3, duration: 10 };
+
+// PUBLIC_INTERFACE
+export function parseBaseline(param) {
+  /** { mode, range } for a `compare` param (`range` only for custom baselines), or null for none or malformed values. */
+  if (param === 'previous' || param === 'lastYear') return { mode: param, range: null };
+  const m = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/.exec(String(param || ''));
+  if (!m) return null;
+  const start = parseDateInputValue(m[1]);
+  const end = parseDateInputValue(m[2]);
+  if (start === null || end === null || end < start) return null;
+  return { mode: 'custom', range: customRange(start, end) };
+}
+
+// PUBLIC_INTERFACE
+export function formatBaselineParam(range) {
+  /** `compare` param for a custom baseline range, e.g. "2025-01-01..2025-01-07". */
+  return `${toDateInputValue(range.from)}..${toDateInputValue(addDays(range.to, -1))}`;
+}
+
+// PUBLIC_INTERFACE
+export function shiftYears(ts, n) {
+  /** Same local date and time `n` years later (earlier for negative n); Feb 29 moves to Mar 1. */
+  const d = new Date(ts);
+  d.setFullYear(d.getFullYear() + n);
+  return d.getTime();
+}
+
+// PUBLIC_INTERFACE
+export function baselineRange(range, baseline) {
+  /**
+   * The { from, to } window `range` is compared with for a parsed baseline. The previous period
+   * moves back by the range's number of days, so "Today" so far compares with yesterday up to the
+   * same time.
+   */
+  if (baseline.mode === 'custom') return baseline.range;
+  if (baseline.mode === 'lastYear') return { from: shiftYears(range.from, -1), to: shiftYears(range.to, -1) };
+  const days = rangeDays(range);
+  return { from: addDays(range.from, -days), to: addDays(range.to, -days) };
+}
+
+// PUBLIC_INTERFACE
+export function describeBaseline(baseline) {
+  /** Short label, e.g. "Previous period" or "Jan 1, 2025 – Jan 7, 2025". */
+  return baseline.mode === 'custom' ? formatDateRange(baseline.range) : BASELINE_MODES[baseline.mode];
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// PUBLIC_INTERFACE
+export function compareToBaseline(current, baseline, behaviors, { metric = 'duration', scale = 1 } = {}) {
+  /**
+   * Per-behavior change between two aggregates (GET /aggregates) in `metric` ('count' or
+   * 'duration' minutes), the baseline multiplied by `scale` first:
+   * [{ behavior, value, baseline, change, percent }]; `percent` is null when the baseline is 0.
+   */
+  const key = metric === 'count' ? 'counts' : 'durations';
+  return behaviors.map(behavior => {
+    const value = (current[key] && current[key][behavior]) || 0;
+    const base = round1(((baseline[key] && baseline[key][behavior]) || 0) * scale);
+    const change = round1(value - base);
+    return { behavior, value, baseline: base, change, percent: base > 0 ? Math.round((change / base) * 100) : null };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function baselineScale(range, baseline) {
+  /** Factor that brings baseline totals to the current range's number of days. */
+  return rangeDays(range) / rangeDays(baseline);
+}
+
+// PUBLIC_INTERFACE
+export function isSignificantIncrease(row, metric = 'duration') {
+  /**
+   * True when a comparison row rose by at least SIGNIFICANT_INCREASE.percent and by a meaningful
+   * amount (3 events or 10 minutes), so a jump from 1 to 2 bouts does not count.
+   */
+  if (row.change < SIGNIFICANT_INCREASE[metric === 'count' ? 'count' : 'duration']) return false;
+  return row.percent === null || row.percent >= SIGNIFICANT_INCREASE.percent;
+}
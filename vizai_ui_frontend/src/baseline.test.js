@@ -0,0 +1,48 @@
+import {
+  baselineRange, baselineScale, compareToBaseline, describeBaseline, formatBaselineParam, isSignificantIncrease, parseBaseline,
+} from './baseline';
+import { addDays, customRange, presetRange } from './dateRange';
+
+const NOW = new Date(2025, 0, 22, 15, 0, 0).getTime();
+
+test('the compare param names a baseline mode or a custom range of days', () => {
+  expect(parseBaseline('previous')).toEqual({ mode: 'previous', range: null });
+  expect(parseBaseline('')).toBeNull();
+  expect(parseBaseline('2025-01-07..2025-01-01')).toBeNull();
+  const custom = parseBaseline('2025-01-01..2025-01-14');
+  expect(custom.range).toEqual(customRange(new Date(2025, 0, 1).getTime(), new Date(2025, 0, 14).getTime()));
+  expect(formatBaselineParam(custom.range)).toBe('2025-01-01..2025-01-14');
+  expect(describeBaseline(custom)).toBe('Jan 1, 2025 – Jan 14, 2025');
+  expect(describeBaseline(parseBaseline('lastYear'))).toBe('Same period last year');
+});
+
+test('baselines cover the previous period, the same dates last year or a custom range', () => {
+  const week = presetRange('Last 7 Days', NOW);
+  expect(baselineRange(week, { mode: 'previous' })).toEqual({ from: addDays(week.from, -7), to: addDays(NOW, -7) });
+  // Today so far compares with yesterday up to the same time
+  const today = presetRange('Today', NOW);
+  expect(baselineRange(today, { mode: 'previous' })).toEqual({ from: addDays(today.from, -1), to: addDays(NOW, -1) });
+  expect(baselineRange(week, { mode: 'lastYear' })).toEqual({
+    from: new Date(2024, 0, 16).getTime(), to: new Date(2024, 0, 22, 15, 0, 0).getTime(),
+  });
+  const custom = parseBaseline('2025-01-01..2025-01-14');
+  expect(baselineRange(week, custom)).toBe(custom.range);
+  expect(baselineScale(week, custom.range)).toBe(0.5);
+});
+
+test('changes are reported per behavior, and only meaningful increases are significant', () => {
+  const current = { counts: { Pacing: 12, Moving: 5, Scratching: 2 }, durations: { Pacing: 90, Moving: 40, Scratching: 4 } };
+  const baseline = { counts: { Pacing: 16, Moving: 10, Scratching: 0 }, durations: { Pacing: 120, Moving: 40, Scratching: 0 } };
+  const rows = compareToBaseline(current, baseline, ['Pacing', 'Moving', 'Scratching'], { metric: 'duration', scale: 0.5 });
+  expect(rows).toEqual([
+    { behavior: 'Pacing', value: 90, baseline: 60, change: 30, percent: 50 },
+    { behavior: 'Moving', value: 40, baseline: 20, change: 20, percent: 100 },
+    { behavior: 'Scratching', value: 4, baseline: 0, change: 4, percent: null },
+  ]);
+  expect(rows.map(row => isSignificantIncrease(row, 'duration'))).toEqual([true, true, false]);
+
+  const counts = compareToBaseline(current, baseline, ['Pacing', 'Moving'], { metric: 'count' });
+  expect(counts.map(row => [row.change, row.percent])).toEqual([[-4, -25], [-5, -50]]);
+  expect(isSignificantIncrease({ change: 3, percent: 15 }, 'count')).toBe(false);
+  expect(isSignificantIncrease({ change: 3, percent: 30 }, 'count')).toBe(true);
+});
@@ -0,0 +1,97 @@
+/**
+ * Geometry helpers for the SVG charts in charts.js.
+ * Angles are radians clockwise from 12 o'clock (as in pdf.js pieSlice); lengths are viewBox units.
+ */
+
+export const TAU = Math.PI * 2;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// PUBLIC_INTERFACE
+export function pieLayout(values) {
+  /**
+   * Start/end angles for each value in order: [{ index, value, share, start, end }].
+   * Zero or negative values get an empty slice (start === end).
+   */
+  const positive = values.map(v => (v > 0 ? v : 0));
+  const total = positive.reduce((sum, v) => sum + v, 0);
+  let angle = 0;
+  return positive.map((value, index) => {
+    const share = total ? value / total : 0;
+    const start = angle;
+    angle += share * TAU;
+    return { index, value, share, start, end: angle };
+  });
+}
+
+const polar = (cx, cy, r, a) => [round2(cx + r * Math.sin(a)), round2(cy - r * Math.cos(a))];
+
+// PUBLIC_INTERFACE
+export function arcPath(cx, cy, r, inner, start, end) {
+  /**
+   * SVG path for a pie slice (inner = 0) or donut segment between two angles.
+   * A full turn is drawn as two half arcs because a single arc cannot start and end at one point.
+   */
+  if (end - start >= TAU - 1e-9) {
+    const outer = `M ${cx} ${cy - r} A ${r} ${r} 0 1 1 ${cx} ${cy + r} A ${r} ${r} 0 1 1 ${cx} ${cy - r} Z`;
+    return inner > 0
+      ? `${outer} M ${cx} ${cy - inner} A ${inner} ${inner} 0 1 0 ${cx} ${cy + inner} A ${inner} ${inner} 0 1 0 ${cx} ${cy - inner} Z`
+      : outer;
+  }
+  const large = end - start > Math.PI ? 1 : 0;
+  const [x0, y0] = polar(cx, cy, r, start);
+  const [x1, y1] = polar(cx, cy, r, end);
+  if (inner <= 0) return `M ${cx} ${cy} L ${x0} ${y0} A ${r} ${r} 0 ${large} 1 ${x1} ${y1} Z`;
+  const [x2, y2] = polar(cx, cy, inner, end);
+  const [x3, y3] = polar(cx, cy, inner, start);
+  return `M ${x0} ${y0} A ${r} ${r} 0 ${large} 1 ${x1} ${y1} L ${x2} ${y2} A ${inner} ${inner} 0 ${large} 0 ${x3} ${y3} Z`;
+}
+
+// PUBLIC_INTERFACE
+export function arcCentroid(cx, cy, r, inner, start, end) {
+  /** Point halfway through a slice (by angle and radius), used to anchor tooltips. */
+  const full = end - start >= TAU - 1e-9;
+  return polar(cx, cy, full && inner <= 0 ? 0 : (r + inner) / 2, (start + end) / 2);
+}
+
+// PUBLIC_INTERFACE
+export function stackLayout(values, length, total = values.reduce((sum, v) => sum + Math.max(0, v), 0)) {
+  /** Offsets and sizes of stacked segments along `length`, scaled so `total` fills it. */
+  let offset = 0;
+  return values.map((v, index) => {
+    const size = total > 0 ? (Math.max(0, v) / total) * length : 0;
+    const seg = { index, value: v, offset, size };
+    offset += size;
+    return seg;
+  });
+}
+
+// PUBLIC_INTERFACE
+export function niceMax(max) {
+  /** Smallest 1, 2, 2.5 or 5 × 10^k at or above `max`, for axis labels. */
+  if (!(max > 0)) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(max));
+  const step = [1, 2, 2.5, 5, 10].find(s => s * magnitude >= max * (1 - 1e-9));
+  return step * magnitude;
+}
+
+// PUBLIC_INTERFACE
+export function heatLevel(value, max) {
+  /** Fill opacity for a heatmap cell: 0 for empty cells, 0.15–1 otherwise. */
+  if (!(value > 0) || !(max > 0)) return 0;
+  return 0.15 + 0.85 * Math.min(1, value / max);
+}
+
+// PUBLIC_INTERFACE
+export function formatPercent(share) {
+  /** Whole-number percentage, e.g. 0.254 -> "25%". */
+  return `${Math.round(share * 100)}%`;
+}
+
+// PUBLIC_INTERFACE
+export function sparklinePoints(values, width, height, max = Math.max(0, ...values)) {
+  /** [x, y] per value spread evenly across `width`, 0 at the bottom and `max` at the top of `height`. */
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const scale = max > 0 ? height / max : 0;
+  return values.map((v, i) => [values.length > 1 ? i * step : width / 2, height - Math.max(0, v) * scale]);
+}
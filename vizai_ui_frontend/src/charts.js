@@ -0,0 +1,453 @@
+/**
+ * Reusable SVG charts: pie/donut, stacked bar, horizontal bar, heatmap and sparkline.
+ * Every mark is its own SVG shape (so pointer hit testing is per slice/bar/cell) and part of one
+ * roving tab stop: Tab focuses the chart, arrow keys (Home/End) move between marks, Enter or
+ * Space activates `onSelect`. Hover or focus shows a tooltip, and each chart renders a
+ * screen-reader-only data table. Sparklines are small static images described by their label and
+ * data table. Colors come from the caller; chrome uses the theme CSS variables.
+ */
+import React, { useRef, useState } from 'react';
+import { arcCentroid, arcPath, formatPercent, heatLevel, niceMax, pieLayout, sparklinePoints, stackLayout } from './chartLayout';
+
+const MUTED = 'var(--muted)';
+const TRACK = 'var(--table-row-hover)';
+
+// Roving focus and tooltip state shared by all charts; `columns` is the Up/Down step.
+function useChartMarks(count, { columns = 1, onActivate } = {}) {
+  const refs = useRef([]);
+  const [active, setActive] = useState(0);
+  const [shown, setShown] = useState(null);
+  const current = Math.min(active, Math.max(0, count - 1));
+
+  const focusMark = (i) => {
+    setActive(i);
+    if (refs.current[i]) refs.current[i].focus();
+  };
+  const onKeyDown = (e, i) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      if (onActivate) onActivate(i);
+      return;
+    }
+    const next = {
+      ArrowRight: i + 1, ArrowLeft: i - 1, ArrowDown: i + columns, ArrowUp: i - columns, Home: 0, End: count - 1,
+    }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    if (next >= 0 && next < count) focusMark(next);
+  };
+
+  const markProps = (i, style) => ({
+    ref: (el) => { refs.current[i] = el; },
+    tabIndex: i === current ? 0 : -1,
+    role: onActivate ? 'button' : 'img',
+    onKeyDown: (e) => onKeyDown(e, i),
+    onFocus: () => { setActive(i); setShown(i); },
+    onBlur: () => setShown(null),
+    onMouseEnter: () => setShown(i),
+    onMouseLeave: () => setShown(null),
+    onClick: onActivate ? () => onActivate(i) : undefined,
+    style: { cursor: onActivate ? 'pointer' : 'default', outline: 'none', ...style },
+  });
+  return { shown, markProps };
+}
+
+// Tooltip anchored at a point given in percent of the chart box, above it unless `below`
+function ChartTooltip({ x, y, text, below = false }) {
+  return (
+    <div aria-hidden="true" style={{
+      position: 'absolute', left: `${x}%`, top: `${y}%`, transform: below ? 'translate(-50%, 6px)' : 'translate(-50%, calc(-100% - 6px))',
+      background: 'var(--surface)', color: 'var(--text)', border: '1px solid var(--border)', borderRadius: 8,
+      padding: '4px 8px', fontSize: 12, fontWeight: 700, boxShadow: 'var(--shadow)', pointerEvents: 'none',
+      whiteSpace: 'nowrap', zIndex: 5,
+    }}>
+      {text}
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+export function ChartDataTable({ caption, rows }) {
+  /** Visually hidden table of the chart data; `rows[0]` is the header, column 0 holds row headers. */
+  const [header, ...body] = rows;
+  return (
+    <table className="sr-only">
+      <caption>{caption}</caption>
+      <thead>
+        <tr>{header.map(h => <th key={h} scope="col">{h}</th>)}</tr>
+      </thead>
+      <tbody>
+        {body.map((row, r) => (
+          <tr key={`${row[0]}-${r}`}>
+            {row.map((v, i) => (i === 0 ? <th key={i} scope="row">{v}</th> : <td key={i}>{v}</td>))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Clickable legend listing each series with its value and share
+function ChartLegend({ items, total, formatValue, onSelect, actionLabel }) {
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+      {items.map(d => (
+        <button
+          key={d.key}
+          type="button"
+          onClick={onSelect ? () => onSelect(d.key) : undefined}
+          title={`${d.label}: ${formatValue(d.value)} (${formatPercent(total ? d.value / total : 0)})${onSelect && actionLabel ? ` • ${actionLabel}` : ''}`}
+          aria-label={onSelect && actionLabel ? `${actionLabel}: ${d.label}` : `${d.label}: ${formatValue(d.value)}`}
+          style={{
+            display: 'inline-flex', alignItems: 'center', gap: 6, border: '1px solid var(--border)', padding: '6px 8px',
+            borderRadius: 10, background: 'var(--surface)', cursor: onSelect ? 'pointer' : 'default',
+          }}
+        >
+          <span aria-hidden style={{ width: 10, height: 10, borderRadius: 999, background: d.color, boxShadow: 'var(--shadow)' }} />
+          <span style={{ fontSize: 12, color: 'var(--text)' }}>{d.label}</span>
+          <span style={{ fontSize: 12, color: MUTED }}>{formatValue(d.value)} • {formatPercent(total ? d.value / total : 0)}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+const markStroke = (highlighted) => (highlighted
+  ? { stroke: 'var(--text)', strokeWidth: 2 }
+  : { stroke: 'var(--surface)', strokeWidth: 1 });
+
+// PUBLIC_INTERFACE
+export function PieChart({
+  title, data, formatValue = String, donut = false, size = 240, onSelect, actionLabel, showLegend = true,
+}) {
+  /**
+   * Pie (or donut) of `data` = [{ key, label, value, color }]. onSelect(key) fires when a slice or
+   * legend item is activated; `actionLabel` (e.g. "Open in Timeline") is appended to their labels.
+   */
+  const total = data.reduce((sum, d) => sum + Math.max(0, d.value), 0);
+  const slices = pieLayout(data.map(d => d.value))
+    .map(s => ({ ...s, item: data[s.index] }))
+    .filter(s => s.value > 0);
+  const { shown, markProps } = useChartMarks(slices.length, {
+    onActivate: onSelect ? (i) => onSelect(slices[i].item.key) : undefined,
+  });
+  const c = size / 2;
+  const r = c - 4;
+  const inner = donut ? r * 0.58 : 0;
+  const describe = (s) => `${s.item.label}: ${formatValue(s.value)} (${formatPercent(s.share)})`;
+  const tip = shown !== null && slices[shown] ? slices[shown] : null;
+  const tipAt = tip ? arcCentroid(c, c, r, inner, tip.start, tip.end) : null;
+
+  return (
+    <div style={{ display: 'grid', gap: 8 }}>
+      {showLegend ? (
+        <ChartLegend items={data} total={total} formatValue={formatValue} onSelect={onSelect} actionLabel={actionLabel} />
+      ) : null}
+      <div style={{ position: 'relative', width: size, maxWidth: '100%', margin: '8px auto' }}>
+        <svg viewBox={`0 0 ${size} ${size}`} role="group" aria-label={title} style={{ display: 'block', width: '100%', height: 'auto' }}>
+          {slices.map((s, i) => (
+            <path
+              key={s.item.key}
+              d={arcPath(c, c, r, inner, s.start, s.end)}
+              aria-label={`${describe(s)}${onSelect && actionLabel ? `. ${actionLabel}` : ''}`}
+              {...markProps(i, { fill: s.item.color, ...markStroke(shown === i) })}
+            />
+          ))}
+          {donut ? (
+            <text x={c} y={c + 5} textAnchor="middle" style={{ fill: 'var(--text)', fontSize: 14, fontWeight: 800 }} aria-hidden="true">
+              {formatValue(total)}
+            </text>
+          ) : null}
+        </svg>
+        {tip ? <ChartTooltip x={(tipAt[0] / size) * 100} y={(tipAt[1] / size) * 100} text={describe(tip)} /> : null}
+      </div>
+      <ChartDataTable
+        caption={title}
+        rows={[['Item', 'Value', 'Share'], ...data.map(d => [d.label, formatValue(d.value), formatPercent(total ? Math.max(0, d.value) / total : 0)])]}
+      />
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+export function StackedBarChart({
+  title, rows, series, formatValue = String, orientation = 'horizontal', normalize = false, height,
+  onSelect, actionLabel, showLegend = true,
+}) {
+  /**
+   * Bars for `rows` = [{ key, label, values: { [seriesKey]: number } }], each stacked by
+   * `series` = [{ key, label, color }]. Horizontal bars fill the width (per row when `normalize`,
+   * else relative to the largest row); vertical bars share a value axis. onSelect(seriesKey, rowKey).
+   */
+  const vertical = orientation === 'vertical';
+  const rowTotals = rows.map(row => series.reduce((sum, s) => sum + Math.max(0, row.values[s.key] || 0), 0));
+  const seriesTotals = series.map(s => ({ ...s, value: rows.reduce((sum, row) => sum + Math.max(0, row.values[s.key] || 0), 0) }));
+  const grandTotal = rowTotals.reduce((sum, t) => sum + t, 0);
+  const axisMax = vertical ? niceMax(Math.max(0, ...rowTotals)) : Math.max(0, ...rowTotals);
+
+  const W = vertical ? 600 : 400;
+  const labelW = !vertical && rows.length > 1 ? 90 : 0;
+  const axisW = vertical ? 40 : 0;
+  const barH = 20;
+  const H = vertical ? (height || 180) : rows.length * (barH + 8);
+  const plotH = vertical ? H - 18 : H;
+  const plotW = W - labelW - axisW;
+  const slot = vertical ? plotW / Math.max(1, rows.length) : barH + 8;
+  const labelEvery = vertical ? Math.max(1, Math.ceil(rows.length / 8)) : 1;
+
+  const marks = [];
+  rows.forEach((row, r) => {
+    const length = vertical ? plotH : plotW;
+    const scaleTotal = normalize ? rowTotals[r] : axisMax;
+    stackLayout(series.map(s => row.values[s.key] || 0), length, scaleTotal).forEach(seg => {
+      if (seg.size <= 0) return;
+      const s = series[seg.index];
+      const rect = vertical
+        ? { x: axisW + r * slot + slot * 0.1, y: plotH - seg.offset - seg.size, width: slot * 0.8, height: seg.size }
+        : { x: labelW + seg.offset, y: r * slot, width: seg.size, height: barH };
+      marks.push({ row, series: s, value: seg.value, share: rowTotals[r] ? seg.value / rowTotals[r] : 0, rect });
+    });
+  });
+  const { shown, markProps } = useChartMarks(marks.length, {
+    onActivate: onSelect ? (i) => onSelect(marks[i].series.key, marks[i].row.key) : undefined,
+  });
+  const describe = (m) => `${rows.length > 1 ? `${m.row.label} — ` : ''}${m.series.label}: ${formatValue(m.value)} (${formatPercent(m.share)})`;
+  const tip = shown !== null && marks[shown] ? marks[shown] : null;
+
+  return (
+    <div style={{ display: 'grid', gap: 8 }}>
+      <div style={{ position: 'relative' }}>
+        <svg viewBox={`0 0 ${W} ${H}`} role="group" aria-label={title} style={{ display: 'block', width: '100%', height: 'auto', overflow: 'visible' }}>
+          {vertical ? (
+            <g aria-hidden="true">
+              {[0, 0.5, 1].map(f => (
+                <g key={f}>
+                  <line x1={axisW} x2={W} y1={plotH - f * plotH} y2={plotH - f * plotH} style={{ stroke: 'var(--border)', strokeWidth: 1 }} />
+                  <text x={axisW - 4} y={plotH - f * plotH + 3} textAnchor="end" style={{ fill: MUTED, fontSize: 10 }}>{formatValue(axisMax * f)}</text>
+                </g>
+              ))}
+              {rows.map((row, r) => (r % labelEvery === 0 ? (
+                <text key={row.key} x={axisW + r * slot + slot / 2} y={H - 4} textAnchor="middle" style={{ fill: MUTED, fontSize: 10 }}>{row.shortLabel || row.label}</text>
+              ) : null))}
+            </g>
+          ) : (
+            <g aria-hidden="true">
+              {rows.map((row, r) => (
+                <g key={row.key}>
+                  <rect x={labelW} y={r * slot} width={plotW} height={barH} rx={barH / 2} style={{ fill: TRACK }} />
+                  {labelW ? <text x={0} y={r * slot + 14} style={{ fill: MUTED, fontSize: 11 }}>{row.shortLabel || row.label}</text> : null}
+                </g>
+              ))}
+            </g>
+          )}
+          {marks.map((m, i) => (
+            <rect
+              key={`${m.row.key}-${m.series.key}`}
+              {...m.rect}
+              aria-label={`${describe(m)}${onSelect && actionLabel ? `. ${actionLabel}` : ''}`}
+              {...markProps(i, { fill: m.series.color, ...markStroke(shown === i) })}
+            />
+          ))}
+        </svg>
+        {tip ? (
+          <ChartTooltip
+            x={((tip.rect.x + tip.rect.width / 2) / W) * 100}
+            y={(tip.rect.y / H) * 100}
+            text={describe(tip)}
+          />
+        ) : null}
+      </div>
+      {showLegend ? (
+        <ChartLegend items={seriesTotals} total={grandTotal} formatValue={formatValue}
+                     onSelect={onSelect ? (key) => onSelect(key, null) : undefined} actionLabel={actionLabel} />
+      ) : null}
+      <ChartDataTable
+        caption={title}
+        rows={[
+          ['', ...series.map(s => s.label), 'Total'],
+          ...rows.map((row, r) => [row.label, ...series.map(s => formatValue(row.values[s.key] || 0)), formatValue(rowTotals[r])]),
+        ]}
+      />
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+export function HorizontalBarChart({ title, data, formatValue = String, onSelect, actionLabel, max }) {
+  /**
+   * One labeled bar per item of `data` = [{ key, label, value, color }], sized by its share of the
+   * total (or of `max`, to align the scale of charts shown next to each other) and labeled with the
+   * value and percentage. onSelect(key) fires on activation.
+   */
+  const total = data.reduce((sum, d) => sum + Math.max(0, d.value), 0);
+  const { shown, markProps } = useChartMarks(data.length, {
+    onActivate: onSelect ? (i) => onSelect(data[i].key) : undefined,
+  });
+  const W = 400;
+  const labelW = 110;
+  const valueW = 110;
+  const rowH = 24;
+  const barH = 10;
+  const plotW = W - labelW - valueW;
+  const H = data.length * rowH;
+  const share = (d) => (total ? Math.max(0, d.value) / total : 0);
+  const length = (d) => (max === undefined ? share(d) : max > 0 ? Math.min(1, Math.max(0, d.value) / max) : 0);
+  const describe = (d) => `${d.label}: ${formatValue(d.value)} (${formatPercent(share(d))})`;
+  const tip = shown !== null && data[shown] ? data[shown] : null;
+
+  return (
+    <div style={{ display: 'grid', gap: 8 }}>
+      <div style={{ position: 'relative' }}>
+        <svg viewBox={`0 0 ${W} ${H}`} role="group" aria-label={title} style={{ display: 'block', width: '100%', height: 'auto' }}>
+          {data.map((d, i) => {
+            const y = i * rowH;
+            const highlighted = shown === i;
+            return (
+              <g key={d.key}>
+                <text x={0} y={y + 16} style={{ fill: highlighted ? 'var(--text)' : MUTED, fontSize: 12, fontWeight: highlighted ? 700 : 400 }} aria-hidden="true">{d.label}</text>
+                <rect x={labelW} y={y + (rowH - barH) / 2} width={plotW} height={barH} rx={barH / 2} style={{ fill: TRACK }} aria-hidden="true" />
+                <rect
+                  x={labelW}
+                  y={y + (rowH - barH) / 2}
+                  width={Math.max(length(d) * plotW, d.value > 0 ? 2 : 0)}
+                  height={barH}
+                  rx={barH / 2}
+                  aria-label={`${describe(d)}${onSelect && actionLabel ? `. ${actionLabel}` : ''}`}
+                  {...markProps(i, { fill: d.color, ...(highlighted ? markStroke(true) : {}) })}
+                />
+                <text x={W} y={y + 16} textAnchor="end" style={{ fill: MUTED, fontSize: 12 }} aria-hidden="true">
+                  {formatValue(d.value)} • {formatPercent(share(d))}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+        {tip ? <ChartTooltip x={((labelW + length(tip) * plotW / 2) / W) * 100} y={((shown * rowH + 4) / H) * 100} text={describe(tip)} /> : null}
+      </div>
+      <ChartDataTable
+        caption={title}
+        rows={[['Item', 'Value', 'Share'], ...data.map(d => [d.label, formatValue(d.value), formatPercent(share(d))])]}
+      />
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+export function HeatmapChart({
+  title, rows, columns, values, color = 'var(--primary)', formatValue = String, onSelect, actionLabel, legendNote, max: fixedMax,
+}) {
+  /**
+   * Grid of `rows` × `columns` (each [{ key, label, title }]; an empty column label hides that
+   * tick) shaded by `values[row][column]` relative to the largest value (or `max`, to share one
+   * scale between heatmaps), with a Less/More legend. Arrow keys move by cell and by row.
+   * onSelect(rowKey, columnKey) fires on activation.
+   */
+  const count = rows.length * columns.length;
+  const { shown, markProps } = useChartMarks(count, {
+    columns: columns.length,
+    onActivate: onSelect ? (i) => onSelect(rows[Math.floor(i / columns.length)].key, columns[i % columns.length].key) : undefined,
+  });
+  const max = fixedMax === undefined ? Math.max(0, ...values.flat()) : fixedMax;
+  const labelW = 64;
+  const headerH = 14;
+  const cell = 14;
+  const gap = 2;
+  const W = labelW + columns.length * (cell + gap);
+  const H = headerH + rows.length * (cell + gap);
+  const at = (i) => ({ r: Math.floor(i / columns.length), c: i % columns.length });
+  const describe = (i) => {
+    const { r, c } = at(i);
+    return `${rows[r].title || rows[r].label} ${columns[c].title || columns[c].label}: ${formatValue(values[r][c])}`;
+  };
+  const tip = shown !== null && shown < count ? at(shown) : null;
+  const steps = [0, 0.25, 0.5, 0.75, 1];
+
+  return (
+    <div style={{ display: 'grid', gap: 8 }}>
+      <div style={{ overflow: 'auto', maxHeight: 320 }}>
+        <div style={{ position: 'relative', minWidth: 340 }}>
+          <svg viewBox={`0 0 ${W} ${H}`} role="group" aria-label={title} style={{ display: 'block', width: '100%', height: 'auto' }}>
+            <g aria-hidden="true">
+              {columns.map((col, c) => (col.label ? (
+                <text key={col.key} x={labelW + c * (cell + gap) + cell / 2} y={10} textAnchor="middle" style={{ fill: MUTED, fontSize: 8 }}>{col.label}</text>
+              ) : null))}
+              {rows.map((row, r) => (
+                <text key={row.key} x={0} y={headerH + r * (cell + gap) + 10} style={{ fill: MUTED, fontSize: 8 }}>{row.label}</text>
+              ))}
+            </g>
+            {rows.map((row, r) => columns.map((col, c) => {
+              const i = r * columns.length + c;
+              const v = values[r][c];
+              return (
+                <rect
+                  key={`${row.key}-${col.key}`}
+                  x={labelW + c * (cell + gap)}
+                  y={headerH + r * (cell + gap)}
+                  width={cell}
+                  height={cell}
+                  rx={3}
+                  aria-label={`${describe(i)}${onSelect && actionLabel ? `. ${actionLabel}` : ''}`}
+                  {...markProps(i, {
+                    fill: v > 0 ? color : TRACK,
+                    fillOpacity: v > 0 ? heatLevel(v, max) : 1,
+                    ...(shown === i ? markStroke(true) : {}),
+                  })}
+                />
+              );
+            }))}
+          </svg>
+          {tip ? (
+            <ChartTooltip
+              x={((labelW + tip.c * (cell + gap) + cell / 2) / W) * 100}
+              y={((headerH + (tip.r + (tip.r < 2 ? 1 : 0)) * (cell + gap)) / H) * 100}
+              below={tip.r < 2}
+              text={describe(shown)}
+            />
+          ) : null}
+        </div>
+      </div>
+      <div aria-label="Color legend" style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 11, color: MUTED, flexWrap: 'wrap' }}>
+        <span>Less</span>
+        {steps.map(f => (
+          <span key={f} title={formatValue(f * max)} style={{
+            width: 18, height: 12, borderRadius: 3, border: '1px solid var(--border)',
+            background: f > 0 ? color : TRACK, opacity: f > 0 ? heatLevel(f * max, max) : 1,
+          }} />
+        ))}
+        <span>More (max {formatValue(max)}{legendNote ? ` ${legendNote}` : ''})</span>
+      </div>
+      <ChartDataTable
+        caption={title}
+        rows={[['', ...columns.map(c => c.title || c.label || c.key)], ...rows.map((row, r) => [row.title || row.label, ...values[r].map(formatValue)])]}
+      />
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+export function Sparkline({ title, points, color = 'var(--primary)', reference = null, formatValue = String, width = 120, height = 28 }) {
+  /**
+   * Small trend line over `points` = [{ key, label, value }] (oldest first), with a dot on the last
+   * value and an optional dashed `reference` level (e.g. a baseline average). Not interactive.
+   */
+  const values = points.map(p => p.value);
+  const pad = 3;
+  const max = Math.max(0, reference || 0, ...values);
+  const xy = sparklinePoints(values, width - pad * 2, height - pad * 2, max).map(([x, y]) => [x + pad, y + pad]);
+  const last = xy[xy.length - 1];
+  const refY = reference !== null && max > 0 ? pad + (height - pad * 2) * (1 - reference / max) : null;
+  return (
+    <>
+      <svg viewBox={`0 0 ${width} ${height}`} width={width} height={height} role="img" aria-label={title} style={{ display: 'block' }}>
+        {refY !== null ? (
+          <line x1={pad} x2={width - pad} y1={refY} y2={refY} style={{ stroke: MUTED, strokeWidth: 1, strokeDasharray: '3 3' }} />
+        ) : null}
+        {xy.length > 1 ? (
+          <polyline points={xy.map(p => p.join(',')).join(' ')} style={{ fill: 'none', stroke: color, strokeWidth: 1.5, strokeLinejoin: 'round' }} />
+        ) : null}
+        {last ? <circle cx={last[0]} cy={last[1]} r={2.5} style={{ fill: color }} /> : null}
+      </svg>
+      <ChartDataTable caption={title} rows={[['Day', 'Value'], ...points.map(p => [p.label, formatValue(p.value)])]} />
+    </>
+  );
+}
@@ -0,0 +1,66 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { arcPath, heatLevel, niceMax, pieLayout, sparklinePoints, stackLayout } from './chartLayout';
+import { HeatmapChart, PieChart } from './charts';
+
+const data = [
+  { key: 'a', label: 'Alpha', value: 3, color: '#111111' },
+  { key: 'b', label: 'Beta', value: 0, color: '#222222' },
+  { key: 'c', label: 'Gamma', value: 1, color: '#333333' },
+];
+
+test('layout helpers split angles, stacks and axis ranges', () => {
+  const slices = pieLayout([3, 0, 1]);
+  expect(slices.map(s => s.share)).toEqual([0.75, 0, 0.25]);
+  expect(slices[2].end).toBeCloseTo(Math.PI * 2);
+  expect(arcPath(50, 50, 40, 0, 0, Math.PI / 2)).toBe('M 50 50 L 50 10 A 40 40 0 0 1 90 50 Z');
+  expect(arcPath(50, 50, 40, 0, 0, Math.PI * 2)).toContain('A 40 40 0 1 1 50 90');
+
+  expect(stackLayout([1, 3], 100).map(s => [s.offset, s.size])).toEqual([[0, 25], [25, 75]]);
+  expect(stackLayout([1, 3], 100, 8)[1].size).toBe(37.5);
+  expect([0, 7, 180, 1200].map(niceMax)).toEqual([1, 10, 200, 2000]);
+  expect([heatLevel(0, 10), heatLevel(10, 10)]).toEqual([0, 1]);
+  expect(sparklinePoints([0, 5, 10], 100, 20)).toEqual([[0, 20], [50, 10], [100, 0]]);
+  expect(sparklinePoints([4], 100, 20, 8)).toEqual([[50, 10]]);
+});
+
+test('pie slices are focusable, arrow keys move between them and Enter selects', () => {
+  const onSelect = jest.fn();
+  render(<PieChart title="Share" data={data} onSelect={onSelect} actionLabel="Open" showLegend={false} />);
+  const slices = screen.getAllByRole('button', { name: /\. Open$/ });
+  // Empty values are not drawn but stay in the data table
+  expect(slices).toHaveLength(2);
+  expect(slices.map(s => s.getAttribute('tabindex'))).toEqual(['0', '-1']);
+  expect(slices[0]).toHaveAccessibleName('Alpha: 3 (75%). Open');
+
+  act(() => slices[0].focus());
+  fireEvent.keyDown(slices[0], { key: 'ArrowRight' });
+  expect(slices[1]).toHaveFocus();
+  expect(screen.getByText('Gamma: 1 (25%)')).toBeInTheDocument();
+  fireEvent.keyDown(slices[1], { key: 'Enter' });
+  fireEvent.click(slices[0]);
+  expect(onSelect.mock.calls).toEqual([['c'], ['a']]);
+
+  const table = screen.getByRole('table', { name: 'Share' });
+  expect(table).toHaveTextContent('Beta00%');
+});
+
+test('heatmap moves by row with Up/Down and reports the selected cell', () => {
+  const onSelect = jest.fn();
+  render(
+    <HeatmapChart
+      title="Activity"
+      rows={[{ key: 'd1', label: 'Mon' }, { key: 'd2', label: 'Tue' }]}
+      columns={[{ key: 0, label: '00' }, { key: 1, label: '01' }, { key: 2, label: '02' }]}
+      values={[[0, 5, 10], [2, 0, 1]]}
+      onSelect={onSelect}
+    />
+  );
+  const cells = screen.getAllByRole('button');
+  expect(cells).toHaveLength(6);
+  act(() => cells[1].focus());
+  fireEvent.keyDown(cells[1], { key: 'ArrowDown' });
+  expect(cells[4]).toHaveFocus();
+  fireEvent.keyDown(cells[4], { key: ' ' });
+  expect(onSelect).toHaveBeenCalledWith('d2', 1);
+  expect(screen.getByText(/max 10/)).toBeInTheDocument();
+});
@@ -0,0 +1,91 @@
+/**
+ * Side-by-side comparison of two filter sets, e.g. one animal before and after an enclosure change
+ * or two animals over the same week. Side A is the shared filters (viewState.js); side B keeps its
+ * own individuals, date range and hours in `b.`-prefixed query params
+ *   ?…&b.individuals=ga-02&b.range=Custom&b.from=2025-01-09&b.to=2025-01-15&b.hours=day
+ * and shares species and label source with A, so both sides use the same ethogram. Differences are
+ * B minus A per average day, so periods of different lengths compare fairly.
+ */
+import { baselineRange } from './baseline';
+import { customRange, rangeDays } from './dateRange';
+import { decodeGlobalView, encodeGlobalView } from './viewState';
+
+const SIDE_FIELDS = ['individuals', 'range', 'from', 'to', 'hours'];
+
+// PUBLIC_INTERFACE
+export const SIDE_B_PARAMS = SIDE_FIELDS.map(name => `b.${name}`);
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// PUBLIC_INTERFACE
+export function defaultSideB(sideA) {
+  /** Side B when the URL has none: A's individuals and hours over the whole days of the previous period. */
+  const previous = baselineRange(sideA.dateRange, { mode: 'previous' });
+  return { individuals: sideA.individuals, dateRange: customRange(previous.from, previous.to - 1), hours: sideA.hours };
+}
+
+// PUBLIC_INTERFACE
+export function decodeSideB(searchParams, sideA, now = Date.now()) {
+  /** Side B { individuals, dateRange, hours } from the `b.` params, or defaultSideB(sideA) without any. */
+  if (!SIDE_B_PARAMS.some(name => searchParams.has(name))) return defaultSideB(sideA);
+  const params = new URLSearchParams();
+  SIDE_FIELDS.forEach(name => {
+    if (searchParams.has(`b.${name}`)) params.set(name, searchParams.get(`b.${name}`));
+  });
+  const { individuals, dateRange, hours } = decodeGlobalView(params, now);
+  return { individuals, dateRange, hours };
+}
+
+// PUBLIC_INTERFACE
+export function withSideB(searchParams, side) {
+  /** Copy of `searchParams` with the `b.` params replaced by `side`'s. */
+  const next = new URLSearchParams(searchParams);
+  SIDE_B_PARAMS.forEach(name => next.delete(name));
+  encodeGlobalView({ ...side, species: '', labelSource: 'ai' })
+    .filter(([name]) => SIDE_FIELDS.includes(name))
+    .forEach(([name, value]) => next.set(`b.${name}`, value));
+  return next;
+}
+
+const compareValues = (aPerDay, bPerDay) => ({
+  aPerDay: round1(aPerDay),
+  bPerDay: round1(bPerDay),
+  change: round1(bPerDay - aPerDay),
+  percent: aPerDay > 0 ? Math.round(((bPerDay - aPerDay) / aPerDay) * 100) : null,
+});
+
+// PUBLIC_INTERFACE
+export function differenceRows(a, b, categories, metric = 'duration') {
+  /**
+   * Per-behavior comparison of two aggregates ({ counts, durations } as from GET /aggregates, plus
+   * `days`, the number of days each covers) in `metric` ('count' or 'duration' minutes):
+   * [{ behavior, a, b, aPerDay, bPerDay, change, percent }] where `change` is B minus A per day and
+   * `percent` is null when A is 0.
+   */
+  const key = metric === 'count' ? 'counts' : 'durations';
+  return categories.map(behavior => {
+    const va = a[key][behavior] || 0;
+    const vb = b[key][behavior] || 0;
+    return { behavior, a: va, b: vb, ...compareValues(a.days ? va / a.days : 0, b.days ? vb / b.days : 0) };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function hourlyProfile(activity) {
+  /** Average minutes per day in each hour of day (24 values) from GET /activity's { days, minutes }. */
+  const days = activity.days.length;
+  return Array.from({ length: 24 }, (_, h) => (days ? round1(activity.minutes.reduce((sum, row) => sum + row[h], 0) / days) : 0));
+}
+
+// PUBLIC_INTERFACE
+export function hourlyDifference(a, b) {
+  /** The average day of two GET /activity results hour by hour: [{ hour, aPerDay, bPerDay, change, percent }] in minutes. */
+  const profileB = hourlyProfile(b);
+  return hourlyProfile(a).map((v, hour) => ({ hour, ...compareValues(v, profileB[hour]) }));
+}
+
+// PUBLIC_INTERFACE
+export function sideDays(side) {
+  /** Calendar days a side's date range covers, for per-day averages. */
+  return rangeDays(side.dateRange);
+}
@@ -0,0 +1,75 @@
+import { createApiClient, createMockTransport } from './apiClient';
+import { decodeSideB, defaultSideB, differenceRows, hourlyDifference, withSideB } from './comparison';
+import { addDays, customRange, presetRange, startOfDay } from './dateRange';
+import { runReportExport } from './exportJobs';
+import { createMockServer } from './mockServer';
+import { buildComparisonReport } from './reportExport';
+
+const NOW = new Date(2025, 0, 22, 15, 0, 0).getTime();
+const TODAY = startOfDay(NOW);
+const ALL_HOURS = { mode: 'all', ranges: [] };
+
+test('side B lives in b. params and defaults to the previous period of side A', () => {
+  const sideA = { individuals: ['ga-01'], dateRange: presetRange('Last 7 Days', NOW), hours: { mode: 'day', ranges: [] } };
+  expect(defaultSideB(sideA)).toEqual({ ...sideA, dateRange: customRange(addDays(TODAY, -13), addDays(TODAY, -7)) });
+  expect(decodeSideB(new URLSearchParams('species=Giant+Anteater'), sideA, NOW)).toEqual(defaultSideB(sideA));
+
+  const sideB = { individuals: ['ga-02'], dateRange: customRange(addDays(TODAY, -20), addDays(TODAY, -14)), hours: ALL_HOURS };
+  const params = withSideB(new URLSearchParams('species=Giant+Anteater&view=difference&b.hours=night'), sideB);
+  expect(params.toString()).toBe('species=Giant+Anteater&view=difference&b.individuals=ga-02&b.range=Custom&b.from=2025-01-02&b.to=2025-01-08');
+  expect(decodeSideB(params, sideA, NOW)).toEqual(sideB);
+});
+
+test('differences compare the average day of each side', () => {
+  const a = { counts: { Pacing: 14, Foraging: 0 }, durations: { Pacing: 70, Foraging: 0 }, days: 7 };
+  const b = { counts: { Pacing: 9, Foraging: 3 }, durations: { Pacing: 30, Foraging: 12 }, days: 3 };
+  expect(differenceRows(a, b, ['Pacing', 'Foraging'], 'count')).toEqual([
+    { behavior: 'Pacing', a: 14, b: 9, aPerDay: 2, bPerDay: 3, change: 1, percent: 50 },
+    { behavior: 'Foraging', a: 0, b: 3, aPerDay: 0, bPerDay: 1, change: 1, percent: null },
+  ]);
+  expect(differenceRows(a, b, ['Pacing'])[0]).toMatchObject({ aPerDay: 10, bPerDay: 10, change: 0, percent: 0 });
+
+  const hours = (h, minutes) => Array.from({ length: 24 }, (_, i) => (i === h ? minutes : 0));
+  const rows = hourlyDifference({ days: [1, 2], minutes: [hours(9, 30), hours(9, 10)] }, { days: [3], minutes: [hours(14, 5)] });
+  expect(rows).toHaveLength(24);
+  expect(rows[9]).toEqual({ hour: 9, aPerDay: 20, bPerDay: 0, change: -20, percent: -100 });
+  expect(rows[14]).toEqual({ hour: 14, aPerDay: 0, bPerDay: 5, change: 5, percent: null });
+});
+
+test('a comparison report has both sides and exports through the Reports pipeline', async () => {
+  const bout = (day, hour, minutes, behavior = 'Pacing') => {
+    const start = addDays(TODAY, day) + hour * 3600000;
+    return { id: `e-${day}-${hour}`, individualId: 'ga-01', behavior, confidence: 0.9, start, end: start + minutes * 60000 };
+  };
+  const report = buildComparisonReport({
+    species: 'Giant Anteater',
+    categories: ['Pacing', 'Foraging'],
+    labels: 'ai',
+    sides: [
+      { label: 'A', individuals: [{ id: 'ga-01', name: 'Ana' }], dateRange: customRange(addDays(TODAY, -1), addDays(TODAY, -1)), hours: ALL_HOURS, events: [bout(-1, 9, 30)] },
+      { label: 'B', individuals: [], dateRange: customRange(addDays(TODAY, -3), addDays(TODAY, -2)), hours: ALL_HOURS, events: [bout(-3, 9, 10), bout(-2, 10, 20, 'Foraging')] },
+    ],
+    generatedAt: NOW,
+  });
+  expect(report.fileBase).toBe('vizai-comparison-2025-01-21_2025-01-21-vs-2025-01-19_2025-01-20');
+  expect(report.sides.map(side => side.behaviors.map(b => b.minutes))).toEqual([[30, 0], [10, 20]]);
+  expect(report.metadata).toContainEqual(['Individuals', 'A: Ana (ga-01) • B: All']);
+  expect(report.aggregates[1]).toEqual(['Pacing', 1, 1, '-0.5', 30, 10, 30, 5, '-25', '-83']);
+  expect(report.sections[0].rows[10]).toEqual(['09:00', 30, 5, '-25']);
+  expect(report.events.slice(1).map(row => row[0])).toEqual(['A', 'B', 'B']);
+
+  const client = createApiClient({ transport: createMockTransport(createMockServer({ latencyMs: 0, now: () => NOW }), { network: null }) });
+  const side = (label, dateRange) => ({
+    query: { species: 'Giant Anteater', from: dateRange.from, to: dateRange.to, labels: 'ai' },
+    report: { label, individuals: [], dateRange, hours: ALL_HOURS },
+  });
+  const progress = [];
+  const { blob, fileName } = await runReportExport(client, {
+    format: 'csv',
+    sides: [side('A', customRange(addDays(TODAY, -6), TODAY)), side('B', customRange(addDays(TODAY, -13), addDays(TODAY, -7)))],
+    report: { species: 'Giant Anteater', labels: 'ai', generatedBy: 'r@zoo.org' },
+  }, { onProgress: (p) => progress.push(p) });
+  expect(fileName).toBe('vizai-comparison-2025-01-16_2025-01-22-vs-2025-01-09_2025-01-15.csv');
+  expect(blob.type).toBe('text/csv;charset=utf-8');
+  expect(progress).toEqual([...progress].sort((x, y) => x - y));
+});
@@ -0,0 +1,162 @@
+/**
+ * Date range helpers shared by Dashboard, Timeline and Reports.
+ * A range is stored as { preset, from, to } where from/to are epoch milliseconds
+ * describing the half-open window [from, to). `preset` is a preset label or 'Custom'.
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest custom window accepted by the picker, in days.
+export const MAX_RANGE_DAYS = 366;
+
+// Relative presets offered by the selector and the picker.
+export const DATE_RANGE_PRESETS = ['Today', 'Yesterday', 'Last 7 Days', 'Last 14 Days', 'Last 30 Days', 'Last 90 Days'];
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// PUBLIC_INTERFACE
+export function startOfDay(ts) {
+  /** Local midnight for the given timestamp. */
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+// PUBLIC_INTERFACE
+export function addDays(ts, n) {
+  /** Calendar-day offset that stays on local midnight across DST changes. */
+  const d = new Date(ts);
+  d.setDate(d.getDate() + n);
+  return d.getTime();
+}
+
+// PUBLIC_INTERFACE
+export function resolveDateRange(label, now = Date.now()) {
+  /**
+   * Maps a preset label to { from, to }. Unknown labels fall back to Last 7 Days.
+   * Open-ended presets end at `now`; Yesterday ends at today's midnight.
+   */
+  const today = startOfDay(now);
+  switch (label) {
+    case 'Today':
+      return { from: today, to: now };
+    case 'Yesterday':
+      return { from: addDays(today, -1), to: today };
+    case 'Last 14 Days':
+      return { from: addDays(today, -13), to: now };
+    case 'Last 30 Days':
+      return { from: addDays(today, -29), to: now };
+    case 'Last 90 Days':
+      return { from: addDays(today, -89), to: now };
+    case 'Last 7 Days':
+    default:
+      return { from: addDays(today, -6), to: now };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function presetRange(preset, now = Date.now()) {
+  /** Stored range for a preset label. */
+  const known = DATE_RANGE_PRESETS.includes(preset) ? preset : 'Last 7 Days';
+  return { preset: known, ...resolveDateRange(known, now) };
+}
+
+// PUBLIC_INTERFACE
+export function isOpenEnded(range) {
+  /** True for presets that run up to the present (Today, Last N Days), which keep growing as time passes. */
+  return range.preset !== 'Custom' && range.preset !== 'Yesterday';
+}
+
+// PUBLIC_INTERFACE
+export function refreshRange(range, now = Date.now()) {
+  /** An open-ended preset re-resolved to end at `now`; other ranges are returned unchanged. */
+  return isOpenEnded(range) ? presetRange(range.preset, now) : range;
+}
+
+// PUBLIC_INTERFACE
+export function customRange(startDay, endDay) {
+  /** Stored range covering whole local days from startDay through endDay inclusive. */
+  const from = startOfDay(startDay);
+  return { preset: 'Custom', from, to: addDays(startOfDay(endDay), 1) };
+}
+
+// PUBLIC_INTERFACE
+export function validateCustomRange(startDay, endDay, now = Date.now()) {
+  /** Returns an error message for an invalid start/end day pair, or '' when valid. */
+  if (startDay === null || startDay === undefined || endDay === null || endDay === undefined) {
+    return 'Select a start and end date.';
+  }
+  if (startOfDay(endDay) < startOfDay(startDay)) return 'End date must be on or after the start date.';
+  if (startOfDay(startDay) > startOfDay(now) || startOfDay(endDay) > startOfDay(now)) {
+    return 'Dates cannot be in the future.';
+  }
+  if (rangeDays(customRange(startDay, endDay)) > MAX_RANGE_DAYS) {
+    return `Ranges are limited to ${MAX_RANGE_DAYS} days.`;
+  }
+  return '';
+}
+
+// PUBLIC_INTERFACE
+export function rangeDays(range) {
+  /** Number of calendar days touched by a range. */
+  let days = 0;
+  for (let d = startOfDay(range.from); d < range.to; d = addDays(d, 1)) days += 1;
+  return days;
+}
+
+// PUBLIC_INTERFACE
+export function toDateInputValue(ts) {
+  /** YYYY-MM-DD for <input type="date">. */
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+// PUBLIC_INTERFACE
+export function parseDateInputValue(value) {
+  /** Local midnight for a YYYY-MM-DD string, or null when malformed. */
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return Number.isNaN(d.getTime()) ? null : d.getTime();
+}
+
+// PUBLIC_INTERFACE
+export function formatDay(ts) {
+  /** Short human date, e.g. "Jan 22, 2025". */
+  return new Date(ts).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+// PUBLIC_INTERFACE
+export function formatDateRange(range) {
+  /** Preset label, or "Jan 5, 2025 – Jan 14, 2025" for custom windows. */
+  if (!range) return '';
+  if (range.preset && range.preset !== 'Custom') return range.preset;
+  const start = formatDay(range.from);
+  const end = formatDay(startOfDay(range.to - 1));
+  return start === end ? start : `${start} – ${end}`;
+}
+
+// PUBLIC_INTERFACE
+export function formatClock(ts) {
+  /** HH:MM:SS in local time. */
+  const d = new Date(ts);
+  return `${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+}
+
+// PUBLIC_INTERFACE
+export function formatDateTime(ts) {
+  /** YYYY-MM-DD HH:MM:SS in local time. */
+  return `${toDateInputValue(ts)} ${formatClock(ts)}`;
+}
+
+// PUBLIC_INTERFACE
+export function formatDuration(ms) {
+  /** Compact duration, e.g. "1h 05m", "12m 30s", "45s". */
+  const total = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = total % 60;
+  if (h) return `${h}h ${pad2(m)}m`;
+  if (m) return `${m}m ${pad2(sec)}s`;
+  return `${sec}s`;
+}
@@ -0,0 +1,30 @@
+import { customRange, formatDateRange, presetRange, rangeDays, refreshRange, validateCustomRange } from './dateRange';
+
+const NOW = new Date(2025, 2, 20, 10, 30).getTime();
+
+test('custom ranges cover whole days and validate their bounds', () => {
+  const start = new Date(2025, 2, 3).getTime();
+  const end = new Date(2025, 2, 12).getTime();
+  const range = customRange(start, end);
+  expect(range).toEqual({ preset: 'Custom', from: start, to: new Date(2025, 2, 13).getTime() });
+  expect(rangeDays(range)).toBe(10);
+  expect(formatDateRange(range)).toBe('Mar 3, 2025 – Mar 12, 2025');
+
+  expect(validateCustomRange(start, end, NOW)).toBe('');
+  expect(validateCustomRange(start, null, NOW)).toMatch(/start and end/);
+  expect(validateCustomRange(end, start, NOW)).toMatch(/on or after/);
+  expect(validateCustomRange(start, new Date(2025, 2, 21).getTime(), NOW)).toMatch(/future/);
+  expect(validateCustomRange(new Date(2023, 0, 1).getTime(), end, NOW)).toMatch(/limited/);
+});
+
+test('presets resolve to timestamps ending now', () => {
+  const range = presetRange('Last 7 Days', NOW);
+  expect(range).toEqual({ preset: 'Last 7 Days', from: new Date(2025, 2, 14).getTime(), to: NOW });
+  expect(presetRange('Yesterday', NOW).to).toBe(new Date(2025, 2, 20).getTime());
+  expect(formatDateRange(range)).toBe('Last 7 Days');
+
+  // Open-ended presets can be moved forward to take in newer events
+  const later = NOW + 3600 * 1000;
+  expect(refreshRange(range, later)).toEqual({ ...range, to: later });
+  expect(refreshRange(presetRange('Yesterday', NOW), later)).toEqual(presetRange('Yesterday', NOW));
+});
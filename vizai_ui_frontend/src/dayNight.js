@@ -0,0 +1,168 @@
+/**
+ * Hours filter: Daytime / Nighttime per site and custom hour windows.
+ * A filter is { mode: 'all'|'day'|'night'|'custom', ranges: [{ from: 'HH:MM', to: 'HH:MM' }] }.
+ * A site's day/night setting is { mode: 'fixed', dayStart, dayEnd } or { mode: 'solar' }, the latter
+ * using the site's latitude/longitude. Windows are [start, end) epoch-ms intervals per local day.
+ */
+import { clipEventsToWindows } from './analytics';
+import { addDays } from './dateRange';
+
+export const ALL_HOURS = { mode: 'all', ranges: [] };
+export const DEFAULT_DAY_NIGHT = { mode: 'fixed', dayStart: '06:00', dayEnd: '18:00' };
+
+const RAD = Math.PI / 180;
+const CLOCK_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// PUBLIC_INTERFACE
+export function parseClock(value) {
+  /** Minutes after midnight for "HH:MM", or null when malformed. */
+  const m = CLOCK_RE.exec(String(value || ''));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+// Local wall-clock time on `dayStart`; minute overflow rolls into the next day
+const atClock = (dayStart, minutes) => {
+  const d = new Date(dayStart);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate(), 0, minutes).getTime();
+};
+
+// PUBLIC_INTERFACE
+export function sunTimes(dayStart, latitude, longitude) {
+  /**
+   * Sunrise and sunset (epoch ms) for the local day starting at `dayStart`, using the standard
+   * sunrise equation (accurate to a few minutes). `polar` is 'day' or 'night' when the sun
+   * does not rise or set; sunrise/sunset are then null.
+   */
+  const julian = (dayStart + 12 * 3600000) / 86400000 + 2440587.5;
+  const n = Math.round(julian - 2451545.0 + 0.0008);
+  const meanNoon = n - longitude / 360;
+  const anomaly = (357.5291 + 0.98560028 * meanNoon) % 360;
+  const center = 1.9148 * Math.sin(anomaly * RAD) + 0.02 * Math.sin(2 * anomaly * RAD) + 0.0003 * Math.sin(3 * anomaly * RAD);
+  const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+  const transit = 2451545.0 + meanNoon + 0.0053 * Math.sin(anomaly * RAD) - 0.0069 * Math.sin(2 * eclipticLongitude * RAD);
+  const sinDeclination = Math.sin(eclipticLongitude * RAD) * Math.sin(23.4397 * RAD);
+  const cosDeclination = Math.cos(Math.asin(sinDeclination));
+  const cosHourAngle = (Math.sin(-0.833 * RAD) - Math.sin(latitude * RAD) * sinDeclination)
+    / (Math.cos(latitude * RAD) * cosDeclination);
+  if (cosHourAngle > 1) return { sunrise: null, sunset: null, polar: 'night' };
+  if (cosHourAngle < -1) return { sunrise: null, sunset: null, polar: 'day' };
+  const hourAngle = Math.acos(cosHourAngle) / RAD;
+  const toMs = (j) => Math.round((j - 2440587.5) * 86400000);
+  return { sunrise: toMs(transit - hourAngle / 360), sunset: toMs(transit + hourAngle / 360), polar: null };
+}
+
+// Windows for one wall-clock span that may wrap past midnight
+function clockWindows(dayStart, fromMin, toMin) {
+  const next = addDays(dayStart, 1);
+  if (fromMin === toMin) return [[dayStart, next]];
+  if (fromMin < toMin) return [[atClock(dayStart, fromMin), atClock(dayStart, toMin)]];
+  return [[dayStart, atClock(dayStart, toMin)], [atClock(dayStart, fromMin), next]];
+}
+
+function mergeWindows(windows) {
+  const sorted = windows.filter(([a, b]) => b > a).sort((x, y) => x[0] - y[0]);
+  const out = [];
+  sorted.forEach(([a, b]) => {
+    const last = out[out.length - 1];
+    if (last && a <= last[1]) last[1] = Math.max(last[1], b);
+    else out.push([a, b]);
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function daytimeWindows(dayStart, site) {
+  /** Daytime intervals on a local day for a site (fixed boundaries or sunrise–sunset). */
+  const dayNight = (site && site.dayNight) || DEFAULT_DAY_NIGHT;
+  const next = addDays(dayStart, 1);
+  if (dayNight.mode === 'solar' && site && Number.isFinite(site.latitude) && Number.isFinite(site.longitude)) {
+    const { sunrise, sunset, polar } = sunTimes(dayStart, site.latitude, site.longitude);
+    if (polar === 'day') return [[dayStart, next]];
+    if (polar === 'night') return [];
+    return [[Math.max(dayStart, sunrise), Math.min(next, sunset)]];
+  }
+  const start = parseClock(dayNight.dayStart);
+  const end = parseClock(dayNight.dayEnd);
+  return clockWindows(dayStart, start === null ? 360 : start, end === null ? 1080 : end);
+}
+
+// PUBLIC_INTERFACE
+export function hoursWindowsFor(filter, site) {
+  /** Returns windowsForDay(dayStart) -> [[start, end]] for a filter, or null when it keeps all hours. */
+  const mode = filter ? filter.mode : 'all';
+  if (mode === 'day') return (day) => daytimeWindows(day, site);
+  if (mode === 'night') {
+    return (day) => {
+      const gaps = [];
+      let cursor = day;
+      daytimeWindows(day, site).forEach(([a, b]) => {
+        gaps.push([cursor, a]);
+        cursor = b;
+      });
+      gaps.push([cursor, addDays(day, 1)]);
+      return mergeWindows(gaps);
+    };
+  }
+  if (mode === 'custom' && filter.ranges && filter.ranges.length) {
+    return (day) => mergeWindows(filter.ranges.flatMap(r => clockWindows(day, parseClock(r.from), parseClock(r.to))));
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function applyHoursFilter(events, filter, site) {
+  /** Clips events to the filter's windows; all-hours filters return events unchanged. */
+  const windowsFor = hoursWindowsFor(filter, site);
+  return windowsFor ? clipEventsToWindows(events, windowsFor) : events;
+}
+
+// PUBLIC_INTERFACE
+export function validateHourRanges(ranges) {
+  /** Error message for a custom range list, or '' when valid. */
+  if (!ranges || ranges.length === 0) return 'Add at least one hour range.';
+  for (const r of ranges) {
+    const from = parseClock(r.from);
+    const to = parseClock(r.to);
+    if (from === null || to === null) return 'Enter times as HH:MM.';
+    if (from === to) return 'A range must start and end at different times.';
+  }
+  return '';
+}
+
+// PUBLIC_INTERFACE
+export function serializeHours(filter) {
+  /** Query-string form: "day", "night", "08:00-10:00,20:00-22:00", or undefined for all hours. */
+  if (!filter || filter.mode === 'all') return undefined;
+  if (filter.mode === 'custom') return filter.ranges.map(r => `${r.from}-${r.to}`).join(',') || undefined;
+  return filter.mode;
+}
+
+// PUBLIC_INTERFACE
+export function parseHours(value) {
+  /** Inverse of serializeHours; malformed values fall back to all hours. */
+  if (value === 'day' || value === 'night') return { mode: value, ranges: [] };
+  const ranges = String(value || '').split(',').filter(Boolean).map(part => {
+    const [from, to] = part.split('-');
+    return { from, to };
+  });
+  return ranges.length && !validateHourRanges(ranges) ? { mode: 'custom', ranges } : ALL_HOURS;
+}
+
+// PUBLIC_INTERFACE
+export function describeDayNight(site) {
+  /** How a site defines daytime, e.g. "Fixed 06:00–18:00" or "Sunrise–sunset at 9.93, -84.08". */
+  const dayNight = (site && site.dayNight) || DEFAULT_DAY_NIGHT;
+  if (dayNight.mode === 'solar' && site) return `Sunrise–sunset at ${site.latitude}, ${site.longitude}`;
+  return `Fixed ${dayNight.dayStart}–${dayNight.dayEnd}`;
+}
+
+// PUBLIC_INTERFACE
+export function describeHours(filter, site) {
+  /** Human label for a filter, e.g. "Daytime (Fixed 06:00–18:00)", "Custom (08:00–10:00, 20:00–22:00)". */
+  const mode = filter ? filter.mode : 'all';
+  if (mode === 'custom') return `Custom (${filter.ranges.map(r => `${r.from}–${r.to}`).join(', ')})`;
+  if (mode === 'day') return `Daytime (${describeDayNight(site)})`;
+  if (mode === 'night') return `Nighttime (outside ${describeDayNight(site)})`;
+  return 'All hours';
+}
+
@@ -0,0 +1,50 @@
+import { aggregateEvents, hourSlices } from './analytics';
+import { applyHoursFilter, daytimeWindows, describeHours, parseHours, serializeHours, sunTimes, validateHourRanges } from './dayNight';
+
+const at = (d, h, m = 0) => new Date(2025, 0, d, h, m).getTime();
+const ev = (id, start, end) => ({ id, behavior: 'Moving', start, end });
+
+test('sunrise and sunset follow the sunrise equation', () => {
+  // London, 21 June 2025: sunrise 03:43 UTC, sunset 20:21 UTC
+  const day = Date.UTC(2025, 5, 21);
+  const { sunrise, sunset, polar } = sunTimes(day, 51.5074, -0.1278);
+  expect(polar).toBeNull();
+  expect(Math.abs(sunrise - Date.UTC(2025, 5, 21, 3, 43))).toBeLessThan(5 * 60000);
+  expect(Math.abs(sunset - Date.UTC(2025, 5, 21, 20, 21))).toBeLessThan(5 * 60000);
+  expect(sunTimes(day, 78.2, 15.6).polar).toBe('day');
+  expect(sunTimes(Date.UTC(2025, 11, 21), 78.2, 15.6).polar).toBe('night');
+});
+
+test('site boundaries drive daytime and nighttime windows', () => {
+  const site = { name: 'Zoo', latitude: 0, longitude: 0, dayNight: { mode: 'fixed', dayStart: '07:30', dayEnd: '19:00' } };
+  expect(daytimeWindows(at(20, 0), site)).toEqual([[at(20, 7, 30), at(20, 19)]]);
+
+  const events = [ev('a', at(20, 7), at(20, 8)), ev('b', at(20, 22), at(21, 2))];
+  expect(applyHoursFilter(events, { mode: 'day' }, site).map(e => [e.id, e.start, e.end])).toEqual([['a', at(20, 7, 30), at(20, 8)]]);
+  expect(applyHoursFilter(events, { mode: 'night' }, site).map(e => [e.id, e.start, e.end]))
+    .toEqual([['a', at(20, 7), at(20, 7, 30)], ['b', at(20, 22), at(21, 2)]]);
+  expect(describeHours({ mode: 'night' }, site)).toBe('Nighttime (outside Fixed 07:30–19:00)');
+});
+
+test('custom ranges may wrap midnight and round-trip through the query string', () => {
+  const filter = { mode: 'custom', ranges: [{ from: '23:00', to: '01:00' }, { from: '12:00', to: '13:00' }] };
+  const events = [ev('a', at(20, 22), at(21, 3)), ev('b', at(21, 12, 30), at(21, 14))];
+  expect(applyHoursFilter(events, filter).map(e => [e.id, e.start, e.end]))
+    .toEqual([['a', at(20, 23), at(21, 1)], ['b', at(21, 12, 30), at(21, 13)]]);
+
+  expect(serializeHours(filter)).toBe('23:00-01:00,12:00-13:00');
+  expect(parseHours(serializeHours(filter))).toEqual(filter);
+  expect(parseHours('night')).toEqual({ mode: 'night', ranges: [] });
+  expect(parseHours('25:00-02:00').mode).toBe('all');
+  expect(validateHourRanges([{ from: '08:00', to: '08:00' }])).toMatch(/different times/);
+});
+
+test('a bout across two separate windows stays one event with only the minutes inside', () => {
+  const filter = { mode: 'custom', ranges: [{ from: '08:00', to: '09:00' }, { from: '09:30', to: '10:00' }] };
+  const [clipped, ...rest] = applyHoursFilter([ev('a', at(20, 8, 15), at(20, 9, 45))], filter);
+  expect(rest).toEqual([]);
+  expect(clipped).toMatchObject({ id: 'a', start: at(20, 8, 15), end: at(20, 9, 45) });
+  expect(clipped.segments).toEqual([{ start: at(20, 8, 15), end: at(20, 9) }, { start: at(20, 9, 30), end: at(20, 9, 45) }]);
+  expect(aggregateEvents([clipped], ['Moving'])).toMatchObject({ counts: { Moving: 1 }, durations: { Moving: 60 } });
+  expect(hourSlices(clipped)).toEqual([{ start: at(20, 8, 15), end: at(20, 9) }, { start: at(20, 9, 30), end: at(20, 9, 45) }]);
+});
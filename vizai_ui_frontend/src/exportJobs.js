@@ -0,0 +1,223 @@
+/**
+ * Report exports run as background jobs, so a long export keeps going while the user works on other
+ * pages. A job is { id, userId, title, format, spec, state, progress, error, createdAt, finishedAt,
+ * fileName, size, seen }: `spec` is a serializable description of the export (see runReportExport),
+ * `state` is 'queued', 'running', 'done', 'failed' or 'cancelled' and `progress` runs from 0 to 1.
+ * Jobs run one at a time in the browser. Finished files are kept in IndexedDB with the job list, so
+ * past exports can be downloaded again; jobs cut short by closing the page are marked failed.
+ */
+import { createKeyValueStore } from './offline';
+import {
+  CSV_MIME, PDF_MIME, XLSX_MIME, buildComparisonReport, buildReport, fetchAllEvents, reportToCsv, reportToXlsx,
+} from './reportExport';
+import { reportToPdf } from './reportPdf';
+import { createEthogram, findSpecies } from './speciesRegistry';
+
+const DB_NAME = 'vizai-exports';
+const HISTORY_LIMIT = 20;
+
+// PUBLIC_INTERFACE
+export const EXPORT_FORMATS = {
+  pdf: { label: 'PDF', extension: 'pdf', mimeType: PDF_MIME },
+  excel: { label: 'Excel', extension: 'xlsx', mimeType: XLSX_MIME },
+  csv: { label: 'CSV', extension: 'csv', mimeType: CSV_MIME },
+};
+
+// PUBLIC_INTERFACE
+export const EXPORT_STATE_LABELS = {
+  queued: 'Queued',
+  running: 'Running',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const ACTIVE_STATES = ['queued', 'running'];
+
+// PUBLIC_INTERFACE
+export async function runReportExport(api, spec, { onProgress = () => {}, signal } = {}) {
+  /**
+   * Builds one report file. `spec` is { format (EXPORT_FORMATS key), query (GET /events params),
+   * report (buildReport options other than events and categories), theme (PDF colors) }; categories
+   * and chart colors come from the species registry. A comparison export has `sides` instead of
+   * `query`: two { query, report (buildComparisonReport side options other than events) }, and
+   * `report` holds the shared options. Reading events is most of the work, so it accounts for the
+   * first 80% of progress. Resolves to { blob, fileName }.
+   */
+  const format = EXPORT_FORMATS[spec.format];
+  if (!format) throw new Error(`Unknown export format "${spec.format}".`);
+  const queries = spec.sides ? spec.sides.map(side => side.query) : [spec.query];
+  const registryRequest = api.getSpecies();
+  const fetched = [];
+  for (let i = 0; i < queries.length; i += 1) {
+    // Sides are read one after the other so progress only moves forward
+    fetched.push(await fetchAllEvents(api, queries[i], {
+      signal,
+      onProgress: (share) => onProgress(((i + share) / queries.length) * 0.8),
+    }));
+  }
+  const registry = await registryRequest;
+  const ethogram = createEthogram(findSpecies(registry.items, spec.report.species));
+  const report = spec.sides
+    ? buildComparisonReport({
+      ...spec.report,
+      categories: ethogram.behaviors,
+      sides: spec.sides.map((side, i) => ({ ...side.report, events: fetched[i] })),
+    })
+    : buildReport({ ...spec.report, categories: ethogram.behaviors, events: fetched[0] });
+  onProgress(0.9);
+  let data;
+  if (spec.format === 'csv') data = reportToCsv(report);
+  else if (spec.format === 'pdf') data = reportToPdf(report, { colorFor: ethogram.colorOf, theme: spec.theme });
+  else data = reportToXlsx(report);
+  onProgress(1);
+  return { blob: new Blob([data], { type: format.mimeType }), fileName: `${report.fileBase}.${format.extension}` };
+}
+
+// PUBLIC_INTERFACE
+export function createExportJobs({
+  run,
+  store = createKeyValueStore({ dbName: DB_NAME }),
+  now = () => Date.now(),
+  historyLimit = HISTORY_LIMIT,
+}) {
+  /**
+   * Queue of export jobs over `run(spec, { onProgress, signal })` -> { blob, fileName }.
+   * - submit(spec, { title, userId, download }) -> job; `download` asks the UI to save the file as
+   *   soon as it is ready (a direct download rather than one picked up later from the history)
+   * - cancel(id) stops a queued or running job; retry(id) queues a failed or cancelled one again
+   * - remove(id) deletes a finished job and its file
+   * - list(userId) -> the user's jobs, newest first
+   * - markSeen(userId) clears the "new" flag of the user's finished jobs
+   * - getFile(id) -> { blob, fileName } or null
+   * - subscribe(fn) -> unsubscribe; fn(jobs) on every change, including progress
+   * Each user keeps their `historyLimit` most recent finished jobs.
+   */
+  let jobs = [];
+  let active = null; // { id, controller }
+  let seq = 0;
+  const listeners = new Set();
+
+  const emit = () => listeners.forEach(fn => fn(jobs));
+  // Saved jobs are loaded first so a job submitted meanwhile does not overwrite them
+  const save = () => ready.then(() => store.set('jobs', jobs)).catch(() => {});
+  const find = (id) => jobs.find(j => j.id === id);
+
+  function update(id, patch, persist = true) {
+    jobs = jobs.map(j => (j.id === id ? { ...j, ...patch } : j));
+    emit();
+    if (persist) save();
+  }
+
+  function prune(userId) {
+    const finished = jobs.filter(j => j.userId === userId && !ACTIVE_STATES.includes(j.state));
+    const dropped = finished.slice(historyLimit).map(j => j.id);
+    if (!dropped.length) return;
+    jobs = jobs.filter(j => !dropped.includes(j.id));
+    dropped.forEach(id => store.delete(`file:${id}`).catch(() => {}));
+  }
+
+  // Jobs are listed newest first and run oldest first
+  function pump() {
+    if (active) return;
+    const next = [...jobs].reverse().find(j => j.state === 'queued');
+    if (next) start(next);
+  }
+
+  async function start(job) {
+    const controller = new AbortController();
+    const current = { id: job.id, controller };
+    active = current;
+    update(job.id, { state: 'running', progress: 0, error: null });
+    try {
+      const file = await run(job.spec, {
+        signal: controller.signal,
+        onProgress: (progress) => {
+          if (!controller.signal.aborted) update(job.id, { progress: Math.max(0, Math.min(1, progress)) }, false);
+        },
+      });
+      if (controller.signal.aborted) return;
+      await store.set(`file:${job.id}`, file).catch(() => {});
+      update(job.id, { state: 'done', progress: 1, finishedAt: now(), fileName: file.fileName, size: file.blob.size, seen: false });
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        update(job.id, { state: 'failed', error: err.message || 'Export failed.', finishedAt: now(), seen: false });
+      }
+    } finally {
+      if (active === current) {
+        active = null;
+        prune(job.userId);
+        save();
+        pump();
+      }
+    }
+  }
+
+  const ready = store.get('jobs')
+    .then((saved) => {
+      // A job that was queued or running when the page closed cannot resume without its page, and
+      // direct downloads were already saved (or abandoned) by that page
+      const restored = (saved || []).map(j => (ACTIVE_STATES.includes(j.state)
+        ? { ...j, state: 'failed', error: 'Interrupted when the page was closed.', finishedAt: j.finishedAt || null, download: false }
+        : { ...j, download: false }));
+      jobs = [...jobs, ...restored];
+      emit();
+    })
+    .catch(() => {});
+
+  return {
+    ready,
+    submit(spec, { title, userId = null, download = false } = {}) {
+      seq += 1;
+      const job = {
+        id: `exp-${now()}-${seq}`, userId, title, format: spec.format, spec, state: 'queued', progress: 0, error: null,
+        createdAt: now(), finishedAt: null, fileName: null, size: null, seen: true, download,
+      };
+      jobs = [job, ...jobs];
+      emit();
+      save();
+      pump();
+      return job;
+    },
+    cancel(id) {
+      const job = find(id);
+      if (!job || !ACTIVE_STATES.includes(job.state)) return;
+      if (active && active.id === id) {
+        active.controller.abort();
+        active = null;
+      }
+      update(id, { state: 'cancelled', finishedAt: now() });
+      pump();
+    },
+    retry(id) {
+      const job = find(id);
+      if (!job || !['failed', 'cancelled'].includes(job.state)) return;
+      update(id, { state: 'queued', progress: 0, error: null, finishedAt: null, seen: true });
+      pump();
+    },
+    remove(id) {
+      const job = find(id);
+      if (!job || ACTIVE_STATES.includes(job.state)) return;
+      jobs = jobs.filter(j => j.id !== id);
+      emit();
+      save();
+      store.delete(`file:${id}`).catch(() => {});
+    },
+    list: (userId) => jobs.filter(j => j.userId === userId),
+    markSeen(userId) {
+      if (!jobs.some(j => j.userId === userId && j.seen === false)) return;
+      jobs = jobs.map(j => (j.userId === userId ? { ...j, seen: true } : j));
+      emit();
+      save();
+    },
+    async getFile(id) {
+      await ready;
+      const file = await store.get(`file:${id}`).catch(() => null);
+      return file || null;
+    },
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
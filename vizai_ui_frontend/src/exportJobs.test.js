@@ -0,0 +1,118 @@
+import { createApiClient, createMockTransport } from './apiClient';
+import { presetRange } from './dateRange';
+import { createExportJobs, runReportExport } from './exportJobs';
+import { createMockServer } from './mockServer';
+import { createMemoryStore } from './offline';
+
+const NOW = new Date(2025, 0, 22, 15, 0, 0).getTime();
+
+// Runner whose jobs the test advances, finishes and fails by hand
+function manualRunner() {
+  const runs = [];
+  const run = (spec, { onProgress, signal }) => new Promise((resolve, reject) => {
+    runs.push({
+      spec,
+      signal,
+      onProgress,
+      finish: () => resolve({ blob: new Blob([spec.format]), fileName: `report.${spec.format}` }),
+      fail: (message) => reject(new Error(message)),
+    });
+  });
+  return { run, runs };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('jobs run one at a time with progress, and finished files can be downloaded again', async () => {
+  const { run, runs } = manualRunner();
+  const jobs = createExportJobs({ run, store: createMemoryStore(), now: () => NOW });
+  const first = jobs.submit({ format: 'csv' }, { title: 'Summary', userId: 'u-1' });
+  const second = jobs.submit({ format: 'pdf' }, { title: 'Daily Pattern', userId: 'u-1' });
+  await flush();
+  expect(jobs.list('u-1').map(j => [j.title, j.state])).toEqual([['Daily Pattern', 'queued'], ['Summary', 'running']]);
+  expect(jobs.list('u-2')).toEqual([]);
+
+  runs[0].onProgress(0.4);
+  expect(jobs.list('u-1')[1].progress).toBe(0.4);
+  runs[0].finish();
+  await flush();
+  expect(jobs.list('u-1').find(j => j.id === first.id)).toMatchObject({ state: 'done', progress: 1, fileName: 'report.csv', size: 3, seen: false });
+  expect(runs).toHaveLength(2);
+  expect(jobs.list('u-1').find(j => j.id === second.id).state).toBe('running');
+
+  const file = await jobs.getFile(first.id);
+  expect(file.fileName).toBe('report.csv');
+  jobs.markSeen('u-1');
+  expect(jobs.list('u-1').every(j => j.seen)).toBe(true);
+});
+
+test('jobs can be cancelled, and failed or cancelled jobs retried', async () => {
+  const { run, runs } = manualRunner();
+  const jobs = createExportJobs({ run, store: createMemoryStore(), now: () => NOW });
+  const a = jobs.submit({ format: 'csv' }, { title: 'A' });
+  const b = jobs.submit({ format: 'csv' }, { title: 'B' });
+  await flush();
+
+  jobs.cancel(a.id);
+  expect(runs[0].signal.aborted).toBe(true);
+  const state = (id) => jobs.list(null).find(j => j.id === id).state;
+  expect(state(a.id)).toBe('cancelled');
+  expect(state(b.id)).toBe('running');
+  // A cancelled run that finishes anyway leaves the job cancelled
+  runs[0].finish();
+  runs[1].fail('Unable to reach the VizAI API.');
+  await flush();
+  expect(jobs.list(null).find(j => j.id === b.id)).toMatchObject({ state: 'failed', error: 'Unable to reach the VizAI API.' });
+
+  jobs.retry(b.id);
+  await flush();
+  expect(state(b.id)).toBe('running');
+  runs[2].finish();
+  await flush();
+  expect(state(b.id)).toBe('done');
+  jobs.remove(a.id);
+  expect(jobs.list(null).map(j => j.id)).toEqual([b.id]);
+});
+
+test('history is kept across reloads; interrupted jobs come back as failed', async () => {
+  const store = createMemoryStore();
+  const { run, runs } = manualRunner();
+  const before = createExportJobs({ run, store, now: () => NOW, historyLimit: 2 });
+  ['A', 'B', 'C'].forEach(title => before.submit({ format: 'csv' }, { title, userId: 'u-1' }));
+  await flush();
+  runs[0].finish();
+  await flush();
+  runs[1].finish();
+  await flush();
+  before.submit({ format: 'csv' }, { title: 'D', userId: 'u-1' });
+  runs[2].finish();
+  await flush();
+  // Only the two most recent finished jobs are kept
+  expect(before.list('u-1').map(j => [j.title, j.state])).toEqual([['D', 'running'], ['C', 'done'], ['B', 'done']]);
+
+  const after = createExportJobs({ run, store, now: () => NOW });
+  await after.ready;
+  expect(after.list('u-1').map(j => [j.title, j.state])).toEqual([['D', 'failed'], ['C', 'done'], ['B', 'done']]);
+  expect(after.list('u-1')[0].error).toBe('Interrupted when the page was closed.');
+  expect(await after.getFile(after.list('u-1')[1].id)).toMatchObject({ fileName: 'report.csv' });
+});
+
+test('a report export reads every page of events and builds the file', async () => {
+  const client = createApiClient({ transport: createMockTransport(createMockServer({ latencyMs: 0, now: () => NOW }), { network: null }) });
+  const dateRange = presetRange('Last 7 Days', NOW);
+  const query = { species: 'Giant Anteater', from: dateRange.from, to: dateRange.to, labels: 'ai' };
+  const progress = [];
+  const { blob, fileName } = await runReportExport(client, {
+    format: 'csv',
+    query,
+    report: { type: 'Summary', species: 'Giant Anteater', behavior: 'All', hours: { mode: 'all', ranges: [] }, dateRange, labels: 'ai', generatedBy: 'r@zoo.org' },
+  }, { onProgress: (p) => progress.push(p) });
+  expect(fileName).toBe('vizai-summary-2025-01-16_2025-01-22.csv');
+  expect(blob.type).toBe('text/csv;charset=utf-8');
+  expect(progress[progress.length - 1]).toBe(1);
+  expect(progress).toEqual([...progress].sort((x, y) => x - y));
+
+  const controller = new AbortController();
+  controller.abort();
+  await expect(runReportExport(client, { format: 'csv', query, report: {} }, { signal: controller.signal })).rejects.toThrow('Export cancelled.');
+});
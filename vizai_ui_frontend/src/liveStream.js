@@ -0,0 +1,236 @@
+/**
+ * Live behavior detections pushed by the backend as they happen, over a WebSocket at
+ * `${REACT_APP_WS_URL}/live`, or `${REACT_APP_API_BASE}/live` (http→ws) when no WebSocket base is set. Browsers cannot set headers
+ * on a WebSocket, so the access token goes in the `access_token` query param, and `since` (epoch ms of
+ * the last message received) lets the server replay detections missed while disconnected.
+ * Messages are JSON: { type: 'detection', event } for each new event (GET /events shape, AI labels)
+ * and { type: 'heartbeat', at } while nothing is detected. In mock mode the mock server's detection
+ * feed stands in for the socket. The stream reconnects with exponential backoff and pauses while the
+ * browser reports no network.
+ */
+import { applyHoursFilter } from './dayNight';
+import { isOpenEnded } from './dateRange';
+
+const INITIAL_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30 * 1000;
+
+// PUBLIC_INTERFACE
+export function liveUrlFor(base, wsBase = process.env.REACT_APP_WS_URL) {
+  /** WebSocket URL of the live feed: under the WebSocket base if set, else under the API base. */
+  const root = wsBase || String(base).replace(/^http/, 'ws');
+  return `${root.replace(/\/+$/, '')}/live`;
+}
+
+// PUBLIC_INTERFACE
+export function createWebSocketConnector(url, { getToken = () => null, WebSocketImpl } = {}) {
+  /**
+   * Connector over a browser WebSocket. A connector is called with
+   * { since, onOpen(), onMessage(msg), onClose(reason) } and returns { close() }.
+   */
+  return ({ since, onOpen, onMessage, onClose }) => {
+    const Impl = WebSocketImpl || window.WebSocket;
+    const params = new URLSearchParams();
+    const token = getToken();
+    if (token) params.set('access_token', token);
+    if (since) params.set('since', String(since));
+    const qs = params.toString();
+    const socket = new Impl(qs ? `${url}${url.includes('?') ? '&' : '?'}${qs}` : url);
+    socket.onopen = () => onOpen();
+    socket.onmessage = (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch (err) {
+        return; // Ignore frames that are not JSON
+      }
+      onMessage(msg);
+    };
+    // An error event is always followed by close, which carries the reason
+    socket.onclose = (e) => onClose(e.reason || 'The live connection was closed.');
+    return {
+      close: () => {
+        socket.onclose = null;
+        socket.close();
+      },
+    };
+  };
+}
+
+// PUBLIC_INTERFACE
+export function createMockLiveConnector(server, { intervalMs = 5000, latencyMs = 250 } = {}) {
+  /**
+   * Stand-in for the WebSocket backed by the mock server: every `intervalMs` it pushes the detections
+   * that ended since the previous push (from `server.detectionsSince`), or a heartbeat when there are none.
+   */
+  return ({ since, onOpen, onMessage }) => {
+    let cursor = since || null;
+    let poll = null;
+    const push = () => {
+      const { items, at } = server.detectionsSince(cursor);
+      cursor = at;
+      if (items.length) items.forEach(event => onMessage({ type: 'detection', event }));
+      else onMessage({ type: 'heartbeat', at });
+    };
+    const opening = setTimeout(() => {
+      onOpen();
+      if (cursor) push();
+      else cursor = server.detectionsSince(null).at;
+      poll = setInterval(push, intervalMs);
+    }, latencyMs);
+    return {
+      close: () => {
+        clearTimeout(opening);
+        clearInterval(poll);
+      },
+    };
+  };
+}
+
+// PUBLIC_INTERFACE
+export function createLiveStream({
+  connector,
+  now = () => Date.now(),
+  initialRetryMs = INITIAL_RETRY_MS,
+  maxRetryMs = MAX_RETRY_MS,
+  network = typeof window === 'undefined' ? null : window,
+}) {
+  /**
+   * Reconnecting live feed over a connector (see above).
+   * - start() / stop(); start is a no-op while running
+   * - reconnect() retries at once instead of waiting for the backoff
+   * - getStatus() -> { state, lastUpdate, retryAt, attempt, error }; state is 'stopped', 'connecting',
+   *   'live', 'reconnecting' (waiting retryAt, or retrying) or 'offline' (no network; resumes when it returns)
+   * - onStatus(fn) -> unsubscribe; fn(status) on every change, including each message's lastUpdate
+   * - subscribe(fn) -> unsubscribe; fn(event) for each detection
+   * Retries wait initialRetryMs, doubling per failed attempt up to maxRetryMs.
+   */
+  let running = false;
+  let connection = null;
+  let active = null; // identifies the current connection's callbacks
+  let retryTimer = null;
+  let status = { state: 'stopped', lastUpdate: null, retryAt: null, attempt: 0, error: null };
+  const statusListeners = new Set();
+  const detectionListeners = new Set();
+
+  const isOnline = () => !network || !network.navigator || network.navigator.onLine !== false;
+
+  function setStatus(patch) {
+    status = { ...status, ...patch };
+    statusListeners.forEach(fn => fn(status));
+  }
+
+  function disconnect() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    active = null;
+    if (connection) {
+      const current = connection;
+      connection = null;
+      current.close();
+    }
+  }
+
+  function scheduleRetry(reason) {
+    if (!isOnline()) {
+      setStatus({ state: 'offline', retryAt: null, error: reason });
+      return;
+    }
+    const delay = Math.min(maxRetryMs, initialRetryMs * 2 ** status.attempt);
+    setStatus({ state: 'reconnecting', attempt: status.attempt + 1, retryAt: now() + delay, error: reason });
+    retryTimer = setTimeout(connect, delay);
+  }
+
+  function connect() {
+    disconnect();
+    if (!running) return;
+    if (!isOnline()) {
+      setStatus({ state: 'offline', retryAt: null });
+      return;
+    }
+    const token = {};
+    active = token;
+    setStatus({ state: status.attempt ? 'reconnecting' : 'connecting', retryAt: null });
+    try {
+      connection = connector({
+        since: status.lastUpdate,
+        onOpen: () => {
+          if (active === token) setStatus({ state: 'live', attempt: 0, error: null, lastUpdate: now() });
+        },
+        onMessage: (msg) => {
+          if (active !== token) return;
+          setStatus({ state: 'live', lastUpdate: now() });
+          if (msg && msg.type === 'detection' && msg.event) detectionListeners.forEach(fn => fn(msg.event));
+        },
+        onClose: (reason) => {
+          if (active !== token) return;
+          active = null;
+          connection = null;
+          scheduleRetry(reason);
+        },
+      });
+    } catch (e) {
+      active = null;
+      scheduleRetry(e.message);
+    }
+  }
+
+  const onOnline = () => {
+    setStatus({ attempt: 0 });
+    if (running && status.state !== 'live') connect();
+  };
+  const onOffline = () => {
+    if (!running) return;
+    disconnect();
+    setStatus({ state: 'offline', retryAt: null });
+  };
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      if (network && network.addEventListener) {
+        network.addEventListener('online', onOnline);
+        network.addEventListener('offline', onOffline);
+      }
+      setStatus({ attempt: 0, error: null, lastUpdate: null });
+      connect();
+    },
+    stop() {
+      if (!running) return;
+      running = false;
+      if (network && network.removeEventListener) {
+        network.removeEventListener('online', onOnline);
+        network.removeEventListener('offline', onOffline);
+      }
+      disconnect();
+      setStatus({ state: 'stopped', retryAt: null });
+    },
+    reconnect() {
+      if (running && status.state !== 'live') connect();
+    },
+    getStatus: () => status,
+    onStatus: (fn) => {
+      statusListeners.add(fn);
+      return () => statusListeners.delete(fn);
+    },
+    subscribe: (fn) => {
+      detectionListeners.add(fn);
+      return () => detectionListeners.delete(fn);
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function liveEventsInScope(events, { species, individuals = [], behavior = 'All', dateRange, hours, site, after = null }) {
+  /**
+   * Live detections that belong to a view's filters and ended after `after` (the `asOf` of the data
+   * the view already shows). Open-ended ranges (Today, Last N Days) take in new events past their `to`.
+   */
+  const inScope = events.filter(ev => ev.species === species
+    && (individuals.length === 0 || individuals.includes(ev.individualId))
+    && (behavior === 'All' || ev.behavior === behavior)
+    && ev.start >= dateRange.from
+    && (isOpenEnded(dateRange) || ev.end <= dateRange.to)
+    && (after === null || ev.end > after));
+  return hours ? applyHoursFilter(inScope, hours, site) : inScope;
+}
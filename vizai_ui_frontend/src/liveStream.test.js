@@ -0,0 +1,119 @@
+import { createApiClient, createMockTransport } from './apiClient';
+import { presetRange } from './dateRange';
+import { createLiveStream, createMockLiveConnector, liveEventsInScope, liveUrlFor } from './liveStream';
+import { createMockServer } from './mockServer';
+
+const NOW = new Date(2025, 0, 22, 15, 0, 0).getTime();
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+// Connector whose connections the test opens, feeds and drops by hand
+function fakeConnector() {
+  const connections = [];
+  const connector = (handlers) => {
+    const conn = { ...handlers, closed: false, close: () => { conn.closed = true; } };
+    connections.push(conn);
+    return conn;
+  };
+  return { connector, connections };
+}
+
+test('the stream reports its state and reconnects with backoff', () => {
+  let clock = NOW;
+  const network = Object.assign(new EventTarget(), { navigator: { onLine: true } });
+  const { connector, connections } = fakeConnector();
+  const stream = createLiveStream({ connector, now: () => clock, initialRetryMs: 1000, maxRetryMs: 4000, network });
+  const detections = [];
+  stream.subscribe(ev => detections.push(ev));
+
+  stream.start();
+  expect(stream.getStatus()).toMatchObject({ state: 'connecting', lastUpdate: null });
+  connections[0].onOpen();
+  clock += 5000;
+  connections[0].onMessage({ type: 'detection', event: { id: 'ga-01-20250122-0042' } });
+  expect(stream.getStatus()).toMatchObject({ state: 'live', lastUpdate: clock, attempt: 0 });
+  expect(detections.map(ev => ev.id)).toEqual(['ga-01-20250122-0042']);
+
+  // Each failed attempt doubles the wait, up to the maximum
+  connections[0].onClose('Server restarted');
+  expect(stream.getStatus()).toMatchObject({ state: 'reconnecting', attempt: 1, retryAt: clock + 1000, error: 'Server restarted' });
+  jest.advanceTimersByTime(1000);
+  expect(connections[1].since).toBe(NOW + 5000);
+  connections[1].onClose('Refused');
+  expect(stream.getStatus().retryAt).toBe(clock + 2000);
+  jest.advanceTimersByTime(2000);
+  connections[2].onClose('Refused');
+  jest.advanceTimersByTime(4000);
+  connections[3].onClose('Refused');
+  expect(stream.getStatus()).toMatchObject({ attempt: 4, retryAt: clock + 4000 });
+
+  // Reconnect now skips the wait; a successful open resets the backoff
+  stream.reconnect();
+  connections[4].onOpen();
+  expect(stream.getStatus()).toMatchObject({ state: 'live', attempt: 0, error: null });
+
+  // Without network the stream waits for it instead of retrying
+  network.navigator.onLine = false;
+  network.dispatchEvent(new Event('offline'));
+  expect(connections[4].closed).toBe(true);
+  expect(stream.getStatus().state).toBe('offline');
+  jest.advanceTimersByTime(60000);
+  expect(connections).toHaveLength(5);
+  network.navigator.onLine = true;
+  network.dispatchEvent(new Event('online'));
+  expect(connections).toHaveLength(6);
+
+  // Messages from a connection that was replaced are ignored
+  connections[4].onMessage({ type: 'detection', event: { id: 'stale' } });
+  stream.stop();
+  expect(connections[5].closed).toBe(true);
+  expect(stream.getStatus().state).toBe('stopped');
+  expect(detections).toHaveLength(1);
+});
+
+test('the mock stand-in pushes detections as their bouts end', async () => {
+  let clock = NOW;
+  const server = createMockServer({ latencyMs: 0, now: () => clock });
+  const client = createApiClient({ transport: createMockTransport(server) });
+  const range = presetRange('Today', NOW);
+  const before = await client.getAggregates({ species: 'Giant Anteater', from: range.from, to: range.to });
+  expect(before.asOf).toBe(NOW);
+
+  const stream = createLiveStream({ connector: createMockLiveConnector(server, { intervalMs: 1000, latencyMs: 10 }), now: () => clock, network: null });
+  const pushed = [];
+  stream.subscribe(ev => pushed.push(ev));
+  stream.start();
+  jest.advanceTimersByTime(10);
+  expect(stream.getStatus().state).toBe('live');
+
+  clock += 60 * 60 * 1000;
+  jest.advanceTimersByTime(1000);
+  expect(pushed.length).toBeGreaterThan(0);
+  expect(pushed.every(ev => ev.end > NOW && ev.end <= clock)).toBe(true);
+  stream.stop();
+
+  // The pushed events are exactly what a later fetch adds to the totals
+  const after = await client.getAggregates({ species: 'Giant Anteater', from: range.from, to: clock });
+  const fresh = liveEventsInScope(pushed, { species: 'Giant Anteater', dateRange: range, after: before.asOf });
+  expect(after.totalCount).toBe(before.totalCount + fresh.length);
+});
+
+test('live events are matched to a view\'s filters', () => {
+  const range = presetRange('Today', NOW);
+  const ev = (id, individualId, behavior, start) => ({ id, species: 'Giant Anteater', individualId, behavior, start, end: start + 60000 });
+  const events = [
+    ev('a', 'ga-01', 'Pacing', NOW + 1000),
+    ev('b', 'ga-02', 'Moving', NOW + 2000),
+    ev('c', 'ga-01', 'Moving', NOW - 120000),
+  ];
+  const scope = { species: 'Giant Anteater', dateRange: range, after: NOW };
+  expect(liveEventsInScope(events, scope).map(e => e.id)).toEqual(['a', 'b']);
+  expect(liveEventsInScope(events, { ...scope, individuals: ['ga-02'] }).map(e => e.id)).toEqual(['b']);
+  expect(liveEventsInScope(events, { ...scope, behavior: 'Pacing' }).map(e => e.id)).toEqual(['a']);
+  expect(liveEventsInScope(events, { ...scope, dateRange: presetRange('Yesterday', NOW) })).toEqual([]);
+  expect(liveEventsInScope(events, { ...scope, species: 'Pangolin' })).toEqual([]);
+
+  expect(liveUrlFor('https://api.zoo.org/v1/', '')).toBe('wss://api.zoo.org/v1/live');
+  expect(liveUrlFor('https://api.zoo.org/v1', 'wss://ws.zoo.org')).toBe('wss://ws.zoo.org/live');
+});
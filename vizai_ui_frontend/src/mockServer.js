@@ -0,0 +1,947 @@
+/**
+ * Local stand-in for the VizAI API (REACT_APP_API_BASE unset or "mock").
+ * Speaks the same paths and JSON shapes as the real backend so the UI and tests
+ * run without a server. Event data is generated deterministically per individual/day.
+ */
+import { activityMatrix, aggregateEvents, dailyAggregates } from './analytics';
+import { addDays, startOfDay } from './dateRange';
+import { applyHoursFilter, parseClock, parseHours } from './dayNight';
+import { ROLES, SELF_SIGNUP_ROLES, can, notPermittedMessage } from './permissions';
+import { DEFAULT_SPECIES_REGISTRY, behaviorNames, findSpecies } from './speciesRegistry';
+import { describeAlertRule, evaluateAlertRule, validateAlertRule } from './welfareAlerts';
+
+const MODEL_VERSION = 'vizai-ethogram-1.4.2';
+
+// Individuals with recorded footage, filmed by their enclosure's cameras; other species resolve to
+// empty result sets. Event ids start with the individual id.
+const INDIVIDUALS = [
+  { id: 'ga-01', species: 'Giant Anteater', name: 'Olivia', sex: 'Female', birthDate: '2014-05-12', enclosure: 'Anteater Yard A', cameras: ['cam-1', 'cam-2'] },
+  { id: 'ga-02', species: 'Giant Anteater', name: 'Bruno', sex: 'Male', birthDate: '2017-09-03', enclosure: 'Anteater Yard A', cameras: ['cam-1', 'cam-2'] },
+  { id: 'ga-03', species: 'Giant Anteater', name: 'Pepita', sex: 'Female', birthDate: '2022-02-20', enclosure: 'Night House B', cameras: ['cam-3'] },
+];
+
+// Recording sites and the species they house; dayNight defines the Daytime/Nighttime hours filter.
+const SITES = [
+  {
+    id: 'site-1',
+    name: 'Main Zoo',
+    latitude: 9.93,
+    longitude: -84.08,
+    species: ['Giant Anteater', 'Pangolin', 'Sloth'],
+    dayNight: { mode: 'fixed', dayStart: '06:00', dayEnd: '18:00' },
+  },
+];
+
+// Generated bouts per behavior: length range in minutes and relative weights for active (06:00–19:59)
+// and resting hours. Behaviors of the species' ethogram without a profile are never generated.
+const BOUT_PROFILES = {
+  'Recumbent': { minutes: [20, 90], active: 2, rest: 8 },
+  'Non-Recumbent': { minutes: [5, 30], active: 4, rest: 2 },
+  'Scratching': { minutes: [1, 4], active: 1, rest: 0.5 },
+  'Self-Directed': { minutes: [1, 6], active: 1, rest: 0.5 },
+  'Pacing': { minutes: [2, 12], active: 1, rest: 0.5 },
+  'Moving': { minutes: [3, 20], active: 4, rest: 1 },
+};
+
+function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pickWeighted(rand, weights) {
+  const total = weights.reduce((s, w) => s + w, 0);
+  let r = rand() * total;
+  for (let i = 0; i < weights.length; i++) {
+    r -= weights[i];
+    if (r < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+function dayKey(dayStart) {
+  const d = new Date(dayStart);
+  return `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function generateDay(individual, behaviors, dayStart) {
+  const key = dayKey(dayStart);
+  const rand = seededRandom(hashString(`${individual.id}|${key}`));
+  const dayEnd = addDays(dayStart, 1);
+  const profiles = behaviors.filter(b => BOUT_PROFILES[b]);
+  const events = [];
+  let t = dayStart + Math.floor(rand() * 5) * 60000;
+  let seq = 0;
+  while (t < dayEnd && profiles.length) {
+    const hour = new Date(t).getHours();
+    const period = hour >= 6 && hour < 20 ? 'active' : 'rest';
+    const behavior = profiles[pickWeighted(rand, profiles.map(b => BOUT_PROFILES[b][period]))];
+    const [minLen, maxLen] = BOUT_PROFILES[behavior].minutes;
+    const seconds = Math.round((minLen + rand() * (maxLen - minLen)) * 60);
+    const end = Math.min(dayEnd, t + seconds * 1000);
+    seq += 1;
+    events.push({
+      id: `${individual.id}-${key}-${String(seq).padStart(4, '0')}`,
+      species: individual.species,
+      individualId: individual.id,
+      individualName: individual.name,
+      behavior,
+      start: t,
+      end,
+      confidence: Math.round((0.6 + rand() * 0.39) * 100) / 100,
+      modelVersion: MODEL_VERSION,
+      camera: individual.cameras[Math.floor(rand() * individual.cameras.length)],
+    });
+    t = end + Math.round((1 + rand() * 9) * 60) * 1000;
+  }
+  return events;
+}
+
+// Synthetic detector output: a box wandering around the frame with short dropouts.
+function generateAnnotations(ev) {
+  const rand = seededRandom(hashString(`track|${ev.id}`));
+  const duration = (ev.end - ev.start) / 1000;
+  const interval = Math.max(0.5, Math.round((duration / 1500) * 10) / 10);
+  const phase = rand() * Math.PI * 2;
+  const frames = [];
+  let dropUntil = -1;
+  for (let t = 0; t <= duration; t = Math.round((t + interval) * 10) / 10) {
+    if (t < dropUntil) continue;
+    if (rand() < 0.01) {
+      dropUntil = t + interval * (4 + Math.floor(rand() * 6));
+      continue;
+    }
+    const w = 0.22 + 0.04 * Math.sin(t / 7 + phase);
+    const h = 0.28 + 0.04 * Math.cos(t / 9 + phase);
+    frames.push({
+      t,
+      box: {
+        x: Math.round((0.05 + (0.9 - w) * (0.5 + 0.5 * Math.sin(t / 11 + phase))) * 1000) / 1000,
+        y: Math.round((0.05 + (0.9 - h) * (0.5 + 0.5 * Math.cos(t / 13 + phase))) * 1000) / 1000,
+        w: Math.round(w * 1000) / 1000,
+        h: Math.round(h * 1000) / 1000,
+      },
+      label: ev.behavior,
+      confidence: Math.round(Math.min(0.99, Math.max(0.3, ev.confidence + (rand() - 0.5) * 0.1)) * 100) / 100,
+    });
+  }
+  return { eventId: ev.id, interval, frames };
+}
+
+// Event ids are "<individual>-<yyyymmdd>-<seq>"; split segments append ".1" / ".2".
+function parseEventId(id) {
+  const m = /^(([a-z]+-\d{2})-(\d{4})(\d{2})(\d{2})-\d{4})(?:\.([12]))?$/.exec(String(id || ''));
+  if (!m) return null;
+  const individual = INDIVIDUALS.find(ind => ind.id === m[2]);
+  if (!individual) return null;
+  return {
+    individual,
+    baseId: m[1],
+    segment: m[6] ? Number(m[6]) : null,
+    dayStart: new Date(Number(m[3]), Number(m[4]) - 1, Number(m[5])).getTime(),
+  };
+}
+
+const REVIEW_ACTIONS = ['confirm', 'relabel', 'split', 'merge', 'false_positive', 'revert'];
+
+// PUBLIC_INTERFACE
+export const DEMO_PASSWORD = 'vizai-demo';
+
+// PUBLIC_INTERFACE
+// Accounts the stand-in auth endpoints accept out of the box (all use DEMO_PASSWORD)
+export const DEMO_ACCOUNTS = [
+  { id: 'user-1', email: 'researcher@viz.ai', name: 'Riley Chen', role: 'Researcher' },
+  { id: 'user-2', email: 'observer@viz.ai', name: 'Sam Okafor', role: 'Field Observer' },
+  { id: 'user-3', email: 'admin@viz.ai', name: 'Alex Moreno', role: 'Admin' },
+];
+
+const SESSION_EXPIRED = 'Your session has expired. Please sign in again.';
+const INVITE_TTL_MS = 7 * 24 * 3600 * 1000;
+const EMAIL_RE = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+// Alerts cover windows that started within this many days; older ones are history
+const ALERT_LOOKBACK_DAYS = 14;
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+const ALERT_RULE_FIELDS = ['name', 'species', 'individuals', 'behavior', 'metric', 'comparison', 'threshold', 'window', 'baselineDays', 'enabled'];
+
+// Example rules the mock starts with, so the alert inbox has something to show
+const EXAMPLE_ALERT_RULES = [
+  { name: 'Pacing over 60 min/day', species: 'Giant Anteater', individuals: [], behavior: 'Pacing', metric: 'duration', comparison: 'above', threshold: 60, window: 'day', baselineDays: 7 },
+  { name: 'Scratching up 50% on the week before', species: 'Giant Anteater', individuals: [], behavior: 'Scratching', metric: 'duration', comparison: 'increase', threshold: 50, window: 'day', baselineDays: 7 },
+];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return value === undefined || value === null || value === '' || Number.isNaN(n) ? fallback : n;
+}
+
+// PUBLIC_INTERFACE
+export function createMockServer({
+  latencyMs = 250,
+  now = () => Date.now(),
+  speciesRegistry = DEFAULT_SPECIES_REGISTRY,
+  requireAuth = false,
+  accessTtlMs = 15 * 60 * 1000,
+  refreshTtlMs = 7 * 24 * 3600 * 1000,
+} = {}) {
+  /**
+   * Returns { handle(request) } where request is { method, path, query, body, headers }.
+   * Resolves with a JSON-compatible payload or rejects with an Error carrying `status`.
+   * With `requireAuth`, data routes need an `Authorization: Bearer <accessToken>` header
+   * issued by the /auth routes; tests that only exercise data leave it off.
+   * `speciesRegistry` is served by GET /species and defines each species' behavior categories.
+   * Besides `handle`, the server exposes `detectionsSince(since)`, the feed behind the live-stream
+   * stand-in (liveStream.createMockLiveConnector).
+   * Welfare alert rules (welfareAlerts.js) are evaluated on every GET /alerts against reviewed labels;
+   * only an alert's acknowledge/resolve state is stored.
+   */
+  const dayCache = new Map();
+  // Reviewer decisions keyed by original event id, plus an append-only audit log
+  const reviews = new Map();
+  const auditLog = [];
+  const sites = SITES.map(site => ({ ...site, dayNight: { ...site.dayNight } }));
+
+  // Passwords are kept in plain text: this server only ever runs in the browser for development
+  const users = DEMO_ACCOUNTS.map(u => ({
+    ...u, password: DEMO_PASSWORD, status: 'active', createdAt: addDays(startOfDay(now()), -30), lastLoginAt: null,
+  }));
+  const accessTokens = new Map(); // token -> { userId, expiresAt }
+  const refreshTokens = new Map();
+  const invitations = []; // { id, email, role, token, status, invitedBy, createdAt, expiresAt }
+  const suggestions = []; // { id, name, reason, by, at }
+  let alertRules = [];
+  const alertStates = new Map(); // alert id -> { status, acknowledgedBy, acknowledgedAt, resolvedBy, resolvedAt, note }
+  let ruleSeq = 0;
+  let tokenSeq = 0;
+
+  const siteFor = (species) => sites.find(site => site.species.includes(species)) || null;
+  const behaviorsOf = (species) => behaviorNames(findSpecies(speciesRegistry, species));
+
+  // `individuals` is a comma-separated id list; empty means every individual of the species
+  function individualsFor(species, individuals) {
+    const ids = String(individuals || '').split(',').filter(Boolean);
+    return INDIVIDUALS.filter(ind => ind.species === species && (ids.length === 0 || ids.includes(ind.id)));
+  }
+
+  function eventsForDay(individual, dayStart) {
+    const key = `${individual.id}|${dayStart}`;
+    if (!dayCache.has(key)) dayCache.set(key, generateDay(individual, behaviorsOf(individual.species), dayStart));
+    return dayCache.get(key);
+  }
+
+  function reviewSummary(r) {
+    return r ? { status: r.status, label: r.label, by: r.by, at: r.at } : null;
+  }
+
+  // Events as seen under a label source: 'ai' keeps model output, 'reviewed' applies decisions
+  function viewEvent(ev, labels) {
+    const r = reviews.get(ev.id);
+    const base = { ...ev, aiBehavior: ev.behavior, review: reviewSummary(r) };
+    if (labels !== 'reviewed' || !r) return [base];
+    switch (r.status) {
+      case 'false_positive':
+      case 'merged_into':
+        return [];
+      case 'split':
+        return [
+          { ...base, id: `${ev.id}.1`, parentId: ev.id, end: r.splitAt, behavior: r.label },
+          { ...base, id: `${ev.id}.2`, parentId: ev.id, start: r.splitAt, behavior: r.splitLabel },
+        ];
+      case 'merged':
+        return [{ ...base, end: r.end, behavior: r.label }];
+      default:
+        return [{ ...base, behavior: r.label }];
+    }
+  }
+
+  function queryEvents({ species, individuals, from, to, behavior, labels = 'ai', hours }) {
+    const current = now();
+    const upper = Math.min(toNumber(to, current), current);
+    const lower = toNumber(from, startOfDay(current));
+    const scope = individualsFor(species, individuals);
+    const out = [];
+    for (let day = startOfDay(lower); day < upper; day = addDays(day, 1)) {
+      const dayEvents = [];
+      scope.forEach(individual => eventsForDay(individual, day).forEach(raw => {
+        viewEvent(raw, labels).forEach(ev => {
+          if (ev.start < lower || ev.end > upper) return;
+          if (behavior && behavior !== 'All' && ev.behavior !== behavior) return;
+          dayEvents.push(ev);
+        });
+      }));
+      // Individuals are generated separately; interleave them in time order
+      out.push(...(scope.length > 1 ? dayEvents.sort((a, b) => a.start - b.start) : dayEvents));
+    }
+    return hours ? applyHoursFilter(out, parseHours(hours), siteFor(species)) : out;
+  }
+
+  // Upper bound of what a query returned: later detections reach clients through the live stream
+  const asOf = (query) => Math.min(toNumber(query.to, now()), now());
+
+  // Bouts that ended after `since` (epoch ms; at most a day back), across every individual, oldest first
+  function detectionsSince(since) {
+    const at = now();
+    const lower = Math.max(toNumber(since, at), at - 24 * 3600 * 1000);
+    const items = [];
+    INDIVIDUALS.forEach(individual => {
+      for (let day = startOfDay(lower); day < at; day = addDays(day, 1)) {
+        eventsForDay(individual, day).forEach(raw => {
+          if (raw.end > lower && raw.end <= at) items.push(viewEvent(raw, 'ai')[0]);
+        });
+      }
+    });
+    items.sort((a, b) => a.end - b.end);
+    return JSON.parse(JSON.stringify({ items, at }));
+  }
+
+  function updateSite(id, body = {}) {
+    const site = sites.find(s => s.id === id);
+    if (!site) throw httpError(404, `Site ${id} not found`);
+    const latitude = body.latitude === undefined ? site.latitude : Number(body.latitude);
+    const longitude = body.longitude === undefined ? site.longitude : Number(body.longitude);
+    if (!(latitude >= -90 && latitude <= 90)) throw httpError(400, 'Latitude must be between -90 and 90.');
+    if (!(longitude >= -180 && longitude <= 180)) throw httpError(400, 'Longitude must be between -180 and 180.');
+    const dayNight = { ...site.dayNight, ...(body.dayNight || {}) };
+    if (!['fixed', 'solar'].includes(dayNight.mode)) throw httpError(400, 'Day/night mode must be "fixed" or "solar".');
+    if (dayNight.mode === 'fixed') {
+      const start = parseClock(dayNight.dayStart);
+      const end = parseClock(dayNight.dayEnd);
+      if (start === null || end === null) throw httpError(400, 'Enter day start and end as HH:MM.');
+      if (start === end) throw httpError(400, 'Day start and end must differ.');
+    }
+    Object.assign(site, { latitude, longitude, dayNight });
+    return site;
+  }
+
+  function findRawEvent(id) {
+    const parsed = parseEventId(id);
+    const ev = parsed && eventsForDay(parsed.individual, parsed.dayStart).find(e => e.id === parsed.baseId);
+    if (!ev || ev.end > now()) throw httpError(404, `Event ${id} not found`);
+    return { ev, segment: parsed.segment };
+  }
+
+  function findEvent(id) {
+    const { ev, segment } = findRawEvent(id);
+    if (segment === null) return viewEvent(ev, 'ai')[0];
+    const part = viewEvent(ev, 'reviewed').find(e => e.id === id);
+    if (!part) throw httpError(404, `Event ${id} not found`);
+    return part;
+  }
+
+  // Neighbors and merges stay within one individual's record
+  function adjacentRaw(ev) {
+    const around = queryEvents({
+      species: ev.species, individuals: ev.individualId, from: addDays(startOfDay(ev.start), -1), to: addDays(startOfDay(ev.start), 2),
+    });
+    const idx = around.findIndex(e => e.id === ev.id);
+    return { before: around[idx - 1] || null, after: around[idx + 1] || null };
+  }
+
+  function snapshot(ev) {
+    const r = reviews.get(ev.id);
+    return {
+      status: r ? r.status : 'unreviewed',
+      behavior: r && r.label ? r.label : ev.behavior,
+      start: ev.start,
+      end: r && r.end ? r.end : ev.end,
+      ...(r && r.status === 'split' ? { splitAt: r.splitAt, splitLabel: r.splitLabel } : {}),
+    };
+  }
+
+  function record(ev, action, by, at, apply) {
+    const previous = snapshot(ev);
+    apply();
+    auditLog.push({ id: `rev-${auditLog.length + 1}`, eventId: ev.id, action, by, at, previous, next: snapshot(ev) });
+  }
+
+  function applyReview(id, body = {}) {
+    const { ev, segment } = findRawEvent(id);
+    if (segment !== null) throw httpError(409, 'Review the original event; split segments cannot be changed directly.');
+    const { action, label, reviewer } = body;
+    if (!REVIEW_ACTIONS.includes(action)) throw httpError(400, `Unknown review action "${action}"`);
+    if (label !== undefined && label !== null && !behaviorsOf(ev.species).includes(label)) {
+      throw httpError(400, `Unknown behavior "${label}" for ${ev.species}`);
+    }
+    const current = reviews.get(ev.id);
+    // Edits made offline carry the review they were based on; reject them if it has changed since
+    if (body.baseReviewAt !== undefined && (current ? current.at : null) !== body.baseReviewAt) {
+      throw httpError(409, current
+        ? `${current.by} changed this event (${current.status.replace('_', ' ')}) before your edit could be applied.`
+        : 'The review your edit was based on has been reverted.');
+    }
+    if (current && current.status === 'merged_into' && action !== 'revert') {
+      throw httpError(409, 'This event was merged into another event; revert the merge first.');
+    }
+    const by = reviewer || 'unknown';
+    const at = now();
+    const currentLabel = current && current.label ? current.label : ev.behavior;
+
+    switch (action) {
+      case 'confirm':
+        record(ev, action, by, at, () => reviews.set(ev.id, { status: 'confirmed', label: currentLabel, by, at }));
+        break;
+      case 'relabel':
+        if (!label) throw httpError(400, 'Choose a behavior to relabel this event.');
+        record(ev, action, by, at, () => reviews.set(ev.id, { status: 'relabeled', label, by, at }));
+        break;
+      case 'false_positive':
+        record(ev, action, by, at, () => reviews.set(ev.id, { status: 'false_positive', label: null, by, at }));
+        break;
+      case 'split': {
+        const splitAt = toNumber(body.at, NaN);
+        if (!(splitAt > ev.start && splitAt < ev.end)) throw httpError(400, 'Split time must fall inside the event.');
+        record(ev, action, by, at, () => reviews.set(ev.id, {
+          status: 'split', label: currentLabel, splitAt, splitLabel: label || currentLabel, by, at,
+        }));
+        break;
+      }
+      case 'merge': {
+        const { before, after } = adjacentRaw(ev);
+        const other = [before, after].find(e => e && e.id === body.withId);
+        if (!other) throw httpError(400, 'Events can only be merged with an adjacent event.');
+        if (reviews.has(other.id) && ['split', 'merged', 'merged_into'].includes(reviews.get(other.id).status)) {
+          throw httpError(409, 'The adjacent event already has a split or merge; revert it first.');
+        }
+        const [first, second] = other.start < ev.start ? [other, ev] : [ev, other];
+        const mergedLabel = label || (reviews.get(first.id) && reviews.get(first.id).label) || first.behavior;
+        record(first, action, by, at, () => reviews.set(first.id, { status: 'merged', label: mergedLabel, end: second.end, mergedWith: second.id, by, at }));
+        record(second, action, by, at, () => reviews.set(second.id, { status: 'merged_into', label: null, mergedInto: first.id, by, at }));
+        break;
+      }
+      case 'revert': {
+        if (!current) throw httpError(409, 'This event has no review to revert.');
+        const partnerId = current.mergedWith || current.mergedInto;
+        record(ev, action, by, at, () => reviews.delete(ev.id));
+        if (partnerId && reviews.has(partnerId)) {
+          record(findRawEvent(partnerId).ev, action, by, at, () => reviews.delete(partnerId));
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    return findEvent(ev.id);
+  }
+
+  function suggestSpecies(body = {}, user) {
+    const name = String(body.name || '').trim();
+    if (!name) throw httpError(400, 'Enter the species name.');
+    const same = (other) => other.toLowerCase() === name.toLowerCase();
+    if (speciesRegistry.some(entry => same(entry.name))) throw httpError(409, `${name} is already in the species list.`);
+    if (suggestions.some(s => same(s.name))) throw httpError(409, `${name} has already been suggested.`);
+    const suggestion = { id: `sug-${suggestions.length + 1}`, name, reason: String(body.reason || '').trim(), by: user ? user.email : null, at: now() };
+    suggestions.push(suggestion);
+    return suggestion;
+  }
+
+  const publicUser = ({ id, email, name, role }) => ({ id, email, name, role });
+  const adminUser = (u) => ({ ...publicUser(u), status: u.status, createdAt: u.createdAt, lastLoginAt: u.lastLoginAt });
+  const findUserByEmail = (email) => users.find(u => u.email.toLowerCase() === String(email || '').trim().toLowerCase());
+  const newToken = (kind) => `${kind}-${(tokenSeq += 1).toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+  function issueSession(user) {
+    const at = now();
+    const accessToken = newToken('at');
+    const refreshToken = newToken('rt');
+    accessTokens.set(accessToken, { userId: user.id, expiresAt: at + accessTtlMs });
+    refreshTokens.set(refreshToken, { userId: user.id, expiresAt: at + refreshTtlMs });
+    return {
+      accessToken,
+      refreshToken,
+      expiresIn: accessTtlMs / 1000,
+      refreshExpiresIn: refreshTtlMs / 1000,
+      user: publicUser(user),
+    };
+  }
+
+  function authenticate(headers = {}) {
+    const header = headers.Authorization || headers.authorization || '';
+    if (!header.startsWith('Bearer ')) throw httpError(401, 'Sign in to continue.');
+    const entry = accessTokens.get(header.slice(7));
+    const user = entry && entry.expiresAt > now() && users.find(u => u.id === entry.userId && u.status === 'active');
+    if (!user) throw httpError(401, SESSION_EXPIRED);
+    return user;
+  }
+
+  // Sign-ins (not refreshes) count as logins for the admin console
+  function startSession(user) {
+    user.lastLoginAt = now();
+    return issueSession(user);
+  }
+
+  function login({ email, password } = {}) {
+    const user = findUserByEmail(email);
+    if (!user || user.password !== password) throw httpError(401, 'Incorrect email or password.');
+    if (user.status !== 'active') throw httpError(403, 'This account has been deactivated. Contact an administrator.');
+    return startSession(user);
+  }
+
+  function createAccount({ email, password, role, name }) {
+    const address = String(email || '').trim();
+    if (!EMAIL_RE.test(address)) throw httpError(400, 'Enter a valid email address.');
+    if (String(password || '').length < 8) throw httpError(400, 'Passwords must be at least 8 characters.');
+    if (!ROLES.includes(role)) throw httpError(400, `Unknown role "${role}"`);
+    if (findUserByEmail(address)) throw httpError(409, 'An account with this email already exists.');
+    const user = {
+      id: `user-${users.length + 1}`,
+      email: address,
+      name: String(name || '').trim() || address.split('@')[0],
+      role,
+      password,
+      status: 'active',
+      createdAt: now(),
+      lastLoginAt: null,
+    };
+    users.push(user);
+    return user;
+  }
+
+  function register(body = {}) {
+    if (ROLES.includes(body.role) && !SELF_SIGNUP_ROLES.includes(body.role)) {
+      throw httpError(403, `${body.role} accounts are created by invitation. Ask an administrator to invite you.`);
+    }
+    return startSession(createAccount(body));
+  }
+
+  function pendingInvitation(token) {
+    const invitation = invitations.find(inv => inv.token === token && inv.status === 'pending');
+    if (!invitation || invitation.expiresAt <= now()) throw httpError(404, 'This invitation link is invalid or has expired.');
+    return invitation;
+  }
+
+  function acceptInvitation({ token, name, password } = {}) {
+    const invitation = pendingInvitation(token);
+    const user = createAccount({ email: invitation.email, role: invitation.role, name, password });
+    invitation.status = 'accepted';
+    invitation.acceptedAt = now();
+    return startSession(user);
+  }
+
+  function refresh({ refreshToken } = {}) {
+    const entry = refreshTokens.get(refreshToken);
+    const user = entry && entry.expiresAt > now() && users.find(u => u.id === entry.userId && u.status === 'active');
+    if (!user) throw httpError(401, SESSION_EXPIRED);
+    // Refresh tokens are single use: each refresh rotates both tokens
+    refreshTokens.delete(refreshToken);
+    return issueSession(user);
+  }
+
+  function logout({ headers, body = {} }) {
+    const header = (headers && (headers.Authorization || headers.authorization)) || '';
+    accessTokens.delete(header.slice(7));
+    refreshTokens.delete(body.refreshToken);
+    return null;
+  }
+
+  function revokeTokens(userId) {
+    [accessTokens, refreshTokens].forEach(tokens => tokens.forEach((entry, token) => {
+      if (entry.userId === userId) tokens.delete(token);
+    }));
+  }
+
+  function updateUser(id, body = {}, by) {
+    const user = users.find(u => u.id === id);
+    if (!user) throw httpError(404, `User ${id} not found`);
+    const role = body.role === undefined ? user.role : body.role;
+    const status = body.status === undefined ? user.status : body.status;
+    if (!ROLES.includes(role)) throw httpError(400, `Unknown role "${role}"`);
+    if (!['active', 'deactivated'].includes(status)) throw httpError(400, `Unknown status "${status}"`);
+    if (user.id === by.id && (role !== user.role || status !== user.status)) {
+      throw httpError(409, 'You cannot change your own role or deactivate your own account.');
+    }
+    const otherAdmins = users.filter(u => u.id !== user.id && u.role === 'Admin' && u.status === 'active');
+    if (user.role === 'Admin' && user.status === 'active' && (role !== 'Admin' || status !== 'active') && otherAdmins.length === 0) {
+      throw httpError(409, 'At least one active Admin is required.');
+    }
+    user.role = role;
+    if (status !== user.status && status === 'deactivated') revokeTokens(user.id);
+    user.status = status;
+    return adminUser(user);
+  }
+
+  function invite({ email, role } = {}, by) {
+    const address = String(email || '').trim();
+    if (!EMAIL_RE.test(address)) throw httpError(400, 'Enter a valid email address.');
+    if (!ROLES.includes(role)) throw httpError(400, `Unknown role "${role}"`);
+    if (findUserByEmail(address)) throw httpError(409, 'An account with this email already exists.');
+    // A new invitation replaces any pending one for the same address
+    invitations.forEach(inv => {
+      if (inv.status === 'pending' && inv.email.toLowerCase() === address.toLowerCase()) inv.status = 'revoked';
+    });
+    const at = now();
+    const invitation = {
+      id: `inv-${invitations.length + 1}`, email: address, role, token: newToken('inv'), status: 'pending',
+      invitedBy: by.email, createdAt: at, expiresAt: at + INVITE_TTL_MS,
+    };
+    invitations.push(invitation);
+    return viewInvitation(invitation, true);
+  }
+
+  function saveAlertRule(body = {}, by, existing = null) {
+    const rule = { name: '', individuals: [], enabled: true, baselineDays: 7, ...(existing || {}) };
+    ALERT_RULE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) rule[field] = body[field];
+    });
+    rule.individuals = Array.isArray(rule.individuals) ? rule.individuals.filter(Boolean) : [];
+    rule.threshold = Number(rule.threshold);
+    rule.baselineDays = Number(rule.baselineDays);
+    rule.enabled = rule.enabled !== false;
+    const error = validateAlertRule(rule, behaviorsOf(rule.species));
+    if (error) throw httpError(400, error);
+    rule.name = String(rule.name || '').trim() || describeAlertRule(rule);
+    if (existing) return Object.assign(existing, rule, { updatedAt: now() });
+    ruleSeq += 1;
+    const created = { ...rule, id: `rule-${ruleSeq}`, createdBy: by ? by.email : null, createdAt: now() };
+    alertRules.push(created);
+    return created;
+  }
+
+  function findAlertRule(id) {
+    const rule = alertRules.find(r => r.id === id);
+    if (!rule) throw httpError(404, `Alert rule ${id} not found`);
+    return rule;
+  }
+
+  // Alert ids are stable per rule, individual and window, so decisions stick as data grows
+  function evaluateAlerts() {
+    const current = now();
+    const from = addDays(startOfDay(current), -ALERT_LOOKBACK_DAYS);
+    const alerts = [];
+    alertRules.filter(rule => rule.enabled).forEach(rule => {
+      individualsFor(rule.species, rule.individuals.join(',')).forEach(individual => {
+        const events = queryEvents({
+          species: rule.species, individuals: individual.id, behavior: rule.behavior, labels: 'reviewed',
+          from: addDays(from, -Math.max(rule.baselineDays, 7)), to: current,
+        });
+        evaluateAlertRule(rule, events, { from, to: current, now: current }).forEach(hit => {
+          const id = `${rule.id}:${individual.id}:${hit.from}`;
+          alerts.push({
+            id, ruleId: rule.id, ruleName: rule.name, species: rule.species, individualId: individual.id, individualName: individual.name,
+            behavior: rule.behavior, metric: rule.metric, comparison: rule.comparison, threshold: rule.threshold, window: rule.window,
+            baselineDays: rule.baselineDays, ...hit,
+            status: 'open', acknowledgedBy: null, acknowledgedAt: null, resolvedBy: null, resolvedAt: null, note: '',
+            ...(alertStates.get(id) || {}),
+          });
+        });
+      });
+    });
+    return alerts.sort((a, b) => b.from - a.from || (a.id < b.id ? -1 : 1));
+  }
+
+  function updateAlert(id, { status, note } = {}, by) {
+    const alert = evaluateAlerts().find(a => a.id === id);
+    if (!alert) throw httpError(404, `Alert ${id} not found`);
+    if (!ALERT_STATUSES.includes(status)) throw httpError(400, `Unknown alert status "${status}"`);
+    const who = by ? by.email : 'unknown';
+    const state = { ...(alertStates.get(id) || {}), status };
+    if (status === 'acknowledged') Object.assign(state, { acknowledgedBy: who, acknowledgedAt: now() });
+    if (status === 'resolved') Object.assign(state, { resolvedBy: who, resolvedAt: now() });
+    if (note !== undefined) state.note = String(note).trim();
+    alertStates.set(id, state);
+    return { ...alert, ...state };
+  }
+
+  // Skipped when a custom registry lacks their behaviors
+  EXAMPLE_ALERT_RULES.filter(rule => behaviorsOf(rule.species).includes(rule.behavior)).forEach(rule => saveAlertRule(rule, DEMO_ACCOUNTS.find(u => u.role === 'Admin')));
+
+  // The token only leaves the server in the invite email; the stand-in returns the link it would send
+  function viewInvitation({ token, ...invitation }, withLink = false) {
+    const status = invitation.status === 'pending' && invitation.expiresAt <= now() ? 'expired' : invitation.status;
+    return { ...invitation, status, ...(withLink ? { acceptPath: `/accept-invite?token=${encodeURIComponent(token)}` } : {}) };
+  }
+
+  // Routes follow `requireAuth` unless they set `auth`: false (sign-in) or true (needs an identity);
+  // `permission` (see permissions.js) is checked whenever the caller is known
+  const routes = [
+    {
+      method: 'POST',
+      pattern: /^\/auth\/login$/,
+      auth: false,
+      handler: ({ body }) => login(body),
+    },
+    {
+      method: 'POST',
+      pattern: /^\/auth\/register$/,
+      auth: false,
+      handler: ({ body }) => register(body),
+    },
+    {
+      method: 'POST',
+      pattern: /^\/auth\/refresh$/,
+      auth: false,
+      handler: ({ body }) => refresh(body),
+    },
+    {
+      method: 'POST',
+      pattern: /^\/auth\/logout$/,
+      auth: false,
+      handler: (req) => logout(req),
+    },
+    {
+      method: 'GET',
+      pattern: /^\/auth\/me$/,
+      auth: true,
+      handler: ({ user }) => publicUser(user),
+    },
+    {
+      method: 'GET',
+      pattern: /^\/auth\/invitations\/([^/]+)$/,
+      auth: false,
+      handler: (_req, [token]) => {
+        const { email, role, expiresAt } = pendingInvitation(token);
+        return { email, role, expiresAt };
+      },
+    },
+    {
+      method: 'POST',
+      pattern: /^\/auth\/accept-invite$/,
+      auth: false,
+      handler: ({ body }) => acceptInvitation(body),
+    },
+    {
+      method: 'GET',
+      pattern: /^\/admin\/users$/,
+      auth: true,
+      permission: 'admin',
+      handler: () => ({ items: users.map(adminUser) }),
+    },
+    {
+      method: 'PATCH',
+      pattern: /^\/admin\/users\/([^/]+)$/,
+      auth: true,
+      permission: 'admin',
+      handler: ({ body, user }, [id]) => updateUser(id, body, user),
+    },
+    {
+      method: 'GET',
+      pattern: /^\/admin\/invitations$/,
+      auth: true,
+      permission: 'admin',
+      handler: () => ({ items: invitations.map(inv => viewInvitation(inv)).reverse() }),
+    },
+    {
+      method: 'POST',
+      pattern: /^\/admin\/invitations$/,
+      auth: true,
+      permission: 'admin',
+      handler: ({ body, user }) => invite(body, user),
+    },
+    {
+      method: 'DELETE',
+      pattern: /^\/admin\/invitations\/([^/]+)$/,
+      auth: true,
+      permission: 'admin',
+      handler: (_req, [id]) => {
+        const invitation = invitations.find(inv => inv.id === id);
+        if (!invitation) throw httpError(404, `Invitation ${id} not found`);
+        if (invitation.status !== 'pending') throw httpError(409, 'Only pending invitations can be revoked.');
+        invitation.status = 'revoked';
+        return viewInvitation(invitation);
+      },
+    },
+    {
+      method: 'GET',
+      pattern: /^\/events$/,
+      handler: ({ query }) => {
+        const all = queryEvents(query);
+        const offset = toNumber(query.offset, 0);
+        const limit = toNumber(query.limit, 50);
+        return { items: all.slice(offset, offset + limit), total: all.length, offset, limit, asOf: asOf(query) };
+      },
+    },
+    {
+      method: 'POST',
+      pattern: /^\/events\/([^/]+)\/review$/,
+      permission: 'annotate',
+      handler: ({ body }, [id]) => applyReview(id, body),
+    },
+    {
+      method: 'GET',
+      pattern: /^\/events\/([^/]+)\/history$/,
+      handler: (_req, [id]) => {
+        const { ev } = findRawEvent(id);
+        return { items: auditLog.filter(entry => entry.eventId === ev.id).slice().reverse() };
+      },
+    },
+    {
+      method: 'GET',
+      pattern: /^\/aggregates$/,
+      handler: ({ query }) => {
+        const events = queryEvents(query);
+        const latest = events[events.length - 1];
+        const categories = behaviorsOf(query.species);
+        const range = { from: toNumber(query.from, startOfDay(now())), to: asOf(query) };
+        return {
+          ...aggregateEvents(events, categories),
+          ...(query.by === 'day' ? { daily: dailyAggregates(events, categories, range) } : {}),
+          latestEventId: latest ? latest.id : null,
+          asOf: asOf(query),
+        };
+      },
+    },
+    {
+      method: 'GET',
+      pattern: /^\/activity$/,
+      handler: ({ query }) => {
+        const range = { from: toNumber(query.from, startOfDay(now())), to: toNumber(query.to, now()) };
+        const { days, minutes } = activityMatrix(queryEvents(query), range);
+        return { days, minutes: minutes.map(row => row.map(m => Math.round(m * 10) / 10)) };
+      },
+    },
+    {
+      method: 'GET',
+      pattern: /^\/events\/([^/]+)$/,
+      handler: (_req, [id]) => findEvent(id),
+    },
+    {
+      method: 'GET',
+      pattern: /^\/events\/([^/]+)\/detail$/,
+      handler: ({ query }, [id]) => {
+        const ev = findEvent(id);
+        const count = toNumber(query.neighbors, 3);
+        const around = queryEvents({
+          species: ev.species,
+          individuals: ev.individualId,
+          from: addDays(startOfDay(ev.start), -1),
+          to: addDays(startOfDay(ev.start), 2),
+          labels: ev.parentId ? 'reviewed' : 'ai',
+        });
+        const idx = around.findIndex(e => e.id === ev.id);
+        const frames = 6;
+        return {
+          event: ev,
+          neighbors: {
+            before: around.slice(Math.max(0, idx - count), idx),
+            after: around.slice(idx + 1, idx + 1 + count),
+          },
+          thumbnails: Array.from({ length: frames }).map((_, i) => {
+            const at = Math.round(ev.start + ((ev.end - ev.start) * i) / (frames - 1));
+            return { at, src: `/mock-thumbs/${ev.camera}/${ev.id}-${i}.jpg` };
+          }),
+        };
+      },
+    },
+    {
+      method: 'GET',
+      pattern: /^\/events\/([^/]+)\/video$/,
+      handler: (_req, [id]) => {
+        const ev = findEvent(id);
+        return {
+          eventId: ev.id,
+          // REACT_APP_MOCK_CLIP_URL lets local development point every clip at one sample file
+          src: process.env.REACT_APP_MOCK_CLIP_URL || `/mock-clips/${ev.camera}/${ev.id}.mp4`,
+          poster: null,
+          camera: ev.camera,
+          start: ev.start,
+          end: ev.end,
+          durationSec: (ev.end - ev.start) / 1000,
+        };
+      },
+    },
+    {
+      method: 'GET',
+      pattern: /^\/events\/([^/]+)\/annotations$/,
+      handler: (_req, [id]) => generateAnnotations(findEvent(id)),
+    },
+    {
+      method: 'GET',
+      pattern: /^\/species$/,
+      handler: () => ({ items: speciesRegistry }),
+    },
+    {
+      method: 'POST',
+      pattern: /^\/species\/suggestions$/,
+      handler: ({ body, user }) => suggestSpecies(body, user),
+    },
+    {
+      method: 'GET',
+      pattern: /^\/individuals$/,
+      handler: ({ query }) => ({ items: INDIVIDUALS.filter(ind => !query.species || ind.species === query.species) }),
+    },
+    {
+      method: 'GET',
+      pattern: /^\/sites$/,
+      handler: () => ({ items: sites }),
+    },
+    {
+      method: 'PATCH',
+      pattern: /^\/sites\/([^/]+)$/,
+      permission: 'configureSites',
+      handler: ({ body }, [id]) => updateSite(id, body),
+    },
+    {
+      method: 'GET',
+      pattern: /^\/alerts\/rules$/,
+      handler: () => ({ items: alertRules }),
+    },
+    {
+      method: 'POST',
+      pattern: /^\/alerts\/rules$/,
+      permission: 'manageAlerts',
+      handler: ({ body, user }) => saveAlertRule(body, user),
+    },
+    {
+      method: 'PATCH',
+      pattern: /^\/alerts\/rules\/([^/]+)$/,
+      permission: 'manageAlerts',
+      handler: ({ body, user }, [id]) => saveAlertRule(body, user, findAlertRule(id)),
+    },
+    {
+      method: 'DELETE',
+      pattern: /^\/alerts\/rules\/([^/]+)$/,
+      permission: 'manageAlerts',
+      handler: (_req, [id]) => {
+        const rule = findAlertRule(id);
+        alertRules = alertRules.filter(r => r !== rule);
+        return rule;
+      },
+    },
+    {
+      method: 'GET',
+      pattern: /^\/alerts$/,
+      handler: ({ query }) => {
+        const all = evaluateAlerts().filter(a => !query.species || a.species === query.species);
+        const counts = {};
+        ALERT_STATUSES.forEach(status => { counts[status] = all.filter(a => a.status === status).length; });
+        return { items: query.status ? all.filter(a => a.status === query.status) : all, counts };
+      },
+    },
+    {
+      method: 'PATCH',
+      pattern: /^\/alerts\/([^/]+)$/,
+      handler: ({ body, user }, [id]) => updateAlert(id, body, user),
+    },
+  ];
+
+  async function handle({ method = 'GET', path, query = {}, body, headers = {} } = {}) {
+    if (latencyMs > 0) await new Promise(r => setTimeout(r, latencyMs));
+    const route = routes.find(r => r.method === method && r.pattern.test(path));
+    if (!route) throw httpError(404, `No mock route for ${method} ${path}`);
+    const params = route.pattern.exec(path).slice(1).map(decodeURIComponent);
+    const user = (route.auth === undefined ? requireAuth : route.auth) ? authenticate(headers) : null;
+    if (user && route.permission && !can(user, route.permission)) throw httpError(403, notPermittedMessage(user, route.permission));
+    const result = await route.handler({ method, path, query, body, headers, user }, params);
+    return JSON.parse(JSON.stringify(result));
+  }
+
+  return { handle, detectionsSince };
+}
@@ -0,0 +1,317 @@
+/**
+ * Offline support for field use. Recently fetched data (events, aggregates, activity, event details,
+ * species, sites, rosters and welfare alerts) and thumbnails are kept in IndexedDB; when the API is unreachable the
+ * last-known copy is served with a `cachedAt` timestamp so views can mark it as stale. Annotation
+ * edits (POST /events/:id/review) and species suggestions (POST /species/suggestions) made offline
+ * are queued in IndexedDB and replayed in order once the network returns; replays the server rejects
+ * (e.g. someone else reviewed the event meanwhile, see `baseReviewAt`) are kept as conflicts for the
+ * user to look at.
+ */
+
+const DB_NAME = 'vizai-offline';
+const STORE_NAME = 'entries';
+const CACHE_LIMIT = 500;
+
+const CACHEABLE_PATHS = [
+  /^\/events$/,
+  /^\/events\/[^/]+$/,
+  /^\/events\/[^/]+\/detail$/,
+  /^\/aggregates$/,
+  /^\/activity$/,
+  /^\/species$/,
+  /^\/sites$/,
+  /^\/individuals$/,
+  /^\/alerts$/,
+  /^\/alerts\/rules$/,
+];
+const QUEUEABLE_PATHS = [/^\/events\/[^/]+\/review$/, /^\/species\/suggestions$/];
+
+// PUBLIC_INTERFACE
+export function isNetworkError(err) {
+  /** True for failures to reach the API at all (ApiError status 0), as opposed to server rejections. */
+  return !!err && err.status === 0;
+}
+
+// PUBLIC_INTERFACE
+export function createMemoryStore() {
+  /** Async key-value store kept in memory; the fallback when IndexedDB is unavailable. */
+  const map = new Map();
+  return {
+    get: async (key) => map.get(key),
+    set: async (key, value) => { map.set(key, value); },
+    delete: async (key) => { map.delete(key); },
+  };
+}
+
+function whenDone(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// PUBLIC_INTERFACE
+export function createKeyValueStore({
+  indexedDB = typeof window === 'undefined' ? undefined : window.indexedDB,
+  dbName = DB_NAME,
+} = {}) {
+  /**
+   * Async get/set/delete over one IndexedDB object store. Falls back to memory when IndexedDB is
+   * missing or cannot be opened (some private browsing modes), so callers need no special case.
+   */
+  const memory = createMemoryStore();
+  if (!indexedDB) return memory;
+  let opening = null;
+  const open = () => {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(() => null);
+    }
+    return opening;
+  };
+  const run = async (mode, op, fallback) => {
+    const db = await open();
+    if (!db) return fallback();
+    return whenDone(op(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  };
+  return {
+    get: (key) => run('readonly', s => s.get(key), () => memory.get(key)),
+    set: (key, value) => run('readwrite', s => s.put(value, key), () => memory.set(key, value)),
+    delete: (key) => run('readwrite', s => s.delete(key), () => memory.delete(key)),
+  };
+}
+
+function requestKey({ path, query = {} }) {
+  const params = Object.entries(query)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([k, v]) => `${k}=${v}`);
+  return params.length ? `${path}?${params.join('&')}` : path;
+}
+
+const REVIEW_SUMMARIES = {
+  confirm: () => 'Confirm',
+  relabel: (body) => `Relabel as ${body.label}`,
+  split: (body) => `Split (second part ${body.label})`,
+  merge: () => 'Merge with the adjacent event',
+  false_positive: () => 'Mark false positive',
+  revert: () => 'Revert to AI',
+};
+
+// PUBLIC_INTERFACE
+export function describeChange(change) {
+  /** One-line summary of a queued change, e.g. "Relabel as Pacing" or "Suggest species "Red Panda"". */
+  const body = change.body || {};
+  const review = /^\/events\/([^/]+)\/review$/.exec(change.path);
+  if (review) {
+    const summary = REVIEW_SUMMARIES[body.action];
+    return summary ? summary(body) : body.action;
+  }
+  return `Suggest species "${body.name}"`;
+}
+
+// PUBLIC_INTERFACE
+export function changeEventId(change) {
+  /** Event a queued review applies to, or null for other changes. */
+  const m = /^\/events\/([^/]+)\/review$/.exec(change.path);
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+// PUBLIC_INTERFACE
+export function createOfflineManager({
+  store = createKeyValueStore(),
+  now = () => Date.now(),
+  network = typeof window === 'undefined' ? null : window,
+  fetchImpl,
+  cacheLimit = CACHE_LIMIT,
+} = {}) {
+  /**
+   * Cache and change queue in front of an API transport.
+   * - wrap(transport, { userOf }) -> transport that caches GETs, serves `{ ...payload, cachedAt }` when
+   *   the network fails and queues reviews and suggestions ({ queued: true, change }) while offline;
+   *   `userOf()` returns the signed-in user id, which scopes cached data and queued changes
+   * - getStatus() -> { online, queue, conflicts, syncing, lastSyncAt }; queue entries are
+   *   { id, method, path, body, userId, queuedAt }, conflicts { id, change, message, status, at }
+   * - subscribe(fn) -> unsubscribe; fn(status, previous) on every change
+   * - sync() replays the current user's queued changes in order (also run when the network returns)
+   * - dismissConflict(id)
+   * - rememberImage(src) stores an image for offline use; imageUrl(src) -> object URL (the caller
+   *   revokes it when done) or null
+   */
+  let status = { online: !network || !network.navigator || network.navigator.onLine !== false, queue: [], conflicts: [], syncing: false, lastSyncAt: null };
+  const listeners = new Set();
+  let send = null;
+  let userOf = () => null;
+  let syncing = null;
+  let seq = 0;
+  let index = {}; // cache key -> stored at, for evicting the least recently fetched entries
+
+  function setStatus(patch) {
+    const previous = status;
+    status = { ...status, ...patch };
+    listeners.forEach(fn => fn(status, previous));
+  }
+
+  const ready = Promise.all([store.get('queue'), store.get('conflicts'), store.get('cache-index')])
+    .then(([queue, conflicts, cacheIndex]) => {
+      index = cacheIndex || {};
+      setStatus({ queue: [...(queue || []), ...status.queue], conflicts: [...(conflicts || []), ...status.conflicts] });
+    })
+    .catch(() => {});
+
+  const saveQueue = (queue) => {
+    setStatus({ queue });
+    return store.set('queue', queue).catch(() => {});
+  };
+  const saveConflicts = (conflicts) => {
+    setStatus({ conflicts });
+    return store.set('conflicts', conflicts).catch(() => {});
+  };
+
+  async function remember(key, value) {
+    await ready;
+    index[key] = now();
+    const keys = Object.keys(index);
+    if (keys.length > cacheLimit) {
+      keys.sort((a, b) => index[a] - index[b]).slice(0, keys.length - cacheLimit).forEach(old => {
+        delete index[old];
+        store.delete(old).catch(() => {});
+      });
+    }
+    await Promise.all([store.set(key, { value, at: index[key] }), store.set('cache-index', index)]).catch(() => {});
+  }
+
+  async function recall(key) {
+    await ready;
+    return store.get(key).catch(() => null);
+  }
+
+  function markOffline() {
+    if (status.online) setStatus({ online: false });
+  }
+
+  function markOnline() {
+    if (status.online) return;
+    setStatus({ online: true });
+    if (status.queue.length) sync();
+  }
+
+  async function cachedGet(inner, request) {
+    const key = `cache:${userOf() || ''}|${requestKey(request)}`;
+    try {
+      const payload = await inner(request);
+      markOnline();
+      remember(key, payload);
+      return payload;
+    } catch (err) {
+      if (!isNetworkError(err)) throw err;
+      markOffline();
+      const hit = await recall(key);
+      if (!hit) throw err;
+      return { ...hit.value, cachedAt: hit.at };
+    }
+  }
+
+  async function queueable(inner, request) {
+    await ready;
+    if (status.online && status.queue.length === 0) {
+      try {
+        const result = await inner(request);
+        markOnline();
+        return result;
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        markOffline();
+      }
+    }
+    seq += 1;
+    const change = {
+      id: `chg-${now()}-${seq}`, method: request.method, path: request.path, body: request.body, userId: userOf(), queuedAt: now(),
+    };
+    await saveQueue([...status.queue, change]);
+    if (status.online) sync();
+    return { queued: true, change };
+  }
+
+  function sync() {
+    if (!syncing) {
+      syncing = (async () => {
+        await ready;
+        if (!send || status.queue.length === 0) return;
+        setStatus({ syncing: true });
+        const user = userOf();
+        // Changes queued by another account wait until it signs in again; ones queued meanwhile join in
+        const next = () => status.queue.find(c => c.userId === user);
+        for (let change = next(); change; change = next()) {
+          try {
+            await send({ method: change.method, path: change.path, body: change.body });
+            markOnline();
+          } catch (err) {
+            if (isNetworkError(err)) {
+              markOffline();
+              break;
+            }
+            await saveConflicts([...status.conflicts, { id: change.id, change, message: err.message, status: err.status, at: now() }]);
+          }
+          const done = change.id;
+          await saveQueue(status.queue.filter(c => c.id !== done));
+        }
+        setStatus({ syncing: false, lastSyncAt: now() });
+      })().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  }
+
+  if (network && network.addEventListener) {
+    network.addEventListener('online', markOnline);
+    network.addEventListener('offline', markOffline);
+  }
+
+  return {
+    wrap(inner, options = {}) {
+      send = inner;
+      if (options.userOf) userOf = options.userOf;
+      return async (request) => {
+        const method = request.method || 'GET';
+        if (method === 'GET' && CACHEABLE_PATHS.some(p => p.test(request.path))) return cachedGet(inner, request);
+        if (method === 'POST' && QUEUEABLE_PATHS.some(p => p.test(request.path))) return queueable(inner, request);
+        try {
+          const result = await inner(request);
+          markOnline();
+          return result;
+        } catch (err) {
+          if (isNetworkError(err)) markOffline();
+          throw err;
+        }
+      };
+    },
+    getStatus: () => status,
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    sync,
+    dismissConflict: (id) => saveConflicts(status.conflicts.filter(c => c.id !== id)),
+    async rememberImage(src) {
+      const key = `img:${src}`;
+      await ready;
+      if (!src || index[key] || !status.online) return;
+      try {
+        const res = await (fetchImpl || window.fetch.bind(window))(src);
+        if (res.ok) await remember(key, await res.blob());
+      } catch (e) {
+        // Not reachable now; it will be tried again the next time the image loads
+      }
+    },
+    async imageUrl(src) {
+      const hit = await recall(`img:${src}`);
+      return hit && hit.value ? URL.createObjectURL(hit.value) : null;
+    },
+  };
+}
@@ -0,0 +1,112 @@
+import { createApiClient, createMockTransport } from './apiClient';
+import { resolveDateRange } from './dateRange';
+import { createMockServer } from './mockServer';
+import { changeEventId, createMemoryStore, createOfflineManager, describeChange } from './offline';
+
+const NOW = new Date(2025, 0, 22, 15, 0, 0).getTime();
+
+// Mock API whose network the test switches off and on, with a clock that moves on every read
+function setup({ store = createMemoryStore(), user = { current: 'u-1' } } = {}) {
+  let clock = NOW;
+  const now = () => (clock += 1000);
+  const network = Object.assign(new EventTarget(), { navigator: { onLine: true } });
+  const server = createMockServer({ latencyMs: 0, now });
+  const offline = createOfflineManager({ store, now, network });
+  const transport = offline.wrap(createMockTransport(server, { network }), { userOf: () => user.current });
+  const client = createApiClient({ transport });
+  const setOnline = (online) => {
+    network.navigator.onLine = online;
+    network.dispatchEvent(new Event(online ? 'online' : 'offline'));
+  };
+  return { client, offline, server, setOnline, user };
+}
+
+const scope = () => ({ species: 'Giant Anteater', individuals: 'ga-02', ...resolveDateRange('Today', NOW) });
+
+test('data fetched online is served from the cache, marked stale, while offline', async () => {
+  const { client, offline, setOnline } = setup();
+  const fresh = await client.getAggregates(scope());
+  expect(fresh.cachedAt).toBeUndefined();
+
+  setOnline(false);
+  expect(offline.getStatus().online).toBe(false);
+  const cached = await client.getAggregates(scope());
+  expect(cached).toMatchObject({ totalCount: fresh.totalCount, asOf: fresh.asOf });
+  expect(cached.cachedAt).toEqual(expect.any(Number));
+  // Nothing saved for other filters, so those fail as before
+  await expect(client.getAggregates({ ...scope(), individuals: 'ga-01' })).rejects.toMatchObject({ status: 0 });
+});
+
+test('edits made offline are queued and replayed in order when the network returns', async () => {
+  const { client, offline, setOnline } = setup();
+  const { items: [a, b] } = await client.getEvents({ ...scope(), limit: 2 });
+  setOnline(false);
+
+  const queued = await client.reviewEvent(a.id, { action: 'confirm', baseReviewAt: null, reviewer: 'r@zoo.org' });
+  expect(queued).toMatchObject({ queued: true, change: { path: `/events/${a.id}/review`, userId: 'u-1' } });
+  await client.reviewEvent(a.id, { action: 'relabel', label: 'Pacing', reviewer: 'r@zoo.org' });
+  await client.suggestSpecies({ name: 'Red Panda', reason: 'Popular exhibit' });
+  const { queue } = offline.getStatus();
+  expect(queue.map(describeChange)).toEqual(['Confirm', 'Relabel as Pacing', 'Suggest species "Red Panda"']);
+  expect(queue.map(changeEventId)).toEqual([a.id, a.id, null]);
+
+  setOnline(true);
+  await offline.sync();
+  expect(offline.getStatus()).toMatchObject({ online: true, queue: [], conflicts: [], syncing: false });
+  expect(await client.getEvent(a.id)).toMatchObject({ review: { status: 'relabeled', label: 'Pacing' } });
+  const history = await client.getEventHistory(a.id);
+  expect(history.items.map(h => h.action)).toEqual(['relabel', 'confirm']);
+  expect((await client.getEvent(b.id)).review).toBeFalsy();
+});
+
+test('replays the server rejects are kept as conflicts', async () => {
+  const store = createMemoryStore();
+  const { client, offline, server, setOnline } = setup({ store });
+  const { items: [a] } = await client.getEvents({ ...scope(), limit: 1 });
+  setOnline(false);
+  await client.reviewEvent(a.id, { action: 'false_positive', baseReviewAt: null, reviewer: 'field@zoo.org' });
+  await client.suggestSpecies({ name: 'Giant Anteater' });
+
+  // Someone else reviews the event meanwhile
+  await server.handle({ method: 'POST', path: `/events/${a.id}/review`, body: { action: 'confirm', reviewer: 'keeper@zoo.org' } });
+  setOnline(true);
+  await offline.sync();
+  const { conflicts } = offline.getStatus();
+  expect(conflicts.map(c => c.status)).toEqual([409, 409]);
+  expect(conflicts[0].message).toBe('keeper@zoo.org changed this event (confirmed) before your edit could be applied.');
+
+  // Conflicts outlive a reload until dismissed
+  const reloaded = createOfflineManager({ store, network: null });
+  reloaded.wrap(async () => ({}));
+  await reloaded.sync();
+  expect(reloaded.getStatus().conflicts).toHaveLength(2);
+  await reloaded.dismissConflict(conflicts[0].id);
+  expect(reloaded.getStatus().conflicts.map(c => c.id)).toEqual([conflicts[1].id]);
+});
+
+test('an edit based on an outdated review is rejected', async () => {
+  const { client } = setup();
+  const { items: [a] } = await client.getEvents({ ...scope(), limit: 1 });
+  await client.reviewEvent(a.id, { action: 'confirm', baseReviewAt: null, reviewer: 'one@zoo.org' });
+  const { review } = await client.getEvent(a.id);
+  await client.reviewEvent(a.id, { action: 'false_positive', baseReviewAt: review.at, reviewer: 'two@zoo.org' });
+  await expect(client.reviewEvent(a.id, { action: 'relabel', label: 'Pacing', baseReviewAt: review.at }))
+    .rejects.toMatchObject({ status: 409, message: expect.stringContaining('two@zoo.org') });
+});
+
+test('cached data and queued changes belong to the user who made them', async () => {
+  const { client, offline, setOnline, user } = setup();
+  await client.getAggregates(scope());
+  setOnline(false);
+  await client.suggestSpecies({ name: 'Red Panda' });
+
+  user.current = 'u-2';
+  await expect(client.getAggregates(scope())).rejects.toMatchObject({ status: 0 });
+  setOnline(true);
+  await offline.sync();
+  expect(offline.getStatus().queue).toHaveLength(1);
+
+  user.current = 'u-1';
+  await offline.sync();
+  expect(offline.getStatus().queue).toHaveLength(0);
+});
@@ -0,0 +1,47 @@
+/**
+ * Per-clip AI annotation tracks drawn over the video player.
+ * A track is { eventId, interval, frames: [{ t, box: { x, y, w, h }, label, confidence }] } with
+ * `t` in seconds from clip start, `interval` the nominal sampling step and boxes normalized to 0–1.
+ */
+
+// Default gap (seconds) beyond which samples are not interpolated; tracks pass 3x their interval.
+const MAX_GAP_SEC = 1.5;
+
+const lerp = (a, b, f) => a + (b - a) * f;
+
+// PUBLIC_INTERFACE
+export function sampleTrack(frames, t, maxGap = MAX_GAP_SEC) {
+  /**
+   * Annotation at clip time `t` (seconds), interpolating boxes between neighboring samples.
+   * Label and confidence come from the nearest preceding sample. Returns null outside the
+   * track or inside a detection gap longer than `maxGap`.
+   */
+  if (!frames || frames.length === 0 || t < frames[0].t) return null;
+  let lo = 0;
+  let hi = frames.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (frames[mid].t <= t) lo = mid; else hi = mid - 1;
+  }
+  const a = frames[lo];
+  const b = frames[lo + 1];
+  if (!b || b.t - a.t > maxGap) return t - a.t <= maxGap ? a : null;
+  const f = (t - a.t) / (b.t - a.t);
+  return {
+    ...a,
+    t,
+    box: {
+      x: lerp(a.box.x, b.box.x, f),
+      y: lerp(a.box.y, b.box.y, f),
+      w: lerp(a.box.w, b.box.w, f),
+      h: lerp(a.box.h, b.box.h, f),
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function formatMediaTime(sec) {
+  /** m:ss for player time readouts. */
+  const s = Math.max(0, Math.floor(sec || 0));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
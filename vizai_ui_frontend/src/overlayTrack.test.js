@@ -0,0 +1,24 @@
+import { formatMediaTime, sampleTrack } from './overlayTrack';
+
+const frames = [
+  { t: 0, box: { x: 0, y: 0, w: 0.2, h: 0.2 }, label: 'Moving', confidence: 0.9 },
+  { t: 0.5, box: { x: 0.1, y: 0.2, w: 0.2, h: 0.2 }, label: 'Moving', confidence: 0.8 },
+  { t: 5, box: { x: 0.5, y: 0.5, w: 0.2, h: 0.2 }, label: 'Pacing', confidence: 0.7 },
+];
+
+test('interpolates boxes between samples and respects detection gaps', () => {
+  const mid = sampleTrack(frames, 0.25, 1.5);
+  expect(mid.box.x).toBeCloseTo(0.05);
+  expect(mid.box.y).toBeCloseTo(0.1);
+  expect(mid.confidence).toBe(0.9);
+
+  expect(sampleTrack(frames, 1.0, 1.5).box.x).toBe(0.1);
+  expect(sampleTrack(frames, 3, 1.5)).toBeNull();
+  expect(sampleTrack(frames, 5.2, 1.5).label).toBe('Pacing');
+  expect(sampleTrack(frames, 9, 1.5)).toBeNull();
+  expect(sampleTrack([], 1)).toBeNull();
+});
+
+test('formats media time as m:ss', () => {
+  expect(formatMediaTime(125.7)).toBe('2:05');
+});
@@ -0,0 +1,191 @@
+/**
+ * Minimal PDF writer for client-side report exports.
+ * Draws text (Helvetica / Helvetica-Bold), rectangles, lines and pie slices on A4 pages using a
+ * top-left origin in points; output() returns the file bytes. Text is WinAnsi-encoded.
+ */
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Helvetica advance widths (1/1000 em) for ASCII 32–126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+// Bold glyphs are slightly wider; close enough for alignment and truncation
+const BOLD_FACTOR = 1.07;
+
+// Non-ASCII characters the reports use, mapped to WinAnsi code points
+const WIN_ANSI = { '–': 0x96, '—': 0x97, '•': 0x95, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '×': 0xd7, '°': 0xb0 };
+
+const fmt = (n) => (Math.round(n * 100) / 100).toString();
+
+function encodeText(str) {
+  let out = '';
+  for (const ch of String(str)) {
+    const code = ch.charCodeAt(0);
+    if (ch === '(' || ch === ')' || ch === '\\') out += `\\${ch}`;
+    else if (code >= 32 && code < 127) out += ch;
+    else if (WIN_ANSI[ch]) out += `\\${WIN_ANSI[ch].toString(8)}`;
+    else if (code >= 0xa0 && code <= 0xff) out += `\\${code.toString(8)}`;
+    else out += '?';
+  }
+  return out;
+}
+
+function rgb(color) {
+  const hex = String(color || '#000000').trim().replace('#', '');
+  const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+  if (!/^[0-9a-fA-F]{6}$/.test(full)) return '0 0 0';
+  return [0, 2, 4].map(i => fmt(parseInt(full.slice(i, i + 2), 16) / 255)).join(' ');
+}
+
+// PUBLIC_INTERFACE
+export function textWidth(str, size, bold = false) {
+  /** Approximate rendered width in points. */
+  let units = 0;
+  for (const ch of String(str)) {
+    const code = ch.charCodeAt(0);
+    units += code >= 32 && code < 127 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units / 1000) * size * (bold ? BOLD_FACTOR : 1);
+}
+
+// PUBLIC_INTERFACE
+export function fitText(str, width, size, bold = false) {
+  /** Truncates with an ellipsis so the text fits in `width`. */
+  const text = String(str);
+  if (textWidth(text, size, bold) <= width) return text;
+  let cut = text.length;
+  while (cut > 0 && textWidth(`${text.slice(0, cut)}…`, size, bold) > width) cut -= 1;
+  return `${text.slice(0, cut)}…`;
+}
+
+// PUBLIC_INTERFACE
+export function wrapText(str, width, size, bold = false) {
+  /** Greedy word wrap into lines no wider than `width`. */
+  const lines = [];
+  let line = '';
+  String(str).split(/\s+/).filter(Boolean).forEach(word => {
+    const next = line ? `${line} ${word}` : word;
+    if (line && textWidth(next, size, bold) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  });
+  if (line) lines.push(line);
+  return lines.length ? lines : [''];
+}
+
+// PUBLIC_INTERFACE
+export function createPdf({ title = '', author = '', size = A4 } = {}) {
+  /**
+   * Returns a document with drawing methods. Coordinates are points from the top-left corner.
+   * - addPage(), pageCount()
+   * - text(x, y, str, { size, bold, color, align: 'left'|'center'|'right' })  (y = baseline)
+   * - rect(x, y, w, h, { fill, stroke, lineWidth }), line(x1, y1, x2, y2, { color, lineWidth })
+   * - pieSlice(cx, cy, r, startAngle, endAngle, { fill })  (radians clockwise from 12 o'clock)
+   * - eachPage(fn(index, count)) to draw page furniture such as numbers, then output() -> Uint8Array
+   */
+  const pages = [];
+  let ops = null;
+  const Y = (y) => size.height - y;
+
+  const doc = {
+    width: size.width,
+    height: size.height,
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+    pageCount: () => pages.length,
+    text(x, y, str, { size: fontSize = 11, bold = false, color = '#111827', align = 'left' } = {}) {
+      const w = textWidth(str, fontSize, bold);
+      const left = align === 'right' ? x - w : align === 'center' ? x - w / 2 : x;
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${fmt(fontSize)} Tf ${rgb(color)} rg ${fmt(left)} ${fmt(Y(y))} Td (${encodeText(str)}) Tj ET`);
+      return doc;
+    },
+    rect(x, y, w, h, { fill, stroke, lineWidth = 0.5 } = {}) {
+      const parts = [`${fmt(x)} ${fmt(Y(y + h))} ${fmt(w)} ${fmt(h)} re`];
+      if (fill) parts.unshift(`${rgb(fill)} rg`);
+      if (stroke) parts.unshift(`${rgb(stroke)} RG ${fmt(lineWidth)} w`);
+      parts.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+      ops.push(parts.join(' '));
+      return doc;
+    },
+    line(x1, y1, x2, y2, { color = '#E5E7EB', lineWidth = 0.5 } = {}) {
+      ops.push(`${rgb(color)} RG ${fmt(lineWidth)} w ${fmt(x1)} ${fmt(Y(y1))} m ${fmt(x2)} ${fmt(Y(y2))} l S`);
+      return doc;
+    },
+    pieSlice(cx, cy, r, a0, a1, { fill = '#111827' } = {}) {
+      const point = (a) => [cx + r * Math.sin(a), cy - r * Math.cos(a)];
+      const path = [`${rgb(fill)} rg ${fmt(cx)} ${fmt(Y(cy))} m`];
+      const [sx, sy] = point(a0);
+      path.push(`${fmt(sx)} ${fmt(Y(sy))} l`);
+      // Cubic Bézier approximation, at most a quarter turn per segment
+      const steps = Math.max(1, Math.ceil((a1 - a0) / (Math.PI / 2)));
+      const step = (a1 - a0) / steps;
+      const k = (4 / 3) * Math.tan(step / 4) * r;
+      for (let i = 0; i < steps; i += 1) {
+        const s = a0 + i * step;
+        const e = s + step;
+        const [x0, y0] = point(s);
+        const [x3, y3] = point(e);
+        const c1 = [x0 + k * Math.cos(s), y0 + k * Math.sin(s)];
+        const c2 = [x3 - k * Math.cos(e), y3 - k * Math.sin(e)];
+        path.push(`${fmt(c1[0])} ${fmt(Y(c1[1]))} ${fmt(c2[0])} ${fmt(Y(c2[1]))} ${fmt(x3)} ${fmt(Y(y3))} c`);
+      }
+      path.push('h f');
+      ops.push(path.join(' '));
+      return doc;
+    },
+    eachPage(fn) {
+      const current = ops;
+      pages.forEach((page, i) => {
+        ops = page;
+        fn(i, pages.length);
+      });
+      ops = current;
+      return doc;
+    },
+    output() {
+      const objects = [];
+      const add = (body) => { objects.push(body); return objects.length; };
+      const catalog = add(null);
+      const pagesRef = add(null);
+      const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const boldFont = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const info = add(`<< /Title (${encodeText(title)}) /Author (${encodeText(author)}) /Producer (VizAI) >>`);
+      const kids = pages.map(page => {
+        const stream = page.join('\n');
+        const content = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${fmt(size.width)} ${fmt(size.height)}] `
+          + `/Resources << /Font << /F1 ${font} 0 R /F2 ${boldFont} 0 R >> >> /Contents ${content} 0 R >>`);
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+      objects[pagesRef - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+      // Content is pure ASCII (non-ASCII text is octal-escaped), so string length equals byte length
+      let out = '%PDF-1.4\n';
+      const offsets = objects.map((body, i) => {
+        const offset = out.length;
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xref = out.length;
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      offsets.forEach(o => { out += `${String(o).padStart(10, '0')} 00000 n \n`; });
+      out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      const bytes = new Uint8Array(out.length);
+      for (let i = 0; i < out.length; i += 1) bytes[i] = out.charCodeAt(i);
+      return bytes;
+    },
+  };
+  return doc;
+}
@@ -0,0 +1,50 @@
+/**
+ * Role-based permissions. The signed-in account's role (AuthContext.user.role) grants a fixed set of
+ * permissions, checked by ProtectedRoute for pages, by action buttons in the UI and by the mock server.
+ */
+
+export const ROLES = ['Researcher', 'Field Observer', 'Admin'];
+// Roles open to self-registration; accounts that manage users come from an invitation or an admin
+export const SELF_SIGNUP_ROLES = ['Researcher', 'Field Observer'];
+
+// What each permission allows, phrased to start a sentence
+export const PERMISSIONS = {
+  annotate: 'Reviewing and correcting AI labels',
+  export: 'Exporting reports, data and video',
+  configureSites: 'Changing site day/night settings',
+  manageAlerts: 'Creating and changing welfare alert rules',
+  admin: 'Managing users and roles',
+};
+
+const ROLE_PERMISSIONS = {
+  Researcher: ['annotate', 'export', 'configureSites', 'manageAlerts'],
+  'Field Observer': ['annotate'],
+  Admin: ['annotate', 'export', 'configureSites', 'manageAlerts', 'admin'],
+};
+
+// PUBLIC_INTERFACE
+export function permissionsFor(role) {
+  /** Permissions granted to a role; unknown roles get none. */
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+// PUBLIC_INTERFACE
+export function can(user, permission) {
+  /** True when the user's role grants `permission`. */
+  return !!user && permissionsFor(user.role).includes(permission);
+}
+
+// PUBLIC_INTERFACE
+export function rolesWith(permission) {
+  /** Roles that grant `permission`, in ROLES order. */
+  return ROLES.filter(role => permissionsFor(role).includes(permission));
+}
+
+// PUBLIC_INTERFACE
+export function notPermittedMessage(user, permission) {
+  /** Why an action is unavailable, e.g. "Exporting … is limited to Researcher and Admin accounts. …" */
+  const roles = rolesWith(permission);
+  const allowed = roles.length > 1 ? `${roles.slice(0, -1).join(', ')} and ${roles[roles.length - 1]}` : roles[0];
+  const current = user && user.role ? `Your role is ${user.role}.` : 'Your account has no role assigned.';
+  return `${PERMISSIONS[permission] || 'This action'} is limited to ${allowed} accounts. ${current}`;
+}
@@ -0,0 +1,37 @@
+import { createApiClient, createMockTransport } from './apiClient';
+import { createAuthClient, createSessionStore } from './auth';
+import { createMockServer, DEMO_PASSWORD } from './mockServer';
+import { can, notPermittedMessage, permissionsFor, rolesWith } from './permissions';
+
+const observer = { email: 'observer@viz.ai', role: 'Field Observer' };
+const researcher = { email: 'researcher@viz.ai', role: 'Researcher' };
+
+test('roles grant fixed permission sets', () => {
+  expect(can(observer, 'annotate')).toBe(true);
+  expect(can(observer, 'export')).toBe(false);
+  expect(can(researcher, 'export')).toBe(true);
+  expect(can(researcher, 'admin')).toBe(false);
+  expect(can({ role: 'Admin' }, 'admin')).toBe(true);
+  expect(can(null, 'annotate')).toBe(false);
+  expect(permissionsFor('Visitor')).toEqual([]);
+  expect(rolesWith('export')).toEqual(['Researcher', 'Admin']);
+  expect(notPermittedMessage(observer, 'export')).toBe(
+    'Exporting reports, data and video is limited to Researcher and Admin accounts. Your role is Field Observer.'
+  );
+});
+
+test('the mock server rejects actions the role does not grant', async () => {
+  const transport = createMockTransport(createMockServer({ latencyMs: 0, requireAuth: true }));
+  const storage = new Map();
+  const store = createSessionStore({
+    getItem: (k) => storage.get(k) ?? null,
+    setItem: (k, v) => storage.set(k, v),
+    removeItem: (k) => storage.delete(k),
+  });
+  const auth = createAuthClient({ transport, store });
+  const client = createApiClient({ transport, auth });
+  await auth.login('observer@viz.ai', DEMO_PASSWORD);
+  const [site] = (await client.getSites()).items;
+  await expect(client.updateSite(site.id, { latitude: 1, longitude: 2, dayNight: site.dayNight }))
+    .rejects.toMatchObject({ status: 403, message: expect.stringMatching(/^Changing site day\/night settings is limited/) });
+});
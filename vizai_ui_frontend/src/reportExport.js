@@ -0,0 +1,338 @@
+/**
+ * Report exports built in the browser from the Report Builder filters.
+ * A report is { type, fileBase, categories, behaviors, metadata, aggregates, sections, events }:
+ * `categories` are the species' behavior names (from the species registry), `behaviors` holds
+ * per-behavior totals for charts; metadata, aggregates and events are row arrays (first row
+ * is the header) and `sections` adds type-specific tables as [{ name, rows }]. Rows are written as
+ * sheets (.xlsx), sections (.csv) or tables (.pdf, see reportPdf.js) and drive the Reports preview.
+ * Comparison reports (buildComparisonReport) add `sides`: [{ label, behaviors }] for the two filter sets.
+ */
+import {
+  activityMatrix,
+  aggregateEvents,
+  eventMinutes,
+  hourSlices,
+} from './analytics';
+import { differenceRows, hourlyDifference } from './comparison';
+import { addDays, formatDateRange, formatDateTime, rangeDays, startOfDay, toDateInputValue } from './dateRange';
+import { applyHoursFilter, describeDayNight, describeHours, serializeHours } from './dayNight';
+import { createXlsx } from './xlsx';
+
+export const REPORT_TYPES = ['Behavior Duration Analysis', 'Summary', 'Daily Pattern'];
+
+export const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+export const CSV_MIME = 'text/csv;charset=utf-8';
+export const PDF_MIME = 'application/pdf';
+
+const EXPORT_PAGE_SIZE = 5000;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// PUBLIC_INTERFACE
+export async function fetchAllEvents(api, params, { pageSize = EXPORT_PAGE_SIZE, onProgress, signal } = {}) {
+  /**
+   * Pages through GET /events until every event in the window has been read. `onProgress(share)`
+   * gets the share read so far after each page; an aborted `signal` stops between pages.
+   */
+  const items = [];
+  let total = Infinity;
+  while (items.length < total) {
+    if (signal && signal.aborted) throw new Error('Export cancelled.');
+    const page = await api.getEvents({ ...params, offset: items.length, limit: pageSize });
+    items.push(...page.items);
+    total = page.total;
+    if (onProgress) onProgress(total ? Math.min(1, items.length / total) : 1);
+    if (page.items.length === 0) break;
+  }
+  return items;
+}
+
+function behaviorTotals(events, categories) {
+  const { counts } = aggregateEvents(events, categories);
+  const exact = {};
+  events.forEach(ev => { exact[ev.behavior] = (exact[ev.behavior] || 0) + eventMinutes(ev); });
+  return categories.map(c => ({ behavior: c, count: counts[c], minutes: round1(exact[c] || 0) }));
+}
+
+function behaviorTable(totals) {
+  const count = totals.reduce((sum, t) => sum + t.count, 0);
+  const minutes = totals.reduce((sum, t) => sum + t.minutes, 0);
+  return [
+    ['Behavior', 'Events', 'Duration (min)', 'Share of time (%)'],
+    ...totals.map(t => [t.behavior, t.count, t.minutes, minutes ? round1((t.minutes / minutes) * 100) : 0]),
+    ['Total', count, round1(minutes), minutes ? 100 : 0],
+  ];
+}
+
+// Buckets events by `keyOf(sliceStart)`; counts go to the bucket holding the bout start
+function bucketTable(events, categories, keys, keyOf, label) {
+  const rows = new Map(keys.map(k => [k, { count: 0, minutes: {} }]));
+  events.forEach(ev => {
+    const first = rows.get(keyOf(ev.start));
+    if (first) first.count += 1;
+    hourSlices(ev).forEach(slice => {
+      const row = rows.get(keyOf(slice.start));
+      if (row) row.minutes[ev.behavior] = (row.minutes[ev.behavior] || 0) + (slice.end - slice.start) / 60000;
+    });
+  });
+  const header = [label, 'Events', 'Total (min)', ...categories.map(c => `${c} (min)`)];
+  const body = keys.map(k => {
+    const { count, minutes } = rows.get(k);
+    const total = categories.reduce((sum, c) => sum + (minutes[c] || 0), 0);
+    return [k, count, round1(total), ...categories.map(c => round1(minutes[c] || 0))];
+  });
+  const totals = ['Total', ...header.slice(1).map((_, i) => round1(body.reduce((sum, r) => sum + r[i + 1], 0)))];
+  return [header, ...body, totals];
+}
+
+function aggregateRows(type, events, categories, range, totals) {
+  if (type === 'Summary') {
+    const days = [];
+    for (let d = startOfDay(range.from); d < range.to; d = addDays(d, 1)) days.push(toDateInputValue(d));
+    return bucketTable(events, categories, days, toDateInputValue, 'Date');
+  }
+  if (type === 'Daily Pattern') {
+    const hours = Array.from({ length: 24 }, (_, h) => `${String(h).padStart(2, '0')}:00`);
+    return bucketTable(events, categories, hours, (t) => `${String(new Date(t).getHours()).padStart(2, '0')}:00`, 'Hour');
+  }
+  return behaviorTable(totals);
+}
+
+function summarySections(totals, dailyRows) {
+  const count = totals.reduce((sum, t) => sum + t.count, 0);
+  const minutes = totals.reduce((sum, t) => sum + t.minutes, 0);
+  const days = dailyRows.length;
+  const byTime = [...totals].sort((a, b) => b.minutes - a.minutes)[0];
+  const byCount = [...totals].sort((a, b) => b.count - a.count)[0];
+
+  // Trends compare the average day in the first half of the range with the second half
+  const half = Math.floor(days / 2);
+  const avg = (rows, col) => (rows.length ? rows.reduce((sum, r) => sum + r[col], 0) / rows.length : 0);
+  const change = (a, b) => (half && a ? round1(((b - a) / a) * 100) : '');
+  const first = dailyRows.slice(0, half);
+  const second = dailyRows.slice(days - half);
+  const trend = (col) => [round1(avg(first, col)), round1(avg(second, col)), change(avg(first, col), avg(second, col))];
+
+  const kpis = [
+    ['KPI', 'Value'],
+    ['Events', count],
+    ['Total duration (min)', round1(minutes)],
+    ['Days', days],
+    ['Average per day (min)', days ? round1(minutes / days) : 0],
+    ['Average bout (min)', count ? round1(minutes / count) : 0],
+    ['Most time', count ? `${byTime.behavior} (${byTime.minutes} min)` : '—'],
+    ['Most frequent', count ? `${byCount.behavior} (${byCount.count})` : '—'],
+    ['Trend (min/day, 2nd vs 1st half, %)', trend(2)[2]],
+  ];
+  const trends = [
+    ['Behavior', 'First half (min/day)', 'Second half (min/day)', 'Change (%)'],
+    ...totals.map((t, i) => [t.behavior, ...trend(i + 3)]),
+    ['Total', ...trend(2)],
+  ];
+  return [{ name: 'KPIs', rows: kpis }, { name: 'Trends', rows: trends }];
+}
+
+function hourByDaySection(events, range) {
+  const { days, minutes } = activityMatrix(events, range);
+  const hours = Array.from({ length: 24 }, (_, h) => `${String(h).padStart(2, '0')}:00`);
+  return [{
+    name: 'Hour by Day',
+    rows: [['Date', ...hours], ...days.map((d, i) => [toDateInputValue(d), ...minutes[i].map(round1)])],
+  }];
+}
+
+function eventRows(events) {
+  return [
+    ['Event ID', 'Species', 'Individual', 'Individual ID', 'Behavior', 'AI Behavior', 'Review Status', 'Start', 'End',
+      'Duration (s)', 'Confidence', 'Camera', 'Start (epoch ms)', 'End (epoch ms)'],
+    ...events.map(ev => [
+      ev.id,
+      ev.species,
+      ev.individualName || '',
+      ev.individualId || '',
+      ev.behavior,
+      ev.aiBehavior || ev.behavior,
+      ev.review ? ev.review.status : 'unreviewed',
+      formatDateTime(ev.start),
+      formatDateTime(ev.end),
+      Math.round(eventMinutes(ev) * 60),
+      ev.confidence,
+      ev.camera,
+      ev.start,
+      ev.end,
+    ]),
+  ];
+}
+
+// PUBLIC_INTERFACE
+export function buildReport({
+  type, species, categories, individuals = [], behavior, hours, site, dateRange, labels, events, generatedBy, generatedAt = Date.now(),
+}) {
+  /**
+   * Applies the behavior and hours filters to `events` and assembles the report tables.
+   * `categories` are the species' behavior names from the species registry, in display order.
+   * `individuals` lists the chosen { id, name } records (empty for the whole species); events are
+   * expected to be fetched for them already.
+   * `hours` is an Hours filter (see dayNight.js) resolved against the species' `site`; events are
+   * clipped to its windows so aggregates and raw rows always agree.
+   */
+  const scoped = applyHoursFilter(
+    behavior && behavior !== 'All' ? events.filter(ev => ev.behavior === behavior) : events,
+    hours,
+    site
+  );
+  const metadata = [
+    ['Field', 'Value'],
+    ['Report type', type],
+    ['Species', species],
+    ['Individuals', individuals.length ? individuals.map(ind => `${ind.name} (${ind.id})`).join(', ') : 'All'],
+    ['Behavior', behavior || 'All'],
+    ['Behavior categories', categories.join(', ')],
+    ['Date range', formatDateRange(dateRange)],
+    ['From', formatDateTime(dateRange.from)],
+    ['To (exclusive)', formatDateTime(dateRange.to)],
+    ['From (epoch ms)', dateRange.from],
+    ['To (epoch ms)', dateRange.to],
+    ['Hours', describeHours(hours, site)],
+    ['Hours filter (query)', serializeHours(hours) || 'all'],
+    ['Site', site ? site.name : ''],
+    ['Day/night boundaries', describeDayNight(site)],
+    ['Labels', labels === 'reviewed' ? 'Reviewed' : 'AI'],
+    ['Time zone', Intl.DateTimeFormat().resolvedOptions().timeZone || 'local'],
+    ['Events exported', scoped.length],
+    ['Generated at', new Date(generatedAt).toISOString()],
+    ['Generated by', generatedBy || ''],
+  ];
+  const slug = type.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const behaviors = behaviorTotals(scoped, categories);
+  const aggregates = aggregateRows(type, scoped, categories, dateRange, behaviors);
+  const sections = type === 'Summary'
+    ? summarySections(behaviors, aggregates.slice(1, -1))
+    : type === 'Daily Pattern' ? hourByDaySection(scoped, dateRange) : [];
+  return {
+    type,
+    fileBase: `vizai-${slug}-${toDateInputValue(dateRange.from)}_${toDateInputValue(dateRange.to - 1)}`,
+    categories,
+    behaviors,
+    metadata,
+    aggregates,
+    sections,
+    events: eventRows(scoped),
+  };
+}
+
+const describeIndividuals = (individuals) => (individuals.length ? individuals.map(ind => `${ind.name} (${ind.id})`).join(', ') : 'All');
+const signed = (n) => (n > 0 ? `+${n}` : String(n));
+
+// PUBLIC_INTERFACE
+export function buildComparisonReport({
+  species, categories, labels, site, sides, generatedBy, generatedAt = Date.now(),
+}) {
+  /**
+   * Report comparing two filter sets of one species (see comparison.js). `sides` are two
+   * { label, individuals ({ id, name }), dateRange, hours, events } with events fetched for each;
+   * hours are applied here as in buildReport. Aggregates list each behavior's events and minutes for
+   * both sides and the per-day difference (B minus A); the Hourly Profile section compares the
+   * average day hour by hour, and events carry the side they belong to.
+   */
+  const scoped = sides.map(side => ({ ...side, events: applyHoursFilter(side.events, side.hours, site) }));
+  const totals = scoped.map(side => ({ ...aggregateEvents(side.events, categories), days: rangeDays(side.dateRange) }));
+  const [a, b] = scoped;
+  const metadata = [
+    ['Field', 'Value'],
+    ['Report type', 'Comparison'],
+    ['Species', species],
+    ['Individuals', scoped.map(side => `${side.label}: ${describeIndividuals(side.individuals)}`).join(' • ')],
+    ['Date range', scoped.map(side => `${side.label}: ${formatDateRange(side.dateRange)}`).join(' • ')],
+    ['Hours', scoped.map(side => `${side.label}: ${describeHours(side.hours, site)}`).join(' • ')],
+    ['Behavior categories', categories.join(', ')],
+    ...scoped.flatMap(side => [
+      [`${side.label} from`, formatDateTime(side.dateRange.from)],
+      [`${side.label} to (exclusive)`, formatDateTime(side.dateRange.to)],
+      [`${side.label} hours filter (query)`, serializeHours(side.hours) || 'all'],
+      [`${side.label} events exported`, side.events.length],
+    ]),
+    ['Site', site ? site.name : ''],
+    ['Day/night boundaries', describeDayNight(site)],
+    ['Labels', labels === 'reviewed' ? 'Reviewed' : 'AI'],
+    ['Differences', `${b.label} minus ${a.label}, per average day`],
+    ['Time zone', Intl.DateTimeFormat().resolvedOptions().timeZone || 'local'],
+    ['Generated at', new Date(generatedAt).toISOString()],
+    ['Generated by', generatedBy || ''],
+  ];
+  const counts = differenceRows(totals[0], totals[1], categories, 'count');
+  const minutes = differenceRows(totals[0], totals[1], categories, 'duration');
+  const aggregates = [
+    ['Behavior', `${a.label} events`, `${b.label} events`, 'Events per day change', `${a.label} (min)`, `${b.label} (min)`,
+      `${a.label} (min/day)`, `${b.label} (min/day)`, 'Min per day change', 'Min per day change (%)'],
+    ...categories.map((behavior, i) => [
+      behavior, counts[i].a, counts[i].b, signed(counts[i].change), minutes[i].a, minutes[i].b,
+      minutes[i].aPerDay, minutes[i].bPerDay, signed(minutes[i].change), minutes[i].percent === null ? '' : signed(minutes[i].percent),
+    ]),
+  ];
+  const [activityA, activityB] = scoped.map(side => activityMatrix(side.events, side.dateRange));
+  const hourly = [
+    ['Hour', `${a.label} (min/day)`, `${b.label} (min/day)`, 'Change (min/day)'],
+    ...hourlyDifference(activityA, activityB).map(row => [`${String(row.hour).padStart(2, '0')}:00`, row.aPerDay, row.bPerDay, signed(row.change)]),
+  ];
+  const span = (range) => `${toDateInputValue(range.from)}_${toDateInputValue(range.to - 1)}`;
+  return {
+    type: 'Comparison',
+    fileBase: `vizai-comparison-${span(a.dateRange)}-vs-${span(b.dateRange)}`,
+    categories,
+    behaviors: behaviorTotals(a.events, categories),
+    sides: scoped.map(side => ({ label: side.label, behaviors: behaviorTotals(side.events, categories) })),
+    metadata,
+    aggregates,
+    sections: [{ name: 'Hourly Profile', rows: hourly }],
+    events: [
+      ['Side', ...eventRows([])[0]],
+      ...scoped.flatMap(side => eventRows(side.events).slice(1).map(row => [side.label, ...row])),
+    ],
+  };
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// PUBLIC_INTERFACE
+export function reportToCsv(report) {
+  /**
+   * One CSV file with "Metadata", "Aggregates", any report-specific sections and "Events",
+   * separated by blank lines. Starts with a byte-order mark so Excel reads it as UTF-8.
+   */
+  const section = (title, rows) => [[title], ...rows].map(r => r.map(csvCell).join(',')).join('\r\n');
+  return '\ufeff' + [
+    section('Metadata', report.metadata),
+    section('Aggregates', report.aggregates),
+    ...report.sections.map(s => section(s.name, s.rows)),
+    section('Events', report.events),
+  ].join('\r\n\r\n') + '\r\n';
+}
+
+// PUBLIC_INTERFACE
+export function reportToXlsx(report) {
+  /** Workbook bytes with Aggregates, report-specific, Events and Metadata sheets. */
+  return createXlsx([
+    { name: 'Aggregates', rows: report.aggregates },
+    ...report.sections,
+    { name: 'Events', rows: report.events },
+    { name: 'Metadata', rows: report.metadata },
+  ]);
+}
+
+// PUBLIC_INTERFACE
+export function downloadFile(data, fileName, mimeType) {
+  /** Saves bytes or text through a temporary object URL. */
+  const blob = new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,92 @@
+import { buildReport, reportToCsv, reportToXlsx } from './reportExport';
+import { applyHoursFilter } from './dayNight';
+import { reportToPdf } from './reportPdf';
+import { DEFAULT_SPECIES_REGISTRY, behaviorNames, findSpecies } from './speciesRegistry';
+
+const at = (d, h, m = 0) => new Date(2025, 0, d, h, m).getTime();
+const ev = (id, behavior, start, end, extra = {}) => ({
+  id, species: 'Giant Anteater', individualId: 'ga-01', individualName: 'Olivia', behavior, start, end, confidence: 0.9, camera: 'cam-1', ...extra,
+});
+const EVENTS = [
+  ev('ga-1', 'Moving', at(20, 5, 30), at(20, 6, 30)),
+  ev('ga-2', 'Recumbent', at(20, 12, 0), at(20, 13, 0)),
+  ev('ga-3', 'Moving', at(20, 23, 30), at(21, 0, 30), { review: { status: 'confirmed' } }),
+];
+const range = { preset: 'Custom', from: at(20, 0), to: at(22, 0) };
+const categories = behaviorNames(findSpecies(DEFAULT_SPECIES_REGISTRY, 'Giant Anteater'));
+const base = { species: 'Giant Anteater', categories, behavior: 'All', hours: { mode: 'all', ranges: [] }, dateRange: range, labels: 'ai', events: EVENTS, generatedAt: 0 };
+
+test('hour windows clip bouts and keep overnight bouts whole', () => {
+  const night = applyHoursFilter(EVENTS, { mode: 'night' });
+  expect(night.map(e => [e.id, (e.end - e.start) / 60000])).toEqual([['ga-1', 30], ['ga-3', 60]]);
+  const day = applyHoursFilter(EVENTS, { mode: 'day' });
+  expect(day.map(e => [e.id, e.start])).toEqual([['ga-1', at(20, 6)], ['ga-2', at(20, 12)]]);
+});
+
+test('duration report aggregates agree with the exported events', () => {
+  const report = buildReport({ ...base, type: 'Behavior Duration Analysis', behavior: 'Moving', hours: { mode: 'day', ranges: [] } });
+  expect(report.events.slice(1).map(r => r[0])).toEqual(['ga-1']);
+  expect(report.aggregates.find(r => r[0] === 'Moving')).toEqual(['Moving', 1, 30, 100]);
+  expect(report.metadata).toContainEqual(['Hours', 'Daytime (Fixed 06:00–18:00)']);
+  expect(report.metadata).toContainEqual(['Individuals', 'All']);
+  expect(report.fileBase).toBe('vizai-behavior-duration-analysis-2025-01-20_2025-01-21');
+});
+
+test('summary and daily pattern split minutes across days and hours', () => {
+  const summary = buildReport({ ...base, type: 'Summary' }).aggregates;
+  expect(summary.map(r => r.slice(0, 3))).toEqual([['Date', 'Events', 'Total (min)'], ['2025-01-20', 3, 150], ['2025-01-21', 0, 30], ['Total', 3, 180]]);
+  const pattern = buildReport({ ...base, type: 'Daily Pattern' }).aggregates;
+  expect(pattern).toHaveLength(26);
+  expect(pattern[1].slice(0, 3)).toEqual(['00:00', 0, 30]);
+  expect(pattern[24].slice(0, 3)).toEqual(['23:00', 1, 30]);
+});
+
+test('summary adds KPIs and half-over-half trends; daily pattern adds the hour-by-day matrix', () => {
+  const summary = buildReport({ ...base, type: 'Summary' });
+  const kpis = Object.fromEntries(summary.sections.find(x => x.name === 'KPIs').rows.slice(1));
+  expect(kpis).toMatchObject({ Events: 3, 'Total duration (min)': 180, Days: 2, 'Average per day (min)': 90 });
+  expect(kpis['Most time']).toBe('Moving (120 min)');
+  const trends = summary.sections.find(x => x.name === 'Trends').rows;
+  expect(trends.find(r => r[0] === 'Total')).toEqual(['Total', 150, 30, -80]);
+
+  const pattern = buildReport({ ...base, type: 'Daily Pattern' });
+  const matrix = pattern.sections[0];
+  expect(matrix.name).toBe('Hour by Day');
+  expect(matrix.rows.map(r => r[0])).toEqual(['Date', '2025-01-20', '2025-01-21']);
+  expect(matrix.rows[1][24]).toBe(30);
+  expect(matrix.rows[2][1]).toBe(30);
+});
+
+test('csv has escaped sections and xlsx contains all three sheets', () => {
+  const report = buildReport({ ...base, type: 'Summary', individuals: [{ id: 'ga-01', name: 'Olivia' }], generatedBy: 'Lee, "R"' });
+  const csv = reportToCsv(report);
+  expect(csv.startsWith('\ufeffMetadata\r\nField,Value')).toBe(true);
+  expect(csv).toContain('Generated by,"Lee, ""R"""');
+  expect(csv).toContain('Individuals,Olivia (ga-01)');
+  expect(csv).toContain('\r\n\r\nEvents\r\nEvent ID,Species,Individual,Individual ID,Behavior,');
+
+  const bytes = reportToXlsx(report);
+  expect([bytes[0], bytes[1]]).toEqual([0x50, 0x4b]);
+  const text = new TextDecoder().decode(bytes);
+  ['Aggregates', 'Events', 'Metadata'].forEach(name => expect(text).toContain(`<sheet name="${name}"`));
+  expect(text).toContain('<t xml:space="preserve">ga-3</t>');
+  // Characters XML 1.0 does not allow are dropped; tabs and line breaks are kept
+  const cleaned = new TextDecoder().decode(reportToXlsx(buildReport({ ...base, type: 'Summary', generatedBy: 'keeper\u0001@zoo.org\tA&B' })));
+  expect(cleaned).toContain('keeper@zoo.org\tA&amp;B');
+});
+
+test('pdf has a title page, numbered pages and a valid cross-reference table', () => {
+  const report = buildReport({ ...base, type: 'Daily Pattern', generatedBy: 'keeper@zoo.org' });
+  const text = new TextDecoder('latin1').decode(reportToPdf(report, { colorFor: () => '#F59E0B' }));
+  expect(text.startsWith('%PDF-1.4')).toBe(true);
+  expect(text).toContain('(Daily Pattern) Tj');
+  expect(text).toContain('(Duration by Hour of Day) Tj');
+  const pages = Number(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/.exec(text)[1]);
+  expect(pages).toBeGreaterThanOrEqual(3);
+  expect(text).toContain(`(Page ${pages} of ${pages}) Tj`);
+
+  const xref = Number(/startxref\n(\d+)/.exec(text)[1]);
+  expect(text.slice(xref, xref + 4)).toBe('xref');
+  const offsets = text.slice(xref).split('\n').slice(3).filter(l => / n $/.test(l)).map(l => Number(l.slice(0, 10)));
+  offsets.forEach((o, i) => expect(text.slice(o, o + `${i + 1} 0 obj`.length)).toBe(`${i + 1} 0 obj`));
+});
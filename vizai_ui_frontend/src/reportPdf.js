@@ -0,0 +1,288 @@
+/**
+ * PDF rendering of a report built by reportExport.buildReport.
+ * Layout: title page with the filters, an overview page with the Behavior Duration pie and
+ * Behavior Count bars (drawn like the Dashboard), then the type-specific summary table.
+ * Summary and Daily Pattern reports also get a stacked duration chart per day / hour, followed by
+ * their extra sections (KPI and trend tables, or the hour-by-day heat grid). Comparison reports
+ * (buildComparisonReport) replace the pie and count bars with paired bars per side on one scale.
+ */
+import { A4, createPdf, fitText, wrapText } from './pdf';
+
+const MARGIN = 48;
+const CONTENT_WIDTH = A4.width - MARGIN * 2;
+const FOOTER_Y = A4.height - 28;
+const BOTTOM = A4.height - 60;
+
+const DEFAULT_THEME = {
+  primary: '#1e8a5b',
+  text: '#111827',
+  muted: '#6B7280',
+  border: '#E5E7EB',
+  subtle: '#F9FAFB',
+  track: '#F3F4F6',
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function metaValue(report, field) {
+  const row = report.metadata.find(r => r[0] === field);
+  return row ? row[1] : '';
+}
+
+function drawTitlePage(doc, report, theme) {
+  doc.addPage();
+  doc.rect(0, 0, A4.width, 150, { fill: theme.primary });
+  doc.text(MARGIN, 78, 'VizAI', { size: 30, bold: true, color: '#FFFFFF' });
+  doc.text(MARGIN, 106, 'Behavior Report', { size: 14, color: '#FFFFFF' });
+
+  doc.text(MARGIN, 210, report.type, { size: 24, bold: true, color: theme.text });
+  doc.text(MARGIN, 240, `${metaValue(report, 'Species')} • ${metaValue(report, 'Date range')}`, { size: 14, color: theme.text });
+  doc.text(MARGIN, 262, `Individuals: ${metaValue(report, 'Individuals')} • Hours: ${metaValue(report, 'Hours')}`, { size: 12, color: theme.muted });
+
+  let y = 310;
+  doc.text(MARGIN, y, 'Report parameters', { size: 12, bold: true, color: theme.text });
+  y += 10;
+  report.metadata.slice(1).forEach(([field, value]) => {
+    y += 20;
+    doc.line(MARGIN, y + 6, MARGIN + CONTENT_WIDTH, y + 6, { color: theme.border });
+    doc.text(MARGIN, y, field, { size: 10, color: theme.muted });
+    doc.text(MARGIN + 150, y, fitText(value, CONTENT_WIDTH - 150, 10), { size: 10, color: theme.text });
+  });
+}
+
+function drawDurationPie(doc, report, y, theme, colorFor) {
+  doc.text(MARGIN, y, 'Behavior Duration', { size: 14, bold: true, color: theme.text });
+  const total = report.behaviors.reduce((sum, b) => sum + b.minutes, 0);
+  if (!total) {
+    doc.text(MARGIN, y + 28, 'No behavior duration data available for this period.', { size: 10, color: theme.muted });
+    return y + 50;
+  }
+  const r = 80;
+  const cx = MARGIN + r + 10;
+  const cy = y + 30 + r;
+  let angle = 0;
+  report.behaviors.forEach(b => {
+    if (!b.minutes) return;
+    const sweep = (b.minutes / total) * Math.PI * 2;
+    doc.pieSlice(cx, cy, r, angle, angle + sweep, { fill: colorFor(b.behavior) });
+    angle += sweep;
+  });
+  let ly = y + 50;
+  const lx = MARGIN + 2 * r + 50;
+  report.behaviors.forEach(b => {
+    doc.rect(lx, ly - 9, 10, 10, { fill: colorFor(b.behavior) });
+    doc.text(lx + 18, ly, b.behavior, { size: 10, color: theme.text });
+    doc.text(MARGIN + CONTENT_WIDTH, ly, `${round1(b.minutes)} min (${round1((b.minutes / total) * 100)}%)`, { size: 10, color: theme.muted, align: 'right' });
+    ly += 20;
+  });
+  return Math.max(cy + r, ly) + 30;
+}
+
+function drawCountBars(doc, report, y, theme) {
+  doc.text(MARGIN, y, 'Behavior Count', { size: 14, bold: true, color: theme.text });
+  const total = report.behaviors.reduce((sum, b) => sum + b.count, 0);
+  if (!total) {
+    doc.text(MARGIN, y + 28, 'No behaviors found.', { size: 10, color: theme.muted });
+    return y + 50;
+  }
+  let by = y + 26;
+  report.behaviors.forEach(b => {
+    doc.text(MARGIN, by, b.behavior, { size: 10, color: theme.muted });
+    doc.text(MARGIN + CONTENT_WIDTH, by, String(b.count), { size: 10, color: theme.muted, align: 'right' });
+    doc.rect(MARGIN, by + 5, CONTENT_WIDTH, 9, { fill: theme.track, stroke: theme.border });
+    if (b.count) doc.rect(MARGIN, by + 5, CONTENT_WIDTH * (b.count / total), 9, { fill: theme.primary });
+    by += 34;
+  });
+  return by + 10;
+}
+
+// Comparison overview: one bar per side and behavior on a scale shared by both sides
+function drawSideBars(doc, report, y, theme, colorFor, field, title, unit) {
+  doc.text(MARGIN, y, title, { size: 14, bold: true, color: theme.text });
+  const max = Math.max(0, ...report.sides.flatMap(side => side.behaviors.map(b => b[field])));
+  let by = y + 26;
+  report.categories.forEach((behavior, i) => {
+    doc.text(MARGIN, by, behavior, { size: 10, color: theme.text });
+    by += 6;
+    report.sides.forEach(side => {
+      const value = side.behaviors[i][field];
+      doc.text(MARGIN, by + 8, side.label, { size: 8, color: theme.muted });
+      doc.rect(MARGIN + 60, by, CONTENT_WIDTH - 140, 9, { fill: theme.track, stroke: theme.border });
+      if (value && max) doc.rect(MARGIN + 60, by, (CONTENT_WIDTH - 140) * (value / max), 9, { fill: colorFor(behavior) });
+      doc.text(MARGIN + CONTENT_WIDTH, by + 8, `${round1(value)} ${unit}`, { size: 8, color: theme.muted, align: 'right' });
+      by += 13;
+    });
+    by += 12;
+  });
+  return by + 10;
+}
+
+// Stacked columns of behavior minutes per table row (day or hour)
+function drawStackedColumns(doc, report, y, theme, colorFor) {
+  const [header, ...rest] = report.aggregates;
+  const rows = rest.slice(0, -1);
+  const behaviorCols = header.slice(3).map((h, i) => ({ behavior: h.replace(/ \(min\)$/, ''), index: i + 3 }));
+  const title = header[0] === 'Hour' ? 'Duration by Hour of Day' : 'Duration by Day';
+  doc.text(MARGIN, y, title, { size: 14, bold: true, color: theme.text });
+
+  const top = y + 20;
+  const height = 170;
+  const left = MARGIN + 36;
+  const width = CONTENT_WIDTH - 36;
+  const max = Math.max(1, ...rows.map(r => r[2]));
+  for (let i = 0; i <= 4; i += 1) {
+    const gy = top + height - (height * i) / 4;
+    doc.line(left, gy, left + width, gy, { color: theme.border });
+    doc.text(left - 6, gy + 3, String(Math.round((max * i) / 4)), { size: 7, color: theme.muted, align: 'right' });
+  }
+  const slot = width / Math.max(1, rows.length);
+  const barWidth = Math.max(1, slot * 0.7);
+  const labelEvery = Math.max(1, Math.ceil(rows.length / 12));
+  rows.forEach((row, i) => {
+    const x = left + i * slot + (slot - barWidth) / 2;
+    let stack = top + height;
+    behaviorCols.forEach(({ behavior, index }) => {
+      const h = (row[index] / max) * height;
+      if (h <= 0) return;
+      stack -= h;
+      doc.rect(x, stack, barWidth, h, { fill: colorFor(behavior) });
+    });
+    if (i % labelEvery === 0) {
+      const label = header[0] === 'Date' ? String(row[0]).slice(5) : String(row[0]).slice(0, 2);
+      doc.text(x + barWidth / 2, top + height + 12, label, { size: 7, color: theme.muted, align: 'center' });
+    }
+  });
+  doc.text(MARGIN, top + height + 28, 'Minutes per behavior; colors match the Behavior Duration legend.', { size: 8, color: theme.muted });
+  return top + height + 50;
+}
+
+// Blends `hex` toward white; fraction 1 is the full color
+function tint(hex, fraction) {
+  const full = hex.replace('#', '');
+  const channels = [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+  if (channels.some(Number.isNaN)) return hex;
+  return `#${channels.map(c => Math.round(255 - (255 - c) * fraction).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function drawHeatGrid(doc, rows, startY, theme) {
+  const [header, ...body] = rows;
+  const labelWidth = 60;
+  const cell = (CONTENT_WIDTH - labelWidth) / (header.length - 1);
+  const rowHeight = 12;
+  const max = Math.max(1, ...body.flatMap(r => r.slice(1)));
+  let y = startY;
+  const drawHeader = () => {
+    header.slice(1).forEach((h, i) => {
+      if (i % 3 === 0) doc.text(MARGIN + labelWidth + i * cell, y + 8, h.slice(0, 2), { size: 7, color: theme.muted });
+    });
+    y += 14;
+  };
+  drawHeader();
+  body.forEach(row => {
+    if (y + rowHeight > BOTTOM - 20) {
+      doc.addPage();
+      y = MARGIN;
+      drawHeader();
+    }
+    doc.text(MARGIN, y + 9, String(row[0]), { size: 7, color: theme.text });
+    row.slice(1).forEach((value, i) => {
+      doc.rect(MARGIN + labelWidth + i * cell, y, cell - 1, rowHeight - 1, {
+        fill: value > 0 ? tint(theme.primary, 0.15 + 0.85 * (value / max)) : theme.track,
+      });
+    });
+    y += rowHeight;
+  });
+  doc.text(MARGIN, y + 14, `Minutes of behavior per hour; darkest cell = ${max} min.`, { size: 8, color: theme.muted });
+  return y + 24;
+}
+
+function drawTable(doc, rows, startY, theme) {
+  const [header, ...body] = rows;
+  const firstWidth = header.length > 4 ? 78 : 180;
+  const otherWidth = (CONTENT_WIDTH - firstWidth) / (header.length - 1);
+  const colX = header.map((_, i) => (i === 0 ? MARGIN : MARGIN + firstWidth + (i - 1) * otherWidth));
+  const colW = header.map((_, i) => (i === 0 ? firstWidth : otherWidth));
+  const fontSize = header.length > 4 ? 8 : 10;
+  const rowHeight = fontSize + 8;
+  const headerLines = header.map((h, i) => wrapText(h, colW[i] - 6, fontSize, true));
+  const headerHeight = Math.max(...headerLines.map(l => l.length)) * (fontSize + 2) + 8;
+
+  let y = startY;
+  const drawHeader = () => {
+    doc.rect(MARGIN, y, CONTENT_WIDTH, headerHeight, { fill: theme.subtle, stroke: theme.border });
+    headerLines.forEach((lines, i) => lines.forEach((line, li) => {
+      const ly = y + 4 + (li + 1) * (fontSize + 2) - 2;
+      if (i === 0) doc.text(colX[i] + 4, ly, line, { size: fontSize, bold: true, color: theme.text });
+      else doc.text(colX[i] + colW[i] - 4, ly, line, { size: fontSize, bold: true, color: theme.text, align: 'right' });
+    }));
+    y += headerHeight;
+  };
+  drawHeader();
+  body.forEach((row, r) => {
+    if (y + rowHeight > BOTTOM) {
+      doc.addPage();
+      y = MARGIN;
+      drawHeader();
+    }
+    const isTotal = r === body.length - 1 && row[0] === 'Total';
+    if (r % 2 === 1 || isTotal) doc.rect(MARGIN, y, CONTENT_WIDTH, rowHeight, { fill: isTotal ? theme.subtle : theme.track });
+    row.forEach((cell, i) => {
+      const text = fitText(cell, colW[i] - 8, fontSize, isTotal);
+      const ty = y + rowHeight - 5;
+      if (i === 0) doc.text(colX[i] + 4, ty, text, { size: fontSize, bold: isTotal, color: theme.text });
+      else doc.text(colX[i] + colW[i] - 4, ty, text, { size: fontSize, bold: isTotal, color: theme.text, align: 'right' });
+    });
+    y += rowHeight;
+  });
+  return y;
+}
+
+// PUBLIC_INTERFACE
+export function reportToPdf(report, { colorFor = () => DEFAULT_THEME.primary, theme = {} } = {}) {
+  /**
+   * Renders the report as PDF bytes. `colorFor(behavior)` supplies the Dashboard behavior colors
+   * and `theme` overrides DEFAULT_THEME colors.
+   */
+  const t = { ...DEFAULT_THEME, ...theme };
+  const doc = createPdf({ title: `${report.type} — ${metaValue(report, 'Species')}`, author: metaValue(report, 'Generated by') });
+
+  drawTitlePage(doc, report, t);
+
+  doc.addPage();
+  doc.text(MARGIN, MARGIN + 8, 'Overview', { size: 18, bold: true, color: t.text });
+  let y;
+  if (report.sides) {
+    drawSideBars(doc, report, MARGIN + 44, t, colorFor, 'minutes', 'Behavior Duration', 'min');
+    doc.addPage();
+    drawSideBars(doc, report, MARGIN + 8, t, colorFor, 'count', 'Behavior Count', 'events');
+  } else {
+    y = drawDurationPie(doc, report, MARGIN + 44, t, colorFor);
+    drawCountBars(doc, report, y, t);
+  }
+
+  doc.addPage();
+  y = MARGIN + 8;
+  if (report.type === 'Summary' || report.type === 'Daily Pattern') {
+    y = drawStackedColumns(doc, report, y, t, colorFor);
+  }
+  doc.text(MARGIN, y, `${report.type} — Summary Table`, { size: 14, bold: true, color: t.text });
+  y = drawTable(doc, report.aggregates, y + 14, t) + 36;
+  report.sections.forEach(section => {
+    if (y + 120 > BOTTOM) {
+      doc.addPage();
+      y = MARGIN + 8;
+    }
+    doc.text(MARGIN, y, section.name, { size: 14, bold: true, color: t.text });
+    y = (section.name === 'Hour by Day'
+      ? drawHeatGrid(doc, section.rows, y + 10, t)
+      : drawTable(doc, section.rows, y + 14, t)) + 36;
+  });
+
+  const footer = `VizAI • ${report.type} • ${metaValue(report, 'Species')} • ${metaValue(report, 'Date range')}`;
+  doc.eachPage((i, count) => {
+    doc.line(MARGIN, FOOTER_Y - 12, MARGIN + CONTENT_WIDTH, FOOTER_Y - 12, { color: t.border });
+    doc.text(MARGIN, FOOTER_Y, fitText(footer, CONTENT_WIDTH - 90, 8), { size: 8, color: t.muted });
+    doc.text(MARGIN + CONTENT_WIDTH, FOOTER_Y, `Page ${i + 1} of ${count}`, { size: 8, color: t.muted, align: 'right' });
+  });
+  return doc.output();
+}
@@ -3,3 +3,7 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom does not provide TextEncoder/TextDecoder (used by the xlsx writer); borrow Node's.
+Object.assign(global, { TextDecoder, TextEncoder });
@@ -0,0 +1,98 @@
+/**
+ * Species registry: each species' display details, availability and ethogram (its behavior
+ * categories with chart colors and definitions). The app reads it from GET /species; the mock server
+ * serves DEFAULT_SPECIES_REGISTRY below, which is also the shape a backend should return:
+ *   { name, scientificName, image, available, expected (YYYY-MM or null),
+ *     behaviors: [{ name, color (#RRGGBB), definition, status ('Active'|'Resting'|'Feeding'), stereotypic }] }
+ * Behavior order is the display order in filters, charts, the ethogram track and exports.
+ * `stereotypic: true` marks welfare indicators (e.g. pacing) whose increases the Dashboard highlights.
+ */
+
+// PUBLIC_INTERFACE
+export const DEFAULT_SPECIES_REGISTRY = [
+  {
+    name: 'Giant Anteater',
+    scientificName: 'Myrmecophaga tridactyla',
+    image: '/assets/giant-anteater.png',
+    available: true,
+    expected: null,
+    behaviors: [
+      { name: 'Recumbent', color: '#1E8A5B', status: 'Resting', definition: 'Lying on the side or curled up with the tail over the body, head down.' },
+      { name: 'Non-Recumbent', color: '#F59E0B', status: 'Active', definition: 'Standing or sitting upright without moving location.' },
+      { name: 'Scratching', color: '#0EA5E9', status: 'Active', definition: 'Scratching the body with a fore- or hind-claw, or rubbing against an object.' },
+      { name: 'Self-Directed', color: '#22C55E', status: 'Active', stereotypic: true, definition: 'Grooming, licking or biting its own body, fur or tail.' },
+      { name: 'Pacing', color: '#F43F5E', status: 'Active', stereotypic: true, definition: 'Walking the same route repeatedly (three or more times) with no apparent goal.' },
+      { name: 'Moving', color: '#177148', status: 'Active', definition: 'Walking, running or foraging while changing location.' },
+    ],
+  },
+  {
+    name: 'Pangolin',
+    scientificName: 'Phataginus tricuspis',
+    image: '/assets/pangolin.png',
+    available: false,
+    expected: '2026-02',
+    behaviors: [
+      { name: 'Curled', color: '#1E8A5B', status: 'Resting', definition: 'Rolled into a ball with the head tucked under the tail.' },
+      { name: 'Foraging', color: '#F59E0B', status: 'Feeding', definition: 'Sniffing, digging into or licking at ant and termite sources.' },
+      { name: 'Digging', color: '#0EA5E9', status: 'Active', definition: 'Excavating substrate with the fore-claws away from food sources.' },
+      { name: 'Climbing', color: '#8B5CF6', status: 'Active', definition: 'Moving on branches or mesh using claws and the prehensile tail.' },
+      { name: 'Self-Directed', color: '#22C55E', status: 'Active', stereotypic: true, definition: 'Scratching or grooming its own scales or skin.' },
+      { name: 'Walking', color: '#177148', status: 'Active', definition: 'Bipedal or quadrupedal locomotion on the ground.' },
+    ],
+  },
+  {
+    name: 'Sloth',
+    scientificName: 'Choloepus hoffmanni',
+    image: '/assets/sloth.png',
+    available: false,
+    expected: '2025-09',
+    behaviors: [
+      { name: 'Hanging Rest', color: '#1E8A5B', status: 'Resting', definition: 'Suspended or wedged in a fork with the eyes closed or head tucked.' },
+      { name: 'Feeding', color: '#F59E0B', status: 'Feeding', definition: 'Reaching for, holding or chewing leaves and food items.' },
+      { name: 'Climbing', color: '#8B5CF6', status: 'Active', definition: 'Moving along or between branches and ropes.' },
+      { name: 'Grooming', color: '#22C55E', status: 'Active', definition: 'Scratching or combing its own fur with the claws.' },
+      { name: 'Descending', color: '#0EA5E9', status: 'Active', definition: 'Moving down to the ground, usually to defecate.' },
+    ],
+  },
+];
+
+const FALLBACK_COLOR = '#9CA3AF';
+
+// PUBLIC_INTERFACE
+export function findSpecies(registry, name) {
+  /** Registry entry for a species name, or null. */
+  return (registry || []).find(entry => entry.name === name) || null;
+}
+
+// PUBLIC_INTERFACE
+export function behaviorNames(entry) {
+  /** The species' behavior categories in display order; [] for an unknown species. */
+  return entry ? entry.behaviors.map(b => b.name) : [];
+}
+
+// PUBLIC_INTERFACE
+export function createEthogram(entry) {
+  /**
+   * Lookups over one species' behaviors:
+   * { species, behaviors (names), colorOf(name), definitionOf(name), statusOf(name), isStereotypic(name) }.
+   * Unknown behaviors (e.g. labels from another ethogram version) get a neutral gray and no definition.
+   */
+  const byName = new Map((entry ? entry.behaviors : []).map(b => [b.name, b]));
+  return {
+    species: entry ? entry.name : null,
+    behaviors: behaviorNames(entry),
+    colorOf: (name) => (byName.has(name) ? byName.get(name).color : FALLBACK_COLOR),
+    definitionOf: (name) => (byName.has(name) ? byName.get(name).definition : ''),
+    statusOf: (name) => (byName.has(name) && byName.get(name).status) || 'Active',
+    isStereotypic: (name) => !!(byName.has(name) && byName.get(name).stereotypic),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function formatExpected(expected) {
+  /** "Expected: Feb 2026" for a YYYY-MM availability date, or null. */
+  const m = /^(\d{4})-(\d{2})$/.exec(String(expected || ''));
+  if (!m) return null;
+  const label = new Date(Number(m[1]), Number(m[2]) - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+  return `Expected: ${label}`;
+}
@@ -0,0 +1,22 @@
+import { DEFAULT_SPECIES_REGISTRY, createEthogram, findSpecies, formatExpected } from './speciesRegistry';
+
+test('ethograms look up colors, definitions and badge status by behavior', () => {
+  const ethogram = createEthogram(findSpecies(DEFAULT_SPECIES_REGISTRY, 'Giant Anteater'));
+  expect(ethogram.behaviors).toEqual(['Recumbent', 'Non-Recumbent', 'Scratching', 'Self-Directed', 'Pacing', 'Moving']);
+  expect(ethogram.colorOf('Pacing')).toBe('#F43F5E');
+  expect(ethogram.statusOf('Recumbent')).toBe('Resting');
+  expect(ethogram.definitionOf('Pacing')).toMatch(/same route/);
+  expect(ethogram.behaviors.filter(ethogram.isStereotypic)).toEqual(['Self-Directed', 'Pacing']);
+
+  // Labels outside the ethogram stay displayable
+  expect(ethogram.colorOf('Curled')).toBe('#9CA3AF');
+  expect(ethogram.definitionOf('Curled')).toBe('');
+  expect(ethogram.statusOf('Curled')).toBe('Active');
+  expect(createEthogram(findSpecies(DEFAULT_SPECIES_REGISTRY, 'Okapi')).behaviors).toEqual([]);
+});
+
+test('availability dates format as month and year', () => {
+  expect(formatExpected('2026-02')).toBe('Expected: Feb 2026');
+  expect(formatExpected(null)).toBeNull();
+  expect(formatExpected('soon')).toBeNull();
+});
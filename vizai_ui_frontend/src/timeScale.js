@@ -0,0 +1,84 @@
+/**
+ * Time-axis helpers for the Timeline ethogram track.
+ * A viewport is { start, span } in epoch milliseconds, kept inside the selected date range.
+ */
+import { DAY_MS, addDays, startOfDay, formatClock } from './dateRange';
+
+export const MIN_SPAN_MS = 30 * 1000;
+export const MAX_SPAN_MS = 7 * DAY_MS;
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const TICK_STEPS = [
+  SECOND, 5 * SECOND, 10 * SECOND, 30 * SECOND,
+  MINUTE, 5 * MINUTE, 10 * MINUTE, 15 * MINUTE, 30 * MINUTE,
+  HOUR, 2 * HOUR, 3 * HOUR, 6 * HOUR, 12 * HOUR, DAY_MS,
+];
+
+// PUBLIC_INTERFACE
+export function clampViewport({ start, span }, bounds) {
+  /** Keeps span within [MIN_SPAN_MS, min(MAX_SPAN_MS, range length)] and start inside bounds. */
+  const maxSpan = Math.max(MIN_SPAN_MS, Math.min(MAX_SPAN_MS, bounds.to - bounds.from));
+  const nextSpan = Math.min(maxSpan, Math.max(MIN_SPAN_MS, span));
+  const nextStart = Math.min(bounds.to - nextSpan, Math.max(bounds.from, start));
+  return { start: nextStart, span: nextSpan };
+}
+
+// PUBLIC_INTERFACE
+export function defaultViewport(bounds) {
+  /** Most recent day of the range (or the whole range when shorter). */
+  const span = Math.min(DAY_MS, bounds.to - bounds.from);
+  return clampViewport({ start: bounds.to - span, span }, bounds);
+}
+
+// PUBLIC_INTERFACE
+export function zoomViewport(viewport, factor, bounds, anchor = 0.5) {
+  /** Scales the span by `factor` (<1 zooms in) keeping the time at `anchor` (0–1) fixed. */
+  const pivot = viewport.start + viewport.span * anchor;
+  const span = viewport.span * factor;
+  return clampViewport({ start: pivot - span * anchor, span }, bounds);
+}
+
+// PUBLIC_INTERFACE
+export function panViewport(viewport, deltaMs, bounds) {
+  /** Shifts the viewport by deltaMs. */
+  return clampViewport({ start: viewport.start + deltaMs, span: viewport.span }, bounds);
+}
+
+// PUBLIC_INTERFACE
+export function formatSpan(ms) {
+  /** Compact span label, e.g. "2d", "6h", "15m", "30s". */
+  if (ms >= DAY_MS) return `${Math.round((ms / DAY_MS) * 10) / 10}d`;
+  if (ms >= HOUR) return `${Math.round((ms / HOUR) * 10) / 10}h`;
+  if (ms >= MINUTE) return `${Math.round((ms / MINUTE) * 10) / 10}m`;
+  return `${Math.round(ms / SECOND)}s`;
+}
+
+function tickLabel(t, step) {
+  const clock = formatClock(t);
+  if (step >= DAY_MS || (t === startOfDay(t) && step >= HOUR)) {
+    return new Date(t).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  }
+  return step < MINUTE ? clock : clock.slice(0, 5);
+}
+
+// PUBLIC_INTERFACE
+export function timeTicks(start, end, maxTicks = 8) {
+  /** Evenly stepped axis ticks [{ t, label }] aligned to local clock boundaries. */
+  const span = end - start;
+  const step = TICK_STEPS.find(s => span / s <= maxTicks) || DAY_MS * Math.ceil(span / (DAY_MS * maxTicks));
+  const ticks = [];
+  if (step >= DAY_MS) {
+    for (let t = startOfDay(start); t <= end; t = addDays(t, Math.round(step / DAY_MS))) {
+      if (t >= start) ticks.push({ t, label: tickLabel(t, step) });
+    }
+    return ticks;
+  }
+  // Align sub-day steps to local midnight so ticks land on round clock times
+  const base = startOfDay(start);
+  for (let t = base + Math.ceil((start - base) / step) * step; t <= end; t += step) {
+    ticks.push({ t, label: tickLabel(t, step) });
+  }
+  return ticks;
+}
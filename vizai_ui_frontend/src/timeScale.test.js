@@ -0,0 +1,23 @@
+import { DAY_MS } from './dateRange';
+import { MIN_SPAN_MS, clampViewport, defaultViewport, formatSpan, panViewport, timeTicks, zoomViewport } from './timeScale';
+
+const bounds = { from: new Date(2025, 0, 20).getTime(), to: new Date(2025, 0, 23).getTime() };
+
+test('viewport zooms from a day down to seconds and stays inside the range', () => {
+  let vp = defaultViewport(bounds);
+  expect(vp).toEqual({ start: bounds.to - DAY_MS, span: DAY_MS });
+
+  for (let i = 0; i < 20; i++) vp = zoomViewport(vp, 0.5, bounds);
+  expect(vp.span).toBe(MIN_SPAN_MS);
+  expect(formatSpan(vp.span)).toBe('30s');
+
+  expect(panViewport(vp, DAY_MS, bounds).start).toBe(bounds.to - MIN_SPAN_MS);
+  expect(clampViewport({ start: 0, span: 30 * DAY_MS }, bounds)).toEqual({ start: bounds.from, span: bounds.to - bounds.from });
+});
+
+test('ticks land on round clock times', () => {
+  const start = new Date(2025, 0, 21, 9, 7).getTime();
+  const labels = timeTicks(start, start + 60 * 60 * 1000).map(t => t.label);
+  expect(labels).toEqual(['09:10', '09:20', '09:30', '09:40', '09:50', '10:00']);
+  expect(timeTicks(start, start + 60 * 1000).map(t => t.label)[0]).toBe('09:07:00');
+});
@@ -0,0 +1,104 @@
+/**
+ * Shared filter state (species, individuals, date range, labels, hours) encoded in the query string,
+ * so any view can be bookmarked or shared. Dates are local calendar days and `to` is inclusive:
+ *   ?species=Giant+Anteater&individuals=ga-01,ga-03&range=Last+7+Days&from=2025-01-16&to=2025-01-22&labels=reviewed&hours=day
+ * A preset is kept only while it still resolves to the same days; otherwise the link opens as a
+ * Custom range over the original days. Page-specific params (view, behavior, …) live alongside.
+ */
+import {
+  DATE_RANGE_PRESETS,
+  customRange,
+  parseDateInputValue,
+  presetRange,
+  toDateInputValue,
+  validateCustomRange,
+} from './dateRange';
+import { ALL_HOURS, parseHours, serializeHours } from './dayNight';
+
+export const DEFAULT_SPECIES = 'Giant Anteater';
+export const GLOBAL_VIEW_PARAMS = ['species', 'individuals', 'range', 'from', 'to', 'labels', 'hours'];
+// Page params tied to the date range (the Timeline viewport); dropped when the range changes
+export const RANGE_DEPENDENT_PARAMS = ['start', 'span'];
+
+// PUBLIC_INTERFACE
+export function defaultGlobalView(now = Date.now()) {
+  /** Filters used when neither the URL nor the session has any. */
+  return { species: DEFAULT_SPECIES, individuals: [], dateRange: presetRange('Last 7 Days', now), labelSource: 'ai', hours: ALL_HOURS };
+}
+
+// PUBLIC_INTERFACE
+export function encodeGlobalView({ species, individuals = [], dateRange, labelSource, hours }) {
+  /**
+   * Query params for the shared filters as an ordered [name, value] list; defaults are omitted.
+   * `individuals` (ids) is empty for the whole species.
+   */
+  const params = [['species', species]];
+  if (individuals.length) params.push(['individuals', individuals.join(',')]);
+  params.push(
+    ['range', dateRange.preset],
+    ['from', toDateInputValue(dateRange.from)],
+    ['to', toDateInputValue(dateRange.to - 1)],
+  );
+  if (labelSource === 'reviewed') params.push(['labels', 'reviewed']);
+  const h = serializeHours(hours);
+  if (h) params.push(['hours', h]);
+  return params;
+}
+
+// PUBLIC_INTERFACE
+export function hasGlobalView(searchParams) {
+  /** True when the URL carries any shared filter param. */
+  return GLOBAL_VIEW_PARAMS.some(name => searchParams.has(name));
+}
+
+// PUBLIC_INTERFACE
+export function sameRangeDays(a, b) {
+  /** True when two date ranges cover the same calendar days (preset end times may differ). */
+  return toDateInputValue(a.from) === toDateInputValue(b.from) && toDateInputValue(a.to - 1) === toDateInputValue(b.to - 1);
+}
+
+function decodeRange(searchParams, now) {
+  const preset = searchParams.get('range');
+  const from = parseDateInputValue(searchParams.get('from') || '');
+  const to = parseDateInputValue(searchParams.get('to') || '');
+  if (from === null || to === null) {
+    return presetRange(DATE_RANGE_PRESETS.includes(preset) ? preset : 'Last 7 Days', now);
+  }
+  if (DATE_RANGE_PRESETS.includes(preset)) {
+    const current = presetRange(preset, now);
+    if (sameRangeDays(current, customRange(from, to))) return current;
+  }
+  return validateCustomRange(from, to, now) ? presetRange('Last 7 Days', now) : customRange(from, to);
+}
+
+// PUBLIC_INTERFACE
+export function decodeGlobalView(searchParams, now = Date.now()) {
+  /**
+   * Shared filters from URLSearchParams; missing or invalid params take their defaults
+   * (so a link always means the same thing regardless of the recipient's session).
+   */
+  const defaults = defaultGlobalView(now);
+  const labels = searchParams.get('labels');
+  return {
+    species: searchParams.get('species') || defaults.species,
+    individuals: (searchParams.get('individuals') || '').split(',').filter(Boolean),
+    dateRange: decodeRange(searchParams, now),
+    labelSource: labels === 'reviewed' ? 'reviewed' : 'ai',
+    hours: searchParams.has('hours') ? parseHours(searchParams.get('hours')) : defaults.hours,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function globalViewKey(view) {
+  /** Stable string for comparing two sets of shared filters. */
+  return new URLSearchParams(encodeGlobalView(view)).toString();
+}
+
+// PUBLIC_INTERFACE
+export function withGlobalView(searchParams, view) {
+  /** Copy of `searchParams` with the shared filter params replaced by `view`'s. */
+  const next = new URLSearchParams(searchParams);
+  GLOBAL_VIEW_PARAMS.forEach(name => next.delete(name));
+  encodeGlobalView(view).forEach(([name, value]) => next.set(name, value));
+  return next;
+}
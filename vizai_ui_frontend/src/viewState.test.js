@@ -0,0 +1,56 @@
+import { customRange, presetRange } from './dateRange';
+import {
+  decodeGlobalView,
+  defaultGlobalView,
+  encodeGlobalView,
+  globalViewKey,
+  hasGlobalView,
+  withGlobalView,
+} from './viewState';
+
+const NOW = new Date(2025, 2, 20, 10, 30).getTime();
+
+test('shared filters round-trip through the query string', () => {
+  const view = {
+    species: 'Pygmy Hippo',
+    individuals: ['ph-01', 'ph-02'],
+    dateRange: customRange(new Date(2025, 2, 3).getTime(), new Date(2025, 2, 5).getTime()),
+    labelSource: 'reviewed',
+    hours: { mode: 'custom', ranges: [{ from: '08:00', to: '10:00' }] },
+  };
+  const params = withGlobalView(new URLSearchParams('view=list&event=ev-1'), view);
+  expect(params.toString()).toBe(
+    'view=list&event=ev-1&species=Pygmy+Hippo&individuals=ph-01%2Cph-02&range=Custom&from=2025-03-03&to=2025-03-05&labels=reviewed&hours=08%3A00-10%3A00'
+  );
+  expect(hasGlobalView(params)).toBe(true);
+  expect(decodeGlobalView(params, NOW)).toEqual(view);
+  expect(globalViewKey(decodeGlobalView(params, NOW))).toBe(globalViewKey(view));
+
+  // Defaults are left out of the URL
+  expect(encodeGlobalView(defaultGlobalView(NOW)).map(([name]) => name)).toEqual(['species', 'range', 'from', 'to']);
+});
+
+test('presets are kept only while they cover the same days', () => {
+  const current = new URLSearchParams('species=Giant+Anteater&range=Last+7+Days&from=2025-03-14&to=2025-03-20');
+  expect(decodeGlobalView(current, NOW).dateRange).toEqual(presetRange('Last 7 Days', NOW));
+
+  // A week-old link reopens the original days rather than a different week
+  const stale = new URLSearchParams('species=Giant+Anteater&range=Last+7+Days&from=2025-03-07&to=2025-03-13');
+  expect(decodeGlobalView(stale, NOW).dateRange).toEqual(
+    customRange(new Date(2025, 2, 7).getTime(), new Date(2025, 2, 13).getTime())
+  );
+});
+
+test('missing or invalid params fall back to defaults', () => {
+  expect(hasGlobalView(new URLSearchParams('view=grid'))).toBe(false);
+  expect(decodeGlobalView(new URLSearchParams(''), NOW)).toEqual(defaultGlobalView(NOW));
+
+  const bad = decodeGlobalView(new URLSearchParams('range=Someday&from=2025-13-40&to=x&labels=mine&hours=25:00-26:00'), NOW);
+  expect(bad).toEqual(defaultGlobalView(NOW));
+
+  // Future or reversed days are rejected like in the date picker
+  const future = decodeGlobalView(new URLSearchParams('range=Custom&from=2025-03-19&to=2025-03-22'), NOW);
+  expect(future.dateRange).toEqual(presetRange('Last 7 Days', NOW));
+  expect(decodeGlobalView(new URLSearchParams('range=Yesterday'), NOW).dateRange).toEqual(presetRange('Yesterday', NOW));
+  expect(decodeGlobalView(new URLSearchParams('hours=night'), NOW).hours).toEqual({ mode: 'night', ranges: [] });
+});
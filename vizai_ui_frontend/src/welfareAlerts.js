@@ -0,0 +1,130 @@
+/**
+ * Welfare alert rules: thresholds on one behavior's duration, bout count or bout length per day or
+ * week, either absolute ("Pacing above 60 min per day") or against a baseline ("Scratching up 50% on
+ * the previous 7 days"). A rule is
+ *   { id, name, species, individuals, behavior, metric, comparison, threshold, window, baselineDays, enabled }
+ * - metric: 'duration' (minutes), 'count' (bouts) or 'boutLength' (mean minutes per bout)
+ * - comparison: 'above' / 'below' (threshold in the metric's unit) or 'increase' / 'decrease'
+ *   (threshold in % of the baseline, the metric averaged over the `baselineDays` before the window)
+ * - window: 'day' (local calendar day) or 'week' (Monday to Sunday)
+ * - individuals: ids the rule watches, [] for every individual of the species; each is evaluated
+ *   on its own, so an alert always names one animal.
+ * Bouts count toward the window they start in. The backend (here the mock server) evaluates rules
+ * against reviewed labels and serves the resulting alerts.
+ */
+import { eventMinutes } from './analytics';
+import { addDays, startOfDay } from './dateRange';
+
+// PUBLIC_INTERFACE
+export const ALERT_METRICS = {
+  duration: { label: 'Duration', unit: 'min' },
+  count: { label: 'Bout count', unit: 'bouts' },
+  boutLength: { label: 'Bout length', unit: 'min' },
+};
+
+// PUBLIC_INTERFACE
+export const ALERT_COMPARISONS = {
+  above: 'above',
+  below: 'below',
+  increase: 'up on baseline by',
+  decrease: 'down on baseline by',
+};
+
+// PUBLIC_INTERFACE
+export const ALERT_WINDOWS = { day: 'per day', week: 'per week' };
+
+// PUBLIC_INTERFACE
+export const ALERT_STATUS_LABELS = { open: 'Open', acknowledged: 'Acknowledged', resolved: 'Resolved' };
+
+const WINDOW_DAYS = { day: 1, week: 7 };
+const isRelative = (comparison) => comparison === 'increase' || comparison === 'decrease';
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// PUBLIC_INTERFACE
+export function validateAlertRule(rule, behaviors) {
+  /** Error message for an incomplete or inconsistent rule, or '' when valid. */
+  if (!rule.species) return 'Choose a species.';
+  if (!behaviors.includes(rule.behavior)) return `Choose one of the ${rule.species} behaviors.`;
+  if (!ALERT_METRICS[rule.metric]) return 'Choose a metric.';
+  if (!ALERT_COMPARISONS[rule.comparison]) return 'Choose a comparison.';
+  if (!WINDOW_DAYS[rule.window]) return 'Choose a window.';
+  const threshold = Number(rule.threshold);
+  if (!Number.isFinite(threshold) || threshold < 0) return 'The threshold must be a number of zero or more.';
+  if (isRelative(rule.comparison)) {
+    if (threshold <= 0) return 'The change must be more than 0%.';
+    const days = Number(rule.baselineDays);
+    if (!Number.isInteger(days) || days < 1 || days > 90) return 'The baseline must be between 1 and 90 days.';
+  }
+  return '';
+}
+
+// PUBLIC_INTERFACE
+export function describeAlertRule(rule) {
+  /** One-line summary, e.g. "Pacing duration above 60 min per day" or "Scratching bout count up on baseline by 50% per day (7-day baseline)". */
+  const metric = ALERT_METRICS[rule.metric];
+  const amount = isRelative(rule.comparison) ? `${rule.threshold}%` : `${rule.threshold} ${metric.unit}`;
+  const baseline = isRelative(rule.comparison) ? ` (${rule.baselineDays}-day baseline)` : '';
+  return `${rule.behavior} ${metric.label.toLowerCase()} ${ALERT_COMPARISONS[rule.comparison]} ${amount} ${ALERT_WINDOWS[rule.window]}${baseline}`;
+}
+
+// PUBLIC_INTERFACE
+export function windowStart(window, ts) {
+  /** Start of the day or week (Monday) containing `ts`. */
+  const day = startOfDay(ts);
+  return window === 'week' ? addDays(day, -((new Date(day).getDay() + 6) % 7)) : day;
+}
+
+// PUBLIC_INTERFACE
+export function alertPeriods(window, from, to) {
+  /** Consecutive day or week windows [{ from, to }] overlapping [from, to), oldest first. */
+  const periods = [];
+  for (let start = windowStart(window, from); start < to; start = addDays(start, WINDOW_DAYS[window])) {
+    periods.push({ from: start, to: addDays(start, WINDOW_DAYS[window]) });
+  }
+  return periods;
+}
+
+// PUBLIC_INTERFACE
+export function metricValue(events, metric) {
+  /** The metric over bouts: total minutes, bout count or mean bout minutes (null without bouts). */
+  if (metric === 'count') return events.length;
+  const minutes = events.reduce((sum, ev) => sum + eventMinutes(ev), 0);
+  if (metric === 'boutLength') return events.length ? minutes / events.length : null;
+  return minutes;
+}
+
+// PUBLIC_INTERFACE
+export function evaluateAlertRule(rule, events, { from, to, now = Date.now() }) {
+  /**
+   * Windows between `from` and `to` in which the rule is met, as
+   * [{ from, to, value, baseline, partial }] (values rounded to 0.1). `events` are one individual's
+   * bouts of the rule's behavior, reaching back `baselineDays` before `from` for relative rules.
+   * The window still in progress is only checked where its value can no longer fall back below the
+   * threshold (duration or count above a limit); everything else waits for the window to end.
+   */
+  const threshold = Number(rule.threshold);
+  const startingIn = (a, b) => events.filter(ev => ev.start >= a && ev.start < b);
+  const hits = [];
+  alertPeriods(rule.window, from, Math.min(to, now)).forEach(period => {
+    const partial = period.to > now;
+    if (partial && !(rule.comparison === 'above' && rule.metric !== 'boutLength')) return;
+    const value = metricValue(startingIn(period.from, period.to), rule.metric);
+    if (value === null) return;
+    let baseline = null;
+    let met;
+    if (isRelative(rule.comparison)) {
+      const baselineFrom = addDays(period.from, -rule.baselineDays);
+      const total = metricValue(startingIn(baselineFrom, period.from), rule.metric);
+      if (total === null) return;
+      // Totals are averaged to one window's worth; bout length is already a mean
+      baseline = rule.metric === 'boutLength' ? total : total * WINDOW_DAYS[rule.window] / rule.baselineDays;
+      if (baseline <= 0) return;
+      const change = ((value - baseline) / baseline) * 100;
+      met = rule.comparison === 'increase' ? change >= threshold : -change >= threshold;
+    } else {
+      met = rule.comparison === 'above' ? value > threshold : value < threshold;
+    }
+    if (met) hits.push({ from: period.from, to: period.to, value: round1(value), baseline: baseline === null ? null : round1(baseline), partial });
+  });
+  return hits;
+}
@@ -0,0 +1,84 @@
+import { createApiClient, createMockTransport } from './apiClient';
+import { createAuthClient, createSessionStore } from './auth';
+import { addDays, startOfDay } from './dateRange';
+import { createMockServer, DEMO_PASSWORD } from './mockServer';
+import { alertPeriods, describeAlertRule, evaluateAlertRule, validateAlertRule } from './welfareAlerts';
+
+// Wednesday 22 January 2025, 15:00
+const NOW = new Date(2025, 0, 22, 15, 0, 0).getTime();
+const TODAY = startOfDay(NOW);
+const bout = (day, hour, minutes) => {
+  const start = addDays(TODAY, day) + hour * 3600000;
+  return { start, end: start + minutes * 60000 };
+};
+const pacing = { species: 'Giant Anteater', behavior: 'Pacing', metric: 'duration', comparison: 'above', threshold: 60, window: 'day', baselineDays: 7 };
+
+test('windows are calendar days or Monday-to-Sunday weeks', () => {
+  const weeks = alertPeriods('week', addDays(TODAY, -7), NOW);
+  expect(weeks.map(w => new Date(w.from).toDateString())).toEqual(['Mon Jan 13 2025', 'Mon Jan 20 2025']);
+  expect(weeks[1].to).toBe(addDays(TODAY, 5));
+  expect(alertPeriods('day', addDays(TODAY, -2), NOW).map(d => d.from)).toEqual([addDays(TODAY, -2), addDays(TODAY, -1), TODAY]);
+});
+
+test('absolute rules are met per window; the current day only counts once it cannot recover', () => {
+  const events = [bout(-2, 9, 40), bout(-2, 13, 40), bout(-1, 10, 30), bout(0, 8, 70)];
+  const range = { from: addDays(TODAY, -2), to: NOW, now: NOW };
+  expect(evaluateAlertRule(pacing, events, range)).toEqual([
+    { from: addDays(TODAY, -2), to: addDays(TODAY, -1), value: 80, baseline: null, partial: false },
+    { from: TODAY, to: addDays(TODAY, 1), value: 70, baseline: null, partial: true },
+  ]);
+  // Today may still reach 50 minutes, so only yesterday is below
+  expect(evaluateAlertRule({ ...pacing, comparison: 'below', threshold: 50 }, events, range).map(h => h.from)).toEqual([addDays(TODAY, -1)]);
+  expect(evaluateAlertRule({ ...pacing, metric: 'boutLength', threshold: 35 }, events, range).map(h => h.value)).toEqual([40]);
+});
+
+test('relative rules compare a window with the average of the days before it', () => {
+  const baselineDays = [-9, -8, -7, -6, -5, -4, -3].flatMap(day => [bout(day, 9, 5), bout(day, 14, 5)]);
+  const events = [...baselineDays, bout(-2, 9, 5), bout(-2, 12, 5), ...[8, 10, 12, 16].map(h => bout(-1, h, 5))];
+  const rule = { ...pacing, behavior: 'Scratching', metric: 'count', comparison: 'increase', threshold: 50 };
+  expect(evaluateAlertRule(rule, events, { from: addDays(TODAY, -2), to: NOW, now: NOW })).toEqual([
+    { from: addDays(TODAY, -1), to: TODAY, value: 4, baseline: 2, partial: false },
+  ]);
+  // Without any baseline data there is nothing to compare with
+  expect(evaluateAlertRule(rule, events.slice(-4), { from: addDays(TODAY, -1), to: NOW, now: NOW })).toEqual([]);
+});
+
+test('rules are validated and summarized', () => {
+  const behaviors = ['Pacing', 'Scratching'];
+  expect(validateAlertRule(pacing, behaviors)).toBe('');
+  expect(validateAlertRule({ ...pacing, behavior: 'Foraging' }, behaviors)).toBe('Choose one of the Giant Anteater behaviors.');
+  expect(validateAlertRule({ ...pacing, threshold: -1 }, behaviors)).toBe('The threshold must be a number of zero or more.');
+  expect(validateAlertRule({ ...pacing, comparison: 'increase', baselineDays: 0 }, behaviors)).toBe('The baseline must be between 1 and 90 days.');
+  expect(describeAlertRule(pacing)).toBe('Pacing duration above 60 min per day');
+  expect(describeAlertRule({ ...pacing, metric: 'count', comparison: 'increase', threshold: 50 }))
+    .toBe('Pacing bout count up on baseline by 50% per day (7-day baseline)');
+});
+
+test('alerts from the mock server can be acknowledged and resolved; observers cannot change rules', async () => {
+  const transport = createMockTransport(createMockServer({ latencyMs: 0, now: () => NOW, requireAuth: true }));
+  const storage = new Map();
+  const store = createSessionStore({
+    getItem: (k) => storage.get(k) ?? null,
+    setItem: (k, v) => storage.set(k, v),
+    removeItem: (k) => storage.delete(k),
+  });
+  const auth = createAuthClient({ transport, store });
+  const client = createApiClient({ transport, auth });
+  await auth.login('researcher@viz.ai', DEMO_PASSWORD);
+
+  const { items: [alert], counts } = await client.getAlerts({ status: 'open' });
+  expect(alert).toMatchObject({ species: 'Giant Anteater', status: 'open', individualName: expect.any(String) });
+  expect(await client.updateAlert(alert.id, { status: 'acknowledged' })).toMatchObject({ status: 'acknowledged', acknowledgedBy: 'researcher@viz.ai' });
+  await client.updateAlert(alert.id, { status: 'resolved' });
+  const after = await client.getAlerts({ status: 'resolved' });
+  expect(after.items.map(a => a.id)).toEqual([alert.id]);
+  expect(after.counts).toEqual({ open: counts.open - 1, acknowledged: 0, resolved: 1 });
+
+  await expect(client.createAlertRule({ ...pacing, behavior: 'Flying' })).rejects.toMatchObject({ status: 400 });
+  const rule = await client.createAlertRule({ ...pacing, threshold: 1 });
+  expect(rule).toMatchObject({ name: 'Pacing duration above 1 min per day', createdBy: 'researcher@viz.ai', enabled: true });
+
+  await auth.login('observer@viz.ai', DEMO_PASSWORD);
+  await expect(client.deleteAlertRule(rule.id)).rejects.toMatchObject({ status: 403 });
+  expect((await client.getAlertRules()).items.map(r => r.id)).toContain(rule.id);
+});